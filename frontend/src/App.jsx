@@ -14,8 +14,10 @@ import ResetPassword from './pages/auth/ResetPassword';
 // Main Pages
 import Projects from './pages/Projects';
 import ProjectDetail from './pages/ProjectDetail';
+import MyWork from './pages/MyWork';
 import Profile from './pages/Profile';
 import Settings from './pages/Settings';
+import Invitation from './pages/Invitation';
 
 function App() {
   return (
@@ -46,6 +48,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/my-work"
+            element={
+              <ProtectedRoute>
+                <MyWork />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/profile"
             element={
@@ -63,6 +73,15 @@ function App() {
             }
           />
 
+          <Route
+            path="/invitations/:invitationToken"
+            element={
+              <ProtectedRoute>
+                <Invitation />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Redirect */}
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
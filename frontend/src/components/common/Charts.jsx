@@ -0,0 +1,228 @@
+// Lightweight SVG charts for reports (no charting library needed)
+import PropTypes from 'prop-types';
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 40 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const GRID_LINES = 4;
+
+// A line, bar or area of a chart, also shown in its legend
+const seriesShape = PropTypes.shape({
+  key: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  color: PropTypes.string.isRequired,
+  dashed: PropTypes.bool,
+});
+
+// Round the axis maximum up to a value that divides nicely into grid lines
+const niceMax = (value) => {
+  if (value <= 0) return GRID_LINES;
+  const step = Math.ceil(value / GRID_LINES);
+  return step * GRID_LINES;
+};
+
+const scaleY = (value, max) => PADDING.top + PLOT_HEIGHT - (value / max) * PLOT_HEIGHT;
+
+// Show at most ~8 x-axis labels so they never overlap
+const labelEvery = (count) => Math.max(1, Math.ceil(count / 8));
+
+const formatLabel = (label) => (label?.length === 10 ? label.slice(5) : label);
+
+const Axes = ({ max, labels, xFor }) => (
+  <g className="text-slate-500">
+    {Array.from({ length: GRID_LINES + 1 }, (_, i) => {
+      const value = (max / GRID_LINES) * i;
+      const y = scaleY(value, max);
+      return (
+        <g key={i}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y}
+            y2={y}
+            stroke="#334155"
+            strokeDasharray={i === 0 ? undefined : '2 4'}
+          />
+          <text x={PADDING.left - 8} y={y + 4} textAnchor="end" fontSize="11" fill="currentColor">
+            {Math.round(value * 10) / 10}
+          </text>
+        </g>
+      );
+    })}
+    {labels.map((label, i) =>
+      i % labelEvery(labels.length) === 0 ? (
+        <text
+          key={i}
+          x={xFor(i)}
+          y={HEIGHT - 10}
+          textAnchor="middle"
+          fontSize="11"
+          fill="currentColor"
+        >
+          {formatLabel(label)}
+        </text>
+      ) : null
+    )}
+  </g>
+);
+
+Axes.propTypes = {
+  max: PropTypes.number.isRequired,
+  labels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  xFor: PropTypes.func.isRequired,
+};
+
+const Legend = ({ items }) => (
+  <div className="flex flex-wrap gap-4 mt-2 text-xs text-slate-300">
+    {items.map((item) => (
+      <span key={item.label} className="flex items-center gap-1.5">
+        <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: item.color }} />
+        {item.label}
+      </span>
+    ))}
+  </div>
+);
+
+Legend.propTypes = {
+  items: PropTypes.arrayOf(seriesShape).isRequired,
+};
+
+const EmptyChart = () => (
+  <p className="text-center text-slate-500 text-sm py-12">No data for this period</p>
+);
+
+/**
+ * Line chart
+ * @param {Array} data - Points, e.g. [{ date, remainingPoints }]
+ * @param {string} xKey - Key of the x-axis label
+ * @param {Array} lines - [{ key, label, color, dashed }]
+ */
+export const LineChart = ({ data, xKey, lines }) => {
+  if (!data?.length) return <EmptyChart />;
+
+  const max = niceMax(Math.max(...data.flatMap((d) => lines.map((l) => d[l.key] || 0))));
+  const xFor = (i) =>
+    PADDING.left + (data.length === 1 ? PLOT_WIDTH / 2 : (i / (data.length - 1)) * PLOT_WIDTH);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        <Axes max={max} labels={data.map((d) => d[xKey])} xFor={xFor} />
+        {lines.map((line) => (
+          <polyline
+            key={line.key}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="2"
+            strokeDasharray={line.dashed ? '6 4' : undefined}
+            points={data.map((d, i) => `${xFor(i)},${scaleY(d[line.key] || 0, max)}`).join(' ')}
+          />
+        ))}
+      </svg>
+      <Legend items={lines} />
+    </div>
+  );
+};
+
+LineChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.object),
+  xKey: PropTypes.string.isRequired,
+  lines: PropTypes.arrayOf(seriesShape).isRequired,
+};
+
+/**
+ * Grouped bar chart
+ * @param {Array} data - One entry per group, e.g. [{ name, committedPoints }]
+ * @param {string} xKey - Key of the group label
+ * @param {Array} bars - [{ key, label, color }]
+ */
+export const BarChart = ({ data, xKey, bars }) => {
+  if (!data?.length) return <EmptyChart />;
+
+  const max = niceMax(Math.max(...data.flatMap((d) => bars.map((b) => d[b.key] || 0))));
+  const groupWidth = PLOT_WIDTH / data.length;
+  const barWidth = Math.min(32, (groupWidth * 0.7) / bars.length);
+  const xFor = (i) => PADDING.left + groupWidth * i + groupWidth / 2;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        <Axes max={max} labels={data.map((d) => d[xKey])} xFor={xFor} />
+        {data.map((d, i) =>
+          bars.map((bar, j) => {
+            const value = d[bar.key] || 0;
+            const y = scaleY(value, max);
+            return (
+              <rect
+                key={`${i}-${bar.key}`}
+                x={xFor(i) - (barWidth * bars.length) / 2 + barWidth * j}
+                y={y}
+                width={barWidth - 2}
+                height={PADDING.top + PLOT_HEIGHT - y}
+                fill={bar.color}
+                rx="2"
+              >
+                <title>{`${bar.label}: ${value}`}</title>
+              </rect>
+            );
+          })
+        )}
+      </svg>
+      <Legend items={bars} />
+    </div>
+  );
+};
+
+BarChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.object),
+  xKey: PropTypes.string.isRequired,
+  bars: PropTypes.arrayOf(seriesShape).isRequired,
+};
+
+/**
+ * Stacked area chart, first area drawn at the bottom
+ * @param {Array} data - Points, e.g. [{ date, backlog, done }]
+ * @param {string} xKey - Key of the x-axis label
+ * @param {Array} areas - [{ key, label, color }]
+ */
+export const StackedAreaChart = ({ data, xKey, areas }) => {
+  if (!data?.length) return <EmptyChart />;
+
+  const totals = data.map((d) => areas.reduce((sum, a) => sum + (d[a.key] || 0), 0));
+  const max = niceMax(Math.max(...totals));
+  const xFor = (i) =>
+    PADDING.left + (data.length === 1 ? PLOT_WIDTH / 2 : (i / (data.length - 1)) * PLOT_WIDTH);
+
+  // Running totals per point give the top edge of each band
+  const cumulative = data.map(() => 0);
+  const bands = areas.map((area) => {
+    const lower = [...cumulative];
+    data.forEach((d, i) => {
+      cumulative[i] += d[area.key] || 0;
+    });
+    const upper = [...cumulative];
+    const top = upper.map((v, i) => `${xFor(i)},${scaleY(v, max)}`);
+    const bottom = lower.map((v, i) => `${xFor(i)},${scaleY(v, max)}`).reverse();
+    return { ...area, points: [...top, ...bottom].join(' ') };
+  });
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        <Axes max={max} labels={data.map((d) => d[xKey])} xFor={xFor} />
+        {bands.map((band) => (
+          <polygon key={band.key} points={band.points} fill={band.color} fillOpacity="0.8" />
+        ))}
+      </svg>
+      <Legend items={[...areas].reverse()} />
+    </div>
+  );
+};
+
+StackedAreaChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.object),
+  xKey: PropTypes.string.isRequired,
+  areas: PropTypes.arrayOf(seriesShape).isRequired,
+};
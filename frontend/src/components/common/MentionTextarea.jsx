@@ -0,0 +1,157 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { projectService } from '../../services/projectService';
+
+const MAX_SUGGESTIONS = 6;
+
+// Find an "@query" being typed right before the caret
+const getMentionQuery = (text, caret) => {
+  const match = /(^|\s)@([\w.-]*)$/.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { query: match[2].toLowerCase(), start: caret - match[2].length - 1 };
+};
+
+const MentionTextarea = ({
+  projectId,
+  value,
+  onChange,
+  onKeyDown,
+  className,
+  ...props
+}) => {
+  const [members, setMembers] = useState([]);
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const textareaRef = useRef(null);
+
+  useEffect(() => {
+    if (!projectId) return;
+    projectService
+      .getProjectMembers(projectId)
+      .then((response) => setMembers(response.data.map((m) => m.user)))
+      .catch((error) => console.error('Failed to fetch project members:', error));
+  }, [projectId]);
+
+  const suggestions = mention
+    ? members
+        .filter(
+          (member) =>
+            member.username.toLowerCase().startsWith(mention.query) ||
+            member.fullName?.toLowerCase().includes(mention.query)
+        )
+        .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const updateMention = (text, caret) => {
+    setMention(getMentionQuery(text, caret));
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart);
+  };
+
+  const selectMember = (member) => {
+    const caret = textareaRef.current.selectionStart;
+    const before = value.slice(0, mention.start);
+    const after = value.slice(caret);
+    const inserted = `@${member.username} `;
+
+    onChange(`${before}${inserted}${after}`);
+    setMention(null);
+
+    // Restore the caret right after the inserted mention
+    requestAnimationFrame(() => {
+      const position = before.length + inserted.length;
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+        return;
+      }
+      if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectMember(suggestions[activeIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMention(null);
+        return;
+      }
+    }
+
+    onKeyDown && onKeyDown(e);
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateMention(value, e.target.selectionStart)}
+        onBlur={() => setMention(null)}
+        className={className}
+        {...props}
+      />
+
+      {suggestions.length > 0 && (
+        <ul className="absolute bottom-full left-0 mb-1 w-64 bg-slate-800 border border-slate-700 rounded-lg shadow-lg overflow-hidden z-20">
+          {suggestions.map((member, index) => (
+            <li key={member._id}>
+              <button
+                type="button"
+                // Keep focus in the textarea so the caret position is preserved
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  selectMember(member);
+                }}
+                className={clsx(
+                  'w-full flex items-center gap-2 px-3 py-2 text-left text-sm',
+                  index === activeIndex
+                    ? 'bg-primary-600/30 text-white'
+                    : 'text-slate-200 hover:bg-slate-700'
+                )}
+              >
+                <span className="w-6 h-6 rounded-full bg-primary-600 text-white flex items-center justify-center text-xs font-semibold flex-shrink-0">
+                  {member.username.charAt(0).toUpperCase()}
+                </span>
+                <span className="truncate">
+                  {member.fullName || member.username}
+                  <span className="ml-1 text-slate-400">@{member.username}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+MentionTextarea.propTypes = {
+  // Members of this project are suggested; without it no one is
+  projectId: PropTypes.string,
+  value: PropTypes.string.isRequired,
+  // Called with the new text rather than the change event
+  onChange: PropTypes.func.isRequired,
+  onKeyDown: PropTypes.func,
+  className: PropTypes.string,
+};
+
+export default MentionTextarea;
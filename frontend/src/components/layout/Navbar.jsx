@@ -1,12 +1,30 @@
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
-import { LogOut, User, Settings, FolderKanban } from "lucide-react";
-import { useState } from "react";
+import { LogOut, User, Settings, FolderKanban, Search } from "lucide-react";
+import { useState, useEffect } from "react";
+import NotificationBell from "./NotificationBell";
+import SearchPalette from "./SearchPalette";
 
 const Navbar = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [showDropdown, setShowDropdown] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+
+  // Ctrl+K / Cmd+K opens global search from anywhere
+  useEffect(() => {
+    if (!user) return;
+
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setShowSearch((prev) => !prev);
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [user]);
 
   const handleLogout = async () => {
     await logout();
@@ -36,6 +54,28 @@ const Navbar = () => {
               Projects
             </Link>
 
+            {user && (
+              <Link
+                to="/my-work"
+                className="text-slate-300 hover:text-primary-400 font-medium transition-colors"
+              >
+                My Work
+              </Link>
+            )}
+
+            {user && (
+              <button
+                onClick={() => setShowSearch(true)}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-slate-700 text-slate-400 hover:text-primary-400 hover:border-slate-600 transition-colors"
+              >
+                <Search size={16} />
+                <span className="text-sm">Search</span>
+                <kbd className="text-xs border border-slate-600 rounded px-1">Ctrl K</kbd>
+              </button>
+            )}
+
+            {user && <NotificationBell />}
+
             {user && (
               <div className="relative">
                 {/* --- User Menu Button --- */}
@@ -94,6 +134,8 @@ const Navbar = () => {
           </div>
         </div>
       </div>
+
+      <SearchPalette isOpen={showSearch} onClose={() => setShowSearch(false)} />
     </nav>
   );
 };
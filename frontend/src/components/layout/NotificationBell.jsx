@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck } from 'lucide-react';
+import { notificationService } from '../../services/notificationService';
+import { formatRelativeTime } from '../../utils/helpers';
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [showDropdown, setShowDropdown] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchUnreadCount();
+
+    const token = localStorage.getItem('accessToken');
+    if (!token) return;
+
+    notificationService.connectSocket(token);
+    const cleanup = notificationService.onNotification((notification) => {
+      setUnreadCount((prev) => prev + 1);
+      setNotifications((prev) => [notification, ...prev]);
+    });
+
+    return () => {
+      cleanup?.();
+      notificationService.disconnectSocket();
+    };
+  }, []);
+
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await notificationService.getUnreadCount();
+      setUnreadCount(response.data.count || 0);
+    } catch (error) {
+      console.error('Failed to fetch unread count:', error);
+    }
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      setLoading(true);
+      const response = await notificationService.list({ limit: 20 });
+      setNotifications(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDropdown = () => {
+    if (!showDropdown) fetchNotifications();
+    setShowDropdown((prev) => !prev);
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        await notificationService.markAsRead(notification._id);
+        setUnreadCount((prev) => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+    setShowDropdown(false);
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAllAsRead();
+      setUnreadCount(0);
+      setNotifications((prev) =>
+        prev.map((n) => ({ ...n, readAt: n.readAt || new Date().toISOString() }))
+      );
+    } catch (error) {
+      console.error('Failed to mark all as read:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggleDropdown}
+        className="relative p-2 rounded-lg text-slate-300 hover:bg-slate-800/50 hover:text-primary-400 transition-colors focus:outline-none focus:ring-2 focus:ring-primary-400"
+        aria-label="Notifications"
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-danger-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {showDropdown && (
+        <>
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => setShowDropdown(false)}
+          />
+          <div className="absolute right-0 mt-2 w-80 bg-slate-800/95 backdrop-blur-lg border border-slate-700/50 rounded-lg shadow-2xl z-20">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700/50">
+              <span className="text-sm font-semibold text-white">Notifications</span>
+              {unreadCount > 0 && (
+                <button
+                  onClick={handleMarkAllRead}
+                  className="flex items-center gap-1 text-xs text-primary-400 hover:text-primary-300"
+                >
+                  <CheckCheck size={14} />
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            <div className="max-h-96 overflow-y-auto">
+              {loading && notifications.length === 0 ? (
+                <p className="px-4 py-6 text-center text-sm text-slate-400">Loading...</p>
+              ) : notifications.length === 0 ? (
+                <p className="px-4 py-6 text-center text-sm text-slate-400">
+                  You&apos;re all caught up
+                </p>
+              ) : (
+                notifications.map((notification) => (
+                  <button
+                    key={notification._id}
+                    onClick={() => handleOpen(notification)}
+                    className={`w-full text-left px-4 py-3 border-b border-slate-700/30 hover:bg-slate-700/50 transition-colors ${
+                      notification.readAt ? 'opacity-70' : ''
+                    }`}
+                  >
+                    <div className="flex items-start gap-2">
+                      {!notification.readAt && (
+                        <span className="mt-1.5 w-2 h-2 rounded-full bg-primary-400 flex-shrink-0" />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-slate-100 truncate">
+                          {notification.title}
+                        </p>
+                        <p className="text-xs text-slate-400">{notification.message}</p>
+                        <p className="text-xs text-slate-500 mt-1">
+                          {formatRelativeTime(notification.createdAt)}
+                        </p>
+                      </div>
+                    </div>
+                  </button>
+                ))
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
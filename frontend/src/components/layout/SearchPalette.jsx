@@ -0,0 +1,254 @@
+import { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import {
+  Search,
+  Bug,
+  CheckSquare,
+  ListChecks,
+  StickyNote,
+  MessageCircle,
+  MessagesSquare,
+} from 'lucide-react';
+import { searchService } from '../../services/searchService';
+import { SEARCH_RESULT_TYPES, SEARCH_RESULT_TYPE_LABELS } from '../../utils/constants';
+
+const SEARCH_DELAY_MS = 250;
+
+const TYPE_ICONS = {
+  [SEARCH_RESULT_TYPES.ISSUE]: Bug,
+  [SEARCH_RESULT_TYPES.TASK]: CheckSquare,
+  [SEARCH_RESULT_TYPES.SUBTASK]: ListChecks,
+  [SEARCH_RESULT_TYPES.NOTE]: StickyNote,
+  [SEARCH_RESULT_TYPES.COMMENT]: MessageCircle,
+  [SEARCH_RESULT_TYPES.CHAT]: MessagesSquare,
+};
+
+// Where each kind of result opens inside its project
+const resultLink = (result) => {
+  const base = `/projects/${result.project._id}`;
+  switch (result.type) {
+    case SEARCH_RESULT_TYPES.ISSUE:
+    case SEARCH_RESULT_TYPES.COMMENT:
+      return `${base}?tab=issues&issue=${result.issueId}`;
+    case SEARCH_RESULT_TYPES.TASK:
+    case SEARCH_RESULT_TYPES.SUBTASK:
+      return `${base}?tab=tasks`;
+    case SEARCH_RESULT_TYPES.NOTE:
+      return `${base}?tab=notes`;
+    default:
+      return `${base}?tab=chat`;
+  }
+};
+
+// Renders text with the [start, end) ranges the server marked as matches
+const Highlighted = ({ text, ranges = [] }) => {
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="bg-primary-500/30 text-primary-200 rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return <>{parts}</>;
+};
+
+Highlighted.propTypes = {
+  text: PropTypes.string.isRequired,
+  ranges: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+};
+
+// Command palette style global search, opened with Ctrl+K / Cmd+K
+const SearchPalette = ({ isOpen, onClose }) => {
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState({});
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      inputRef.current?.focus();
+    } else {
+      setQuery('');
+      setType('');
+      setResults([]);
+      setFacets({});
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      setFacets({});
+      return;
+    }
+
+    // Ignore responses for queries the user has already typed past
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await searchService.search(query.trim(), type ? { type, limit: 20 } : {});
+        if (cancelled) return;
+        setResults(response.data.results || []);
+        setFacets(response.data.facets || {});
+        setActiveIndex(0);
+      } catch (error) {
+        console.error('Search failed:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, type]);
+
+  const openResult = (result) => {
+    onClose();
+    navigate(resultLink(result));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      openResult(results[activeIndex]);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const total = Object.values(facets).reduce((sum, count) => sum + count, 0);
+
+  // Portalled to the body so the navbar's backdrop blur does not clip the overlay
+  return createPortal(
+    <div className="fixed inset-0 z-50 flex items-start justify-center pt-24 px-4">
+      <div className="fixed inset-0 bg-black bg-opacity-50" onClick={onClose} />
+
+      <div className="relative w-full max-w-2xl bg-slate-800 border border-slate-700 rounded-xl shadow-2xl overflow-hidden">
+        {/* Search Input */}
+        <div className="flex items-center gap-3 px-4 border-b border-slate-700">
+          <Search size={20} className="text-slate-400" />
+          <input
+            ref={inputRef}
+            type="text"
+            className="flex-1 py-4 bg-transparent text-white placeholder-slate-500 focus:outline-none"
+            placeholder="Search issues, tasks, notes, comments and chat..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+          />
+          <kbd className="text-xs text-slate-500 border border-slate-600 rounded px-1.5 py-0.5">
+            Esc
+          </kbd>
+        </div>
+
+        {/* Type Facets */}
+        {total > 0 && (
+          <div className="flex flex-wrap gap-2 px-4 py-2 border-b border-slate-700">
+            <button
+              type="button"
+              onClick={() => setType('')}
+              className={`px-3 py-1 rounded-full text-xs ${
+                type === ''
+                  ? 'bg-primary-600 text-slate-100'
+                  : 'bg-slate-700/50 text-slate-300 hover:bg-slate-600/50'
+              }`}
+            >
+              All {total}
+            </button>
+            {Object.values(SEARCH_RESULT_TYPES)
+              .filter((resultType) => facets[resultType] > 0)
+              .map((resultType) => (
+                <button
+                  key={resultType}
+                  type="button"
+                  onClick={() => setType(resultType)}
+                  className={`px-3 py-1 rounded-full text-xs ${
+                    type === resultType
+                      ? 'bg-primary-600 text-slate-100'
+                      : 'bg-slate-700/50 text-slate-300 hover:bg-slate-600/50'
+                  }`}
+                >
+                  {SEARCH_RESULT_TYPE_LABELS[resultType]} {facets[resultType]}
+                </button>
+              ))}
+          </div>
+        )}
+
+        {/* Results */}
+        <div className="max-h-96 overflow-y-auto">
+          {query.trim().length < 2 ? (
+            <p className="px-4 py-6 text-sm text-slate-500 text-center">
+              Type at least two characters, or an issue key like WEB-42.
+            </p>
+          ) : loading && results.length === 0 ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+            </div>
+          ) : results.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-slate-500 text-center">No results.</p>
+          ) : (
+            results.map((result, index) => {
+              const Icon = TYPE_ICONS[result.type];
+              return (
+                <button
+                  key={`${result.type}-${result._id}`}
+                  type="button"
+                  onClick={() => openResult(result)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`w-full flex items-start gap-3 px-4 py-3 text-left border-b border-slate-700/50 ${
+                    index === activeIndex ? 'bg-slate-700/60' : ''
+                  }`}
+                >
+                  <Icon size={16} className="text-slate-400 mt-1 shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-slate-100 truncate">
+                      <Highlighted text={result.title} ranges={result.titleHighlights} />
+                    </p>
+                    {result.snippet && (
+                      <p className="text-xs text-slate-400 line-clamp-2 mt-0.5">
+                        <Highlighted text={result.snippet} ranges={result.highlights} />
+                      </p>
+                    )}
+                  </div>
+                  <span className="text-xs text-slate-500 shrink-0 mt-1">
+                    {SEARCH_RESULT_TYPE_LABELS[result.type]} · {result.project.name}
+                  </span>
+                </button>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+SearchPalette.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default SearchPalette;
@@ -0,0 +1,52 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { projectService } from '../../services/projectService';
+import Button from '../common/Button';
+import { Download } from 'lucide-react';
+import { downloadBlob } from '../../utils/helpers';
+
+// Download the whole project as an archive that can be restored as a new project
+const BackupSettings = ({ project }) => {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const blob = await projectService.downloadBackup(project._id);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `${project.key || 'project'}-backup-${date}.json.gz`);
+    } catch (error) {
+      console.error('Failed to download backup:', error);
+      alert('Failed to download backup');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-300">
+        The backup holds every issue, task, note, chat message, sprint and setting of the project,
+        together with the uploaded files. Restore it from the Projects page to get a copy of the
+        project with its history.
+      </p>
+      <p className="text-xs text-slate-500">
+        Members are matched by email when restoring; people without an account there are left
+        out.
+      </p>
+      <Button onClick={handleDownload} loading={downloading} disabled={downloading}>
+        <Download size={16} />
+        Download Backup
+      </Button>
+    </div>
+  );
+};
+
+BackupSettings.propTypes = {
+  project: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    key: PropTypes.string,
+  }).isRequired,
+};
+
+export default BackupSettings;
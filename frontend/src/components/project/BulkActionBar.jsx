@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { issueService } from '../../services/issueService';
+import { sprintService } from '../../services/sprintService';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import Button from '../common/Button';
+import { X } from 'lucide-react';
+import { ISSUE_PRIORITIES, ISSUE_PRIORITY_LABELS, SPRINT_STATES } from '../../utils/constants';
+
+const selectClass =
+  'bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1';
+
+const BULK_ACTIONS = [
+  { id: 'assignee', label: 'Assign to' },
+  { id: 'priority', label: 'Set priority' },
+  { id: 'addLabels', label: 'Add label' },
+  { id: 'removeLabels', label: 'Remove label' },
+  { id: 'sprint', label: 'Move to sprint' },
+  { id: 'status', label: 'Change status' },
+  { id: 'delete', label: 'Delete' },
+];
+
+// The request body for the chosen action and value
+const toChanges = (action, value) => {
+  switch (action) {
+    case 'addLabels':
+    case 'removeLabels':
+      return { [action]: [value.trim()] };
+    case 'assignee':
+    case 'sprint':
+      return { [action]: value || null };
+    case 'delete':
+      return { delete: true };
+    default:
+      return { [action]: value };
+  }
+};
+
+// Action bar for the issues selected in the list, or for every issue that
+// matches the current filter
+const BulkActionBar = ({ projectId, selectedIds, filter, totalMatching, onClear, onDone }) => {
+  const { statuses } = useWorkflow();
+  const { members } = useCustomFields();
+  const [sprints, setSprints] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [action, setAction] = useState('assignee');
+  const [value, setValue] = useState('');
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    sprintService
+      .list(projectId, { state: [SPRINT_STATES.PLANNED, SPRINT_STATES.ACTIVE] })
+      .then((response) => setSprints(response.data || []))
+      .catch((error) => console.error('Failed to fetch sprints:', error));
+  }, [projectId]);
+
+  // A new selection starts over with the chosen issues only
+  useEffect(() => {
+    setAllMatching(false);
+  }, [selectedIds.length]);
+
+  const count = allMatching ? totalMatching : selectedIds.length;
+  const needsValue = ['priority', 'addLabels', 'removeLabels', 'status'].includes(action);
+
+  const changeAction = (nextAction) => {
+    setAction(nextAction);
+    setValue('');
+  };
+
+  const handleApply = async () => {
+    if (needsValue && !value.trim()) return;
+    if (action === 'delete' && !window.confirm(`Delete ${count} issue(s)?`)) return;
+
+    setApplying(true);
+    try {
+      const response = await issueService.bulkUpdate(
+        projectId,
+        allMatching ? { filter } : { issueIds: selectedIds },
+        toChanges(action, value)
+      );
+      setValue('');
+      onDone(response.data);
+    } catch (error) {
+      console.error('Failed to apply bulk changes:', error);
+      alert(error.response?.data?.message || 'Failed to apply bulk changes');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const renderValueInput = () => {
+    switch (action) {
+      case 'assignee':
+        return (
+          <select className={selectClass} value={value} onChange={(e) => setValue(e.target.value)}>
+            <option value="">Unassigned</option>
+            {members.filter(Boolean).map((member) => (
+              <option key={member._id} value={member._id}>
+                {member.fullName || member.username}
+              </option>
+            ))}
+          </select>
+        );
+      case 'priority':
+        return (
+          <select className={selectClass} value={value} onChange={(e) => setValue(e.target.value)}>
+            <option value="">Select priority</option>
+            {Object.values(ISSUE_PRIORITIES).map((priority) => (
+              <option key={priority} value={priority}>
+                {ISSUE_PRIORITY_LABELS[priority]}
+              </option>
+            ))}
+          </select>
+        );
+      case 'addLabels':
+      case 'removeLabels':
+        return (
+          <input
+            type="text"
+            className={selectClass}
+            placeholder="Label"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+          />
+        );
+      case 'sprint':
+        return (
+          <select className={selectClass} value={value} onChange={(e) => setValue(e.target.value)}>
+            <option value="">Backlog</option>
+            {sprints.map((sprint) => (
+              <option key={sprint._id} value={sprint._id}>
+                {sprint.name}
+              </option>
+            ))}
+          </select>
+        );
+      case 'status':
+        return (
+          <select className={selectClass} value={value} onChange={(e) => setValue(e.target.value)}>
+            <option value="">Select status</option>
+            {statuses.map((status) => (
+              <option key={status.key} value={status.key}>
+                {status.name}
+              </option>
+            ))}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-slate-800 border border-primary-700/50 rounded-lg">
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className="text-sm font-medium text-slate-100">{count} selected</span>
+        {!allMatching && totalMatching > selectedIds.length && (
+          <button
+            type="button"
+            className="text-sm text-primary-400 hover:text-primary-300"
+            onClick={() => setAllMatching(true)}
+          >
+            Select all {totalMatching} matching issues
+          </button>
+        )}
+        <div className="flex items-center gap-2 ml-auto">
+          <select
+            className={selectClass}
+            value={action}
+            onChange={(e) => changeAction(e.target.value)}
+          >
+            {BULK_ACTIONS.map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+          {renderValueInput()}
+          <Button
+            size="sm"
+            variant={action === 'delete' ? 'danger' : 'primary'}
+            onClick={handleApply}
+            loading={applying}
+            disabled={applying || (needsValue && !value.trim())}
+          >
+            Apply
+          </Button>
+          <button
+            type="button"
+            onClick={onClear}
+            className="text-slate-400 hover:text-white"
+            title="Clear selection"
+          >
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BulkActionBar.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  // Filters of the issue list, sent when every matching issue is chosen
+  filter: PropTypes.object.isRequired,
+  totalMatching: PropTypes.number.isRequired,
+  onClear: PropTypes.func.isRequired,
+  // Called with the server's result of the bulk change
+  onDone: PropTypes.func.isRequired,
+};
+
+export default BulkActionBar;
@@ -186,6 +186,28 @@ const ChatTab = ({ projectId }) => {
     return cleanup;
   }, []);
 
+  // Drop messages deleted by anyone in the room
+  useEffect(() => {
+    const cleanup = chatService.onMessageDeleted(({ messageId }) => {
+      setMessages((prev) => prev.filter((msg) => msg._id !== messageId));
+    });
+
+    return cleanup;
+  }, []);
+
+  // Handle deleting a message
+  const handleDeleteMessage = async (message) => {
+    if (!window.confirm('Delete this message?')) return;
+
+    try {
+      await chatService.deleteMessage({ projectId, messageId: message._id });
+      setMessages((prev) => prev.filter((msg) => msg._id !== message._id));
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      alert(error.message || 'Failed to delete message');
+    }
+  };
+
   // Handle sending message
   const handleSendMessage = async ({ body, attachments }) => {
     if (!body.trim() && attachments.length === 0) return;
@@ -293,6 +315,7 @@ const ChatTab = ({ projectId }) => {
           messages={messages}
           currentUserId={user?._id}
           onScroll={handleLoadMore}
+          onDelete={handleDeleteMessage}
           loading={loading && page > 1}
         />
 
@@ -301,6 +324,7 @@ const ChatTab = ({ projectId }) => {
 
         {/* Message Input */}
         <MessageInput
+          projectId={projectId}
           onSend={handleSendMessage}
           onTyping={handleTyping}
           disabled={!connected}
@@ -0,0 +1,285 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { customFieldService } from '../../services/customFieldService';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import Button from '../common/Button';
+import { Plus, Trash2, Pencil } from 'lucide-react';
+import {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_TYPE_LABELS,
+  ISSUE_TYPES,
+  ISSUE_TYPE_LABELS,
+} from '../../utils/constants';
+
+const inputClass =
+  'bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1';
+
+const SELECT_TYPES = [CUSTOM_FIELD_TYPES.SELECT, CUSTOM_FIELD_TYPES.MULTI_SELECT];
+
+const emptyField = () => ({
+  name: '',
+  description: '',
+  type: CUSTOM_FIELD_TYPES.TEXT,
+  options: '',
+  issueTypes: [],
+  required: false,
+});
+
+// Options are edited as one per line (or comma separated)
+const parseOptions = (text) =>
+  text
+    .split(/[\n,]/)
+    .map((option) => option.trim())
+    .filter(Boolean);
+
+const FieldForm = ({ initialData, isEdit, saving, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initialData);
+
+  const toggleIssueType = (type) => {
+    setForm({
+      ...form,
+      issueTypes: form.issueTypes.includes(type)
+        ? form.issueTypes.filter((t) => t !== type)
+        : [...form.issueTypes, type],
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      name: form.name.trim(),
+      description: form.description.trim(),
+      issueTypes: form.issueTypes,
+      required: form.required,
+      ...(!isEdit && { type: form.type }),
+      ...(SELECT_TYPES.includes(form.type) && { options: parseOptions(form.options) }),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 bg-slate-800/50 rounded-lg space-y-3">
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          type="text"
+          className={inputClass}
+          placeholder="Field name"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          required
+        />
+        <select
+          className={inputClass}
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value })}
+          disabled={isEdit}
+          title={isEdit ? 'The type of a field cannot be changed' : undefined}
+        >
+          {Object.values(CUSTOM_FIELD_TYPES).map((type) => (
+            <option key={type} value={type}>
+              {CUSTOM_FIELD_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+      </div>
+      <input
+        type="text"
+        className={`w-full ${inputClass}`}
+        placeholder="Description (optional)"
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+      />
+      {SELECT_TYPES.includes(form.type) && (
+        <textarea
+          className={`w-full ${inputClass}`}
+          rows={3}
+          placeholder="Options, one per line"
+          value={form.options}
+          onChange={(e) => setForm({ ...form, options: e.target.value })}
+          required
+        />
+      )}
+      <div>
+        <p className="text-xs text-slate-400 mb-1">Issue types (none selected means all)</p>
+        <div className="flex flex-wrap gap-2">
+          {Object.values(ISSUE_TYPES).map((type) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => toggleIssueType(type)}
+              className={`px-3 py-1 rounded-full text-xs ${
+                form.issueTypes.includes(type)
+                  ? 'bg-primary-600 text-slate-100'
+                  : 'bg-slate-700/50 text-slate-300 hover:bg-slate-600/50'
+              }`}
+            >
+              {ISSUE_TYPE_LABELS[type]}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-2 text-sm text-slate-300">
+          <input
+            type="checkbox"
+            checked={form.required}
+            onChange={(e) => setForm({ ...form, required: e.target.checked })}
+          />
+          Required
+        </label>
+        <div className="flex gap-2">
+          <Button type="button" variant="secondary" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button type="submit" size="sm" loading={saving} disabled={saving}>
+            {isEdit ? 'Save Field' : 'Add Field'}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+FieldForm.propTypes = {
+  initialData: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(Object.values(CUSTOM_FIELD_TYPES)).isRequired,
+    options: PropTypes.string.isRequired,
+    issueTypes: PropTypes.arrayOf(PropTypes.string).isRequired,
+    required: PropTypes.bool.isRequired,
+  }).isRequired,
+  isEdit: PropTypes.bool,
+  saving: PropTypes.bool.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+// Editor for the project's custom issue fields
+const CustomFieldSettings = ({ projectId }) => {
+  const { fields, refresh } = useCustomFields();
+  const [editingId, setEditingId] = useState(null);
+  const [showAdd, setShowAdd] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const save = async (request, failureMessage) => {
+    setSaving(true);
+    try {
+      await request();
+      await refresh();
+      setEditingId(null);
+      setShowAdd(false);
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      alert(error.response?.data?.message || failureMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (field) => {
+    if (
+      !window.confirm(`Delete the "${field.name}" field? Its values are removed from every issue.`)
+    ) {
+      return;
+    }
+
+    try {
+      await customFieldService.remove(projectId, field._id);
+      await refresh();
+    } catch (error) {
+      console.error('Failed to delete custom field:', error);
+      alert(error.response?.data?.message || 'Failed to delete custom field');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-slate-400">
+        Custom fields appear on issues of the chosen types and can be filtered with{' '}
+        <code className="text-primary-300">cf.&lt;key&gt;</code> in the issue query.
+      </p>
+
+      {fields.length === 0 && !showAdd && (
+        <p className="text-sm text-slate-500">No custom fields yet.</p>
+      )}
+
+      {fields.map((field) =>
+        editingId === field._id ? (
+          <FieldForm
+            key={field._id}
+            isEdit
+            saving={saving}
+            initialData={{
+              name: field.name,
+              description: field.description || '',
+              type: field.type,
+              options: field.options.join('\n'),
+              issueTypes: field.issueTypes,
+              required: field.required,
+            }}
+            onSubmit={(data) =>
+              save(
+                () => customFieldService.update(projectId, field._id, data),
+                'Failed to update custom field'
+              )
+            }
+            onCancel={() => setEditingId(null)}
+          />
+        ) : (
+          <div key={field._id} className="flex items-center gap-3 p-2 bg-slate-800/40 rounded">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-slate-200">
+                {field.name}
+                {field.required && <span className="text-danger-400"> *</span>}
+              </p>
+              <p className="text-xs text-slate-500 truncate">
+                cf.{field.key} · {CUSTOM_FIELD_TYPE_LABELS[field.type]} ·{' '}
+                {field.issueTypes.length > 0
+                  ? field.issueTypes.map((type) => ISSUE_TYPE_LABELS[type]).join(', ')
+                  : 'All issue types'}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => setEditingId(field._id)}
+              className="text-slate-400 hover:text-white"
+              title="Edit field"
+            >
+              <Pencil size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDelete(field)}
+              className="text-slate-400 hover:text-danger-400"
+              title="Delete field"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        )
+      )}
+
+      {showAdd ? (
+        <FieldForm
+          initialData={emptyField()}
+          saving={saving}
+          onSubmit={(data) =>
+            save(() => customFieldService.create(projectId, data), 'Failed to create custom field')
+          }
+          onCancel={() => setShowAdd(false)}
+        />
+      ) : (
+        <Button variant="ghost" size="sm" onClick={() => setShowAdd(true)}>
+          <Plus size={14} />
+          Add Field
+        </Button>
+      )}
+    </div>
+  );
+};
+
+CustomFieldSettings.propTypes = {
+  projectId: PropTypes.string.isRequired,
+};
+
+export default CustomFieldSettings;
@@ -0,0 +1,202 @@
+import PropTypes from 'prop-types';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import { formatDate } from '../../utils/helpers';
+import { CUSTOM_FIELD_TYPES } from '../../utils/constants';
+
+const inputClass =
+  'input bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700';
+
+const fieldShape = PropTypes.shape({
+  _id: PropTypes.string.isRequired,
+  key: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(Object.values(CUSTOM_FIELD_TYPES)).isRequired,
+  description: PropTypes.string,
+  options: PropTypes.arrayOf(PropTypes.string),
+  required: PropTypes.bool,
+});
+
+// Numbers may still be the typed string, multi-selects are lists of options
+const valueType = PropTypes.oneOfType([
+  PropTypes.string,
+  PropTypes.number,
+  PropTypes.arrayOf(PropTypes.string),
+]);
+
+const hasValue = (value) =>
+  value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+const CustomFieldInput = ({ field, value, onChange }) => {
+  const { members } = useCustomFields();
+
+  switch (field.type) {
+    case CUSTOM_FIELD_TYPES.NUMBER:
+      return (
+        <input
+          type="number"
+          step="any"
+          className={inputClass}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          required={field.required}
+        />
+      );
+    case CUSTOM_FIELD_TYPES.DATE:
+      return (
+        <input
+          type="date"
+          className={inputClass}
+          // Stored dates come back as ISO timestamps
+          value={value ? String(value).split('T')[0] : ''}
+          onChange={(e) => onChange(e.target.value)}
+          required={field.required}
+        />
+      );
+    case CUSTOM_FIELD_TYPES.SELECT:
+      return (
+        <select
+          className={inputClass}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          required={field.required}
+        >
+          <option value="">None</option>
+          {field.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT: {
+      const selected = Array.isArray(value) ? value : [];
+      return (
+        <div className="flex flex-wrap gap-2">
+          {field.options.map((option) => {
+            const isSelected = selected.includes(option);
+            return (
+              <button
+                key={option}
+                type="button"
+                onClick={() =>
+                  onChange(
+                    isSelected
+                      ? selected.filter((item) => item !== option)
+                      : [...selected, option]
+                  )
+                }
+                className={`px-3 py-1 rounded-full text-xs ${
+                  isSelected
+                    ? 'bg-primary-600 text-slate-100'
+                    : 'bg-slate-700/50 text-slate-300 hover:bg-slate-600/50'
+                }`}
+              >
+                {option}
+              </button>
+            );
+          })}
+        </div>
+      );
+    }
+    case CUSTOM_FIELD_TYPES.USER:
+      return (
+        <select
+          className={inputClass}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          required={field.required}
+        >
+          <option value="">Nobody</option>
+          {members.filter(Boolean).map((member) => (
+            <option key={member._id} value={member._id}>
+              {member.fullName || member.username}
+            </option>
+          ))}
+        </select>
+      );
+    default:
+      return (
+        <input
+          type="text"
+          className={inputClass}
+          placeholder={field.description}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          required={field.required}
+        />
+      );
+  }
+};
+
+CustomFieldInput.propTypes = {
+  field: fieldShape.isRequired,
+  value: valueType,
+  onChange: PropTypes.func.isRequired,
+};
+
+// Form inputs for the custom fields that apply to an issue type
+export const CustomFieldInputs = ({ issueType, values = {}, onChange }) => {
+  const { getFieldsForType } = useCustomFields();
+  const fields = getFieldsForType(issueType);
+
+  if (fields.length === 0) return null;
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      {fields.map((field) => (
+        <div
+          key={field._id}
+          className={field.type === CUSTOM_FIELD_TYPES.MULTI_SELECT ? 'col-span-2' : ''}
+        >
+          <label className="block text-sm font-medium text-slate-100 mb-1" title={field.description}>
+            {field.name}
+            {field.required && <span className="text-danger-400"> *</span>}
+          </label>
+          <CustomFieldInput
+            field={field}
+            value={values[field.key]}
+            onChange={(value) => onChange({ ...values, [field.key]: value })}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+CustomFieldInputs.propTypes = {
+  issueType: PropTypes.string.isRequired,
+  values: PropTypes.objectOf(valueType),
+  onChange: PropTypes.func.isRequired,
+};
+
+// Read-only custom field values for the issue properties panel
+export const CustomFieldValues = ({ issueType, values = {} }) => {
+  const { getFieldsForType, getMemberName } = useCustomFields();
+
+  const formatValue = (field, value) => {
+    switch (field.type) {
+      case CUSTOM_FIELD_TYPES.DATE:
+        return formatDate(value);
+      case CUSTOM_FIELD_TYPES.MULTI_SELECT:
+        return value.join(', ');
+      case CUSTOM_FIELD_TYPES.USER:
+        return getMemberName(value);
+      default:
+        return String(value);
+    }
+  };
+
+  return getFieldsForType(issueType)
+    .filter((field) => hasValue(values[field.key]))
+    .map((field) => (
+      <div key={field._id}>
+        <span className="text-sm font-medium text-slate-400">{field.name}:</span>
+        <p className="text-sm text-slate-200 mt-1">{formatValue(field, values[field.key])}</p>
+      </div>
+    ));
+};
+
+CustomFieldValues.propTypes = {
+  issueType: PropTypes.string.isRequired,
+  values: PropTypes.objectOf(valueType),
+};
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { issueService } from '../../services/issueService';
+import Card from '../common/Card';
+import StatusBadge from './StatusBadge';
+import { Layers } from 'lucide-react';
+import { formatDate } from '../../utils/helpers';
+
+const percent = (done, total) => (total > 0 ? Math.round((done / total) * 100) : 0);
+
+const ProgressBar = ({ label, done, total, color }) => (
+  <div>
+    <div className="flex justify-between text-xs text-slate-400 mb-1">
+      <span>{label}</span>
+      <span>
+        {done}/{total} ({percent(done, total)}%)
+      </span>
+    </div>
+    <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+      <div className={`h-full ${color}`} style={{ width: `${percent(done, total)}%` }} />
+    </div>
+  </div>
+);
+
+ProgressBar.propTypes = {
+  label: PropTypes.string.isRequired,
+  done: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  // Tailwind background class of the filled part
+  color: PropTypes.string.isRequired,
+};
+
+// Epic progress cards, based on the rollups of their child issues
+const EpicsView = ({ projectId, refreshKey, onOpenIssue }) => {
+  const [epics, setEpics] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchEpics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await issueService.listEpics(projectId);
+      setEpics(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch epics:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  // Bumping refreshKey reloads the epics after their issues change
+  useEffect(() => {
+    fetchEpics();
+  }, [fetchEpics, refreshKey]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (epics.length === 0) {
+    return (
+      <Card>
+        <div className="text-center py-8">
+          <p className="text-slate-400">No epics yet. Create an issue of type Epic to group work.</p>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {epics.map((epic) => (
+        <Card
+          key={epic._id}
+          className="hover:shadow-md transition-shadow cursor-pointer bg-slate-800/50 border border-slate-700"
+          onClick={() => onOpenIssue(epic)}
+        >
+          <div className="flex items-start gap-3 mb-4">
+            <Layers size={18} className="text-secondary-400 mt-1" />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2 mb-1">
+                <span className="text-xs font-mono text-slate-500">{epic.key}</span>
+                <StatusBadge status={epic.status} />
+              </div>
+              <h3 className="font-semibold text-slate-100 truncate">{epic.title}</h3>
+              <p className="text-xs text-slate-500 mt-1">
+                {epic.assignee ? `Owned by ${epic.assignee.username}` : 'No owner'}
+                {epic.dueDate && ` · Due ${formatDate(epic.dueDate)}`}
+              </p>
+            </div>
+          </div>
+          {epic.rollup.total === 0 ? (
+            <p className="text-sm text-slate-500">No child issues yet.</p>
+          ) : (
+            <div className="space-y-3">
+              <ProgressBar
+                label="Issues"
+                done={epic.rollup.done}
+                total={epic.rollup.total}
+                color="bg-success-500"
+              />
+              <ProgressBar
+                label="Story points"
+                done={epic.rollup.donePoints}
+                total={epic.rollup.totalPoints}
+                color="bg-primary-500"
+              />
+            </div>
+          )}
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+EpicsView.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  refreshKey: PropTypes.number,
+  onOpenIssue: PropTypes.func.isRequired,
+};
+
+export default EpicsView;
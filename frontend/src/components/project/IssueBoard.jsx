@@ -1,50 +1,63 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { issueService } from '../../services/issueService';
+import { sprintService } from '../../services/sprintService';
 import Card from '../common/Card';
 import Badge from '../common/Badge';
 import Modal from '../common/Modal';
 import IssueDetail from './IssueDetail';
+import SprintBar from './SprintBar';
+import { useWorkflow } from '../../hooks/useWorkflow';
 import {
-  ISSUE_STATUSES,
-  ISSUE_STATUS_LABELS,
   ISSUE_PRIORITY_LABELS,
   ISSUE_TYPE_LABELS,
-  STATUS_TRANSITIONS,
+  SPRINT_STATES,
 } from '../../utils/constants';
 
 const IssueBoard = ({ projectId }) => {
-  const [issuesByStatus, setIssuesByStatus] = useState({
-    [ISSUE_STATUSES.BACKLOG]: [],
-    [ISSUE_STATUSES.SELECTED]: [],
-    [ISSUE_STATUSES.IN_PROGRESS]: [],
-    [ISSUE_STATUSES.IN_REVIEW]: [],
-    [ISSUE_STATUSES.BLOCKED]: [],
-    [ISSUE_STATUSES.DONE]: [],
-  });
+  const { statuses, getStatusName, getTransitions } = useWorkflow();
+  const [issuesByStatus, setIssuesByStatus] = useState({});
   const [loading, setLoading] = useState(true);
   const [draggedIssue, setDraggedIssue] = useState(null);
   const [selectedIssue, setSelectedIssue] = useState(null);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [sprints, setSprints] = useState([]);
+  const [selectedSprint, setSelectedSprint] = useState(null);
 
-  useEffect(() => {
-    fetchAllIssues();
+  const fetchSprints = useCallback(async () => {
+    try {
+      const response = await sprintService.list(projectId);
+      setSprints(response.data);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch sprints:', error);
+      return [];
+    }
   }, [projectId]);
 
+  // Show the active sprint by default, or every issue when none is running
+  useEffect(() => {
+    setSelectedSprint(null);
+    fetchSprints().then((list) => {
+      const active = list.find((sprint) => sprint.state === SPRINT_STATES.ACTIVE);
+      setSelectedSprint(active ? active._id : 'all');
+    });
+  }, [fetchSprints]);
+
+  useEffect(() => {
+    if (selectedSprint) fetchAllIssues();
+  }, [selectedSprint]);
+
   const fetchAllIssues = async () => {
     try {
       setLoading(true);
-      const response = await issueService.list(projectId, { limit: 100 });
+      const response = await issueService.list(projectId, {
+        limit: 100,
+        sprint: selectedSprint === 'all' ? undefined : selectedSprint,
+      });
       const issues = response.data.data || [];
 
-      // Group issues by status
-      const grouped = {
-        [ISSUE_STATUSES.BACKLOG]: [],
-        [ISSUE_STATUSES.SELECTED]: [],
-        [ISSUE_STATUSES.IN_PROGRESS]: [],
-        [ISSUE_STATUSES.IN_REVIEW]: [],
-        [ISSUE_STATUSES.BLOCKED]: [],
-        [ISSUE_STATUSES.DONE]: [],
-      };
+      // Group issues by status, one column per workflow status
+      const grouped = Object.fromEntries(statuses.map((status) => [status.key, []]));
 
       issues.forEach((issue) => {
         if (grouped[issue.status]) {
@@ -78,10 +91,10 @@ const IssueBoard = ({ projectId }) => {
     const sourceStatus = draggedIssue.status;
 
     // Check if transition is allowed
-    const allowedTransitions = STATUS_TRANSITIONS[sourceStatus] || [];
+    const allowedTransitions = getTransitions(sourceStatus).map((transition) => transition.to);
     if (sourceStatus === targetStatus || !allowedTransitions.includes(targetStatus)) {
       alert(
-        `Cannot move from ${ISSUE_STATUS_LABELS[sourceStatus]} to ${ISSUE_STATUS_LABELS[targetStatus]}`
+        `Cannot move from ${getStatusName(sourceStatus)} to ${getStatusName(targetStatus)}`
       );
       setDraggedIssue(null);
       return;
@@ -89,7 +102,7 @@ const IssueBoard = ({ projectId }) => {
 
     try {
       // Transition the issue
-      await issueService.transition(projectId, draggedIssue._id, {
+      const response = await issueService.transition(projectId, draggedIssue._id, {
         to: targetStatus,
       });
 
@@ -110,6 +123,11 @@ const IssueBoard = ({ projectId }) => {
 
         return newState;
       });
+
+      // Moved anyway, but open blockers are worth pointing out
+      if (response.data.unresolvedBlockers?.length > 0) {
+        alert(response.message);
+      }
     } catch (error) {
       console.error('Failed to transition issue:', error);
       alert(error.response?.data?.message || 'Failed to move issue');
@@ -118,6 +136,8 @@ const IssueBoard = ({ projectId }) => {
     }
   };
 
+  const getColumnIssues = (statusKey) => issuesByStatus[statusKey] || [];
+
   const openDetailModal = (issue) => {
     setSelectedIssue(issue);
     setShowDetailModal(true);
@@ -140,7 +160,7 @@ const IssueBoard = ({ projectId }) => {
     }
   };
 
-  if (loading) {
+  if (loading && !selectedSprint) {
     return (
       <div className="flex justify-center py-8">
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
@@ -148,52 +168,59 @@ const IssueBoard = ({ projectId }) => {
     );
   }
 
-  const columns = [
-    ISSUE_STATUSES.BACKLOG,
-    ISSUE_STATUSES.SELECTED,
-    ISSUE_STATUSES.IN_PROGRESS,
-    ISSUE_STATUSES.IN_REVIEW,
-    ISSUE_STATUSES.BLOCKED,
-    ISSUE_STATUSES.DONE,
-  ];
-
   return (
     <div>
-      <div className="mb-6">
+      <div className="mb-4">
         <h2 className="text-xl font-semibold text-white">Issue Board</h2>
         <p className="text-sm text-slate-400 mt-1">
           Drag and drop issues to change their status
         </p>
       </div>
 
+      <SprintBar
+        projectId={projectId}
+        sprints={sprints.filter(
+          (sprint) => sprint.state !== SPRINT_STATES.CLOSED || sprint._id === selectedSprint
+        )}
+        selected={selectedSprint}
+        onSelect={setSelectedSprint}
+        onChange={async () => {
+          await fetchSprints();
+          await fetchAllIssues();
+        }}
+      />
+
       <div className="flex gap-4 overflow-x-auto pb-4">
-        {columns.map((status) => (
+        {statuses.map((status) => (
           <div
-            key={status}
+            key={status.key}
             className="flex-shrink-0 w-80"
             onDragOver={handleDragOver}
-            onDrop={(e) => handleDrop(e, status)}
+            onDrop={(e) => handleDrop(e, status.key)}
           >
             {/* Column Header */}
-            <div className="bg-slate-700/50 rounded-t-lg p-3 border-b-2 border-slate-600">
+            <div
+              className="bg-slate-700/50 rounded-t-lg p-3 border-b-2 border-slate-600"
+              style={status.color ? { borderBottomColor: status.color } : undefined}
+            >
               <div className="flex items-center justify-between">
                 <h3 className="font-semibold text-white">
-                  {ISSUE_STATUS_LABELS[status]}
+                  {status.name}
                 </h3>
                 <span className="text-sm text-slate-400 bg-white px-2 py-1 rounded">
-                  {issuesByStatus[status].length}
+                  {getColumnIssues(status.key).length}
                 </span>
               </div>
             </div>
 
             {/* Column Content */}
             <div className="bg-slate-800/30 rounded-b-lg p-3 min-h-[500px] space-y-3">
-              {issuesByStatus[status].length === 0 ? (
+              {getColumnIssues(status.key).length === 0 ? (
                 <p className="text-center text-slate-500 text-sm py-8">
                   No issues
                 </p>
               ) : (
-                issuesByStatus[status].map((issue) => (
+                getColumnIssues(status.key).map((issue) => (
                   <div
                     key={issue._id}
                     draggable
@@ -274,7 +301,11 @@ const IssueBoard = ({ projectId }) => {
               setShowDetailModal(false);
               setSelectedIssue(null);
             }}
-            onUpdate={fetchAllIssues}
+            onUpdate={() => {
+              fetchSprints();
+              fetchAllIssues();
+            }}
+            onOpenIssue={(id) => setSelectedIssue({ _id: id })}
           />
         )}
       </Modal>
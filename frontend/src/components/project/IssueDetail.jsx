@@ -1,8 +1,16 @@
 import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { issueService } from '../../services/issueService';
+import { sprintService } from '../../services/sprintService';
 import Button from '../common/Button';
-import Badge from '../common/Badge';
 import IssueForm from './IssueForm';
+import IssueLinks from './IssueLinks';
+import TimeTracking from './TimeTracking';
+import StatusBadge from './StatusBadge';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import { CustomFieldValues } from './CustomFields';
+import MentionTextarea from '../common/MentionTextarea';
 import {
   X,
   Edit2,
@@ -13,17 +21,31 @@ import {
   Paperclip,
   Send,
   AlertCircle,
+  GitBranch,
 } from 'lucide-react';
-import { formatDate } from '../../utils/helpers';
+import { formatDate, formatDuration } from '../../utils/helpers';
 import {
+  ISSUE_TYPES,
   ISSUE_TYPE_LABELS,
+  ISSUE_LINK_TYPE_LABELS,
   ISSUE_PRIORITY_LABELS,
-  ISSUE_STATUS_LABELS,
-  STATUS_TRANSITIONS,
+  SPRINT_STATES,
+  CUSTOM_FIELD_TYPES,
 } from '../../utils/constants';
 
-const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
+// Activity whose values are durations in minutes
+const TIME_ACTIVITY_ACTIONS = [
+  'originalEstimate_changed',
+  'remainingEstimate_changed',
+  'worklog_updated',
+];
+
+const IssueDetail = ({ projectId, issueId, onClose, onUpdate, onOpenIssue }) => {
+  const { getStatusName, getTransitions } = useWorkflow();
+  const { fields: customFields, getMemberName } = useCustomFields();
   const [issue, setIssue] = useState(null);
+  const [children, setChildren] = useState([]);
+  const [rollup, setRollup] = useState(null);
   const [comments, setComments] = useState([]);
   const [activities, setActivities] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -34,16 +56,26 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
   const [commentAttachments, setCommentAttachments] = useState([]);
   const [isWatching, setIsWatching] = useState(false);
   const [submittingComment, setSubmittingComment] = useState(false);
+  const [sprints, setSprints] = useState([]);
 
   useEffect(() => {
     fetchIssueDetails();
   }, [projectId, issueId]);
 
+  useEffect(() => {
+    sprintService
+      .list(projectId)
+      .then((response) => setSprints(response.data))
+      .catch((error) => console.error('Failed to fetch sprints:', error));
+  }, [projectId]);
+
   const fetchIssueDetails = async () => {
     try {
       setLoading(true);
       const response = await issueService.get(projectId, issueId);
       setIssue(response.data.issue);
+      setChildren(response.data.children || []);
+      setRollup(response.data.rollup || null);
       setComments(response.data.comments || []);
       setActivities(response.data.activities || []);
       
@@ -71,7 +103,12 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
 
   const handleTransition = async (newStatus) => {
     try {
-      await issueService.transition(projectId, issueId, { to: newStatus });
+      const response = await issueService.transition(projectId, issueId, {
+        to: newStatus,
+      });
+      if (response.data.unresolvedBlockers?.length > 0) {
+        alert(response.message);
+      }
       fetchIssueDetails();
       if (onUpdate) onUpdate();
     } catch (error) {
@@ -80,6 +117,52 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
     }
   };
 
+  const handleSprintChange = async (sprintId) => {
+    try {
+      if (sprintId) {
+        await sprintService.addIssues(projectId, sprintId, [issueId]);
+      } else {
+        await sprintService.removeIssues(projectId, issue.sprint, [issueId]);
+      }
+      fetchIssueDetails();
+      if (onUpdate) onUpdate();
+    } catch (error) {
+      console.error('Failed to change sprint:', error);
+      alert(error.response?.data?.message || 'Failed to change sprint');
+    }
+  };
+
+  // Sprint activity stores sprint ids, show their names instead
+  const openIssue = (id) => {
+    if (onOpenIssue) onOpenIssue(id);
+  };
+
+  // Link activity stores { type, key } of the other issue
+  const formatLinkActivity = (activity) => {
+    const link = activity.to || activity.from;
+    if (!link) return null;
+    return `${ISSUE_LINK_TYPE_LABELS[link.type] || link.type} ${link.key || 'a deleted issue'}`;
+  };
+
+  // Custom field activity stores { field, value } with the field's name
+  const formatCustomFieldValue = ({ field: name, value }) => {
+    if (value == null || (Array.isArray(value) && value.length === 0)) return 'None';
+    const field = customFields.find((candidate) => candidate.name === name);
+    if (field?.type === CUSTOM_FIELD_TYPES.DATE) return formatDate(value);
+    if (field?.type === CUSTOM_FIELD_TYPES.USER) return getMemberName(value);
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  };
+
+  const formatActivityValue = (activity, value) => {
+    if (activity.action === 'parent_changed') return value || 'None';
+    if (TIME_ACTIVITY_ACTIONS.includes(activity.action)) {
+      return value == null ? 'None' : formatDuration(value);
+    }
+    if (activity.action !== 'sprint_changed') return value;
+    if (!value) return 'Backlog';
+    return sprints.find((sprint) => sprint._id === value)?.name || 'a sprint';
+  };
+
   const handleToggleWatch = async () => {
     try {
       if (isWatching) {
@@ -145,6 +228,8 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
   if (isEditing) {
     return (
       <IssueForm
+        projectId={projectId}
+        issueId={issueId}
         initialData={{
           title: issue.title,
           description: issue.description,
@@ -155,6 +240,12 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
             ? new Date(issue.dueDate).toISOString().split('T')[0]
             : '',
           storyPoints: issue.storyPoints || '',
+          originalEstimate:
+            issue.originalEstimate != null ? formatDuration(issue.originalEstimate) : '',
+          remainingEstimate:
+            issue.remainingEstimate != null ? formatDuration(issue.remainingEstimate) : '',
+          parent: issue.parent?._id || '',
+          customFields: issue.customFields || {},
         }}
         isEdit={true}
         onSubmit={handleUpdateIssue}
@@ -163,18 +254,25 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
     );
   }
 
-  const allowedTransitions = STATUS_TRANSITIONS[issue.status] || [];
+  const allowedTransitions = getTransitions(issue.status);
 
   return (
     <div className="space-y-6">
       {/* Header */}
       <div className="flex items-start justify-between">
         <div className="flex-1">
+          {issue.parent && (
+            <button
+              type="button"
+              onClick={() => openIssue(issue.parent._id)}
+              className="text-xs text-slate-400 hover:text-primary-400 mb-1"
+            >
+              {ISSUE_TYPE_LABELS[issue.parent.type]} {issue.parent.key} · {issue.parent.title}
+            </button>
+          )}
           <div className="flex items-center gap-2 mb-2">
             <span className="text-sm font-mono text-slate-500">{issue.key}</span>
-            <Badge variant={issue.status}>
-              {ISSUE_STATUS_LABELS[issue.status]}
-            </Badge>
+            <StatusBadge status={issue.status} />
           </div>
           <h2 className="text-2xl font-bold text-slate-100">{issue.title}</h2>
         </div>
@@ -200,14 +298,14 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
         {allowedTransitions.length > 0 && (
           <div className="flex items-center gap-2 ml-auto">
             <span className="text-sm text-slate-400">Transition to:</span>
-            {allowedTransitions.map((status) => (
+            {allowedTransitions.map((transition) => (
               <Button
-                key={status}
+                key={transition.to}
                 variant="outline"
                 size="sm"
-                onClick={() => handleTransition(status)}
+                onClick={() => handleTransition(transition.to)}
               >
-                {ISSUE_STATUS_LABELS[status]}
+                {getStatusName(transition.to)}
               </Button>
             ))}
           </div>
@@ -240,6 +338,30 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
             {issue.assignee?.username || 'Unassigned'}
           </p>
         </div>
+        <div>
+          <span className="text-sm font-medium text-slate-400">Sprint:</span>
+          <select
+            className="block mt-1 bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1"
+            value={issue.sprint || ''}
+            onChange={(e) => handleSprintChange(e.target.value)}
+          >
+            <option value="">Backlog</option>
+            {sprints
+              .filter(
+                (sprint) =>
+                  sprint.state !== SPRINT_STATES.CLOSED || sprint._id === issue.sprint
+              )
+              .map((sprint) => (
+                <option
+                  key={sprint._id}
+                  value={sprint._id}
+                  disabled={sprint.state === SPRINT_STATES.CLOSED}
+                >
+                  {sprint.name}
+                </option>
+              ))}
+          </select>
+        </div>
         {issue.dueDate && (
           <div>
             <span className="text-sm font-medium text-slate-400">Due Date:</span>
@@ -256,6 +378,7 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
             <p className="text-sm text-slate-200 mt-1">{issue.storyPoints}</p>
           </div>
         )}
+        <CustomFieldValues issueType={issue.type} values={issue.customFields} />
         {issue.labels.length > 0 && (
           <div className="col-span-2">
             <span className="text-sm font-medium text-slate-400 block mb-2">
@@ -275,6 +398,68 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
         )}
       </div>
 
+      {/* Child Issues */}
+      {(children.length > 0 || issue.type === ISSUE_TYPES.EPIC || issue.type === ISSUE_TYPES.STORY) && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+              <GitBranch size={16} />
+              {issue.type === ISSUE_TYPES.STORY ? 'Subtasks' : 'Child Issues'}
+            </h4>
+            {rollup && rollup.total > 0 && (
+              <span className="text-xs text-slate-400">
+                {rollup.done}/{rollup.total} done · {rollup.donePoints}/{rollup.totalPoints}{' '}
+                points
+              </span>
+            )}
+          </div>
+          {rollup && rollup.total > 0 && (
+            <div className="h-2 bg-slate-700 rounded-full overflow-hidden mb-3">
+              <div
+                className="h-full bg-success-500"
+                style={{ width: `${(rollup.done / rollup.total) * 100}%` }}
+              />
+            </div>
+          )}
+          {children.length === 0 ? (
+            <p className="text-sm text-slate-500">No child issues yet.</p>
+          ) : (
+            <div className="space-y-1">
+              {children.map((child) => (
+                <button
+                  key={child._id}
+                  type="button"
+                  onClick={() => openIssue(child._id)}
+                  className="w-full flex items-center gap-3 p-2 bg-slate-800/40 rounded hover:bg-slate-700/60 text-left"
+                >
+                  <span className="text-xs font-mono text-slate-500">{child.key}</span>
+                  <span className="flex-1 text-sm text-slate-200 truncate">{child.title}</span>
+                  {child.storyPoints ? (
+                    <span className="text-xs text-slate-400">{child.storyPoints} pts</span>
+                  ) : null}
+                  <StatusBadge status={child.status} />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Linked Issues */}
+      <IssueLinks
+        projectId={projectId}
+        issueId={issueId}
+        onOpenIssue={openIssue}
+        onChange={fetchIssueDetails}
+      />
+
+      {/* Time Tracking */}
+      <TimeTracking
+        projectId={projectId}
+        issueId={issueId}
+        onChange={fetchIssueDetails}
+      />
+
       {/* Tabs */}
       <div className="border-b border-slate-700">
         <div className="flex gap-4">
@@ -350,11 +535,12 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
           <div className="space-y-4">
             {/* Add Comment Form */}
             <form onSubmit={handleAddComment} className="p-4 bg-slate-800/50 rounded-lg">
-              <textarea
+              <MentionTextarea
+                projectId={projectId}
                 className="input min-h-[80px] mb-2 bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700"
-                placeholder="Add a comment..."
+                placeholder="Add a comment... (type @ to mention someone)"
                 value={commentBody}
-                onChange={(e) => setCommentBody(e.target.value)}
+                onChange={setCommentBody}
                 required
               />
               <div className="flex items-center justify-between">
@@ -446,11 +632,33 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
                         {activity.actorId?.username || 'Someone'}
                       </span>{' '}
                       {activity.action.replace(/_/g, ' ')}
-                      {activity.from && activity.to && (
+                      {(activity.action === 'link_added' ||
+                        activity.action === 'link_removed') && (
+                        <span>
+                          : <strong>{formatLinkActivity(activity)}</strong>
+                        </span>
+                      )}
+                      {(activity.action === 'worklog_added' ||
+                        activity.action === 'worklog_deleted') && (
+                        <span>
+                          : <strong>{formatDuration(activity.to ?? activity.from)}</strong>
+                        </span>
+                      )}
+                      {activity.action === 'custom_field_changed' && (
+                        <span>
+                          : <strong>{activity.to?.field}</strong> from{' '}
+                          <strong>{formatCustomFieldValue(activity.from)}</strong> to{' '}
+                          <strong>{formatCustomFieldValue(activity.to)}</strong>
+                        </span>
+                      )}
+                      {((activity.from && activity.to && activity.action !== 'custom_field_changed') ||
+                        activity.action === 'sprint_changed' ||
+                        activity.action === 'parent_changed' ||
+                        TIME_ACTIVITY_ACTIONS.includes(activity.action)) && (
                         <span>
                           {' '}
-                          from <strong>{activity.from}</strong> to{' '}
-                          <strong>{activity.to}</strong>
+                          from <strong>{formatActivityValue(activity, activity.from)}</strong> to{' '}
+                          <strong>{formatActivityValue(activity, activity.to)}</strong>
                         </span>
                       )}
                     </p>
@@ -468,4 +676,13 @@ const IssueDetail = ({ projectId, issueId, onClose, onUpdate }) => {
   );
 };
 
+IssueDetail.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  issueId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onUpdate: PropTypes.func,
+  // Opens another issue, e.g. a linked issue or the parent
+  onOpenIssue: PropTypes.func,
+};
+
 export default IssueDetail;
@@ -1,36 +1,109 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import Input from '../common/Input';
 import Button from '../common/Button';
 import { Paperclip, X } from 'lucide-react';
+import { issueService } from '../../services/issueService';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import { CustomFieldInputs } from './CustomFields';
+import { parseDuration } from '../../utils/helpers';
 import {
   ISSUE_TYPES,
+  ISSUE_PARENT_TYPES,
   ISSUE_PRIORITIES,
-  ISSUE_STATUSES,
   ISSUE_TYPE_LABELS,
   ISSUE_PRIORITY_LABELS,
-  ISSUE_STATUS_LABELS,
 } from '../../utils/constants';
 
-const IssueForm = ({ onSubmit, onCancel, initialData = {}, isEdit = false }) => {
+const IssueForm = ({
+  projectId,
+  issueId,
+  onSubmit,
+  onCancel,
+  initialData = {},
+  isEdit = false,
+}) => {
+  const { statuses, initialStatus } = useWorkflow();
+  const { getFieldsForType } = useCustomFields();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     type: ISSUE_TYPES.TASK,
     priority: ISSUE_PRIORITIES.MEDIUM,
-    status: ISSUE_STATUSES.BACKLOG,
+    status: initialStatus || '',
     assignee: '',
     labels: [],
     dueDate: '',
     storyPoints: '',
+    originalEstimate: '',
+    remainingEstimate: '',
+    parent: '',
+    customFields: {},
     attachments: [],
     ...initialData,
   });
 
   const [labelInput, setLabelInput] = useState('');
+  const [parentOptions, setParentOptions] = useState([]);
+
+  const parentTypes = ISSUE_PARENT_TYPES[formData.type] || [];
+
+  const fetchParentOptions = useCallback(async () => {
+    const types = ISSUE_PARENT_TYPES[formData.type] || [];
+    if (!projectId || types.length === 0) {
+      setParentOptions([]);
+      return;
+    }
+    try {
+      const response = await issueService.list(projectId, {
+        type: types,
+        limit: 100,
+      });
+      setParentOptions(response.data.data.filter((issue) => issue._id !== issueId));
+    } catch (error) {
+      console.error('Failed to fetch parent issues:', error);
+    }
+  }, [projectId, issueId, formData.type]);
+
+  useEffect(() => {
+    fetchParentOptions();
+  }, [fetchParentOptions]);
+
+  const handleTypeChange = (type) => {
+    // A parent of the wrong type would be rejected, so start over
+    setFormData({ ...formData, type, parent: '' });
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+
+    // Estimates are typed like "2h 30m" and sent as minutes
+    const data = { ...formData };
+    for (const field of ['originalEstimate', 'remainingEstimate']) {
+      const text = String(formData[field]).trim();
+      const minutes = parseDuration(text);
+      if (text && minutes === null) {
+        alert('Enter estimates like 2h 30m, 4h or 45m');
+        return;
+      }
+      // Cleared estimates are removed on edit and left out on create
+      if (minutes !== null) data[field] = minutes;
+      else if (isEdit) data[field] = null;
+      else delete data[field];
+    }
+
+    // Only fields of the chosen type are sent; emptied values are cleared
+    data.customFields = Object.fromEntries(
+      getFieldsForType(formData.type)
+        .filter((field) => field.key in formData.customFields)
+        .map((field) => {
+          const value = formData.customFields[field.key];
+          return [field.key, value === '' ? null : value];
+        })
+    );
+
+    onSubmit(data);
   };
 
   const handleFileChange = (e) => {
@@ -114,7 +187,7 @@ const IssueForm = ({ onSubmit, onCancel, initialData = {}, isEdit = false }) =>
           <select
             className="input bg-slate-900 text-slate-200 border border-slate-700"
             value={formData.type}
-            onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+            onChange={(e) => handleTypeChange(e.target.value)}
           >
             {Object.entries(ISSUE_TYPES).map(([key, value]) => (
               <option key={value} value={value}>
@@ -144,6 +217,29 @@ const IssueForm = ({ onSubmit, onCancel, initialData = {}, isEdit = false }) =>
         </div>
       </div>
 
+      {parentTypes.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-slate-100 mb-1">
+            {parentTypes.map((type) => ISSUE_TYPE_LABELS[type]).join(' / ')}
+          </label>
+          <select
+            className="input bg-slate-900 text-slate-200 border border-slate-700"
+            value={formData.parent}
+            onChange={(e) => setFormData({ ...formData, parent: e.target.value })}
+            required={formData.type === ISSUE_TYPES.SUBTASK}
+          >
+            <option value="">
+              {formData.type === ISSUE_TYPES.SUBTASK ? 'Select a story' : 'None'}
+            </option>
+            {parentOptions.map((issue) => (
+              <option key={issue._id} value={issue._id}>
+                {issue.key} – {issue.title}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {!isEdit && (
         <div>
           <label className="block text-sm font-medium text-slate-100 mb-1">
@@ -156,9 +252,9 @@ const IssueForm = ({ onSubmit, onCancel, initialData = {}, isEdit = false }) =>
               setFormData({ ...formData, status: e.target.value })
             }
           >
-            {Object.entries(ISSUE_STATUSES).map(([key, value]) => (
-              <option key={value} value={value}>
-                {ISSUE_STATUS_LABELS[value]}
+            {statuses.map((status) => (
+              <option key={status.key} value={status.key}>
+                {status.name}
               </option>
             ))}
           </select>
@@ -235,6 +331,46 @@ const IssueForm = ({ onSubmit, onCancel, initialData = {}, isEdit = false }) =>
         </div>
       </div>
 
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-100 mb-1">
+            Original Estimate
+          </label>
+          <input
+            type="text"
+            className="input bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700"
+            placeholder="e.g. 2h 30m"
+            value={formData.originalEstimate}
+            onChange={(e) =>
+              setFormData({ ...formData, originalEstimate: e.target.value })
+            }
+          />
+        </div>
+
+        {isEdit && (
+          <div>
+            <label className="block text-sm font-medium text-slate-100 mb-1">
+              Remaining Estimate
+            </label>
+            <input
+              type="text"
+              className="input bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700"
+              placeholder="e.g. 1h"
+              value={formData.remainingEstimate}
+              onChange={(e) =>
+                setFormData({ ...formData, remainingEstimate: e.target.value })
+              }
+            />
+          </div>
+        )}
+      </div>
+
+      <CustomFieldInputs
+        issueType={formData.type}
+        values={formData.customFields}
+        onChange={(customFields) => setFormData({ ...formData, customFields })}
+      />
+
       {!isEdit && (
         <div>
           <label className="block text-sm font-medium text-slate-100 mb-1">
@@ -303,4 +439,15 @@ const IssueForm = ({ onSubmit, onCancel, initialData = {}, isEdit = false }) =>
   );
 };
 
+IssueForm.propTypes = {
+  // Without a project no parent issues are offered
+  projectId: PropTypes.string,
+  // The issue being edited, left out of its own parent options
+  issueId: PropTypes.string,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  initialData: PropTypes.object,
+  isEdit: PropTypes.bool,
+};
+
 export default IssueForm;
@@ -0,0 +1,295 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { issueService } from '../../services/issueService';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import Button from '../common/Button';
+import { Upload, AlertTriangle, CheckCircle } from 'lucide-react';
+
+const selectClass =
+  'bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1';
+
+// Issue fields an import can fill, in the order they are offered for mapping
+const IMPORT_FIELDS = [
+  { id: 'title', label: 'Title' },
+  { id: 'description', label: 'Description' },
+  { id: 'type', label: 'Type' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'status', label: 'Status' },
+  { id: 'assignee', label: 'Assignee (email or username)' },
+  { id: 'reporter', label: 'Reporter (email or username)' },
+  { id: 'labels', label: 'Labels' },
+  { id: 'parent', label: 'Parent issue key' },
+  { id: 'dueDate', label: 'Due date' },
+  { id: 'storyPoints', label: 'Story points' },
+  { id: 'originalEstimate', label: 'Original estimate (minutes)' },
+  { id: 'remainingEstimate', label: 'Remaining estimate (minutes)' },
+];
+
+// Import issues from a CSV or JSON file: every change to the mapping is
+// checked with a dry run first, and only the valid rows are imported
+const IssueImport = ({ projectId, onImported, onClose }) => {
+  const { statuses } = useWorkflow();
+  const { fields: customFields } = useCustomFields();
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [statusMap, setStatusMap] = useState({});
+  // Source statuses that needed mapping stay listed once they are mapped
+  const [statusesToMap, setStatusesToMap] = useState([]);
+  const [labelMap, setLabelMap] = useState({});
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const targets = [
+    ...IMPORT_FIELDS,
+    ...customFields.map((field) => ({ id: `cf.${field.key}`, label: field.name })),
+  ];
+
+  const runImport = async (importFile, options) => {
+    setWorking(true);
+    try {
+      const response = await issueService.importIssues(projectId, {
+        format: importFile.format,
+        content: importFile.content,
+        ...options,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to import issues:', error);
+      alert(error.response?.data?.message || 'Failed to import issues');
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Only renamed labels are sent; a cleared label is dropped
+  const changedLabels = () =>
+    Object.fromEntries(Object.entries(labelMap).filter(([label, value]) => value !== label));
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) return;
+
+    const importFile = {
+      name: chosen.name,
+      format: chosen.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      content: await chosen.text(),
+    };
+    setFile(importFile);
+    setResult(null);
+    setStatusMap({});
+
+    // The first dry run suggests a mapping from the column names
+    const data = await runImport(importFile, { dryRun: true });
+    if (data) {
+      setReport(data);
+      setMapping(data.mapping);
+      setStatusesToMap(data.unknownStatuses);
+      setLabelMap(Object.fromEntries(data.labels.map((label) => [label, label])));
+    }
+  };
+
+  const handleCheck = async () => {
+    const data = await runImport(file, {
+      mapping,
+      statusMap,
+      labelMap: changedLabels(),
+      dryRun: true,
+    });
+    if (data) {
+      setReport(data);
+      setStatusesToMap((prev) => [...new Set([...prev, ...data.unknownStatuses])]);
+    }
+  };
+
+  const handleImport = async () => {
+    const data = await runImport(file, {
+      mapping,
+      statusMap,
+      labelMap: changedLabels(),
+      dryRun: false,
+    });
+    if (data) {
+      setResult(data);
+      if (data.created > 0) onImported();
+    }
+  };
+
+  const problemRows = (result || report)?.rows.filter(
+    (row) => row.errors.length > 0 || row.warnings.length > 0
+  );
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-success-400">
+          <CheckCircle size={18} />
+          <p className="text-sm">
+            Imported {result.created} of {result.total} issues.
+          </p>
+        </div>
+        {problemRows.length > 0 && <RowProblems rows={problemRows} />}
+        <div className="flex justify-end">
+          <Button onClick={onClose}>Done</Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-slate-700 text-sm text-slate-200 hover:bg-slate-700/50 cursor-pointer">
+          <Upload size={16} />
+          {file ? file.name : 'Choose a CSV or JSON file'}
+          <input type="file" accept=".csv,.json" className="hidden" onChange={handleFileChange} />
+        </label>
+        <p className="text-xs text-slate-500 mt-1">
+          Issue exports can be imported as they are. Labels are separated by semicolons.
+        </p>
+      </div>
+
+      {report && (
+        <>
+          <section>
+            <h4 className="text-sm font-medium text-slate-200 mb-2">Columns</h4>
+            <div className="grid grid-cols-2 gap-2">
+              {targets.map((target) => (
+                <label key={target.id} className="flex items-center justify-between gap-2">
+                  <span className="text-xs text-slate-400">{target.label}</span>
+                  <select
+                    className={selectClass}
+                    value={mapping[target.id] || ''}
+                    onChange={(e) => setMapping({ ...mapping, [target.id]: e.target.value || null })}
+                  >
+                    <option value="">Skip</option>
+                    {report.columns.map((column) => (
+                      <option key={column} value={column}>
+                        {column}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </section>
+
+          {statusesToMap.length > 0 && (
+            <section>
+              <h4 className="text-sm font-medium text-slate-200 mb-2">Statuses</h4>
+              <div className="grid grid-cols-2 gap-2">
+                {statusesToMap.map((status) => (
+                  <label key={status} className="flex items-center justify-between gap-2">
+                    <span className="text-xs text-slate-400">{status}</span>
+                    <select
+                      className={selectClass}
+                      value={statusMap[status] || ''}
+                      onChange={(e) => setStatusMap({ ...statusMap, [status]: e.target.value })}
+                    >
+                      <option value="">Select status</option>
+                      {statuses.map((option) => (
+                        <option key={option.key} value={option.key}>
+                          {option.name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {report.labels.length > 0 && (
+            <section>
+              <h4 className="text-sm font-medium text-slate-200 mb-1">Labels</h4>
+              <p className="text-xs text-slate-500 mb-2">Rename labels, or clear one to drop it.</p>
+              <div className="grid grid-cols-2 gap-2">
+                {report.labels.map((label) => (
+                  <label key={label} className="flex items-center justify-between gap-2">
+                    <span className="text-xs text-slate-400 truncate">{label}</span>
+                    <input
+                      type="text"
+                      className={selectClass}
+                      value={labelMap[label] ?? label}
+                      onChange={(e) => setLabelMap({ ...labelMap, [label]: e.target.value })}
+                    />
+                  </label>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {report.unknownUsers.length > 0 && (
+            <p className="text-xs text-warning-400">
+              Not project members: {report.unknownUsers.join(', ')}. Issues assigned to them are
+              imported unassigned, and you become the reporter of issues they reported.
+            </p>
+          )}
+
+          <div className="p-3 bg-slate-900/50 rounded-lg text-sm text-slate-300">
+            {report.total} rows: {report.valid} ready to import, {report.invalid} with errors
+          </div>
+
+          {problemRows.length > 0 && <RowProblems rows={problemRows} />}
+
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" onClick={handleCheck} loading={working} disabled={working}>
+              Check Again
+            </Button>
+            <Button onClick={handleImport} loading={working} disabled={working || report.valid === 0}>
+              Import {report.valid} Issues
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Rows with errors or warnings from an import report, shared with TaskImport
+export const RowProblems = ({ rows }) => (
+  <div className="max-h-60 overflow-y-auto space-y-1">
+    {rows.map((row) => (
+      <div key={row.row} className="text-xs p-2 bg-slate-800/40 rounded">
+        <p className="text-slate-300">
+          Row {row.row}
+          {row.title && `: ${row.title}`}
+        </p>
+        {row.errors.map((error) => (
+          <p key={error} className="flex items-center gap-1 text-danger-400">
+            <AlertTriangle size={12} />
+            {error}
+          </p>
+        ))}
+        {row.warnings.map((warning) => (
+          <p key={warning} className="text-warning-400">
+            {warning}
+          </p>
+        ))}
+      </div>
+    ))}
+  </div>
+);
+
+RowProblems.propTypes = {
+  rows: PropTypes.arrayOf(
+    PropTypes.shape({
+      // Position among the imported rows, starting at 1
+      row: PropTypes.number.isRequired,
+      title: PropTypes.string,
+      errors: PropTypes.arrayOf(PropTypes.string).isRequired,
+      warnings: PropTypes.arrayOf(PropTypes.string).isRequired,
+    })
+  ).isRequired,
+};
+
+IssueImport.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  // Called when at least one issue was created
+  onImported: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default IssueImport;
@@ -0,0 +1,208 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { issueService } from '../../services/issueService';
+import Button from '../common/Button';
+import StatusBadge from './StatusBadge';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import { Link2, Plus, X } from 'lucide-react';
+import {
+  ISSUE_LINK_TYPES,
+  ISSUE_LINK_TYPE_LABELS,
+} from '../../utils/constants';
+
+// Linked issues grouped by link type, with an inline form to add more
+const IssueLinks = ({ projectId, issueId, onOpenIssue, onChange }) => {
+  const { isDone } = useWorkflow();
+  const [links, setLinks] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [search, setSearch] = useState('');
+  const [linkType, setLinkType] = useState(ISSUE_LINK_TYPES.BLOCKS);
+  const [targetIssueId, setTargetIssueId] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      const response = await issueService.listLinks(projectId, issueId);
+      setLinks(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch issue links:', error);
+    }
+  }, [projectId, issueId]);
+
+  useEffect(() => {
+    fetchLinks();
+  }, [fetchLinks]);
+
+  const openForm = async () => {
+    setShowForm(true);
+    try {
+      const response = await issueService.list(projectId, { limit: 100 });
+      setCandidates(response.data.data.filter((issue) => issue._id !== issueId));
+    } catch (error) {
+      console.error('Failed to fetch issues:', error);
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setSearch('');
+    setTargetIssueId('');
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!targetIssueId) return;
+
+    setSaving(true);
+    try {
+      await issueService.addLink(projectId, issueId, { type: linkType, targetIssueId });
+      closeForm();
+      fetchLinks();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to add link:', error);
+      alert(error.response?.data?.message || 'Failed to add link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (linkId) => {
+    try {
+      await issueService.removeLink(projectId, issueId, linkId);
+      fetchLinks();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to remove link:', error);
+      alert(error.response?.data?.message || 'Failed to remove link');
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const filteredCandidates = candidates.filter(
+    (issue) =>
+      !query ||
+      issue.key.toLowerCase().includes(query) ||
+      issue.title.toLowerCase().includes(query)
+  );
+
+  const groups = Object.values(ISSUE_LINK_TYPES)
+    .map((type) => ({ type, links: links.filter((link) => link.type === type) }))
+    .filter((group) => group.links.length > 0);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+          <Link2 size={16} />
+          Linked Issues
+        </h4>
+        {!showForm && (
+          <Button variant="ghost" size="sm" onClick={openForm}>
+            <Plus size={14} />
+            Link
+          </Button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleAdd} className="p-3 mb-3 bg-slate-800/50 rounded-lg space-y-2">
+          <div className="flex gap-2">
+            <select
+              className="bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1"
+              value={linkType}
+              onChange={(e) => setLinkType(e.target.value)}
+            >
+              {Object.values(ISSUE_LINK_TYPES).map((type) => (
+                <option key={type} value={type}>
+                  {ISSUE_LINK_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="flex-1 bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1"
+              placeholder="Filter by key or title"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          <select
+            className="w-full bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1"
+            value={targetIssueId}
+            onChange={(e) => setTargetIssueId(e.target.value)}
+            required
+          >
+            <option value="">Select an issue</option>
+            {filteredCandidates.map((issue) => (
+              <option key={issue._id} value={issue._id}>
+                {issue.key} – {issue.title}
+              </option>
+            ))}
+          </select>
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="secondary" size="sm" onClick={closeForm}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" loading={saving} disabled={saving || !targetIssueId}>
+              Add Link
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {groups.length === 0 ? (
+        !showForm && <p className="text-sm text-slate-500">No linked issues.</p>
+      ) : (
+        <div className="space-y-3">
+          {groups.map((group) => (
+            <div key={group.type}>
+              <p className="text-xs uppercase tracking-wide text-slate-500 mb-1">
+                {ISSUE_LINK_TYPE_LABELS[group.type]}
+              </p>
+              <div className="space-y-1">
+                {group.links.map((link) => (
+                  <div
+                    key={link._id}
+                    className="flex items-center gap-3 p-2 bg-slate-800/40 rounded"
+                  >
+                    <button
+                      type="button"
+                      onClick={() => onOpenIssue && onOpenIssue(link.issue._id)}
+                      className={`flex-1 flex items-center gap-3 text-left min-w-0 hover:text-primary-400 ${
+                        isDone(link.issue.status) ? 'line-through text-slate-500' : 'text-slate-200'
+                      }`}
+                    >
+                      <span className="text-xs font-mono text-slate-500">{link.issue.key}</span>
+                      <span className="text-sm truncate">{link.issue.title}</span>
+                    </button>
+                    <StatusBadge status={link.issue.status} />
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(link._id)}
+                      className="text-slate-500 hover:text-danger-400"
+                      title="Remove link"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+IssueLinks.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  issueId: PropTypes.string.isRequired,
+  onOpenIssue: PropTypes.func,
+  // Called after a link is added or removed
+  onChange: PropTypes.func,
+};
+
+export default IssueLinks;
@@ -0,0 +1,315 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { filterService } from '../../services/filterService';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import { Search, Save, Trash2, Link2, HelpCircle } from 'lucide-react';
+
+const QUERY_EXAMPLES = [
+  'assignee = me AND status != done',
+  'priority >= high AND labels in (ui, api) ORDER BY priority DESC',
+  'due < +7d AND assignee is empty',
+  'sprint = active AND (type = bug OR text ~ "login")',
+];
+
+const QUERY_FIELDS =
+  'key, title, text, type, priority, status, category, assignee, reporter, watcher, labels, sprint, parent, points, due, created, updated';
+
+// Query bar for the issue list, with the user's saved and shared filters
+const IssueQueryBar = ({ projectId, initialFilterId, error, onRun }) => {
+  const { user } = useAuth();
+  const { fields: customFields } = useCustomFields();
+  const [query, setQuery] = useState('');
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [showHelp, setShowHelp] = useState(false);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [saveForm, setSaveForm] = useState({ name: '', description: '', shared: false });
+  const [saving, setSaving] = useState(false);
+
+  const fetchFilters = useCallback(async () => {
+    try {
+      const response = await filterService.list(projectId);
+      setSavedFilters(response.data || []);
+    } catch (err) {
+      console.error('Failed to fetch saved filters:', err);
+    }
+  }, [projectId]);
+
+  const applyFilter = useCallback(
+    (filter) => {
+      setSelectedId(filter ? filter._id : '');
+      setQuery(filter ? filter.query : '');
+      onRun(filter ? filter.query : '');
+    },
+    [onRun]
+  );
+
+  const openSharedFilter = useCallback(
+    async (filterId) => {
+      try {
+        const response = await filterService.get(projectId, filterId);
+        applyFilter(response.data);
+      } catch (err) {
+        console.error('Failed to open saved filter:', err);
+      }
+    },
+    [projectId, applyFilter]
+  );
+
+  useEffect(() => {
+    fetchFilters();
+  }, [fetchFilters]);
+
+  // Apply a filter opened from a shared link
+  useEffect(() => {
+    if (initialFilterId) {
+      openSharedFilter(initialFilterId);
+    }
+  }, [initialFilterId, openSharedFilter]);
+
+  const selectedFilter = savedFilters.find((filter) => filter._id === selectedId);
+  const ownsSelected = selectedFilter && selectedFilter.owner?._id === user?._id;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onRun(query.trim());
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await filterService.create(projectId, {
+        ...saveForm,
+        query: query.trim(),
+      });
+      setShowSaveModal(false);
+      setSaveForm({ name: '', description: '', shared: false });
+      await fetchFilters();
+      setSelectedId(response.data._id);
+    } catch (err) {
+      console.error('Failed to save filter:', err);
+      alert(err.response?.data?.message || 'Failed to save filter');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async () => {
+    try {
+      await filterService.update(projectId, selectedId, { query: query.trim() });
+      fetchFilters();
+    } catch (err) {
+      console.error('Failed to update filter:', err);
+      alert(err.response?.data?.message || 'Failed to update filter');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the saved filter "${selectedFilter.name}"?`)) return;
+
+    try {
+      await filterService.remove(projectId, selectedId);
+      setSelectedId('');
+      fetchFilters();
+    } catch (err) {
+      console.error('Failed to delete filter:', err);
+      alert(err.response?.data?.message || 'Failed to delete filter');
+    }
+  };
+
+  const copyLink = async () => {
+    const url = `${window.location.origin}/projects/${projectId}?tab=issues&filter=${selectedId}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Link copied to clipboard');
+    } catch {
+      window.prompt('Copy this link', url);
+    }
+  };
+
+  const myFilters = savedFilters.filter((filter) => filter.owner?._id === user?._id);
+  const sharedFilters = savedFilters.filter((filter) => filter.owner?._id !== user?._id);
+
+  return (
+    <div className="mb-6">
+      <form onSubmit={handleSubmit} className="flex flex-wrap gap-2">
+        <select
+          className="bg-slate-900 text-slate-200 border border-slate-700 rounded-lg text-sm px-3 py-2"
+          value={selectedId}
+          onChange={(e) =>
+            applyFilter(savedFilters.find((filter) => filter._id === e.target.value))
+          }
+        >
+          <option value="">All issues</option>
+          {myFilters.length > 0 && (
+            <optgroup label="My filters">
+              {myFilters.map((filter) => (
+                <option key={filter._id} value={filter._id}>
+                  {filter.name}
+                  {filter.shared ? ' (shared)' : ''}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {sharedFilters.length > 0 && (
+            <optgroup label="Shared with the project">
+              {sharedFilters.map((filter) => (
+                <option key={filter._id} value={filter._id}>
+                  {filter.name} – {filter.owner?.username}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+
+        <div className="relative flex-1 min-w-[280px]">
+          <Search
+            size={18}
+            className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-500"
+          />
+          <input
+            type="text"
+            className="input pl-10 font-mono text-sm bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700"
+            placeholder="assignee = me AND priority >= high ORDER BY priority DESC"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+
+        <Button type="submit" size="sm">
+          Run
+        </Button>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => setShowSaveModal(true)}
+          disabled={!query.trim()}
+        >
+          <Save size={16} />
+          Save
+        </Button>
+        {ownsSelected && query.trim() && query.trim() !== selectedFilter.query && (
+          <Button type="button" variant="outline" size="sm" onClick={handleUpdate}>
+            Update
+          </Button>
+        )}
+        {selectedFilter?.shared && (
+          <Button type="button" variant="ghost" size="sm" onClick={copyLink} title="Copy link">
+            <Link2 size={16} />
+          </Button>
+        )}
+        {ownsSelected && (
+          <Button type="button" variant="ghost" size="sm" onClick={handleDelete} title="Delete filter">
+            <Trash2 size={16} />
+          </Button>
+        )}
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => setShowHelp(!showHelp)}
+          title="Query syntax"
+        >
+          <HelpCircle size={16} />
+        </Button>
+      </form>
+
+      {error && <p className="text-sm text-danger-400 mt-2">{error}</p>}
+
+      {showHelp && (
+        <div className="mt-3 p-3 bg-slate-800/50 border border-slate-700 rounded-lg text-sm text-slate-300 space-y-2">
+          <p>
+            Combine conditions with <code>AND</code>, <code>OR</code>, <code>NOT</code> and
+            parentheses, then optionally <code>ORDER BY field [ASC|DESC]</code>.
+          </p>
+          <p>
+            Operators: <code>= != &gt; &gt;= &lt; &lt;= ~ !~</code>, <code>in (…)</code>,{' '}
+            <code>not in (…)</code>, <code>is empty</code>. Dates accept <code>YYYY-MM-DD</code>,{' '}
+            <code>today</code>, <code>now</code> or offsets like <code>+7d</code>,{' '}
+            <code>-2w</code>.
+          </p>
+          <p className="text-slate-400">Fields: {QUERY_FIELDS}</p>
+          {customFields.length > 0 && (
+            <p className="text-slate-400">
+              Custom fields:{' '}
+              {customFields.map((field) => `cf.${field.key}`).join(', ')}
+            </p>
+          )}
+          <ul className="space-y-1">
+            {QUERY_EXAMPLES.map((example) => (
+              <li key={example}>
+                <button
+                  type="button"
+                  className="font-mono text-xs text-primary-400 hover:text-primary-300"
+                  onClick={() => setQuery(example)}
+                >
+                  {example}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Save Filter Modal */}
+      <Modal
+        isOpen={showSaveModal}
+        onClose={() => setShowSaveModal(false)}
+        title="Save Filter"
+        size="sm"
+      >
+        <form onSubmit={handleSave} className="space-y-4">
+          <Input
+            label="Name"
+            placeholder="e.g. My open bugs"
+            value={saveForm.name}
+            onChange={(e) => setSaveForm({ ...saveForm, name: e.target.value })}
+            required
+          />
+          <Input
+            label="Description"
+            placeholder="Optional"
+            value={saveForm.description}
+            onChange={(e) => setSaveForm({ ...saveForm, description: e.target.value })}
+          />
+          <p className="text-xs font-mono text-slate-400 break-all">{query}</p>
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input
+              type="checkbox"
+              className="rounded border-slate-600 bg-slate-900 text-primary-500"
+              checked={saveForm.shared}
+              onChange={(e) => setSaveForm({ ...saveForm, shared: e.target.checked })}
+            />
+            Share with everyone in the project
+          </label>
+          <div className="flex gap-3 justify-end pt-4 border-t border-slate-700">
+            <Button type="button" variant="secondary" onClick={() => setShowSaveModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={saving} disabled={saving}>
+              Save Filter
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+IssueQueryBar.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  // Saved filter to apply on open, from a shared link
+  initialFilterId: PropTypes.string,
+  // Message of the last query the server rejected
+  error: PropTypes.string,
+  // Runs a query; keep it stable, a new function re-applies the shared filter
+  onRun: PropTypes.func.isRequired,
+};
+
+export default IssueQueryBar;
@@ -1,11 +1,17 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import { issueService } from '../../services/issueService';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import Modal from '../common/Modal';
-import Badge from '../common/Badge';
 import IssueForm from './IssueForm';
 import IssueDetail from './IssueDetail';
+import EpicsView from './EpicsView';
+import StatusBadge from './StatusBadge';
+import IssueQueryBar from './IssueQueryBar';
+import BulkActionBar from './BulkActionBar';
+import IssueImport from './IssueImport';
+import { useWorkflow } from '../../hooks/useWorkflow';
 import {
   Plus,
   Search,
@@ -16,28 +22,40 @@ import {
   CheckSquare,
   BookOpen,
   Layers,
+  ListTree,
+  List,
+  X,
+  Download,
+  Upload,
 } from 'lucide-react';
-import { formatDate } from '../../utils/helpers';
+import { formatDate, downloadBlob } from '../../utils/helpers';
 import {
   ISSUE_TYPES,
-  ISSUE_STATUSES,
   ISSUE_PRIORITIES,
   ISSUE_TYPE_LABELS,
-  ISSUE_STATUS_LABELS,
   ISSUE_PRIORITY_LABELS,
 } from '../../utils/constants';
 
-const IssuesTab = ({ projectId }) => {
+const IssuesTab = ({ projectId, initialIssueId, initialFilterId }) => {
+  const { statuses } = useWorkflow();
   const [issues, setIssues] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showDetailModal, setShowDetailModal] = useState(false);
   const [selectedIssue, setSelectedIssue] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
+  const [view, setView] = useState('list'); // list, epics
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [queryError, setQueryError] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   // Filters and pagination
   const [filters, setFilters] = useState({
     search: '',
+    q: '',
     type: [],
     status: [],
     priority: [],
@@ -54,6 +72,20 @@ const IssuesTab = ({ projectId }) => {
     fetchIssues();
   }, [projectId, filters]);
 
+  // Open the linked issue when arriving from a notification
+  useEffect(() => {
+    if (initialIssueId) {
+      setSelectedIssue({ _id: initialIssueId });
+      setShowDetailModal(true);
+    }
+  }, [initialIssueId]);
+
+  // Refresh the list and the epic rollups after a change
+  const handleIssuesChanged = () => {
+    fetchIssues();
+    setRefreshKey((key) => key + 1);
+  };
+
   const fetchIssues = async () => {
     try {
       setLoading(true);
@@ -63,8 +95,15 @@ const IssuesTab = ({ projectId }) => {
         total: response.data.total || 0,
         hasMore: response.data.hasMore || false,
       });
+      setQueryError('');
     } catch (error) {
       console.error('Failed to fetch issues:', error);
+      // Mistakes in the query are reported as 400s with a readable message
+      if (filters.q && error.response?.status === 400) {
+        setIssues([]);
+        setPagination({ total: 0, hasMore: false });
+        setQueryError(error.response.data?.message || 'Invalid query');
+      }
     } finally {
       setLoading(false);
     }
@@ -74,13 +113,66 @@ const IssuesTab = ({ projectId }) => {
     try {
       await issueService.create(projectId, issueData);
       setShowCreateModal(false);
-      fetchIssues();
+      handleIssuesChanged();
     } catch (error) {
       console.error('Failed to create issue:', error);
       alert(error.response?.data?.message || 'Failed to create issue');
     }
   };
 
+  const toggleSelected = (issueId) => {
+    setSelectedIds((prev) =>
+      prev.includes(issueId) ? prev.filter((id) => id !== issueId) : [...prev, issueId]
+    );
+  };
+
+  const pageIds = issues.map((issue) => issue._id);
+  const pageSelected = pageIds.length > 0 && pageIds.every((id) => selectedIds.includes(id));
+
+  const togglePageSelected = () => {
+    setSelectedIds((prev) =>
+      pageSelected
+        ? prev.filter((id) => !pageIds.includes(id))
+        : [...new Set([...prev, ...pageIds])]
+    );
+  };
+
+  // The list filters without paging or empty values, for "all matching" bulk
+  // edits and exports
+  const bulkFilter = Object.fromEntries(
+    Object.entries(filters).filter(
+      ([name, value]) =>
+        !['page', 'limit'].includes(name) && (Array.isArray(value) ? value.length > 0 : value)
+    )
+  );
+
+  // Failed issues stay selected so the change can be retried after a fix
+  const handleBulkDone = (result) => {
+    setBulkResult(result);
+    setSelectedIds(
+      result.results.filter((item) => !item.success).map((item) => String(item.issueId))
+    );
+    handleIssuesChanged();
+  };
+
+  // Exports every issue matching the current filters, not just this page
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const data = await issueService.exportIssues(projectId, bulkFilter, format);
+      const blob =
+        format === 'csv'
+          ? data
+          : new Blob([JSON.stringify(data.data.data, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `issues.${format}`);
+    } catch (error) {
+      console.error('Failed to export issues:', error);
+      alert(error.response?.data?.message || 'Failed to export issues');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const openDetailModal = (issue) => {
     setSelectedIssue(issue);
     setShowDetailModal(true);
@@ -94,6 +186,11 @@ const IssuesTab = ({ projectId }) => {
     }));
   };
 
+  // Stable, so the query bar applies a shared filter only once
+  const handleRunQuery = useCallback((q) => {
+    setFilters((prev) => ({ ...prev, q, page: 1 }));
+  }, []);
+
   const toggleFilter = (filterType, value) => {
     setFilters((prev) => {
       const currentValues = prev[filterType];
@@ -110,14 +207,15 @@ const IssuesTab = ({ projectId }) => {
   };
 
   const clearFilters = () => {
-    setFilters({
+    setFilters((prev) => ({
       search: '',
+      q: prev.q,
       type: [],
       status: [],
       priority: [],
       page: 1,
       limit: 20,
-    });
+    }));
   };
 
   const getTypeIcon = (type) => {
@@ -128,6 +226,8 @@ const IssuesTab = ({ projectId }) => {
         return <BookOpen size={16} className="text-success-400" />;
       case ISSUE_TYPES.EPIC:
         return <Layers size={16} className="text-secondary-400" />;
+      case ISSUE_TYPES.SUBTASK:
+        return <ListTree size={16} className="text-slate-400" />;
       default:
         return <CheckSquare size={16} className="text-primary-400" />;
     }
@@ -150,14 +250,6 @@ const IssuesTab = ({ projectId }) => {
     }
   };
 
-  if (loading && filters.page === 1) {
-    return (
-      <div className="flex justify-center py-8">
-        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
-      </div>
-    );
-  }
-
   return (
     <div>
       {/* Header */}
@@ -165,13 +257,51 @@ const IssuesTab = ({ projectId }) => {
         <h2 className="text-xl font-semibold text-slate-100">Issues</h2>
         <div className="flex gap-2">
           <Button
-            variant="outline"
+            variant={view === 'epics' ? 'primary' : 'outline'}
             size="sm"
-            onClick={() => setShowFilters(!showFilters)}
+            onClick={() => setView(view === 'epics' ? 'list' : 'epics')}
           >
-            <Filter size={16} />
-            Filters
+            {view === 'epics' ? <List size={16} /> : <Layers size={16} />}
+            {view === 'epics' ? 'All Issues' : 'Epics'}
           </Button>
+          {view === 'list' && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setShowFilters(!showFilters)}
+            >
+              <Filter size={16} />
+              Filters
+            </Button>
+          )}
+          {view === 'list' && (
+            <>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleExport('csv')}
+                disabled={exporting}
+                title="Export the matching issues as CSV"
+              >
+                <Download size={16} />
+                CSV
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleExport('json')}
+                disabled={exporting}
+                title="Export the matching issues as JSON"
+              >
+                <Download size={16} />
+                JSON
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setShowImportModal(true)}>
+                <Upload size={16} />
+                Import
+              </Button>
+            </>
+          )}
           <Button onClick={() => setShowCreateModal(true)} size="sm">
             <Plus size={16} />
             New Issue
@@ -179,8 +309,25 @@ const IssuesTab = ({ projectId }) => {
         </div>
       </div>
 
+      {view === 'epics' && (
+        <EpicsView
+          projectId={projectId}
+          refreshKey={refreshKey}
+          onOpenIssue={openDetailModal}
+        />
+      )}
+
+      {view === 'list' && (
+        <IssueQueryBar
+          projectId={projectId}
+          initialFilterId={initialFilterId}
+          error={queryError}
+          onRun={handleRunQuery}
+        />
+      )}
+
       {/* Filters Panel */}
-      {showFilters && (
+      {view === 'list' && showFilters && (
         <Card className="mb-6">
           <div className="space-y-4">
             {/* Search */}
@@ -232,18 +379,18 @@ const IssuesTab = ({ projectId }) => {
                 Status
               </label>
               <div className="flex flex-wrap gap-2">
-                {Object.entries(ISSUE_STATUSES).map(([key, value]) => (
+                {statuses.map((status) => (
                   <button
-                    key={value}
+                    key={status.key}
                     type="button"
-                    onClick={() => toggleFilter('status', value)}
+                    onClick={() => toggleFilter('status', status.key)}
                     className={`px-3 py-1 rounded-full text-sm ${
-                      filters.status.includes(value)
+                      filters.status.includes(status.key)
                         ? 'bg-primary-600 text-slate-100'
                         : 'bg-slate-700/50 text-slate-300 hover:bg-slate-600/50'
                     }`}
                   >
-                    {ISSUE_STATUS_LABELS[value]}
+                    {status.name}
                   </button>
                 ))}
               </div>
@@ -280,15 +427,67 @@ const IssuesTab = ({ projectId }) => {
           </div>
         </Card>
       )}
+      {view === 'list' && selectedIds.length > 0 && (
+        <BulkActionBar
+          projectId={projectId}
+          selectedIds={selectedIds}
+          filter={bulkFilter}
+          totalMatching={pagination.total}
+          onClear={() => setSelectedIds([])}
+          onDone={handleBulkDone}
+        />
+      )}
+
+      {view === 'list' && bulkResult && (
+        <div className="mb-4 p-3 bg-slate-800/50 border border-slate-700 rounded-lg text-sm">
+          <div className="flex items-center justify-between">
+            <p className={bulkResult.failed > 0 ? 'text-warning-400' : 'text-success-400'}>
+              Updated {bulkResult.succeeded} of {bulkResult.total} issue(s)
+              {bulkResult.failed > 0 && ', the failed ones are still selected'}
+            </p>
+            <button
+              type="button"
+              onClick={() => setBulkResult(null)}
+              className="text-slate-400 hover:text-white"
+              title="Dismiss"
+            >
+              <X size={16} />
+            </button>
+          </div>
+          {bulkResult.failed > 0 && (
+            <ul className="mt-1 space-y-0.5 text-xs text-slate-400 max-h-32 overflow-y-auto">
+              {bulkResult.results
+                .filter((item) => !item.success)
+                .map((item) => (
+                  <li key={item.issueId}>
+                    <span className="font-mono text-slate-300">{item.key || item.issueId}</span>:{' '}
+                    {item.error}
+                  </li>
+                ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Issues List */}
-      {issues.length === 0 ? (
+      {view === 'list' && (loading && filters.page === 1 ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : issues.length === 0 ? (
         <Card>
           <div className="text-center py-8">
-            <p className="text-slate-400">No issues found. Create your first issue!</p>
+            <p className="text-slate-400">
+              {filters.q ? 'No issues match this query.' : 'No issues found. Create your first issue!'}
+            </p>
           </div>
         </Card>
       ) : (
         <>
+          <label className="flex items-center gap-2 mb-2 text-sm text-slate-400">
+            <input type="checkbox" checked={pageSelected} onChange={togglePageSelected} />
+            Select all on this page
+          </label>
           <div className="space-y-3">
             {issues.map((issue) => (
               <Card
@@ -297,6 +496,14 @@ const IssuesTab = ({ projectId }) => {
                 onClick={() => openDetailModal(issue)}
               >
                 <div className="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    className="mt-1.5"
+                    checked={selectedIds.includes(issue._id)}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={() => toggleSelected(issue._id)}
+                    aria-label={`Select ${issue.key}`}
+                  />
                   <div className="mt-1">{getTypeIcon(issue.type)}</div>
                   <div className="flex-1 min-w-0">
                     <div className="flex items-start justify-between gap-4">
@@ -315,9 +522,7 @@ const IssuesTab = ({ projectId }) => {
                           </p>
                         )}
                         <div className="flex items-center gap-2 flex-wrap">
-                          <Badge variant={issue.status}>
-                            {ISSUE_STATUS_LABELS[issue.status]}
-                          </Badge>
+                          <StatusBadge status={issue.status} />
                           <span
                             className={`px-2 py-1 rounded text-xs font-medium ${getPriorityColor(issue.priority)}`}
                           >
@@ -375,7 +580,7 @@ const IssuesTab = ({ projectId }) => {
             </div>
           </div>
         </>
-      )}
+      ))}
 
       {/* Create Issue Modal */}
       <Modal
@@ -385,11 +590,28 @@ const IssuesTab = ({ projectId }) => {
         size="lg"
       >
         <IssueForm
+          projectId={projectId}
           onSubmit={handleCreateIssue}
           onCancel={() => setShowCreateModal(false)}
         />
       </Modal>
 
+      {/* Import Issues Modal */}
+      <Modal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        title="Import Issues"
+        size="xl"
+      >
+        {showImportModal && (
+          <IssueImport
+            projectId={projectId}
+            onImported={handleIssuesChanged}
+            onClose={() => setShowImportModal(false)}
+          />
+        )}
+      </Modal>
+
       {/* Issue Detail Modal */}
       <Modal
         isOpen={showDetailModal}
@@ -408,7 +630,8 @@ const IssuesTab = ({ projectId }) => {
               setShowDetailModal(false);
               setSelectedIssue(null);
             }}
-            onUpdate={fetchIssues}
+            onUpdate={handleIssuesChanged}
+            onOpenIssue={(id) => setSelectedIssue({ _id: id })}
           />
         )}
       </Modal>
@@ -416,4 +639,12 @@ const IssuesTab = ({ projectId }) => {
   );
 };
 
+IssuesTab.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  // Issue to open on arrival, e.g. from a notification
+  initialIssueId: PropTypes.string,
+  // Saved filter to apply on arrival, from a shared link
+  initialFilterId: PropTypes.string,
+};
+
 export default IssuesTab;
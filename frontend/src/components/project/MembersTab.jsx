@@ -1,16 +1,17 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { projectService } from '../../services/projectService';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import Modal from '../common/Modal';
 import Input from '../common/Input';
 import Badge from '../common/Badge';
-import { Plus, Trash2, Users as UsersIcon, Shield } from 'lucide-react';
+import { Plus, Trash2, Users as UsersIcon, Shield, Mail } from 'lucide-react';
 import { USER_ROLES, ROLE_LABELS } from '../../utils/constants';
-import { getInitials } from '../../utils/helpers';
+import { getInitials, formatDate } from '../../utils/helpers';
 
 const MembersTab = ({ projectId }) => {
   const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
   const [formData, setFormData] = useState({
@@ -18,11 +19,7 @@ const MembersTab = ({ projectId }) => {
     role: USER_ROLES.MEMBER,
   });
 
-  useEffect(() => {
-    fetchMembers();
-  }, [projectId]);
-
-  const fetchMembers = async () => {
+  const fetchMembers = useCallback(async () => {
     try {
       const response = await projectService.getProjectMembers(projectId);
       setMembers(response.data || []);
@@ -31,18 +28,45 @@ const MembersTab = ({ projectId }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [projectId]);
 
-  const handleAddMember = async (e) => {
+  // Only admins can see invitations; for everyone else the list stays empty
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const response = await projectService.getInvitations(projectId);
+      setInvitations(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch invitations:', error);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchMembers();
+    fetchInvitations();
+  }, [fetchMembers, fetchInvitations]);
+
+  const handleInvite = async (e) => {
     e.preventDefault();
     try {
-      await projectService.addMember(projectId, formData);
+      await projectService.inviteMember(projectId, formData);
       setShowAddModal(false);
       setFormData({ email: '', role: USER_ROLES.MEMBER });
-      fetchMembers();
+      fetchInvitations();
     } catch (error) {
-      console.error('Failed to add member:', error);
-      alert(error.response?.data?.message || 'Failed to add member');
+      console.error('Failed to send invitation:', error);
+      alert(error.response?.data?.message || 'Failed to send invitation');
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+
+    try {
+      await projectService.revokeInvitation(projectId, invitation._id);
+      setInvitations((prev) => prev.filter((item) => item._id !== invitation._id));
+    } catch (error) {
+      console.error('Failed to revoke invitation:', error);
+      alert(error.response?.data?.message || 'Failed to revoke invitation');
     }
   };
 
@@ -83,7 +107,7 @@ const MembersTab = ({ projectId }) => {
         <h2 className="text-xl font-semibold text-white">Team Members</h2>
         <Button onClick={() => setShowAddModal(true)} size="sm">
           <Plus size={16} />
-          Add Member
+          Invite Member
         </Button>
       </div>
 
@@ -92,7 +116,7 @@ const MembersTab = ({ projectId }) => {
         <Card>
           <div className="text-center py-8">
             <UsersIcon className="mx-auto text-slate-400 mb-2" size={48} />
-            <p className="text-slate-600">No members yet. Add your first member!</p>
+            <p className="text-slate-600">No members yet. Invite your first member!</p>
           </div>
         </Card>
       ) : (
@@ -145,13 +169,66 @@ const MembersTab = ({ projectId }) => {
         </div>
       )}
 
-      {/* Add Member Modal */}
+      {/* Pending Invitations */}
+      {invitations.length > 0 && (
+        <div className="mt-8">
+          <h3 className="text-lg font-semibold text-white mb-4">
+            Pending Invitations ({invitations.length})
+          </h3>
+          <div className="space-y-2">
+            {invitations.map((invitation) => {
+              const expired = new Date(invitation.expiresAt) <= new Date();
+
+              return (
+                <div
+                  key={invitation._id}
+                  className="flex items-center justify-between gap-4 p-3 rounded-lg bg-slate-800/40 border border-slate-700/50"
+                >
+                  <div className="flex items-center gap-3 min-w-0">
+                    <Mail className="text-slate-400 flex-shrink-0" size={18} />
+                    <div className="min-w-0">
+                      <p className="text-sm text-slate-200 truncate">{invitation.email}</p>
+                      <p className="text-xs text-slate-500">
+                        Invited by{' '}
+                        {invitation.invitedBy?.fullName || invitation.invitedBy?.username}
+                        {' · '}
+                        {expired ? (
+                          <span className="text-danger-400">Expired</span>
+                        ) : (
+                          `Expires ${formatDate(invitation.expiresAt)}`
+                        )}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Badge variant={invitation.role}>{ROLE_LABELS[invitation.role]}</Badge>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => handleRevokeInvitation(invitation)}
+                    >
+                      Revoke
+                    </Button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Invite Member Modal */}
       <Modal
         isOpen={showAddModal}
         onClose={() => setShowAddModal(false)}
-        title="Add Team Member"
+        title="Invite Team Member"
       >
-        <form onSubmit={handleAddMember} className="space-y-4">
+        <form onSubmit={handleInvite} className="space-y-4">
+          <p className="text-sm text-slate-400">
+            We&apos;ll email an invitation link. They can accept it after signing in, or after
+            creating an account with this address. Inviting the same address again sends a new
+            link.
+          </p>
           <Input
             label="Email Address"
             type="email"
@@ -200,7 +277,7 @@ const MembersTab = ({ projectId }) => {
             >
               Cancel
             </Button>
-            <Button type="submit">Add Member</Button>
+            <Button type="submit">Send Invitation</Button>
           </div>
         </form>
       </Modal>
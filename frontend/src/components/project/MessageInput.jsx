@@ -1,16 +1,17 @@
 import { useState, useRef } from 'react';
+import PropTypes from 'prop-types';
 import Button from '../common/Button';
+import MentionTextarea from '../common/MentionTextarea';
 import { Send, Paperclip, X } from 'lucide-react';
 
-const MessageInput = ({ onSend, onTyping, disabled = false }) => {
+const MessageInput = ({ projectId, onSend, onTyping, disabled = false }) => {
   const [message, setMessage] = useState('');
   const [attachments, setAttachments] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
   const typingTimeoutRef = useRef(null);
   const fileInputRef = useRef(null);
 
-  const handleInputChange = (e) => {
-    const value = e.target.value;
+  const handleInputChange = (value) => {
     setMessage(value);
 
     // Emit typing indicator
@@ -113,7 +114,8 @@ const MessageInput = ({ onSend, onTyping, disabled = false }) => {
       {/* Input Form */}
       <form onSubmit={handleSubmit} className="flex items-end gap-2">
         <div className="flex-1">
-          <textarea
+          <MentionTextarea
+            projectId={projectId}
             value={message}
             onChange={handleInputChange}
             onKeyDown={handleKeyDown}
@@ -157,5 +159,12 @@ const MessageInput = ({ onSend, onTyping, disabled = false }) => {
   );
 };
 
+MessageInput.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  onSend: PropTypes.func.isRequired,
+  onTyping: PropTypes.func,
+  disabled: PropTypes.bool,
+};
+
 export default MessageInput;
 
@@ -1,8 +1,9 @@
 import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
 import { formatDate } from '../../utils/helpers';
-import { Paperclip, CheckCheck, Check } from 'lucide-react';
+import { Paperclip, CheckCheck, Check, Trash2 } from 'lucide-react';
 
-const MessageList = ({ messages, currentUserId, onScroll, loading }) => {
+const MessageList = ({ messages, currentUserId, onScroll, onDelete, loading }) => {
   const messagesEndRef = useRef(null);
   const containerRef = useRef(null);
 
@@ -153,6 +154,16 @@ const MessageList = ({ messages, currentUserId, onScroll, loading }) => {
                       )}
                     </span>
                   )}
+                  {isOwn && message._id && onDelete && (
+                    <button
+                      type="button"
+                      onClick={() => onDelete(message)}
+                      className="text-primary-200 hover:text-white"
+                      title="Delete message"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -172,5 +183,28 @@ const MessageList = ({ messages, currentUserId, onScroll, loading }) => {
   );
 };
 
+MessageList.propTypes = {
+  messages: PropTypes.arrayOf(
+    PropTypes.shape({
+      // Messages still being sent only have a tempId
+      _id: PropTypes.string,
+      tempId: PropTypes.string,
+      body: PropTypes.string,
+      sender: PropTypes.shape({
+        _id: PropTypes.string,
+        username: PropTypes.string,
+      }),
+      attachments: PropTypes.array,
+      readBy: PropTypes.array,
+      createdAt: PropTypes.string,
+    })
+  ).isRequired,
+  currentUserId: PropTypes.string,
+  // Called when scrolled to the top, to load older messages
+  onScroll: PropTypes.func,
+  onDelete: PropTypes.func,
+  loading: PropTypes.bool,
+};
+
 export default MessageList;
 
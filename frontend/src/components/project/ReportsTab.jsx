@@ -0,0 +1,327 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { reportService } from '../../services/reportService';
+import { sprintService } from '../../services/sprintService';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import { LineChart, BarChart, StackedAreaChart } from '../common/Charts';
+import { TrendingDown, BarChart3, Layers, Clock, Download } from 'lucide-react';
+import { formatDuration, downloadBlob } from '../../utils/helpers';
+import {
+  SPRINT_STATES,
+  STATUS_CATEGORIES,
+  STATUS_CATEGORY_COLORS,
+} from '../../utils/constants';
+
+// Cumulative flow bands are stacked done first, then in progress, then to do
+const CATEGORY_STACK_ORDER = [
+  STATUS_CATEGORIES.DONE,
+  STATUS_CATEGORIES.IN_PROGRESS,
+  STATUS_CATEGORIES.TODO,
+];
+
+// Statuses that were removed from the workflow have no category and go on top
+const stackRank = (category) => {
+  const index = CATEGORY_STACK_ORDER.indexOf(category);
+  return index === -1 ? CATEGORY_STACK_ORDER.length : index;
+};
+
+const flowAreas = (statuses = []) =>
+  [...statuses]
+    .sort((a, b) => stackRank(a.category) - stackRank(b.category))
+    .map((status) => ({
+      key: status.key,
+      label: status.name,
+      color: status.color || STATUS_CATEGORY_COLORS[status.category] || '#475569',
+    }));
+
+const toInputDate = (date) => date.toISOString().split('T')[0];
+
+const defaultRange = () => {
+  const to = new Date();
+  const from = new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+  return { from: toInputDate(from), to: toInputDate(to) };
+};
+
+// Timesheets take plain dates, so sprints are turned into their date span
+const timesheetRange = (range, sprint) => {
+  if (!sprint) return range;
+  return {
+    from: toInputDate(new Date(sprint.startDate)),
+    to: toInputDate(new Date(sprint.completedAt || sprint.endDate || Date.now())),
+  };
+};
+
+const ReportsTab = ({ projectId }) => {
+  const [sprints, setSprints] = useState([]);
+  const [scope, setScope] = useState('range'); // 'range' or a sprint id
+  const [range, setRange] = useState(defaultRange);
+  const [burndown, setBurndown] = useState(null);
+  const [velocity, setVelocity] = useState(null);
+  const [flow, setFlow] = useState(null);
+  const [timesheet, setTimesheet] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Only the chosen sprint matters, so loading the list does not refetch
+  const selectedSprint = sprints.find((s) => s._id === scope);
+
+  const fetchSprints = useCallback(async () => {
+    try {
+      const response = await sprintService.list(projectId);
+      const started = response.data.filter((s) => s.state !== SPRINT_STATES.PLANNED);
+      setSprints(started);
+
+      // Default to the active sprint when there is one
+      const active = started.find((s) => s.state === SPRINT_STATES.ACTIVE);
+      if (active) setScope(active._id);
+    } catch (error) {
+      console.error('Failed to fetch sprints:', error);
+    }
+  }, [projectId]);
+
+  const fetchVelocity = useCallback(async () => {
+    try {
+      const response = await reportService.getVelocity(projectId);
+      setVelocity(response.data);
+    } catch (error) {
+      console.error('Failed to fetch velocity:', error);
+    }
+  }, [projectId]);
+
+  const fetchRangeReports = useCallback(async () => {
+    const params = scope === 'range' ? range : { sprintId: scope };
+    try {
+      setLoading(true);
+      setError('');
+      const [burndownResponse, flowResponse, timesheetResponse] = await Promise.all([
+        reportService.getBurndown(projectId, params),
+        reportService.getCumulativeFlow(projectId, params),
+        reportService.getTimesheet(projectId, timesheetRange(range, selectedSprint)),
+      ]);
+      setBurndown(burndownResponse.data);
+      setFlow(flowResponse.data);
+      setTimesheet(timesheetResponse.data);
+    } catch (error) {
+      console.error('Failed to fetch reports:', error);
+      setError(error.response?.data?.message || 'Failed to load reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, scope, range, selectedSprint]);
+
+  useEffect(() => {
+    fetchSprints();
+    fetchVelocity();
+  }, [fetchSprints, fetchVelocity]);
+
+  useEffect(() => {
+    fetchRangeReports();
+  }, [fetchRangeReports]);
+
+  const handleExportTimesheet = async () => {
+    const params = timesheetRange(range, selectedSprint);
+    setExporting(true);
+    try {
+      const blob = await reportService.exportTimesheet(projectId, params);
+      downloadBlob(blob, `timesheet-${params.from}-to-${params.to}.csv`);
+    } catch (error) {
+      console.error('Failed to export timesheet:', error);
+      alert('Failed to export timesheet');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1">Period</label>
+          <select
+            className="bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-3 py-2"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+          >
+            <option value="range">Date range</option>
+            {sprints.map((sprint) => (
+              <option key={sprint._id} value={sprint._id}>
+                {sprint.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        {scope === 'range' && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">From</label>
+              <input
+                type="date"
+                className="bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-3 py-2"
+                value={range.from}
+                max={range.to}
+                onChange={(e) => setRange({ ...range, from: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">To</label>
+              <input
+                type="date"
+                className="bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-3 py-2"
+                value={range.to}
+                min={range.from}
+                onChange={(e) => setRange({ ...range, to: e.target.value })}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      {error && (
+        <div className="px-4 py-3 rounded-lg bg-danger-50 border border-danger-200 text-danger-700">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card>
+          <div className="flex items-center gap-2 mb-4">
+            <TrendingDown className="text-primary-400" size={20} />
+            <h3 className="text-lg font-semibold text-white">Burndown</h3>
+          </div>
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <LineChart
+              data={burndown?.series}
+              xKey="date"
+              lines={[
+                { key: 'remainingPoints', label: 'Remaining points', color: '#38bdf8' },
+                { key: 'idealPoints', label: 'Ideal', color: '#64748b', dashed: true },
+              ]}
+            />
+          )}
+        </Card>
+
+        <Card>
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <BarChart3 className="text-primary-400" size={20} />
+              <h3 className="text-lg font-semibold text-white">Velocity</h3>
+            </div>
+            {velocity && (
+              <span className="text-sm text-slate-400">
+                Average: <strong className="text-white">{velocity.averageVelocity}</strong>{' '}
+                points / sprint
+              </span>
+            )}
+          </div>
+          <BarChart
+            data={velocity?.sprints}
+            xKey="name"
+            bars={[
+              { key: 'committedPoints', label: 'Committed', color: '#64748b' },
+              { key: 'completedPoints', label: 'Completed', color: '#22c55e' },
+            ]}
+          />
+        </Card>
+      </div>
+
+      <Card>
+        <div className="flex items-center gap-2 mb-4">
+          <Layers className="text-primary-400" size={20} />
+          <h3 className="text-lg font-semibold text-white">Cumulative Flow</h3>
+        </div>
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          <StackedAreaChart
+            data={flow?.series}
+            xKey="date"
+            areas={flowAreas(flow?.statuses)}
+          />
+        )}
+      </Card>
+
+      <Card>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Clock className="text-primary-400" size={20} />
+            <h3 className="text-lg font-semibold text-white">Timesheet</h3>
+            {timesheet && (
+              <span className="text-sm text-slate-400">
+                {formatDuration(timesheet.totals.minutes)} logged
+              </span>
+            )}
+          </div>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleExportTimesheet}
+            loading={exporting}
+            disabled={exporting}
+          >
+            <Download size={16} />
+            Export CSV
+          </Button>
+        </div>
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : !timesheet || timesheet.entries.length === 0 ? (
+          <p className="text-sm text-slate-500">No work logged in this period.</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <p className="text-xs uppercase tracking-wide text-slate-500 mb-2">By person</p>
+              <div className="space-y-1">
+                {timesheet.totals.byUser.map((total) => (
+                  <div
+                    key={total.user?._id || 'former'}
+                    className="flex justify-between p-2 bg-slate-800/40 rounded text-sm"
+                  >
+                    <span className="text-slate-200">
+                      {total.user?.username || 'Former member'}
+                    </span>
+                    <span className="text-slate-300">{formatDuration(total.minutes)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+            <div>
+              <p className="text-xs uppercase tracking-wide text-slate-500 mb-2">By issue</p>
+              <div className="space-y-1 max-h-64 overflow-y-auto">
+                {timesheet.totals.byIssue.map((total) => (
+                  <div
+                    key={total.issue?._id || 'deleted'}
+                    className="flex justify-between gap-3 p-2 bg-slate-800/40 rounded text-sm"
+                  >
+                    <span className="text-slate-200 truncate">
+                      <span className="font-mono text-slate-500 mr-2">{total.issue?.key}</span>
+                      {total.issue?.title || 'Deleted issue'}
+                    </span>
+                    <span className="text-slate-300 shrink-0">
+                      {formatDuration(total.minutes)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+ReportsTab.propTypes = {
+  projectId: PropTypes.string.isRequired,
+};
+
+export default ReportsTab;
@@ -0,0 +1,245 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { sprintService } from '../../services/sprintService';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import { Plus, Play, CheckCircle } from 'lucide-react';
+import { formatDate } from '../../utils/helpers';
+import { SPRINT_STATES, SPRINT_STATE_LABELS } from '../../utils/constants';
+
+const emptySprint = { name: '', goal: '', startDate: '', endDate: '' };
+
+// Sprint selector with create/start/complete actions, shown above the board
+const SprintBar = ({ projectId, sprints, selected, onSelect, onChange }) => {
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showCompleteModal, setShowCompleteModal] = useState(false);
+  const [formData, setFormData] = useState(emptySprint);
+  const [moveTo, setMoveTo] = useState('backlog');
+  const [saving, setSaving] = useState(false);
+
+  const selectedSprint = sprints.find((sprint) => sprint._id === selected);
+  const plannedSprints = sprints.filter(
+    (sprint) => sprint.state === SPRINT_STATES.PLANNED
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await sprintService.create(projectId, {
+        name: formData.name,
+        goal: formData.goal,
+        startDate: formData.startDate || undefined,
+        endDate: formData.endDate || undefined,
+      });
+      setShowCreateModal(false);
+      setFormData(emptySprint);
+      await onChange();
+      onSelect(response.data._id);
+    } catch (error) {
+      console.error('Failed to create sprint:', error);
+      alert(error.response?.data?.message || 'Failed to create sprint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStart = async () => {
+    try {
+      await sprintService.start(projectId, selectedSprint._id);
+      await onChange();
+    } catch (error) {
+      console.error('Failed to start sprint:', error);
+      alert(error.response?.data?.message || 'Failed to start sprint');
+    }
+  };
+
+  const handleComplete = async () => {
+    setSaving(true);
+    try {
+      await sprintService.complete(projectId, selectedSprint._id, moveTo);
+      setShowCompleteModal(false);
+      setMoveTo('backlog');
+      await onChange();
+      onSelect(moveTo);
+    } catch (error) {
+      console.error('Failed to complete sprint:', error);
+      alert(error.response?.data?.message || 'Failed to complete sprint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          className="bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-3 py-2"
+          value={selected}
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          <option value="all">All issues</option>
+          <option value="backlog">Backlog</option>
+          {sprints.map((sprint) => (
+            <option key={sprint._id} value={sprint._id}>
+              {sprint.name} ({SPRINT_STATE_LABELS[sprint.state]})
+            </option>
+          ))}
+        </select>
+
+        {selectedSprint?.state === SPRINT_STATES.PLANNED && (
+          <Button size="sm" onClick={handleStart}>
+            <Play size={16} />
+            Start Sprint
+          </Button>
+        )}
+        {selectedSprint?.state === SPRINT_STATES.ACTIVE && (
+          <Button size="sm" onClick={() => setShowCompleteModal(true)}>
+            <CheckCircle size={16} />
+            Complete Sprint
+          </Button>
+        )}
+        <Button size="sm" variant="outline" onClick={() => setShowCreateModal(true)}>
+          <Plus size={16} />
+          New Sprint
+        </Button>
+      </div>
+
+      {selectedSprint && (
+        <div className="text-sm text-slate-400 flex flex-wrap gap-x-4 gap-y-1">
+          {selectedSprint.goal && (
+            <span className="text-slate-300">Goal: {selectedSprint.goal}</span>
+          )}
+          {selectedSprint.startDate && (
+            <span>
+              {formatDate(selectedSprint.startDate)} –{' '}
+              {selectedSprint.endDate ? formatDate(selectedSprint.endDate) : '…'}
+            </span>
+          )}
+          <span>
+            {selectedSprint.issueCount} issues · {selectedSprint.completedPoints}/
+            {selectedSprint.totalPoints} points done
+          </span>
+        </div>
+      )}
+
+      {/* Create Sprint Modal */}
+      <Modal
+        isOpen={showCreateModal}
+        onClose={() => setShowCreateModal(false)}
+        title="Create Sprint"
+      >
+        <form onSubmit={handleCreate} className="space-y-4">
+          <Input
+            label="Name"
+            placeholder="e.g. Sprint 12"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+          />
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Goal</label>
+            <textarea
+              className="input min-h-[80px]"
+              placeholder="What should this sprint achieve?"
+              value={formData.goal}
+              onChange={(e) => setFormData({ ...formData, goal: e.target.value })}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">
+                Start Date
+              </label>
+              <input
+                type="date"
+                className="input bg-slate-900 text-slate-200 border border-slate-700"
+                value={formData.startDate}
+                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">
+                End Date
+              </label>
+              <input
+                type="date"
+                className="input bg-slate-900 text-slate-200 border border-slate-700"
+                value={formData.endDate}
+                onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className="flex gap-3 justify-end">
+            <Button type="button" variant="secondary" onClick={() => setShowCreateModal(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={saving} disabled={saving}>
+              Create Sprint
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Complete Sprint Modal */}
+      <Modal
+        isOpen={showCompleteModal}
+        onClose={() => setShowCompleteModal(false)}
+        title={`Complete ${selectedSprint?.name || 'sprint'}`}
+      >
+        <div className="space-y-4">
+          <p className="text-slate-300">
+            Issues that are not done will be moved out of this sprint.
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">
+              Move unfinished issues to
+            </label>
+            <select
+              className="input bg-slate-900 text-slate-200 border border-slate-700"
+              value={moveTo}
+              onChange={(e) => setMoveTo(e.target.value)}
+            >
+              <option value="backlog">Backlog</option>
+              {plannedSprints.map((sprint) => (
+                <option key={sprint._id} value={sprint._id}>
+                  {sprint.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-3 justify-end">
+            <Button type="button" variant="secondary" onClick={() => setShowCompleteModal(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleComplete} loading={saving} disabled={saving}>
+              Complete Sprint
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+SprintBar.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  sprints: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      state: PropTypes.oneOf(Object.values(SPRINT_STATES)).isRequired,
+      goal: PropTypes.string,
+      startDate: PropTypes.string,
+      endDate: PropTypes.string,
+    })
+  ).isRequired,
+  // A sprint id, or 'all' for every issue
+  selected: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  // Called after a sprint is created, started or completed
+  onChange: PropTypes.func.isRequired,
+};
+
+export default SprintBar;
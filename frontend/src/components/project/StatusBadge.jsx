@@ -0,0 +1,22 @@
+import PropTypes from 'prop-types';
+import Badge from '../common/Badge';
+import { useWorkflow } from '../../hooks/useWorkflow';
+
+// Issue status badge, colored by the status category of the project's workflow
+const StatusBadge = ({ status, className }) => {
+  const { getStatusName, getStatusCategory } = useWorkflow();
+
+  return (
+    <Badge variant={getStatusCategory(status)} className={className}>
+      {getStatusName(status)}
+    </Badge>
+  );
+};
+
+StatusBadge.propTypes = {
+  // Key of a status in the project's workflow
+  status: PropTypes.string.isRequired,
+  className: PropTypes.string,
+};
+
+export default StatusBadge;
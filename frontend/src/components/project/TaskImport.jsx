@@ -0,0 +1,207 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { taskService } from '../../services/taskService';
+import Button from '../common/Button';
+import { RowProblems } from './IssueImport';
+import { Upload, CheckCircle } from 'lucide-react';
+import { STATUS_LABELS } from '../../utils/constants';
+
+const selectClass =
+  'bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1';
+
+// Task fields an import can fill, in the order they are offered for mapping
+const IMPORT_FIELDS = [
+  { id: 'title', label: 'Title' },
+  { id: 'description', label: 'Description' },
+  { id: 'status', label: 'Status' },
+  { id: 'assignee', label: 'Assignee (email or username)' },
+  { id: 'subtasks', label: 'Subtasks' },
+];
+
+// Import tasks from a CSV or JSON file, checked with a dry run first like
+// issue imports
+const TaskImport = ({ projectId, onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [statusMap, setStatusMap] = useState({});
+  // Source statuses that needed mapping stay listed once they are mapped
+  const [statusesToMap, setStatusesToMap] = useState([]);
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const runImport = async (importFile, options) => {
+    setWorking(true);
+    try {
+      const response = await taskService.importTasks(projectId, {
+        format: importFile.format,
+        content: importFile.content,
+        ...options,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to import tasks:', error);
+      alert(error.response?.data?.message || 'Failed to import tasks');
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) return;
+
+    const importFile = {
+      name: chosen.name,
+      format: chosen.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      content: await chosen.text(),
+    };
+    setFile(importFile);
+    setResult(null);
+    setStatusMap({});
+
+    // The first dry run suggests a mapping from the column names
+    const data = await runImport(importFile, { dryRun: true });
+    if (data) {
+      setReport(data);
+      setMapping(data.mapping);
+      setStatusesToMap(data.unknownStatuses);
+    }
+  };
+
+  const handleCheck = async () => {
+    const data = await runImport(file, { mapping, statusMap, dryRun: true });
+    if (data) {
+      setReport(data);
+      setStatusesToMap((prev) => [...new Set([...prev, ...data.unknownStatuses])]);
+    }
+  };
+
+  const handleImport = async () => {
+    const data = await runImport(file, { mapping, statusMap, dryRun: false });
+    if (data) {
+      setResult(data);
+      if (data.created > 0) onImported();
+    }
+  };
+
+  const problemRows = (result || report)?.rows.filter(
+    (row) => row.errors.length > 0 || row.warnings.length > 0
+  );
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-success-400">
+          <CheckCircle size={18} />
+          <p className="text-sm">
+            Imported {result.created} of {result.total} tasks.
+          </p>
+        </div>
+        {problemRows.length > 0 && <RowProblems rows={problemRows} />}
+        <div className="flex justify-end">
+          <Button onClick={onClose}>Done</Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="inline-flex items-center gap-2 px-3 py-2 rounded-md border border-slate-700 text-sm text-slate-200 hover:bg-slate-700/50 cursor-pointer">
+          <Upload size={16} />
+          {file ? file.name : 'Choose a CSV or JSON file'}
+          <input type="file" accept=".csv,.json" className="hidden" onChange={handleFileChange} />
+        </label>
+        <p className="text-xs text-slate-500 mt-1">
+          Task exports can be imported as they are. Subtasks are separated by semicolons.
+        </p>
+      </div>
+
+      {report && (
+        <>
+          <section>
+            <h4 className="text-sm font-medium text-slate-200 mb-2">Columns</h4>
+            <div className="grid grid-cols-2 gap-2">
+              {IMPORT_FIELDS.map((target) => (
+                <label key={target.id} className="flex items-center justify-between gap-2">
+                  <span className="text-xs text-slate-400">{target.label}</span>
+                  <select
+                    className={selectClass}
+                    value={mapping[target.id] || ''}
+                    onChange={(e) => setMapping({ ...mapping, [target.id]: e.target.value || null })}
+                  >
+                    <option value="">Skip</option>
+                    {report.columns.map((column) => (
+                      <option key={column} value={column}>
+                        {column}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </section>
+
+          {statusesToMap.length > 0 && (
+            <section>
+              <h4 className="text-sm font-medium text-slate-200 mb-2">Statuses</h4>
+              <div className="grid grid-cols-2 gap-2">
+                {statusesToMap.map((status) => (
+                  <label key={status} className="flex items-center justify-between gap-2">
+                    <span className="text-xs text-slate-400">{status}</span>
+                    <select
+                      className={selectClass}
+                      value={statusMap[status] || ''}
+                      onChange={(e) => setStatusMap({ ...statusMap, [status]: e.target.value })}
+                    >
+                      <option value="">Select status</option>
+                      {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {report.unknownUsers.length > 0 && (
+            <p className="text-xs text-warning-400">
+              Not project members: {report.unknownUsers.join(', ')}. Tasks assigned to them are
+              imported unassigned.
+            </p>
+          )}
+
+          <div className="p-3 bg-slate-900/50 rounded-lg text-sm text-slate-300">
+            {report.total} rows: {report.valid} ready to import, {report.invalid} with errors
+          </div>
+
+          {problemRows.length > 0 && <RowProblems rows={problemRows} />}
+
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" onClick={handleCheck} loading={working} disabled={working}>
+              Check Again
+            </Button>
+            <Button onClick={handleImport} loading={working} disabled={working || report.valid === 0}>
+              Import {report.valid} Tasks
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+TaskImport.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  // Called when at least one task was created
+  onImported: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default TaskImport;
@@ -6,8 +6,21 @@ import Modal from '../common/Modal';
 import Input from '../common/Input';
 import Badge from '../common/Badge';
 import TaskDetail from './TaskDetail';
-import { Plus, Edit2, Trash2, CheckCircle2, Circle, Clock, Eye, Paperclip, X } from 'lucide-react';
-import { formatDate } from '../../utils/helpers';
+import TaskImport from './TaskImport';
+import {
+  Plus,
+  Edit2,
+  Trash2,
+  CheckCircle2,
+  Circle,
+  Clock,
+  Eye,
+  Paperclip,
+  X,
+  Download,
+  Upload,
+} from 'lucide-react';
+import { formatDate, downloadBlob } from '../../utils/helpers';
 import { TASK_STATUS, STATUS_LABELS } from '../../utils/constants';
 
 const TasksTab = ({ projectId }) => {
@@ -16,6 +29,8 @@ const TasksTab = ({ projectId }) => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
   const [formData, setFormData] = useState({
     title: '',
@@ -78,6 +93,23 @@ const TasksTab = ({ projectId }) => {
     }
   };
 
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const data = await taskService.exportTasks(projectId, format);
+      const blob =
+        format === 'csv'
+          ? data
+          : new Blob([JSON.stringify(data.data.data, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `tasks.${format}`);
+    } catch (error) {
+      console.error('Failed to export tasks:', error);
+      alert(error.response?.data?.message || 'Failed to export tasks');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const openEditModal = (task) => {
     setSelectedTask(task);
     setFormData({
@@ -143,10 +175,36 @@ const TasksTab = ({ projectId }) => {
       {/* Header */}
       <div className="flex items-center justify-between mb-6">
         <h2 className="text-xl font-semibold text-white">Tasks</h2>
-        <Button onClick={() => setShowCreateModal(true)} size="sm">
-          <Plus size={16} />
-          New Task
-        </Button>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handleExport('csv')}
+            disabled={exporting}
+            title="Export the tasks as CSV"
+          >
+            <Download size={16} />
+            CSV
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handleExport('json')}
+            disabled={exporting}
+            title="Export the tasks as JSON"
+          >
+            <Download size={16} />
+            JSON
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setShowImportModal(true)}>
+            <Upload size={16} />
+            Import
+          </Button>
+          <Button onClick={() => setShowCreateModal(true)} size="sm">
+            <Plus size={16} />
+            New Task
+          </Button>
+        </div>
       </div>
 
       {/* Tasks List */}
@@ -376,6 +434,22 @@ const TasksTab = ({ projectId }) => {
         </form>
       </Modal>
 
+      {/* Import Tasks Modal */}
+      <Modal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        title="Import Tasks"
+        size="xl"
+      >
+        {showImportModal && (
+          <TaskImport
+            projectId={projectId}
+            onImported={fetchTasks}
+            onClose={() => setShowImportModal(false)}
+          />
+        )}
+      </Modal>
+
       {/* Task Detail Modal */}
       <Modal
         isOpen={showDetailModal}
@@ -0,0 +1,266 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { issueService } from '../../services/issueService';
+import { useAuth } from '../../contexts/AuthContext';
+import Button from '../common/Button';
+import { Clock, Play, Square, Plus, X } from 'lucide-react';
+import { formatDate, formatDuration, parseDuration } from '../../utils/helpers';
+
+const timerKey = (issueId) => `issueTimer:${issueId}`;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyLog = () => ({ duration: '', date: today(), comment: '', remainingEstimate: '' });
+
+// Elapsed time as h:mm:ss
+const formatElapsed = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+};
+
+// Estimates, logged work and a start/stop timer for an issue
+const TimeTracking = ({ projectId, issueId, onChange }) => {
+  const { user } = useAuth();
+  const [worklogs, setWorklogs] = useState([]);
+  const [timeTracking, setTimeTracking] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [logForm, setLogForm] = useState(emptyLog);
+  const [saving, setSaving] = useState(false);
+  // The running timer lives in localStorage so it survives closing the issue
+  const [timerStart, setTimerStart] = useState(() => {
+    const stored = localStorage.getItem(timerKey(issueId));
+    return stored ? Number(stored) : null;
+  });
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!timerStart) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timerStart]);
+
+  const fetchWorklogs = useCallback(async () => {
+    try {
+      const response = await issueService.listWorklogs(projectId, issueId);
+      setWorklogs(response.data.worklogs || []);
+      setTimeTracking(response.data.timeTracking);
+    } catch (error) {
+      console.error('Failed to fetch work logs:', error);
+    }
+  }, [projectId, issueId]);
+
+  useEffect(() => {
+    fetchWorklogs();
+  }, [fetchWorklogs]);
+
+  const startTimer = () => {
+    const start = Date.now();
+    localStorage.setItem(timerKey(issueId), String(start));
+    setTimerStart(start);
+    setNow(start);
+  };
+
+  // Stopping fills in the log form so the time can be reviewed before saving
+  const stopTimer = () => {
+    const minutes = Math.max(1, Math.round((Date.now() - timerStart) / 60000));
+    localStorage.removeItem(timerKey(issueId));
+    setTimerStart(null);
+    setLogForm({ ...emptyLog(), duration: formatDuration(minutes) });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setLogForm(emptyLog());
+  };
+
+  const handleLogWork = async (e) => {
+    e.preventDefault();
+    const duration = parseDuration(logForm.duration);
+    if (!duration) {
+      alert('Enter a duration like 1h 30m, 2h or 45m');
+      return;
+    }
+
+    const remainingEstimate = parseDuration(logForm.remainingEstimate);
+    if (logForm.remainingEstimate.trim() && remainingEstimate === null) {
+      alert('Enter the remaining estimate like 1h 30m, 2h or 45m');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await issueService.addWorklog(projectId, issueId, {
+        duration,
+        date: logForm.date,
+        comment: logForm.comment,
+        ...(remainingEstimate !== null && { remainingEstimate }),
+      });
+      closeForm();
+      fetchWorklogs();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to log work:', error);
+      alert(error.response?.data?.message || 'Failed to log work');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (worklog) => {
+    if (!window.confirm(`Delete ${formatDuration(worklog.duration)} of logged work?`)) return;
+
+    try {
+      await issueService.removeWorklog(projectId, issueId, worklog._id);
+      fetchWorklogs();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Failed to delete work log:', error);
+      alert(error.response?.data?.message || 'Failed to delete work log');
+    }
+  };
+
+  const spent = timeTracking?.timeSpent || 0;
+  const remaining = timeTracking?.remainingEstimate;
+  const original = timeTracking?.originalEstimate;
+  // Logged plus remaining is the current best guess of the total effort
+  const total = spent + (remaining || 0);
+  const spentPercent = total > 0 ? Math.round((spent / total) * 100) : 0;
+  const overEstimate = original != null && spent > original;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+          <Clock size={16} />
+          Time Tracking
+        </h4>
+        <div className="flex items-center gap-2">
+          {timerStart ? (
+            <Button variant="danger" size="sm" onClick={stopTimer}>
+              <Square size={14} />
+              Stop {formatElapsed(now - timerStart)}
+            </Button>
+          ) : (
+            <Button variant="ghost" size="sm" onClick={startTimer}>
+              <Play size={14} />
+              Start timer
+            </Button>
+          )}
+          {!showForm && (
+            <Button variant="ghost" size="sm" onClick={() => setShowForm(true)}>
+              <Plus size={14} />
+              Log work
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="p-3 mb-3 bg-slate-800/50 rounded-lg">
+        <div className="h-2 rounded-full bg-slate-700 overflow-hidden mb-2">
+          <div
+            className={`h-full ${overEstimate ? 'bg-warning-500' : 'bg-primary-500'}`}
+            style={{ width: `${spentPercent}%` }}
+          />
+        </div>
+        <div className="grid grid-cols-3 gap-2 text-sm">
+          <div>
+            <p className="text-xs text-slate-500">Estimated</p>
+            <p className="text-slate-200">{original != null ? formatDuration(original) : '—'}</p>
+          </div>
+          <div>
+            <p className="text-xs text-slate-500">Logged</p>
+            <p className={overEstimate ? 'text-warning-400' : 'text-slate-200'}>
+              {formatDuration(spent)}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-slate-500">Remaining</p>
+            <p className="text-slate-200">{remaining != null ? formatDuration(remaining) : '—'}</p>
+          </div>
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleLogWork} className="p-3 mb-3 bg-slate-800/50 rounded-lg space-y-2">
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="text"
+              className="bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1"
+              placeholder="Time spent, e.g. 1h 30m"
+              value={logForm.duration}
+              onChange={(e) => setLogForm({ ...logForm, duration: e.target.value })}
+              required
+            />
+            <input
+              type="date"
+              className="bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1"
+              value={logForm.date}
+              max={today()}
+              onChange={(e) => setLogForm({ ...logForm, date: e.target.value })}
+              required
+            />
+            <input
+              type="text"
+              className="bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1"
+              placeholder="Remaining (auto)"
+              title="Leave empty to reduce the remaining estimate by the time spent"
+              value={logForm.remainingEstimate}
+              onChange={(e) => setLogForm({ ...logForm, remainingEstimate: e.target.value })}
+            />
+          </div>
+          <input
+            type="text"
+            className="w-full bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1"
+            placeholder="What did you work on? (optional)"
+            value={logForm.comment}
+            onChange={(e) => setLogForm({ ...logForm, comment: e.target.value })}
+          />
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="secondary" size="sm" onClick={closeForm}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" loading={saving} disabled={saving}>
+              Log Work
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {worklogs.length > 0 && (
+        <div className="space-y-1 max-h-48 overflow-y-auto">
+          {worklogs.map((worklog) => (
+            <div key={worklog._id} className="flex items-center gap-3 p-2 bg-slate-800/40 rounded text-sm">
+              <span className="font-medium text-primary-400 w-24 truncate">
+                {worklog.user?.username || 'Former member'}
+              </span>
+              <span className="text-slate-200 w-16">{formatDuration(worklog.duration)}</span>
+              <span className="text-xs text-slate-500 w-24">{formatDate(worklog.date)}</span>
+              <span className="flex-1 text-slate-400 truncate">{worklog.comment}</span>
+              {worklog.user?._id === user?._id && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(worklog)}
+                  className="text-slate-500 hover:text-danger-400"
+                  title="Delete work log"
+                >
+                  <X size={14} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+TimeTracking.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  issueId: PropTypes.string.isRequired,
+  // Called after work is logged or deleted, as it changes the estimates
+  onChange: PropTypes.func,
+};
+
+export default TimeTracking;
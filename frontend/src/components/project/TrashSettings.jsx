@@ -0,0 +1,152 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { projectService } from '../../services/projectService';
+import Button from '../common/Button';
+import { RotateCcw, Trash2 } from 'lucide-react';
+import { formatDateTime, formatRelativeTime } from '../../utils/helpers';
+import { TRASH_ITEM_TYPES, TRASH_ITEM_TYPE_LABELS } from '../../utils/constants';
+
+const selectClass =
+  'bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1';
+
+const PAGE_SIZE = 20;
+
+// Deleted issues, tasks, notes and chat messages of the project, restorable
+// until they are purged
+const TrashSettings = ({ projectId }) => {
+  const [items, setItems] = useState([]);
+  const [type, setType] = useState('');
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchTrash = useCallback(async (nextPage) => {
+    setLoading(true);
+    try {
+      const response = await projectService.listTrash(projectId, {
+        page: nextPage,
+        limit: PAGE_SIZE,
+        ...(type && { type }),
+      });
+      const { data, hasMore: more, retentionDays: days } = response.data;
+      setItems((prev) => (nextPage === 1 ? data : [...prev, ...data]));
+      setPage(nextPage);
+      setHasMore(more);
+      setRetentionDays(days);
+    } catch (error) {
+      console.error('Failed to fetch trash:', error);
+      alert(error.response?.data?.message || 'Failed to fetch trash');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, type]);
+
+  useEffect(() => {
+    fetchTrash(1);
+  }, [fetchTrash]);
+
+  const runAction = async (item, request, failureMessage) => {
+    setBusyId(item._id);
+    try {
+      await request();
+      setItems((prev) => prev.filter((entry) => entry._id !== item._id));
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      alert(error.response?.data?.message || failureMessage);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = (item) =>
+    runAction(
+      item,
+      () => projectService.restoreTrashItem(projectId, item.type, item._id),
+      'Failed to restore item'
+    );
+
+  const handlePurge = (item) => {
+    if (!window.confirm(`Delete "${item.title}" forever? This cannot be undone.`)) return;
+
+    runAction(
+      item,
+      () => projectService.purgeTrashItem(projectId, item.type, item._id),
+      'Failed to delete item'
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-xs text-slate-400">
+          {retentionDays
+            ? `Deleted items are kept for ${retentionDays} days before they are removed for good.`
+            : 'Deleted items are kept for a while before they are removed for good.'}
+        </p>
+        <select className={selectClass} value={type} onChange={(e) => setType(e.target.value)}>
+          <option value="">All items</option>
+          {Object.values(TRASH_ITEM_TYPES).map((itemType) => (
+            <option key={itemType} value={itemType}>
+              {TRASH_ITEM_TYPE_LABELS[itemType]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!loading && items.length === 0 && (
+        <p className="text-sm text-slate-500">The trash is empty.</p>
+      )}
+
+      {items.map((item) => (
+        <div
+          key={`${item.type}-${item._id}`}
+          className="flex items-center gap-3 p-2 bg-slate-800/40 rounded"
+        >
+          <span className="px-2 py-0.5 rounded-full text-xs bg-slate-700/50 text-slate-300">
+            {TRASH_ITEM_TYPE_LABELS[item.type]}
+          </span>
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-slate-200 truncate">{item.title}</p>
+            <p className="text-xs text-slate-500">
+              Deleted {formatRelativeTime(item.deletedAt)}
+              {item.deletedBy && ` by ${item.deletedBy.fullName || item.deletedBy.username}`}
+              {' · '}purged {formatDateTime(item.purgeAt)}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => handleRestore(item)}
+            disabled={busyId === item._id}
+            className="text-slate-400 hover:text-white disabled:opacity-50"
+            title="Restore"
+          >
+            <RotateCcw size={16} />
+          </button>
+          <button
+            type="button"
+            onClick={() => handlePurge(item)}
+            disabled={busyId === item._id}
+            className="text-slate-400 hover:text-danger-400 disabled:opacity-50"
+            title="Delete forever"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+
+      {hasMore && (
+        <Button variant="ghost" size="sm" onClick={() => fetchTrash(page + 1)} loading={loading}>
+          Load more
+        </Button>
+      )}
+    </div>
+  );
+};
+
+TrashSettings.propTypes = {
+  projectId: PropTypes.string.isRequired,
+};
+
+export default TrashSettings;
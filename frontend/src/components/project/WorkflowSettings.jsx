@@ -0,0 +1,338 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { workflowService } from '../../services/workflowService';
+import { useWorkflow } from '../../hooks/useWorkflow';
+import Button from '../common/Button';
+import { Plus, Trash2, ArrowUp, ArrowDown, ArrowRight } from 'lucide-react';
+import {
+  STATUS_CATEGORIES,
+  STATUS_CATEGORY_LABELS,
+  STATUS_CATEGORY_COLORS,
+  TRANSITION_GUARDS,
+  TRANSITION_GUARD_LABELS,
+} from '../../utils/constants';
+
+const selectClass =
+  'bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1';
+
+// Status keys are derived from the name once and never change afterwards
+const toStatusKey = (name, existingKeys) => {
+  let base = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 28);
+  if (!/^[a-z]/.test(base)) base = `s_${base}`;
+
+  let key = base;
+  let suffix = 2;
+  while (existingKeys.includes(key)) {
+    key = `${base}_${suffix}`;
+    suffix += 1;
+  }
+  return key;
+};
+
+// Editor for the project's statuses, board order and allowed transitions
+const WorkflowSettings = ({ projectId, onClose }) => {
+  const { workflow, refresh } = useWorkflow();
+  const [statuses, setStatuses] = useState(workflow.statuses);
+  const [transitions, setTransitions] = useState(workflow.transitions);
+  const [initialStatus, setInitialStatus] = useState(workflow.initialStatus);
+  const [statusMapping, setStatusMapping] = useState({});
+  const [newStatusName, setNewStatusName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const keys = statuses.map((status) => status.key);
+  const removedStatuses = workflow.statuses.filter((status) => !keys.includes(status.key));
+
+  const updateStatus = (index, changes) => {
+    setStatuses(statuses.map((status, i) => (i === index ? { ...status, ...changes } : status)));
+  };
+
+  const moveStatus = (index, offset) => {
+    const next = [...statuses];
+    const [status] = next.splice(index, 1);
+    next.splice(index + offset, 0, status);
+    setStatuses(next);
+  };
+
+  const addStatus = () => {
+    const name = newStatusName.trim();
+    if (!name) return;
+    setStatuses([
+      ...statuses,
+      {
+        key: toStatusKey(name, keys),
+        name,
+        category: STATUS_CATEGORIES.TODO,
+        color: STATUS_CATEGORY_COLORS[STATUS_CATEGORIES.TODO],
+      },
+    ]);
+    setNewStatusName('');
+  };
+
+  const removeStatus = (key) => {
+    const remaining = statuses.filter((status) => status.key !== key);
+    setStatuses(remaining);
+    setTransitions(transitions.filter((t) => t.from !== key && t.to !== key));
+    if (initialStatus === key) setInitialStatus(remaining[0]?.key || '');
+  };
+
+  const updateTransition = (index, changes) => {
+    setTransitions(transitions.map((t, i) => (i === index ? { ...t, ...changes } : t)));
+  };
+
+  const toggleGuard = (index, guard) => {
+    const guards = transitions[index].guards || [];
+    updateTransition(index, {
+      guards: guards.includes(guard) ? guards.filter((g) => g !== guard) : [...guards, guard],
+    });
+  };
+
+  const addTransition = () => {
+    if (statuses.length < 2) return;
+    setTransitions([...transitions, { from: keys[0], to: keys[1], guards: [] }]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await workflowService.update(projectId, {
+        initialStatus,
+        statuses,
+        transitions,
+        // Issues in removed statuses move to the chosen status (initial by default)
+        statusMapping: Object.fromEntries(
+          removedStatuses.map((status) => [
+            status.key,
+            statusMapping[status.key] || initialStatus,
+          ])
+        ),
+      });
+      await refresh();
+      onClose();
+    } catch (error) {
+      console.error('Failed to update workflow:', error);
+      alert(error.response?.data?.message || 'Failed to update workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Statuses */}
+      <div>
+        <h4 className="text-sm font-semibold text-white mb-1">Statuses</h4>
+        <p className="text-xs text-slate-400 mb-3">
+          Listed in board column order. The category decides what counts as started or done in
+          reports.
+        </p>
+        <div className="space-y-2">
+          {statuses.map((status, index) => (
+            <div key={status.key} className="flex items-center gap-2">
+              <input
+                type="color"
+                className="w-8 h-8 bg-transparent border-0 cursor-pointer"
+                value={status.color || STATUS_CATEGORY_COLORS[status.category]}
+                onChange={(e) => updateStatus(index, { color: e.target.value })}
+              />
+              <input
+                type="text"
+                className="flex-1 bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1"
+                value={status.name}
+                onChange={(e) => updateStatus(index, { name: e.target.value })}
+              />
+              <select
+                className={selectClass}
+                value={status.category}
+                onChange={(e) => updateStatus(index, { category: e.target.value })}
+              >
+                {Object.values(STATUS_CATEGORIES).map((category) => (
+                  <option key={category} value={category}>
+                    {STATUS_CATEGORY_LABELS[category]}
+                  </option>
+                ))}
+              </select>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => moveStatus(index, -1)}
+                disabled={index === 0}
+              >
+                <ArrowUp size={14} />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => moveStatus(index, 1)}
+                disabled={index === statuses.length - 1}
+              >
+                <ArrowDown size={14} />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => removeStatus(status.key)}
+                disabled={statuses.length === 1}
+              >
+                <Trash2 size={14} />
+              </Button>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2 mt-3">
+          <input
+            type="text"
+            className="flex-1 bg-slate-900 text-slate-200 placeholder-slate-500 border border-slate-700 rounded-md text-sm px-2 py-1"
+            placeholder="New status name"
+            value={newStatusName}
+            onChange={(e) => setNewStatusName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                addStatus();
+              }
+            }}
+          />
+          <Button size="sm" variant="outline" onClick={addStatus}>
+            <Plus size={14} />
+            Add Status
+          </Button>
+        </div>
+        <div className="flex items-center gap-2 mt-3">
+          <label className="text-sm text-slate-300">New issues start in</label>
+          <select
+            className={selectClass}
+            value={initialStatus}
+            onChange={(e) => setInitialStatus(e.target.value)}
+          >
+            {statuses.map((status) => (
+              <option key={status.key} value={status.key}>
+                {status.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Transitions */}
+      <div>
+        <h4 className="text-sm font-semibold text-white mb-1">Transitions</h4>
+        <p className="text-xs text-slate-400 mb-3">
+          Issues can only move along these transitions. Guards must hold before the move.
+        </p>
+        <div className="space-y-2">
+          {transitions.map((transition, index) => (
+            <div
+              key={index}
+              className="flex flex-wrap items-center gap-2 p-2 bg-slate-800/40 rounded"
+            >
+              <select
+                className={selectClass}
+                value={transition.from}
+                onChange={(e) => updateTransition(index, { from: e.target.value })}
+              >
+                {statuses.map((status) => (
+                  <option key={status.key} value={status.key}>
+                    {status.name}
+                  </option>
+                ))}
+              </select>
+              <ArrowRight size={14} className="text-slate-500" />
+              <select
+                className={selectClass}
+                value={transition.to}
+                onChange={(e) => updateTransition(index, { to: e.target.value })}
+              >
+                {statuses.map((status) => (
+                  <option key={status.key} value={status.key}>
+                    {status.name}
+                  </option>
+                ))}
+              </select>
+              <div className="flex flex-wrap gap-3 ml-2">
+                {Object.values(TRANSITION_GUARDS).map((guard) => (
+                  <label key={guard} className="flex items-center gap-1 text-xs text-slate-300">
+                    <input
+                      type="checkbox"
+                      checked={(transition.guards || []).includes(guard)}
+                      onChange={() => toggleGuard(index, guard)}
+                    />
+                    {TRANSITION_GUARD_LABELS[guard]}
+                  </label>
+                ))}
+              </div>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="ml-auto"
+                onClick={() => setTransitions(transitions.filter((_, i) => i !== index))}
+              >
+                <Trash2 size={14} />
+              </Button>
+            </div>
+          ))}
+        </div>
+        <Button
+          size="sm"
+          variant="outline"
+          className="mt-3"
+          onClick={addTransition}
+          disabled={statuses.length < 2}
+        >
+          <Plus size={14} />
+          Add Transition
+        </Button>
+      </div>
+
+      {/* Issues in removed statuses */}
+      {removedStatuses.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-white mb-1">Removed statuses</h4>
+          <p className="text-xs text-slate-400 mb-3">
+            Issues in a removed status are moved when you save.
+          </p>
+          <div className="space-y-2">
+            {removedStatuses.map((status) => (
+              <div key={status.key} className="flex items-center gap-2 text-sm text-slate-300">
+                <span className="line-through">{status.name}</span>
+                <ArrowRight size={14} className="text-slate-500" />
+                <select
+                  className={selectClass}
+                  value={statusMapping[status.key] || initialStatus}
+                  onChange={(e) =>
+                    setStatusMapping({ ...statusMapping, [status.key]: e.target.value })
+                  }
+                >
+                  {statuses.map((target) => (
+                    <option key={target.key} value={target.key}>
+                      {target.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-3 justify-end pt-4 border-t border-slate-700">
+        <Button type="button" variant="secondary" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button onClick={handleSave} loading={saving} disabled={saving}>
+          Save Workflow
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+WorkflowSettings.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default WorkflowSettings;
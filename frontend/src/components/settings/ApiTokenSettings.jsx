@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react';
+import { accountService } from '../../services/accountService';
+import { projectService } from '../../services/projectService';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import { KeyRound, Plus, Copy, Trash2 } from 'lucide-react';
+import { formatDate, formatRelativeTime } from '../../utils/helpers';
+import { API_TOKEN_RESOURCE_LABELS, API_TOKEN_EXPIRY_OPTIONS } from '../../utils/constants';
+
+const selectClass =
+  'bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1';
+
+const RESOURCES = Object.keys(API_TOKEN_RESOURCE_LABELS);
+
+const emptyForm = () => ({
+  name: '',
+  access: Object.fromEntries(RESOURCES.map((resource) => [resource, ''])),
+  projects: [],
+  expiryDays: API_TOKEN_EXPIRY_OPTIONS[0].days,
+});
+
+// "Issues: write, Tasks: read"
+const describeScopes = (scopes) =>
+  scopes
+    .map((scope) => {
+      const [resource, access] = scope.split(':');
+      return `${API_TOKEN_RESOURCE_LABELS[resource] || resource}: ${access}`;
+    })
+    .join(', ');
+
+// Personal access tokens for scripts and CI
+const ApiTokenSettings = () => {
+  const [tokens, setTokens] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await accountService.listApiTokens();
+      setTokens(response.data);
+    } catch (error) {
+      console.error('Failed to fetch API tokens:', error);
+    }
+  };
+
+  const openCreate = async () => {
+    setForm(emptyForm());
+    setCreatedToken(null);
+    setShowCreate(true);
+
+    try {
+      const response = await projectService.getProjects();
+      setProjects(response.data.map((item) => item.project));
+    } catch (error) {
+      console.error('Failed to fetch projects:', error);
+    }
+  };
+
+  const toggleProject = (projectId) => {
+    setForm((prev) => ({
+      ...prev,
+      projects: prev.projects.includes(projectId)
+        ? prev.projects.filter((id) => id !== projectId)
+        : [...prev.projects, projectId],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const scopes = RESOURCES.filter((resource) => form.access[resource]).map(
+      (resource) => `${resource}:${form.access[resource]}`
+    );
+    if (scopes.length === 0) {
+      alert('Give the token access to at least one resource');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await accountService.createApiToken({
+        name: form.name,
+        scopes,
+        projects: form.projects,
+        expiresAt: form.expiryDays
+          ? new Date(Date.now() + form.expiryDays * 24 * 60 * 60 * 1000).toISOString()
+          : null,
+      });
+      setCreatedToken(response.data.token);
+      fetchTokens();
+    } catch (error) {
+      console.error('Failed to create API token:', error);
+      alert(error.response?.data?.message || 'Failed to create API token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await accountService.revokeApiToken(token._id);
+      setTokens((prev) => prev.filter((item) => item._id !== token._id));
+    } catch (error) {
+      console.error('Failed to revoke API token:', error);
+      alert(error.response?.data?.message || 'Failed to revoke API token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+    } catch (error) {
+      console.error('Failed to copy token:', error);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <KeyRound className="text-primary-400" size={24} />
+          <h2 className="text-xl font-semibold text-white">API Tokens</h2>
+        </div>
+        <Button size="sm" onClick={openCreate}>
+          <Plus size={16} />
+          New Token
+        </Button>
+      </div>
+
+      <p className="text-sm text-slate-400 mb-4">
+        Tokens let scripts and CI call the API as you. Send one as{' '}
+        <code className="text-slate-300">Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-slate-500">No tokens yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {tokens.map((token) => {
+            const expired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+
+            return (
+              <div
+                key={token._id}
+                className="flex items-start justify-between gap-4 p-3 rounded-lg bg-slate-800/40 border border-slate-700/50"
+              >
+                <div className="min-w-0 space-y-0.5">
+                  <p className="text-sm text-slate-200">
+                    {token.name}
+                    <span className="ml-2 font-mono text-xs text-slate-500">
+                      {token.tokenPrefix}…
+                    </span>
+                    {expired && <span className="ml-2 text-xs text-danger-400">Expired</span>}
+                  </p>
+                  <p className="text-xs text-slate-400">{describeScopes(token.scopes)}</p>
+                  <p className="text-xs text-slate-500">
+                    {token.projects.length > 0
+                      ? token.projects.map((project) => project.name).join(', ')
+                      : 'All projects'}
+                    {' · '}
+                    {token.expiresAt ? `Expires ${formatDate(token.expiresAt)}` : 'No expiry'}
+                    {' · '}
+                    {token.lastUsedAt
+                      ? `Last used ${formatRelativeTime(token.lastUsedAt)}`
+                      : 'Never used'}
+                  </p>
+                </div>
+                <Button variant="secondary" size="sm" onClick={() => handleRevoke(token)}>
+                  <Trash2 size={14} />
+                  Revoke
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <Modal isOpen={showCreate} onClose={() => setShowCreate(false)} title="New API Token">
+        {createdToken ? (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-300">
+              Copy the token now. It is stored hashed and cannot be shown again.
+            </p>
+            <div className="flex items-center gap-2 p-3 rounded-lg bg-slate-900/60">
+              <code className="flex-1 font-mono text-sm text-white break-all">{createdToken}</code>
+              <Button variant="outline" size="sm" onClick={handleCopy}>
+                <Copy size={14} />
+                Copy
+              </Button>
+            </div>
+            <div className="flex justify-end">
+              <Button onClick={() => setShowCreate(false)}>Done</Button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleCreate} className="space-y-4">
+            <Input
+              label="Name"
+              placeholder="e.g. CI pipeline"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+            />
+
+            <div>
+              <p className="text-sm font-medium text-slate-300 mb-2">Access</p>
+              <div className="grid grid-cols-2 gap-2">
+                {RESOURCES.map((resource) => (
+                  <label key={resource} className="flex items-center justify-between gap-2">
+                    <span className="text-sm text-slate-400">
+                      {API_TOKEN_RESOURCE_LABELS[resource]}
+                    </span>
+                    <select
+                      className={selectClass}
+                      value={form.access[resource]}
+                      onChange={(e) =>
+                        setForm({
+                          ...form,
+                          access: { ...form.access, [resource]: e.target.value },
+                        })
+                      }
+                    >
+                      <option value="">No access</option>
+                      <option value="read">Read</option>
+                      <option value="write">Read and write</option>
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-slate-300 mb-1">Projects</p>
+              <p className="text-xs text-slate-500 mb-2">
+                Leave all unchecked to allow every project you are a member of.
+              </p>
+              <div className="max-h-40 overflow-y-auto space-y-1">
+                {projects.map((project) => (
+                  <label key={project._id} className="flex items-center gap-2 text-sm text-slate-300">
+                    <input
+                      type="checkbox"
+                      className="rounded border-slate-600 bg-slate-900 text-primary-500"
+                      checked={form.projects.includes(project._id)}
+                      onChange={() => toggleProject(project._id)}
+                    />
+                    {project.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <label className="flex items-center justify-between gap-2">
+              <span className="text-sm font-medium text-slate-300">Expires</span>
+              <select
+                className={selectClass}
+                value={form.expiryDays ?? ''}
+                onChange={(e) =>
+                  setForm({ ...form, expiryDays: e.target.value ? Number(e.target.value) : null })
+                }
+              >
+                {API_TOKEN_EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.label} value={option.days ?? ''}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="secondary" onClick={() => setShowCreate(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" loading={creating} disabled={creating}>
+                Create Token
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </Card>
+  );
+};
+
+export default ApiTokenSettings;
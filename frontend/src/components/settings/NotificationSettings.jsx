@@ -0,0 +1,253 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { notificationService } from '../../services/notificationService';
+import { projectService } from '../../services/projectService';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import { Bell } from 'lucide-react';
+import { NOTIFICATION_EVENT_LABELS, EMAIL_DIGEST_LABELS } from '../../utils/constants';
+
+const EVENTS = Object.keys(NOTIFICATION_EVENT_LABELS);
+
+const EventTable = ({ events, onToggle }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-slate-400 text-left">
+        <th className="py-2 font-medium">Event</th>
+        <th className="py-2 font-medium text-center w-24">In-app</th>
+        <th className="py-2 font-medium text-center w-24">Email</th>
+      </tr>
+    </thead>
+    <tbody>
+      {EVENTS.map((event) => (
+        <tr key={event} className="border-t border-slate-700/50">
+          <td className="py-2 text-slate-200">{NOTIFICATION_EVENT_LABELS[event]}</td>
+          {['inApp', 'email'].map((channel) => (
+            <td key={channel} className="py-2 text-center">
+              <input
+                type="checkbox"
+                className="rounded border-slate-600 bg-slate-900 text-primary-500"
+                checked={Boolean(events[event]?.[channel])}
+                onChange={(e) => onToggle(event, channel, e.target.checked)}
+              />
+            </td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+EventTable.propTypes = {
+  // Channels switched on per event, e.g. { assigned: { inApp: true, email: false } }
+  events: PropTypes.objectOf(
+    PropTypes.shape({ inApp: PropTypes.bool, email: PropTypes.bool })
+  ).isRequired,
+  onToggle: PropTypes.func.isRequired,
+};
+
+// Project overrides only store what differs, so fill gaps from the defaults
+const mergeEvents = (defaults, overrides = {}) =>
+  Object.fromEntries(
+    EVENTS.map((event) => [
+      event,
+      {
+        inApp: overrides?.[event]?.inApp ?? defaults[event]?.inApp,
+        email: overrides?.[event]?.email ?? defaults[event]?.email,
+      },
+    ])
+  );
+
+const NotificationSettings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const [preferencesResponse, projectsResponse] = await Promise.all([
+        notificationService.getPreferences(),
+        projectService.getProjects(),
+      ]);
+      setPreferences(preferencesResponse.data);
+      setProjects(projectsResponse.data.map((p) => p.project));
+    } catch (error) {
+      console.error('Failed to fetch notification preferences:', error);
+    }
+  };
+
+  const toggleGlobal = (event, channel, value) => {
+    setPreferences((prev) => ({
+      ...prev,
+      events: {
+        ...prev.events,
+        [event]: { ...prev.events[event], [channel]: value },
+      },
+    }));
+  };
+
+  const getOverride = (projectId) =>
+    preferences.projects.find((p) => p.project === projectId);
+
+  const getProjectMode = (projectId) => {
+    const override = getOverride(projectId);
+    if (!override) return 'default';
+    return override.muted ? 'muted' : 'custom';
+  };
+
+  const setProjectMode = (projectId, mode) => {
+    setPreferences((prev) => {
+      const current = prev.projects.find((p) => p.project === projectId);
+      const others = prev.projects.filter((p) => p.project !== projectId);
+      if (mode === 'default') return { ...prev, projects: others };
+      return {
+        ...prev,
+        projects: [
+          ...others,
+          {
+            project: projectId,
+            muted: mode === 'muted',
+            events: current?.events || { ...prev.events },
+          },
+        ],
+      };
+    });
+  };
+
+  const toggleProject = (projectId, event, channel, value) => {
+    setPreferences((prev) => ({
+      ...prev,
+      projects: prev.projects.map((p) =>
+        p.project === projectId
+          ? {
+              ...p,
+              events: {
+                ...p.events,
+                [event]: { ...p.events?.[event], [channel]: value },
+              },
+            }
+          : p
+      ),
+    }));
+  };
+
+  const handleSave = async () => {
+    setMessage({ type: '', text: '' });
+    setSaving(true);
+    try {
+      const response = await notificationService.updatePreferences(preferences);
+      setPreferences(response.data);
+      setMessage({ type: 'success', text: 'Notification preferences saved' });
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Failed to save preferences',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!preferences) return null;
+
+  return (
+    <Card>
+      <div className="flex items-center gap-3 mb-6">
+        <Bell className="text-primary-400" size={24} />
+        <h2 className="text-xl font-semibold text-white">Notifications</h2>
+      </div>
+
+      {message.text && (
+        <div
+          className={`mb-4 px-4 py-3 rounded-lg ${
+            message.type === 'success'
+              ? 'bg-success-50 border border-success-200 text-success-700'
+              : 'bg-danger-50 border border-danger-200 text-danger-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div className="space-y-6">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">
+            Email delivery
+          </label>
+          <select
+            className="input bg-slate-900 text-slate-200 border border-slate-700"
+            value={preferences.emailDigest}
+            onChange={(e) =>
+              setPreferences({ ...preferences, emailDigest: e.target.value })
+            }
+          >
+            {Object.entries(EMAIL_DIGEST_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-slate-300 mb-2">Default settings</h3>
+          <EventTable events={preferences.events} onToggle={toggleGlobal} />
+        </div>
+
+        {projects.length > 0 && (
+          <div>
+            <h3 className="text-sm font-medium text-slate-300 mb-2">Per project</h3>
+            <div className="space-y-3">
+              {projects.map((project) => {
+                const mode = getProjectMode(project._id);
+                return (
+                  <div
+                    key={project._id}
+                    className="p-3 bg-slate-800/50 border border-slate-700 rounded-lg"
+                  >
+                    <div className="flex items-center justify-between gap-4">
+                      <span className="text-slate-200">{project.name}</span>
+                      <select
+                        className="bg-slate-900 text-slate-200 border border-slate-700 rounded-md text-sm px-2 py-1"
+                        value={mode}
+                        onChange={(e) => setProjectMode(project._id, e.target.value)}
+                      >
+                        <option value="default">Use defaults</option>
+                        <option value="custom">Custom</option>
+                        <option value="muted">Muted</option>
+                      </select>
+                    </div>
+                    {mode === 'custom' && (
+                      <div className="mt-3">
+                        <EventTable
+                          events={mergeEvents(
+                            preferences.events,
+                            getOverride(project._id).events
+                          )}
+                          onToggle={(event, channel, value) =>
+                            toggleProject(project._id, event, channel, value)
+                          }
+                        />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        <Button onClick={handleSave} loading={saving} disabled={saving}>
+          Save Preferences
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+export default NotificationSettings;
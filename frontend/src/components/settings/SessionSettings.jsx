@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { accountService } from '../../services/accountService';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import { MonitorSmartphone, LogOut } from 'lucide-react';
+import { formatDateTime, formatRelativeTime } from '../../utils/helpers';
+
+// Devices the account is logged in on, with a way to log them out
+const SessionSettings = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await accountService.listSessions();
+      setSessions(response.data);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (sessionId) => {
+    setRevoking(sessionId);
+    try {
+      await accountService.revokeSession(sessionId);
+      setSessions((prev) => prev.filter((session) => session._id !== sessionId));
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      alert(error.response?.data?.message || 'Failed to log out the device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!confirm('Log out every other device?')) return;
+
+    setRevoking('others');
+    try {
+      await accountService.revokeOtherSessions();
+      setSessions((prev) => prev.filter((session) => session.current));
+    } catch (error) {
+      console.error('Failed to revoke sessions:', error);
+      alert(error.response?.data?.message || 'Failed to log out other devices');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <MonitorSmartphone className="text-primary-400" size={24} />
+          <h2 className="text-xl font-semibold text-white">Sessions</h2>
+        </div>
+        {otherSessions.length > 0 && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleRevokeOthers}
+            loading={revoking === 'others'}
+            disabled={Boolean(revoking)}
+          >
+            <LogOut size={16} />
+            Log Out Other Devices
+          </Button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-slate-400">Loading sessions...</p>
+      ) : (
+        <div className="space-y-2">
+          {sessions.map((session) => (
+            <div
+              key={session._id}
+              className="flex items-center justify-between gap-4 p-3 rounded-lg bg-slate-800/40 border border-slate-700/50"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-slate-200">
+                  {session.device || 'Unknown device'}
+                  {session.current && (
+                    <span className="ml-2 text-xs text-success-400">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {session.ip} · Signed in {formatDateTime(session.createdAt)} · Last active{' '}
+                  {formatRelativeTime(session.lastUsedAt)}
+                </p>
+              </div>
+              {!session.current && (
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => handleRevoke(session._id)}
+                  loading={revoking === session._id}
+                  disabled={Boolean(revoking)}
+                >
+                  Log Out
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default SessionSettings;
@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { accountService } from '../../services/accountService';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck, Download } from 'lucide-react';
+import { downloadBlob } from '../../utils/helpers';
+
+// Secrets are easier to type in groups of four
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [working, setWorking] = useState(false);
+
+  const enabled = Boolean(user?.twoFactorEnabled);
+
+  const run = async (action) => {
+    setMessage({ type: '', text: '' });
+    setWorking(true);
+    try {
+      await action();
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.message || 'Something went wrong',
+      });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    run(async () => {
+      const response = await accountService.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+    });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await accountService.enableTwoFactor(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      updateUser({ twoFactorEnabled: true });
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await accountService.disableTwoFactor(password);
+      setPassword('');
+      updateUser({ twoFactorEnabled: false });
+      setMessage({ type: 'success', text: 'Two-factor authentication disabled' });
+    });
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob([`${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    downloadBlob(blob, 'recovery-codes.txt');
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center gap-3 mb-6">
+        <ShieldCheck className="text-primary-400" size={24} />
+        <h2 className="text-xl font-semibold text-white">Two-Factor Authentication</h2>
+        {enabled && <span className="text-xs text-success-400">On</span>}
+      </div>
+
+      {message.text && (
+        <div
+          className={`mb-4 px-4 py-3 rounded-lg ${
+            message.type === 'success'
+              ? 'bg-success-50 border border-success-200 text-success-700'
+              : 'bg-danger-50 border border-danger-200 text-danger-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {recoveryCodes ? (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-300">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+            authenticator app, and they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 p-4 rounded-lg bg-slate-900/60 font-mono text-sm text-slate-200">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={handleDownloadCodes}>
+              <Download size={16} />
+              Download
+            </Button>
+            <Button onClick={() => setRecoveryCodes(null)}>Done</Button>
+          </div>
+        </div>
+      ) : enabled ? (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <p className="text-sm text-slate-300">
+            Signing in asks for a code from your authenticator app. Enter your password to turn
+            this off.
+          </p>
+          <Input
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+          <Button type="submit" variant="danger" loading={working} disabled={working}>
+            Disable Two-Factor Authentication
+          </Button>
+        </form>
+      ) : setup ? (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-slate-300">
+            Scan this QR code with an authenticator app such as Google Authenticator or 1Password,
+            then enter the code it shows.
+          </p>
+          {/* White margin around the code so scanners find it on the dark theme */}
+          <div className="inline-block p-3 rounded-lg bg-white">
+            <QRCodeSVG value={setup.otpauthUrl} size={176} />
+          </div>
+          <div className="p-4 rounded-lg bg-slate-900/60">
+            <p className="text-xs text-slate-400 mb-1">Cannot scan it? Enter this key instead:</p>
+            <p className="font-mono text-lg tracking-wider text-white break-all">
+              {formatSecret(setup.secret)}
+            </p>
+            <a
+              href={setup.otpauthUrl}
+              className="inline-block mt-2 text-sm text-primary-400 hover:text-primary-300"
+            >
+              Open in authenticator app
+            </a>
+          </div>
+          <Input
+            label="Authentication Code"
+            placeholder="123456"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <div className="flex gap-2">
+            <Button type="submit" loading={working} disabled={working}>
+              Enable
+            </Button>
+            <Button type="button" variant="secondary" onClick={() => setSetup(null)}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-300">
+            Protect your account with a code from an authenticator app in addition to your
+            password.
+          </p>
+          <Button onClick={handleStartSetup} loading={working} disabled={working}>
+            Set Up Two-Factor Authentication
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
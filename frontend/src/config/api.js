@@ -36,6 +36,32 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh tokens are single use, so requests that fail together share one refresh
+let refreshPromise = null;
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  try {
+    const response = await axios.post(
+      `${API_BASE_URL}/api/v1/auth/refresh-token`,
+      { refreshToken },
+      { withCredentials: true }
+    );
+
+    const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    return accessToken;
+  } catch (error) {
+    // Another tab rotated the token first and already stored the new pair
+    if (localStorage.getItem('refreshToken') !== refreshToken) {
+      return localStorage.getItem('accessToken');
+    }
+    throw error;
+  }
+};
+
 // Response interceptor to handle token refresh
 api.interceptors.response.use(
   (response) => response,
@@ -46,15 +72,10 @@ api.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        const response = await axios.post(
-          `${API_BASE_URL}/api/v1/auth/refresh-token`,
-          { refreshToken },
-          { withCredentials: true }
-        );
-
-        const { accessToken } = response.data.data;
-        localStorage.setItem('accessToken', accessToken);
+        refreshPromise ??= refreshTokens().finally(() => {
+          refreshPromise = null;
+        });
+        const accessToken = await refreshPromise;
 
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         return api(originalRequest);
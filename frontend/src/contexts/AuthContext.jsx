@@ -37,16 +37,25 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  const startSession = ({ user: userData, accessToken, refreshToken }) => {
+    localStorage.setItem('user', JSON.stringify(userData));
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+
+    setUser(userData);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await api.post('/api/v1/auth/login', { email, password });
-      const { user: userData, accessToken, refreshToken } = response.data.data;
-      
-      localStorage.setItem('user', JSON.stringify(userData));
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
-      
-      setUser(userData);
+      const { twoFactorRequired, twoFactorToken } = response.data.data;
+
+      // The password was right; verifyTwoFactor finishes the login
+      if (twoFactorRequired) {
+        return { success: false, twoFactorRequired, twoFactorToken };
+      }
+
+      startSession(response.data.data);
       return { success: true };
     } catch (error) {
       return { 
@@ -56,6 +65,26 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (twoFactorToken, code) => {
+    try {
+      const response = await api.post('/api/v1/auth/login/2fa', { twoFactorToken, code });
+      startSession(response.data.data);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Verification failed',
+      };
+    }
+  };
+
+  // Keep the stored user in step with account changes such as 2FA
+  const updateUser = (changes) => {
+    const updated = { ...user, ...changes };
+    localStorage.setItem('user', JSON.stringify(updated));
+    setUser(updated);
+  };
+
   const register = async (userData) => {
     try {
       const response = await api.post('/api/v1/auth/register', userData);
@@ -130,6 +159,8 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    verifyTwoFactor,
+    updateUser,
     register,
     logout,
     changePassword,
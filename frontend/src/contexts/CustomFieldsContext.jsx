@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { CustomFieldsContext } from '../hooks/useCustomFields';
+import { customFieldService } from '../services/customFieldService';
+import { projectService } from '../services/projectService';
+
+// Loads the project's custom fields, and the members that user fields pick from
+export const CustomFieldsProvider = ({ projectId, children }) => {
+  const [fields, setFields] = useState([]);
+  const [members, setMembers] = useState([]);
+
+  const fetchFields = useCallback(async () => {
+    try {
+      const response = await customFieldService.list(projectId);
+      setFields(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch custom fields:', error);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchFields();
+    projectService
+      .getProjectMembers(projectId)
+      .then((response) => setMembers((response.data || []).map((member) => member.user)))
+      .catch((error) => console.error('Failed to fetch project members:', error));
+  }, [projectId, fetchFields]);
+
+  const value = {
+    fields,
+    members,
+    // Fields without issue types apply to every type
+    getFieldsForType: (type) =>
+      fields.filter((field) => field.issueTypes.length === 0 || field.issueTypes.includes(type)),
+    getMemberName: (userId) =>
+      members.find((member) => member?._id === userId)?.username || 'Former member',
+    refresh: fetchFields,
+  };
+
+  return <CustomFieldsContext.Provider value={value}>{children}</CustomFieldsContext.Provider>;
+};
+
+CustomFieldsProvider.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  children: PropTypes.node,
+};
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { WorkflowContext } from '../hooks/useWorkflow';
+import { workflowService } from '../services/workflowService';
+import { STATUS_CATEGORIES } from '../utils/constants';
+
+// Loads the project's workflow once for every tab of the project page
+export const WorkflowProvider = ({ projectId, children }) => {
+  const [workflow, setWorkflow] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchWorkflow = useCallback(async () => {
+    try {
+      const response = await workflowService.get(projectId);
+      setWorkflow(response.data);
+    } catch (error) {
+      console.error('Failed to fetch workflow:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchWorkflow();
+  }, [fetchWorkflow]);
+
+  const statuses = workflow?.statuses || [];
+
+  const getStatus = (key) => statuses.find((status) => status.key === key);
+
+  const value = {
+    workflow,
+    statuses,
+    initialStatus: workflow?.initialStatus,
+    getStatus,
+    getStatusName: (key) => getStatus(key)?.name || key,
+    // Status categories double as badge variants (todo, in_progress, done)
+    getStatusCategory: (key) => getStatus(key)?.category || STATUS_CATEGORIES.TODO,
+    isDone: (key) => getStatus(key)?.category === STATUS_CATEGORIES.DONE,
+    getTransitions: (from) =>
+      (workflow?.transitions || []).filter((transition) => transition.from === from),
+    refresh: fetchWorkflow,
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return <WorkflowContext.Provider value={value}>{children}</WorkflowContext.Provider>;
+};
+
+WorkflowProvider.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  children: PropTypes.node,
+};
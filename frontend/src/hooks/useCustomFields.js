@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Filled in by CustomFieldsProvider (contexts/CustomFieldsContext.jsx)
+export const CustomFieldsContext = createContext(null);
+
+export const useCustomFields = () => {
+  const context = useContext(CustomFieldsContext);
+  if (!context) {
+    throw new Error('useCustomFields must be used within CustomFieldsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Filled in by WorkflowProvider (contexts/WorkflowContext.jsx)
+export const WorkflowContext = createContext(null);
+
+export const useWorkflow = () => {
+  const context = useContext(WorkflowContext);
+  if (!context) {
+    throw new Error('useWorkflow must be used within WorkflowProvider');
+  }
+  return context;
+};
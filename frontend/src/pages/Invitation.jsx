@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { projectService } from '../services/projectService';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Badge from '../components/common/Badge';
+import { MailOpen } from 'lucide-react';
+import { ROLE_LABELS } from '../utils/constants';
+import { formatDate } from '../utils/helpers';
+
+// Landing page of the link in an invitation email
+const Invitation = () => {
+  const { invitationToken } = useParams();
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+
+  const fetchInvitation = useCallback(async () => {
+    try {
+      const response = await projectService.getInvitation(invitationToken);
+      setInvitation(response.data);
+    } catch (error) {
+      console.error('Failed to fetch invitation:', error);
+      setError(error.response?.data?.message || 'Failed to load the invitation');
+    } finally {
+      setLoading(false);
+    }
+  }, [invitationToken]);
+
+  useEffect(() => {
+    fetchInvitation();
+  }, [fetchInvitation]);
+
+  const handleAccept = async () => {
+    setResponding(true);
+    try {
+      await projectService.acceptInvitation(invitationToken);
+      navigate(`/projects/${invitation.project._id}`);
+    } catch (error) {
+      console.error('Failed to accept invitation:', error);
+      alert(error.response?.data?.message || 'Failed to accept invitation');
+      setResponding(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    if (!confirm(`Decline the invitation to ${invitation.project.name}?`)) return;
+
+    setResponding(true);
+    try {
+      await projectService.declineInvitation(invitationToken);
+      navigate('/projects');
+    } catch (error) {
+      console.error('Failed to decline invitation:', error);
+      alert(error.response?.data?.message || 'Failed to decline invitation');
+      setResponding(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <div className="flex items-center justify-center h-screen">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="max-w-xl mx-auto px-4 py-12">
+        <Card>
+          <div className="flex items-center gap-3 mb-6">
+            <MailOpen className="text-primary-400" size={24} />
+            <h1 className="text-xl font-semibold text-white">Project Invitation</h1>
+          </div>
+
+          {error ? (
+            <div className="space-y-4">
+              <p className="text-slate-300">{error}</p>
+              <Button variant="secondary" onClick={() => navigate('/projects')}>
+                Go to projects
+              </Button>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-slate-300">
+                {invitation.invitedBy?.fullName || invitation.invitedBy?.username || 'Someone'}{' '}
+                invited you to join{' '}
+                <span className="font-semibold text-white">{invitation.project.name}</span> as{' '}
+                <Badge variant={invitation.role}>{ROLE_LABELS[invitation.role]}</Badge>
+              </p>
+              {invitation.project.description && (
+                <p className="text-sm text-slate-400">{invitation.project.description}</p>
+              )}
+              <p className="text-xs text-slate-500">
+                Sent to {invitation.email} · Expires {formatDate(invitation.expiresAt)}
+              </p>
+
+              {invitation.isInvitee ? (
+                <div className="flex gap-3 justify-end">
+                  <Button variant="secondary" onClick={handleDecline} disabled={responding}>
+                    Decline
+                  </Button>
+                  <Button onClick={handleAccept} loading={responding} disabled={responding}>
+                    Accept and join
+                  </Button>
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  <p className="text-sm text-warning-400">
+                    You are signed in as {user?.email}. Sign in as {invitation.email} to respond
+                    to this invitation.
+                  </p>
+                  {/* Signing out leads to the login page, which comes back here */}
+                  <div className="flex justify-end">
+                    <Button variant="outline" onClick={logout}>
+                      Switch account
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+      </div>
+    </Layout>
+  );
+};
+
+export default Invitation;
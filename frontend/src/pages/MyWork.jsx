@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { meService } from '../services/meService';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Badge from '../components/common/Badge';
+import Button from '../components/common/Button';
+import {
+  AlertTriangle,
+  CalendarDays,
+  Clock,
+  Inbox,
+  Eye,
+  MessageSquare,
+  Download,
+} from 'lucide-react';
+import { formatDate, formatRelativeTime, downloadBlob } from '../utils/helpers';
+import { ISSUE_PRIORITY_LABELS, STATUS_LABELS } from '../utils/constants';
+
+const BUCKETS = [
+  { id: 'overdue', label: 'Overdue', icon: AlertTriangle, color: 'text-danger-400' },
+  { id: 'today', label: 'Due Today', icon: Clock, color: 'text-warning-400' },
+  { id: 'thisWeek', label: 'This Week', icon: CalendarDays, color: 'text-primary-400' },
+  { id: 'later', label: 'Later', icon: Inbox, color: 'text-slate-400' },
+];
+
+const itemLink = (item) =>
+  item.kind === 'issue'
+    ? `/projects/${item.project._id}?tab=issues&issue=${item._id}`
+    : `/projects/${item.project._id}?tab=tasks`;
+
+const WorkItem = ({ item }) => (
+  <Link
+    to={itemLink(item)}
+    className="flex items-center gap-3 p-3 rounded-lg bg-slate-800/40 hover:bg-slate-700/50 transition-colors"
+  >
+    <span className="text-xs font-mono text-slate-500 w-20 shrink-0 truncate">
+      {item.kind === 'issue' ? item.key : 'Task'}
+    </span>
+    <div className="flex-1 min-w-0">
+      <p className="text-sm text-slate-100 truncate">{item.title}</p>
+      <p className="text-xs text-slate-500 truncate">{item.project.name}</p>
+    </div>
+    {item.priority && (
+      <span className="text-xs text-slate-400">{ISSUE_PRIORITY_LABELS[item.priority]}</span>
+    )}
+    <Badge variant={item.statusCategory || 'todo'}>
+      {item.statusName || STATUS_LABELS[item.status] || item.status}
+    </Badge>
+    {item.dueDate && (
+      <span className="text-xs text-slate-400 w-24 text-right">{formatDate(item.dueDate)}</span>
+    )}
+  </Link>
+);
+
+WorkItem.propTypes = {
+  item: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    kind: PropTypes.oneOf(['issue', 'task']).isRequired,
+    key: PropTypes.string,
+    title: PropTypes.string.isRequired,
+    project: PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    }).isRequired,
+    priority: PropTypes.string,
+    status: PropTypes.string,
+    statusName: PropTypes.string,
+    statusCategory: PropTypes.string,
+    dueDate: PropTypes.string,
+  }).isRequired,
+};
+
+// Cross-project dashboard of the current user's assigned and watched work
+const MyWork = () => {
+  const [work, setWork] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchWork();
+  }, []);
+
+  const fetchWork = async () => {
+    try {
+      const response = await meService.getWork();
+      setWork(response.data);
+    } catch (error) {
+      console.error('Failed to fetch work:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The server defaults the personal timesheet to the last seven days
+  const handleExportTimesheet = async () => {
+    try {
+      const blob = await meService.exportTimesheet();
+      downloadBlob(blob, 'my-timesheet.csv');
+    } catch (error) {
+      console.error('Failed to export timesheet:', error);
+      alert('Failed to export timesheet');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <div className="flex items-center justify-center h-screen">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!work) {
+    return (
+      <Layout>
+        <div className="max-w-7xl mx-auto px-4 py-8">
+          <p className="text-slate-400">Failed to load your work. Please try again.</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-white">My Work</h1>
+            <p className="text-slate-300 mt-1">
+              Everything assigned to you across {work.projects.length}{' '}
+              {work.projects.length === 1 ? 'project' : 'projects'}
+            </p>
+          </div>
+          <Button variant="outline" size="sm" onClick={handleExportTimesheet}>
+            <Download size={16} />
+            My timesheet (7 days)
+          </Button>
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+          {BUCKETS.map((bucket) => (
+            <Card key={bucket.id}>
+              <div className="flex items-center gap-3">
+                <bucket.icon size={20} className={bucket.color} />
+                <div>
+                  <p className="text-2xl font-bold text-white">{work.counts[bucket.id]}</p>
+                  <p className="text-sm text-slate-400">{bucket.label}</p>
+                </div>
+              </div>
+            </Card>
+          ))}
+          <Card>
+            <div className="flex items-center gap-3">
+              <MessageSquare size={20} className="text-secondary-400" />
+              <div>
+                <p className="text-2xl font-bold text-white">{work.totalUnreadChat}</p>
+                <p className="text-sm text-slate-400">Unread Messages</p>
+              </div>
+            </div>
+          </Card>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Assigned Work */}
+          <div className="lg:col-span-2 space-y-6">
+            {BUCKETS.map((bucket) => (
+              <Card key={bucket.id}>
+                <h2 className="flex items-center gap-2 text-lg font-semibold text-white mb-4">
+                  <bucket.icon size={18} className={bucket.color} />
+                  {bucket.label}
+                  <span className="text-sm font-normal text-slate-500">
+                    ({work.assigned[bucket.id].length})
+                  </span>
+                </h2>
+                {work.assigned[bucket.id].length === 0 ? (
+                  <p className="text-sm text-slate-500">Nothing here.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {work.assigned[bucket.id].map((item) => (
+                      <WorkItem key={`${item.kind}-${item._id}`} item={item} />
+                    ))}
+                  </div>
+                )}
+              </Card>
+            ))}
+          </div>
+
+          <div className="space-y-6">
+            {/* Watched Activity */}
+            <Card>
+              <h2 className="flex items-center gap-2 text-lg font-semibold text-white mb-4">
+                <Eye size={18} className="text-primary-400" />
+                Watched Issues
+              </h2>
+              {work.watched.length === 0 ? (
+                <p className="text-sm text-slate-500">No recent activity on issues you watch.</p>
+              ) : (
+                <div className="space-y-3">
+                  {work.watched.map((issue) => (
+                    <Link
+                      key={issue._id}
+                      to={`/projects/${issue.project._id}?tab=issues&issue=${issue._id}`}
+                      className="block p-3 rounded-lg bg-slate-800/40 hover:bg-slate-700/50 transition-colors"
+                    >
+                      <div className="flex items-center gap-2 mb-1">
+                        <span className="text-xs font-mono text-slate-500">{issue.key}</span>
+                        <span className="text-sm text-slate-100 truncate">{issue.title}</span>
+                      </div>
+                      <p className="text-xs text-slate-400">
+                        {issue.recentActivity.latest.actor?.username || 'Someone'}{' '}
+                        {issue.recentActivity.latest.action.replace(/_/g, ' ')}{' '}
+                        {formatRelativeTime(issue.recentActivity.latest.createdAt)}
+                        {issue.recentActivity.count > 1 &&
+                          ` · ${issue.recentActivity.count - 1} more`}
+                      </p>
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </Card>
+
+            {/* Unread Chat */}
+            <Card>
+              <h2 className="flex items-center gap-2 text-lg font-semibold text-white mb-4">
+                <MessageSquare size={18} className="text-secondary-400" />
+                Unread Chat
+              </h2>
+              {work.unreadChat.length === 0 ? (
+                <p className="text-sm text-slate-500">You are all caught up.</p>
+              ) : (
+                <div className="space-y-2">
+                  {work.unreadChat.map((group) => (
+                    <Link
+                      key={group.project._id}
+                      to={`/projects/${group.project._id}?tab=chat`}
+                      className="flex items-center justify-between p-3 rounded-lg bg-slate-800/40 hover:bg-slate-700/50 transition-colors"
+                    >
+                      <span className="text-sm text-slate-100 truncate">{group.project.name}</span>
+                      <span className="px-2 py-0.5 rounded-full bg-secondary-600 text-white text-xs font-semibold">
+                        {group.count}
+                      </span>
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </Card>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default MyWork;
@@ -1,12 +1,12 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { projectService } from '../services/projectService';
 import { taskService } from '../services/taskService';
 import { noteService } from '../services/noteService';
 import Layout from '../components/layout/Layout';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
-import { Settings, ArrowLeft } from 'lucide-react';
+import { Settings, ArrowLeft, Archive } from 'lucide-react';
 import TasksTab from '../components/project/TasksTab';
 import NotesTab from '../components/project/NotesTab';
 import MembersTab from '../components/project/MembersTab';
@@ -14,18 +14,43 @@ import OverviewTab from '../components/project/OverviewTab';
 import IssuesTab from '../components/project/IssuesTab';
 import IssueBoard from '../components/project/IssueBoard';
 import ChatTab from '../components/project/ChatTab';
+import ReportsTab from '../components/project/ReportsTab';
+import WorkflowSettings from '../components/project/WorkflowSettings';
+import CustomFieldSettings from '../components/project/CustomFieldSettings';
+import TrashSettings from '../components/project/TrashSettings';
+import BackupSettings from '../components/project/BackupSettings';
+import Modal from '../components/common/Modal';
+import { WorkflowProvider } from '../contexts/WorkflowContext';
+import { CustomFieldsProvider } from '../contexts/CustomFieldsContext';
+import { formatDate } from '../utils/helpers';
+
+const SETTINGS_TABS = [
+  { id: 'workflow', label: 'Workflow' },
+  { id: 'fields', label: 'Custom Fields' },
+  { id: 'trash', label: 'Trash' },
+  { id: 'backup', label: 'Backup' },
+];
 
 const ProjectDetail = () => {
   const { projectId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [project, setProject] = useState(null);
-  const [activeTab, setActiveTab] = useState('overview');
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'overview');
   const [loading, setLoading] = useState(true);
+  const [showSettings, setShowSettings] = useState(false);
+  const [settingsTab, setSettingsTab] = useState('workflow');
+  const [unarchiving, setUnarchiving] = useState(false);
 
   useEffect(() => {
     fetchProject();
   }, [projectId]);
 
+  useEffect(() => {
+    const tab = searchParams.get('tab');
+    if (tab) setActiveTab(tab);
+  }, [searchParams]);
+
   const fetchProject = async () => {
     try {
       const response = await projectService.getProjectById(projectId);
@@ -37,6 +62,19 @@ const ProjectDetail = () => {
     }
   };
 
+  const handleUnarchive = async () => {
+    setUnarchiving(true);
+    try {
+      const response = await projectService.unarchiveProject(projectId);
+      setProject(response.data);
+    } catch (error) {
+      console.error('Failed to unarchive project:', error);
+      alert(error.response?.data?.message || 'Failed to unarchive project');
+    } finally {
+      setUnarchiving(false);
+    }
+  };
+
   if (loading) {
     return (
       <Layout>
@@ -67,6 +105,7 @@ const ProjectDetail = () => {
     { id: 'tasks', label: 'Tasks' },
     { id: 'issues', label: 'Issues' },
     { id: 'board', label: 'Board' },
+    { id: 'reports', label: 'Reports' },
     { id: 'chat', label: 'Chat' },
     { id: 'notes', label: 'Notes' },
     { id: 'members', label: 'Members' },
@@ -92,13 +131,26 @@ const ProjectDetail = () => {
               <h1 className="text-3xl font-bold text-white">{project.name}</h1>
               <p className="text-slate-300 mt-1">{project.description}</p>
             </div>
-            <Button variant="outline">
+            <Button variant="outline" onClick={() => setShowSettings(true)}>
               <Settings size={20} />
               Settings
             </Button>
           </div>
         </div>
 
+        {project.archivedAt && (
+          <div className="flex items-center justify-between gap-4 mb-6 p-3 rounded-lg border border-warning-500/40 bg-warning-500/10">
+            <div className="flex items-center gap-2 text-sm text-warning-300">
+              <Archive size={16} />
+              Archived on {formatDate(project.archivedAt)}. The project is read-only until it is
+              unarchived.
+            </div>
+            <Button size="sm" variant="outline" onClick={handleUnarchive} loading={unarchiving}>
+              Unarchive
+            </Button>
+          </div>
+        )}
+
         {/* Tabs */}
         <div className="border-b border-slate-700/50 mb-6">
           <nav className="flex gap-8">
@@ -119,15 +171,55 @@ const ProjectDetail = () => {
         </div>
 
         {/* Tab Content */}
-        <div>
-          {activeTab === 'overview' && <OverviewTab project={project} projectId={projectId} />}
-          {activeTab === 'tasks' && <TasksTab projectId={projectId} />}
-          {activeTab === 'issues' && <IssuesTab projectId={projectId} />}
-          {activeTab === 'board' && <IssueBoard projectId={projectId} />}
-          {activeTab === 'chat' && <ChatTab projectId={projectId} />}
-          {activeTab === 'notes' && <NotesTab projectId={projectId} />}
-          {activeTab === 'members' && <MembersTab projectId={projectId} />}
-        </div>
+        <WorkflowProvider projectId={projectId}>
+          <CustomFieldsProvider projectId={projectId}>
+            <div>
+              {activeTab === 'overview' && <OverviewTab project={project} projectId={projectId} />}
+              {activeTab === 'tasks' && <TasksTab projectId={projectId} />}
+              {activeTab === 'issues' && (
+                <IssuesTab
+                  projectId={projectId}
+                  initialIssueId={searchParams.get('issue')}
+                  initialFilterId={searchParams.get('filter')}
+                />
+              )}
+              {activeTab === 'board' && <IssueBoard projectId={projectId} />}
+              {activeTab === 'reports' && <ReportsTab projectId={projectId} />}
+              {activeTab === 'chat' && <ChatTab projectId={projectId} />}
+              {activeTab === 'notes' && <NotesTab projectId={projectId} />}
+              {activeTab === 'members' && <MembersTab projectId={projectId} />}
+            </div>
+
+            <Modal
+              isOpen={showSettings}
+              onClose={() => setShowSettings(false)}
+              title="Project Settings"
+              size="xl"
+            >
+              <div className="flex gap-6 border-b border-slate-700/50 mb-4">
+                {SETTINGS_TABS.map((tab) => (
+                  <button
+                    key={tab.id}
+                    onClick={() => setSettingsTab(tab.id)}
+                    className={`pb-2 text-sm font-medium transition-colors ${
+                      settingsTab === tab.id
+                        ? 'border-b-2 border-primary-400 text-primary-400'
+                        : 'text-slate-400 hover:text-white'
+                    }`}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+              {settingsTab === 'workflow' && (
+                <WorkflowSettings projectId={projectId} onClose={() => setShowSettings(false)} />
+              )}
+              {settingsTab === 'fields' && <CustomFieldSettings projectId={projectId} />}
+              {settingsTab === 'trash' && <TrashSettings projectId={projectId} />}
+              {settingsTab === 'backup' && <BackupSettings project={project} />}
+            </Modal>
+          </CustomFieldsProvider>
+        </WorkflowProvider>
       </div>
     </Layout>
   );
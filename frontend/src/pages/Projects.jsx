@@ -7,19 +7,36 @@ import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
 import Input from '../components/common/Input';
-import { Plus, FolderKanban, Users, Calendar, MoreVertical, Trash2 } from 'lucide-react';
-import { formatDate } from '../utils/helpers';
+import {
+  Plus,
+  FolderKanban,
+  Users,
+  Calendar,
+  MoreVertical,
+  Trash2,
+  Upload,
+  Download,
+  Archive,
+  ArchiveRestore,
+  ChevronDown,
+  ChevronRight,
+} from 'lucide-react';
+import { formatDate, downloadBlob } from '../utils/helpers';
 
 const Projects = () => {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
-  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [formData, setFormData] = useState({ name: '', key: '', description: '' });
   const [creating, setCreating] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [projectToDelete, setProjectToDelete] = useState(null);
   const [deleting, setDeleting] = useState(false);
   const [openDropdown, setOpenDropdown] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [downloadingBackup, setDownloadingBackup] = useState(false);
+  const restoreInputRef = useRef(null);
   const dropdownRef = useRef(null);
   const { user } = useAuth();
 
@@ -41,7 +58,7 @@ const Projects = () => {
 
   const fetchProjects = async () => {
     try {
-      const response = await projectService.getProjects();
+      const response = await projectService.getProjects({ includeArchived: true });
       setProjects(response.data);
     } catch (error) {
       console.error('Failed to fetch projects:', error);
@@ -57,7 +74,7 @@ const Projects = () => {
     try {
       await projectService.createProject(formData);
       setShowCreateModal(false);
-      setFormData({ name: '', description: '' });
+      setFormData({ name: '', key: '', description: '' });
       fetchProjects();
     } catch (error) {
       console.error('Failed to create project:', error);
@@ -92,12 +109,85 @@ const Projects = () => {
     }
   };
 
+  const handleArchive = async (e, item) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setOpenDropdown(null);
+
+    if (!confirm(`Archive "${item.project.name}"? It becomes read-only until it is unarchived.`)) {
+      return;
+    }
+
+    try {
+      await projectService.archiveProject(item.project._id);
+      fetchProjects();
+    } catch (error) {
+      console.error('Failed to archive project:', error);
+      alert(error.response?.data?.message || 'Failed to archive project');
+    }
+  };
+
+  const handleUnarchive = async (item) => {
+    try {
+      await projectService.unarchiveProject(item.project._id);
+      fetchProjects();
+    } catch (error) {
+      console.error('Failed to unarchive project:', error);
+      alert(error.response?.data?.message || 'Failed to unarchive project');
+    }
+  };
+
+  const handleDownloadBackup = async () => {
+    const { project } = projectToDelete;
+
+    setDownloadingBackup(true);
+    try {
+      const blob = await projectService.downloadBackup(project._id);
+      downloadBlob(blob, `${project.key || 'project'}-backup.json.gz`);
+    } catch (error) {
+      console.error('Failed to download backup:', error);
+      alert('Failed to download backup');
+    } finally {
+      setDownloadingBackup(false);
+    }
+  };
+
+  const handleRestore = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setRestoring(true);
+    try {
+      const response = await projectService.restoreBackup(file);
+      const { project, unmatchedUsers, skippedFiles } = response.data;
+      fetchProjects();
+      const notes = [
+        unmatchedUsers.length > 0 &&
+          `Not restored as members (no account here): ${unmatchedUsers
+            .map((user) => user.email)
+            .join(', ')}`,
+        skippedFiles.length > 0 &&
+          `Files skipped because they are not images: ${skippedFiles.join(', ')}`,
+      ].filter(Boolean);
+      alert([`Restored "${project.name}".`, ...notes].join(' '));
+    } catch (error) {
+      console.error('Failed to restore project:', error);
+      alert(error.response?.data?.message || 'Failed to restore project');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
   const toggleDropdown = (e, projectId) => {
     e.preventDefault();
     e.stopPropagation();
     setOpenDropdown(openDropdown === projectId ? null : projectId);
   };
 
+  const activeProjects = projects.filter((item) => !item.project?.archivedAt);
+  const archivedProjects = projects.filter((item) => item.project?.archivedAt);
+
   if (loading) {
     return (
       <Layout>
@@ -119,14 +209,32 @@ const Projects = () => {
               Manage and collaborate on your projects
             </p>
           </div>
-          <Button onClick={() => setShowCreateModal(true)}>
-            <Plus size={20} />
-            New Project
-          </Button>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              onClick={() => restoreInputRef.current?.click()}
+              loading={restoring}
+              disabled={restoring}
+            >
+              <Upload size={20} />
+              Restore Backup
+            </Button>
+            <input
+              ref={restoreInputRef}
+              type="file"
+              accept=".gz,application/gzip"
+              className="hidden"
+              onChange={handleRestore}
+            />
+            <Button onClick={() => setShowCreateModal(true)}>
+              <Plus size={20} />
+              New Project
+            </Button>
+          </div>
         </div>
 
         {/* Projects Grid */}
-        {projects.length === 0 ? (
+        {activeProjects.length === 0 ? (
           <div className="text-center py-12">
             <FolderKanban className="mx-auto text-slate-600 mb-4" size={64} />
             <h3 className="text-xl font-semibold text-white mb-2">
@@ -142,7 +250,7 @@ const Projects = () => {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {projects.map((item) => (
+            {activeProjects.map((item) => (
               <div key={item.project?._id} className="relative">
                 <Link
                   to={`/projects/${item.project?._id}`}
@@ -153,6 +261,11 @@ const Projects = () => {
                       <div className="flex-1">
                         <h3 className="text-lg font-semibold text-white mb-1 group-hover:text-primary-400 transition-colors">
                           {item.project?.name}
+                          {item.project?.key && (
+                            <span className="ml-2 text-xs font-mono text-slate-400">
+                              {item.project.key}
+                            </span>
+                          )}
                         </h3>
                         <p className="text-sm text-slate-400 line-clamp-2">
                           {item.project?.description || 'No description'}
@@ -172,6 +285,13 @@ const Projects = () => {
                           {/* Dropdown menu */}
                           {openDropdown === item.project._id && (
                             <div className="absolute right-0 top-8 w-48 bg-slate-800 rounded-lg shadow-xl border border-slate-700 z-10 overflow-hidden">
+                              <button
+                                onClick={(e) => handleArchive(e, item)}
+                                className="w-full flex items-center gap-2 px-4 py-2.5 text-left text-slate-300 hover:bg-slate-700 transition-colors"
+                              >
+                                <Archive size={16} />
+                                <span>Archive Project</span>
+                              </button>
                               <button
                                 onClick={(e) => handleDeleteClick(e, item)}
                                 className="w-full flex items-center gap-2 px-4 py-2.5 text-left text-red-400 hover:bg-slate-700 transition-colors"
@@ -208,6 +328,61 @@ const Projects = () => {
           </div>
         )}
 
+        {/* Archived Projects */}
+        {archivedProjects.length > 0 && (
+          <div className="mt-10">
+            <button
+              onClick={() => setShowArchived(!showArchived)}
+              className="flex items-center gap-2 text-slate-300 hover:text-white transition-colors"
+            >
+              {showArchived ? <ChevronDown size={18} /> : <ChevronRight size={18} />}
+              <Archive size={18} />
+              <span className="font-semibold">Archived ({archivedProjects.length})</span>
+            </button>
+
+            {showArchived && (
+              <div className="mt-4 space-y-2">
+                {archivedProjects.map((item) => (
+                  <div
+                    key={item.project._id}
+                    className="flex items-center justify-between gap-4 p-3 rounded-lg bg-slate-800/40 border border-slate-700/50"
+                  >
+                    <Link
+                      to={`/projects/${item.project._id}`}
+                      className="flex-1 min-w-0 text-slate-300 hover:text-primary-400 transition-colors"
+                    >
+                      <span className="font-medium">{item.project.name}</span>
+                      {item.project.key && (
+                        <span className="ml-2 text-xs font-mono text-slate-500">
+                          {item.project.key}
+                        </span>
+                      )}
+                      <span className="ml-3 text-xs text-slate-500">
+                        Archived {formatDate(item.project.archivedAt)}
+                      </span>
+                    </Link>
+                    {item.role === 'admin' && (
+                      <div className="flex gap-2">
+                        <Button size="sm" variant="outline" onClick={() => handleUnarchive(item)}>
+                          <ArchiveRestore size={16} />
+                          Unarchive
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="danger"
+                          onClick={(e) => handleDeleteClick(e, item)}
+                        >
+                          <Trash2 size={16} />
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Create Project Modal */}
         <Modal
           isOpen={showCreateModal}
@@ -223,6 +398,22 @@ const Projects = () => {
               required
             />
 
+            <div>
+              <Input
+                label="Project Key"
+                placeholder="e.g. WEB"
+                value={formData.key}
+                onChange={(e) =>
+                  setFormData({ ...formData, key: e.target.value.toUpperCase() })
+                }
+                pattern="[A-Z][A-Z0-9]{1,9}"
+                maxLength={10}
+              />
+              <p className="mt-1 text-xs text-slate-400">
+                Prefix for issue keys like WEB-42. Leave empty to generate one from the name.
+              </p>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-slate-300 mb-1">
                 Description
@@ -281,6 +472,16 @@ const Projects = () => {
             </p>
 
             <div className="flex gap-3 justify-end">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleDownloadBackup}
+                loading={downloadingBackup}
+                disabled={deleting || downloadingBackup}
+              >
+                <Download size={16} />
+                Download Backup
+              </Button>
               <Button
                 type="button"
                 variant="secondary"
@@ -4,6 +4,10 @@ import Layout from '../components/layout/Layout';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
+import NotificationSettings from '../components/settings/NotificationSettings';
+import SessionSettings from '../components/settings/SessionSettings';
+import TwoFactorSettings from '../components/settings/TwoFactorSettings';
+import ApiTokenSettings from '../components/settings/ApiTokenSettings';
 import { Lock, User } from 'lucide-react';
 
 const Settings = () => {
@@ -132,6 +136,18 @@ const Settings = () => {
               </Button>
             </form>
           </Card>
+
+          {/* Two-Factor Authentication */}
+          <TwoFactorSettings />
+
+          {/* Logged-in Devices */}
+          <SessionSettings />
+
+          {/* Personal API Tokens */}
+          <ApiTokenSettings />
+
+          {/* Notification Preferences */}
+          <NotificationSettings />
         </div>
       </div>
     </Layout>
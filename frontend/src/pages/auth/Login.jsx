@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
@@ -10,8 +10,12 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const redirectTo = location.state?.from?.pathname || '/projects';
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -21,7 +25,9 @@ const Login = () => {
     const result = await login(email, password);
     
     if (result.success) {
-      navigate('/projects');
+      navigate(redirectTo);
+    } else if (result.twoFactorRequired) {
+      setTwoFactorToken(result.twoFactorToken);
     } else {
       setError(result.error);
     }
@@ -29,6 +35,29 @@ const Login = () => {
     setLoading(false);
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await verifyTwoFactor(twoFactorToken, code);
+
+    if (result.success) {
+      navigate(redirectTo);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  const handleStartOver = () => {
+    setTwoFactorToken(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full">
@@ -39,7 +68,9 @@ const Login = () => {
               <FolderKanban className="text-primary-600" size={48} />
             </div>
             <h2 className="text-3xl font-bold text-neutral-900">Project Camp</h2>
-            <p className="mt-2 text-neutral-600">Sign in to your account</p>
+            <p className="mt-2 text-neutral-600">
+              {twoFactorToken ? 'Two-factor authentication' : 'Sign in to your account'}
+            </p>
           </div>
 
           {/* Error Message */}
@@ -49,46 +80,75 @@ const Login = () => {
             </div>
           )}
 
-          {/* Login Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <Input
-              label="Email"
-              type="email"
-              placeholder="your@email.com"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-            />
-
-            <Input
-              label="Password"
-              type="password"
-              placeholder="••••••••"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-            />
-
-            <div className="flex items-center justify-between">
-              <div className="text-sm">
-                <Link
-                  to="/forgot-password"
-                  className="text-primary-600 hover:text-primary-700 font-medium"
-                >
-                  Forgot password?
-                </Link>
+          {/* Second Step: authenticator or recovery code */}
+          {twoFactorToken ? (
+            <form onSubmit={handleVerify} className="space-y-6">
+              <Input
+                label="Authentication Code"
+                placeholder="123456"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoFocus
+                required
+              />
+              <p className="text-sm text-neutral-600">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+
+              <Button type="submit" className="w-full" loading={loading} disabled={loading}>
+                Verify
+              </Button>
+
+              <button
+                type="button"
+                onClick={handleStartOver}
+                className="w-full text-sm text-primary-600 hover:text-primary-700 font-medium"
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <Input
+                label="Email"
+                type="email"
+                placeholder="your@email.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+
+              <Input
+                label="Password"
+                type="password"
+                placeholder="••••••••"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+
+              <div className="flex items-center justify-between">
+                <div className="text-sm">
+                  <Link
+                    to="/forgot-password"
+                    className="text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
               </div>
-            </div>
 
-            <Button
-              type="submit"
-              className="w-full"
-              loading={loading}
-              disabled={loading}
-            >
-              Sign In
-            </Button>
-          </form>
+              <Button
+                type="submit"
+                className="w-full"
+                loading={loading}
+                disabled={loading}
+              >
+                Sign In
+              </Button>
+            </form>
+          )}
 
           {/* Register Link */}
           <div className="mt-6 text-center">
@@ -96,6 +156,7 @@ const Login = () => {
               Don&apos;t have an account?{' '}
               <Link
                 to="/register"
+                state={location.state}
                 className="text-primary-600 hover:text-primary-700 font-medium"
               >
                 Sign up
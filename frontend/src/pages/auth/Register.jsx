@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
@@ -17,6 +17,7 @@ const Register = () => {
   const [loading, setLoading] = useState(false);
   const { register } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     setFormData({
@@ -36,7 +37,7 @@ const Register = () => {
     if (result.success) {
       setSuccess(result.message || 'Registration successful! Please check your email to verify your account.');
       setTimeout(() => {
-        navigate('/login');
+        navigate('/login', { state: location.state });
       }, 3000);
     } else {
       setError(result.error);
@@ -129,6 +130,7 @@ const Register = () => {
               Already have an account?{' '}
               <Link
                 to="/login"
+                state={location.state}
                 className="text-primary-600 hover:text-primary-700 font-medium"
               >
                 Sign in
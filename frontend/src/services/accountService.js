@@ -0,0 +1,55 @@
+import api from '../config/api';
+
+// Security settings of the signed-in account
+export const accountService = {
+  // Active login sessions, one per device
+  listSessions: async () => {
+    const response = await api.get('/api/v1/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/api/v1/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Log out every device except this one
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/api/v1/auth/sessions');
+    return response.data;
+  },
+
+  // Start 2FA enrollment: a new secret and its otpauth:// URI
+  setupTwoFactor: async () => {
+    const response = await api.post('/api/v1/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm enrollment with a code; returns the recovery codes
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/api/v1/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (password) => {
+    const response = await api.post('/api/v1/auth/2fa/disable', { password });
+    return response.data;
+  },
+
+  // Personal API tokens
+  listApiTokens: async () => {
+    const response = await api.get('/api/v1/auth/tokens');
+    return response.data;
+  },
+
+  // The response holds the plain token; it cannot be fetched again
+  createApiToken: async (tokenData) => {
+    const response = await api.post('/api/v1/auth/tokens', tokenData);
+    return response.data;
+  },
+
+  revokeApiToken: async (tokenId) => {
+    const response = await api.delete(`/api/v1/auth/tokens/${tokenId}`);
+    return response.data;
+  },
+};
@@ -374,6 +374,39 @@ export const chatService = {
     };
   },
 
+  // Delete a message (own messages, or any message for project admins)
+  deleteMessage: ({ projectId, messageId }) => {
+    if (!socket) return Promise.reject(new Error('Socket not connected'));
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error('Delete timeout - no response from server'));
+      }, 10000); // 10 second timeout
+
+      socket.emit('chat:delete', { projectId, messageId }, (response) => {
+        clearTimeout(timeout);
+
+        if (response && response.error) {
+          console.error('Message delete failed:', response.error);
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  },
+
+  // Listen for deleted messages
+  onMessageDeleted: (callback) => {
+    if (!socket) return;
+
+    socket.on('chat:message-deleted', callback);
+
+    return () => {
+      socket.off('chat:message-deleted', callback);
+    };
+  },
+
   // Listen for user joined events
   onUserJoined: (callback) => {
     if (!socket) return;
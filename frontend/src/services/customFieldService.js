@@ -0,0 +1,27 @@
+import api from '../config/api';
+
+export const customFieldService = {
+  // Custom field definitions of a project in display order
+  list: async (projectId) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/fields`);
+    return response.data;
+  },
+
+  // Define a new custom field
+  create: async (projectId, fieldData) => {
+    const response = await api.post(`/api/v1/issues/${projectId}/fields`, fieldData);
+    return response.data;
+  },
+
+  // Update a custom field (its key and type are fixed)
+  update: async (projectId, fieldId, fieldData) => {
+    const response = await api.put(`/api/v1/issues/${projectId}/fields/${fieldId}`, fieldData);
+    return response.data;
+  },
+
+  // Delete a custom field and its values on every issue
+  remove: async (projectId, fieldId) => {
+    const response = await api.delete(`/api/v1/issues/${projectId}/fields/${fieldId}`);
+    return response.data;
+  },
+};
@@ -0,0 +1,36 @@
+import api from '../config/api';
+
+export const filterService = {
+  // List the user's saved filters and the ones shared with the project
+  list: async (projectId) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/filters`);
+    return response.data;
+  },
+
+  // Get a single saved filter, e.g. when opening a shared link
+  get: async (projectId, filterId) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/filters/${filterId}`);
+    return response.data;
+  },
+
+  // Save a query under a name
+  create: async (projectId, filterData) => {
+    const response = await api.post(`/api/v1/issues/${projectId}/filters`, filterData);
+    return response.data;
+  },
+
+  // Update a saved filter (owner only)
+  update: async (projectId, filterId, filterData) => {
+    const response = await api.put(
+      `/api/v1/issues/${projectId}/filters/${filterId}`,
+      filterData
+    );
+    return response.data;
+  },
+
+  // Delete a saved filter
+  remove: async (projectId, filterId) => {
+    const response = await api.delete(`/api/v1/issues/${projectId}/filters/${filterId}`);
+    return response.data;
+  },
+};
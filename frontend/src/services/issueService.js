@@ -1,44 +1,52 @@
 import api from "../config/api";
 
-export const issueService = {
-  // List issues with filters and pagination
-  list: async (projectId, params = {}) => {
-    const queryParams = new URLSearchParams();
+// Query string of the issue list filters, repeating keys for multi-value filters
+const toListQuery = (params) => {
+  const queryParams = new URLSearchParams();
 
-    if (params.type) {
-      if (Array.isArray(params.type)) {
-        params.type.forEach((t) => queryParams.append("type", t));
-      } else {
-        queryParams.append("type", params.type);
-      }
+  if (params.type) {
+    if (Array.isArray(params.type)) {
+      params.type.forEach((t) => queryParams.append("type", t));
+    } else {
+      queryParams.append("type", params.type);
     }
+  }
 
-    if (params.status) {
-      if (Array.isArray(params.status)) {
-        params.status.forEach((s) => queryParams.append("status", s));
-      } else {
-        queryParams.append("status", params.status);
-      }
+  if (params.status) {
+    if (Array.isArray(params.status)) {
+      params.status.forEach((s) => queryParams.append("status", s));
+    } else {
+      queryParams.append("status", params.status);
     }
+  }
 
-    if (params.priority) {
-      if (Array.isArray(params.priority)) {
-        params.priority.forEach((p) => queryParams.append("priority", p));
-      } else {
-        queryParams.append("priority", params.priority);
-      }
+  if (params.priority) {
+    if (Array.isArray(params.priority)) {
+      params.priority.forEach((p) => queryParams.append("priority", p));
+    } else {
+      queryParams.append("priority", params.priority);
     }
+  }
 
-    if (params.assignee) queryParams.append("assignee", params.assignee);
-    if (params.labels && params.labels.length > 0) {
-      params.labels.forEach((l) => queryParams.append("labels", l));
-    }
-    if (params.search) queryParams.append("search", params.search);
-    if (params.page) queryParams.append("page", params.page);
-    if (params.limit) queryParams.append("limit", params.limit);
-    if (params.sort) queryParams.append("sort", params.sort);
+  if (params.assignee) queryParams.append("assignee", params.assignee);
+  if (params.labels && params.labels.length > 0) {
+    params.labels.forEach((l) => queryParams.append("labels", l));
+  }
+  if (params.sprint) queryParams.append("sprint", params.sprint);
+  if (params.parent) queryParams.append("parent", params.parent);
+  if (params.search) queryParams.append("search", params.search);
+  if (params.q) queryParams.append("q", params.q);
+  if (params.page) queryParams.append("page", params.page);
+  if (params.limit) queryParams.append("limit", params.limit);
+  if (params.sort) queryParams.append("sort", params.sort);
 
-    const queryString = queryParams.toString();
+  return queryParams.toString();
+};
+
+export const issueService = {
+  // List issues with filters and pagination
+  list: async (projectId, params = {}) => {
+    const queryString = toListQuery(params);
     const url = `/api/v1/issues/${projectId}${queryString ? `?${queryString}` : ""}`;
 
     const response = await api.get(url);
@@ -62,12 +70,19 @@ export const issueService = {
       if (issueData.dueDate) formData.append("dueDate", issueData.dueDate);
       if (issueData.storyPoints)
         formData.append("storyPoints", issueData.storyPoints);
+      if (issueData.originalEstimate != null)
+        formData.append("originalEstimate", issueData.originalEstimate);
+      if (issueData.parent) formData.append("parent", issueData.parent);
 
       // Add labels
       if (issueData.labels && issueData.labels.length > 0) {
         formData.append("labels", JSON.stringify(issueData.labels));
       }
 
+      if (issueData.customFields) {
+        formData.append("customFields", JSON.stringify(issueData.customFields));
+      }
+
       // Add files
       issueData.attachments.forEach((file) => {
         formData.append("attachments", file);
@@ -86,6 +101,12 @@ export const issueService = {
     }
   },
 
+  // List epics with child rollups
+  listEpics: async (projectId) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/epics`);
+    return response.data;
+  },
+
   // Get issue by ID
   get: async (projectId, issueId) => {
     const response = await api.get(`/api/v1/issues/${projectId}/i/${issueId}`);
@@ -162,6 +183,96 @@ export const issueService = {
     return response.data;
   },
 
+  // Apply the same changes to many issues, picked by id or by a list filter
+  // ({ issueIds } or { filter }); returns a result per issue
+  bulkUpdate: async (projectId, target, changes) => {
+    const response = await api.post(`/api/v1/issues/${projectId}/bulk`, {
+      ...target,
+      changes,
+    });
+    return response.data;
+  },
+
+  // Issues matching the list filters as a CSV file, or JSON records
+  exportIssues: async (projectId, params = {}, format = "csv") => {
+    const queryParams = new URLSearchParams(
+      toListQuery({ ...params, page: undefined, limit: undefined })
+    );
+    queryParams.append("format", format);
+
+    const response = await api.get(
+      `/api/v1/issues/${projectId}/export?${queryParams.toString()}`,
+      format === "csv" ? { responseType: "blob" } : undefined
+    );
+    return response.data;
+  },
+
+  // Import issues from a CSV or JSON file's text; with dryRun only the
+  // validation report is returned
+  importIssues: async (projectId, importData) => {
+    const response = await api.post(`/api/v1/issues/${projectId}/import`, importData);
+    return response.data;
+  },
+
+  // List issue links
+  listLinks: async (projectId, issueId) => {
+    const response = await api.get(
+      `/api/v1/issues/${projectId}/i/${issueId}/links`
+    );
+    return response.data;
+  },
+
+  // Link issue to another issue
+  addLink: async (projectId, issueId, linkData) => {
+    const response = await api.post(
+      `/api/v1/issues/${projectId}/i/${issueId}/links`,
+      linkData
+    );
+    return response.data;
+  },
+
+  // Remove issue link (from both issues)
+  removeLink: async (projectId, issueId, linkId) => {
+    const response = await api.delete(
+      `/api/v1/issues/${projectId}/i/${issueId}/links/${linkId}`
+    );
+    return response.data;
+  },
+
+  // List work logs with the issue's time tracking totals
+  listWorklogs: async (projectId, issueId) => {
+    const response = await api.get(
+      `/api/v1/issues/${projectId}/i/${issueId}/worklogs`
+    );
+    return response.data;
+  },
+
+  // Log work (duration in minutes)
+  addWorklog: async (projectId, issueId, worklogData) => {
+    const response = await api.post(
+      `/api/v1/issues/${projectId}/i/${issueId}/worklogs`,
+      worklogData
+    );
+    return response.data;
+  },
+
+  // Update work log
+  updateWorklog: async (projectId, issueId, worklogId, worklogData) => {
+    const response = await api.put(
+      `/api/v1/issues/${projectId}/i/${issueId}/worklogs/${worklogId}`,
+      worklogData
+    );
+    return response.data;
+  },
+
+  // Delete work log
+  removeWorklog: async (projectId, issueId, worklogId) => {
+    const response = await api.delete(
+      `/api/v1/issues/${projectId}/i/${issueId}/worklogs/${worklogId}`
+    );
+    return response.data;
+  },
+
   // Watch issue
   watch: async (projectId, issueId) => {
     const response = await api.post(
@@ -0,0 +1,20 @@
+import api from '../config/api';
+
+export const meService = {
+  // Assigned work across all projects, bucketed by due date in local time
+  getWork: async (params = {}) => {
+    const response = await api.get('/api/v1/me/work', {
+      params: { timezoneOffset: new Date().getTimezoneOffset(), ...params },
+    });
+    return response.data;
+  },
+
+  // Personal timesheet as a CSV file
+  exportTimesheet: async (params = {}) => {
+    const response = await api.get('/api/v1/me/timesheet', {
+      params: { ...params, format: 'csv' },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+};
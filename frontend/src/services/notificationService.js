@@ -0,0 +1,85 @@
+import { io } from 'socket.io-client';
+import api from '../config/api';
+
+let socket = null;
+
+export const notificationService = {
+  // List notifications (newest first)
+  list: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+    if (params.unread) queryParams.append('unread', 'true');
+
+    const queryString = queryParams.toString();
+    const response = await api.get(
+      `/api/v1/notifications${queryString ? `?${queryString}` : ''}`
+    );
+    return response.data;
+  },
+
+  // Get unread notification count
+  getUnreadCount: async () => {
+    const response = await api.get('/api/v1/notifications/unread-count');
+    return response.data;
+  },
+
+  // Mark a single notification as read
+  markAsRead: async (notificationId) => {
+    const response = await api.post(`/api/v1/notifications/${notificationId}/read`);
+    return response.data;
+  },
+
+  // Mark every notification as read
+  markAllAsRead: async () => {
+    const response = await api.post('/api/v1/notifications/read-all');
+    return response.data;
+  },
+
+  // Get notification preferences
+  getPreferences: async () => {
+    const response = await api.get('/api/v1/notifications/preferences');
+    return response.data;
+  },
+
+  // Update notification preferences
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/api/v1/notifications/preferences', preferences);
+    return response.data;
+  },
+
+  // Connect to the per-user notification namespace
+  connectSocket: (authToken) => {
+    if (socket) return socket;
+
+    let serverUrl = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+    if (!serverUrl.startsWith('http://') && !serverUrl.startsWith('https://')) {
+      serverUrl = `https://${serverUrl}`;
+    }
+
+    socket = io(serverUrl.replace(/\/$/, '') + '/notifications', {
+      auth: { token: authToken },
+      transports: ['websocket', 'polling'],
+    });
+
+    return socket;
+  },
+
+  // Listen for new notifications
+  onNotification: (callback) => {
+    if (!socket) return;
+
+    socket.on('notification:new', callback);
+
+    return () => {
+      socket.off('notification:new', callback);
+    };
+  },
+
+  disconnectSocket: () => {
+    if (socket) {
+      socket.disconnect();
+      socket = null;
+    }
+  },
+};
@@ -1,9 +1,9 @@
 import api from '../config/api';
 
 export const projectService = {
-  // Get all projects
-  getProjects: async () => {
-    const response = await api.get('/api/v1/projects');
+  // Get all projects; archived ones only with { includeArchived: true }
+  getProjects: async (params = {}) => {
+    const response = await api.get('/api/v1/projects', { params });
     return response.data;
   },
 
@@ -31,6 +31,33 @@ export const projectService = {
     return response.data;
   },
 
+  // Make the project read-only
+  archiveProject: async (projectId) => {
+    const response = await api.post(`/api/v1/projects/${projectId}/archive`);
+    return response.data;
+  },
+
+  unarchiveProject: async (projectId) => {
+    const response = await api.post(`/api/v1/projects/${projectId}/unarchive`);
+    return response.data;
+  },
+
+  // Whole project (documents and uploads) as a gzipped archive
+  downloadBackup: async (projectId) => {
+    const response = await api.get(`/api/v1/projects/${projectId}/backup`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  // Restore an archive file as a new project
+  restoreBackup: async (file) => {
+    const response = await api.post('/api/v1/projects/import', file, {
+      headers: { 'Content-Type': 'application/gzip' },
+    });
+    return response.data;
+  },
+
   // Get project members
   getProjectMembers: async (projectId) => {
     const response = await api.get(`/api/v1/projects/${projectId}/members`);
@@ -54,5 +81,63 @@ export const projectService = {
     const response = await api.delete(`/api/v1/projects/${projectId}/members/${userId}`);
     return response.data;
   },
+
+  // List pending invitations
+  getInvitations: async (projectId) => {
+    const response = await api.get(`/api/v1/projects/${projectId}/invitations`);
+    return response.data;
+  },
+
+  // Invite someone by email
+  inviteMember: async (projectId, invitationData) => {
+    const response = await api.post(`/api/v1/projects/${projectId}/invitations`, invitationData);
+    return response.data;
+  },
+
+  // Revoke a pending invitation
+  revokeInvitation: async (projectId, invitationId) => {
+    const response = await api.delete(
+      `/api/v1/projects/${projectId}/invitations/${invitationId}`
+    );
+    return response.data;
+  },
+
+  // Get an invitation from the token in its link
+  getInvitation: async (invitationToken) => {
+    const response = await api.get(`/api/v1/invitations/${invitationToken}`);
+    return response.data;
+  },
+
+  // Accept an invitation
+  acceptInvitation: async (invitationToken) => {
+    const response = await api.post(`/api/v1/invitations/${invitationToken}/accept`);
+    return response.data;
+  },
+
+  // Decline an invitation
+  declineInvitation: async (invitationToken) => {
+    const response = await api.post(`/api/v1/invitations/${invitationToken}/decline`);
+    return response.data;
+  },
+
+  // List the project's trash
+  listTrash: async (projectId, params = {}) => {
+    const response = await api.get(`/api/v1/projects/${projectId}/trash`, { params });
+    return response.data;
+  },
+
+  // Restore an item from the trash
+  restoreTrashItem: async (projectId, type, itemId) => {
+    const response = await api.post(
+      `/api/v1/projects/${projectId}/trash/${type}/${itemId}/restore`
+    );
+    return response.data;
+  },
+
+  // Permanently delete an item from the trash
+  purgeTrashItem: async (projectId, type, itemId) => {
+    const response = await api.delete(`/api/v1/projects/${projectId}/trash/${type}/${itemId}`);
+    return response.data;
+  },
 };
 
@@ -0,0 +1,45 @@
+import api from '../config/api';
+
+export const reportService = {
+  // Remaining story points per day for a sprint or date range
+  getBurndown: async (projectId, params = {}) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/reports/burndown`, {
+      params,
+    });
+    return response.data;
+  },
+
+  // Committed vs completed points for recent sprints
+  getVelocity: async (projectId, params = {}) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/reports/velocity`, {
+      params,
+    });
+    return response.data;
+  },
+
+  // Issue count per status per day
+  getCumulativeFlow: async (projectId, params = {}) => {
+    const response = await api.get(
+      `/api/v1/issues/${projectId}/reports/cumulative-flow`,
+      { params }
+    );
+    return response.data;
+  },
+
+  // Logged work per user, issue and day
+  getTimesheet: async (projectId, params = {}) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/reports/timesheet`, {
+      params,
+    });
+    return response.data;
+  },
+
+  // Timesheet as a CSV file
+  exportTimesheet: async (projectId, params = {}) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/reports/timesheet`, {
+      params: { ...params, format: 'csv' },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+};
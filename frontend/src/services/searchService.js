@@ -0,0 +1,9 @@
+import api from '../config/api';
+
+export const searchService = {
+  // Search issues, tasks, notes, comments and chat in all of the user's projects
+  search: async (q, params = {}) => {
+    const response = await api.get('/api/v1/search', { params: { q, ...params } });
+    return response.data;
+  },
+};
@@ -0,0 +1,66 @@
+import api from '../config/api';
+
+export const sprintService = {
+  // List sprints of a project, optionally filtered by state
+  list: async (projectId, params = {}) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/sprints`, { params });
+    return response.data;
+  },
+
+  // Create a planned sprint
+  create: async (projectId, sprintData) => {
+    const response = await api.post(`/api/v1/issues/${projectId}/sprints`, sprintData);
+    return response.data;
+  },
+
+  // Update sprint details
+  update: async (projectId, sprintId, sprintData) => {
+    const response = await api.put(
+      `/api/v1/issues/${projectId}/sprints/${sprintId}`,
+      sprintData
+    );
+    return response.data;
+  },
+
+  // Delete a planned sprint (its issues go back to the backlog)
+  remove: async (projectId, sprintId) => {
+    const response = await api.delete(`/api/v1/issues/${projectId}/sprints/${sprintId}`);
+    return response.data;
+  },
+
+  // Start a planned sprint
+  start: async (projectId, sprintId, dates = {}) => {
+    const response = await api.post(
+      `/api/v1/issues/${projectId}/sprints/${sprintId}/start`,
+      dates
+    );
+    return response.data;
+  },
+
+  // Complete the active sprint, moving unfinished issues to the backlog or a sprint
+  complete: async (projectId, sprintId, moveTo = 'backlog') => {
+    const response = await api.post(
+      `/api/v1/issues/${projectId}/sprints/${sprintId}/complete`,
+      { moveTo }
+    );
+    return response.data;
+  },
+
+  // Add issues to a sprint
+  addIssues: async (projectId, sprintId, issueIds) => {
+    const response = await api.post(
+      `/api/v1/issues/${projectId}/sprints/${sprintId}/issues`,
+      { issueIds }
+    );
+    return response.data;
+  },
+
+  // Move issues from a sprint back to the backlog
+  removeIssues: async (projectId, sprintId, issueIds) => {
+    const response = await api.delete(
+      `/api/v1/issues/${projectId}/sprints/${sprintId}/issues`,
+      { data: { issueIds } }
+    );
+    return response.data;
+  },
+};
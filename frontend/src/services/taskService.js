@@ -55,6 +55,22 @@ export const taskService = {
     return response.data;
   },
 
+  // Every task of the project as a CSV file, or JSON records
+  exportTasks: async (projectId, format = 'csv') => {
+    const response = await api.get(
+      `/api/v1/tasks/${projectId}/export?format=${format}`,
+      format === 'csv' ? { responseType: 'blob' } : undefined
+    );
+    return response.data;
+  },
+
+  // Import tasks from a CSV or JSON file's text; with dryRun only the
+  // validation report is returned
+  importTasks: async (projectId, importData) => {
+    const response = await api.post(`/api/v1/tasks/${projectId}/import`, importData);
+    return response.data;
+  },
+
   // Create subtask
   createSubtask: async (projectId, taskId, subtaskData) => {
     const response = await api.post(`/api/v1/tasks/${projectId}/t/${taskId}/subtasks`, subtaskData);
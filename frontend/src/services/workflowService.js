@@ -0,0 +1,15 @@
+import api from '../config/api';
+
+export const workflowService = {
+  // Get the project's workflow (the default one if it was never customised)
+  get: async (projectId) => {
+    const response = await api.get(`/api/v1/issues/${projectId}/workflow`);
+    return response.data;
+  },
+
+  // Replace the project's statuses and transitions
+  update: async (projectId, workflowData) => {
+    const response = await api.put(`/api/v1/issues/${projectId}/workflow`, workflowData);
+    return response.data;
+  },
+};
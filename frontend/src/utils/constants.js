@@ -27,6 +27,36 @@ export const ISSUE_TYPES = {
   TASK: 'task',
   STORY: 'story',
   EPIC: 'epic',
+  SUBTASK: 'subtask',
+};
+
+// Which issue types each type may have as its parent
+export const ISSUE_PARENT_TYPES = {
+  [ISSUE_TYPES.EPIC]: [],
+  [ISSUE_TYPES.STORY]: [ISSUE_TYPES.EPIC],
+  [ISSUE_TYPES.TASK]: [ISSUE_TYPES.EPIC],
+  [ISSUE_TYPES.BUG]: [ISSUE_TYPES.EPIC],
+  [ISSUE_TYPES.SUBTASK]: [ISSUE_TYPES.STORY],
+};
+
+export const ISSUE_LINK_TYPES = {
+  BLOCKS: 'blocks',
+  IS_BLOCKED_BY: 'is_blocked_by',
+  RELATES_TO: 'relates_to',
+  DUPLICATES: 'duplicates',
+  IS_DUPLICATED_BY: 'is_duplicated_by',
+  CLONES: 'clones',
+  IS_CLONED_BY: 'is_cloned_by',
+};
+
+export const ISSUE_LINK_TYPE_LABELS = {
+  [ISSUE_LINK_TYPES.BLOCKS]: 'blocks',
+  [ISSUE_LINK_TYPES.IS_BLOCKED_BY]: 'is blocked by',
+  [ISSUE_LINK_TYPES.RELATES_TO]: 'relates to',
+  [ISSUE_LINK_TYPES.DUPLICATES]: 'duplicates',
+  [ISSUE_LINK_TYPES.IS_DUPLICATED_BY]: 'is duplicated by',
+  [ISSUE_LINK_TYPES.CLONES]: 'clones',
+  [ISSUE_LINK_TYPES.IS_CLONED_BY]: 'is cloned by',
 };
 
 export const ISSUE_PRIORITIES = {
@@ -37,20 +67,12 @@ export const ISSUE_PRIORITIES = {
   HIGHEST: 'highest',
 };
 
-export const ISSUE_STATUSES = {
-  BACKLOG: 'backlog',
-  SELECTED: 'selected',
-  IN_PROGRESS: 'in_progress',
-  IN_REVIEW: 'in_review',
-  DONE: 'done',
-  BLOCKED: 'blocked',
-};
-
 export const ISSUE_TYPE_LABELS = {
   [ISSUE_TYPES.BUG]: 'Bug',
   [ISSUE_TYPES.TASK]: 'Task',
   [ISSUE_TYPES.STORY]: 'Story',
   [ISSUE_TYPES.EPIC]: 'Epic',
+  [ISSUE_TYPES.SUBTASK]: 'Subtask',
 };
 
 export const ISSUE_PRIORITY_LABELS = {
@@ -61,29 +83,133 @@ export const ISSUE_PRIORITY_LABELS = {
   [ISSUE_PRIORITIES.HIGHEST]: 'Highest',
 };
 
-export const ISSUE_STATUS_LABELS = {
-  [ISSUE_STATUSES.BACKLOG]: 'Backlog',
-  [ISSUE_STATUSES.SELECTED]: 'Selected',
-  [ISSUE_STATUSES.IN_PROGRESS]: 'In Progress',
-  [ISSUE_STATUSES.IN_REVIEW]: 'In Review',
-  [ISSUE_STATUSES.DONE]: 'Done',
-  [ISSUE_STATUSES.BLOCKED]: 'Blocked',
-};
-
-export const STATUS_TRANSITIONS = {
-  [ISSUE_STATUSES.BACKLOG]: [ISSUE_STATUSES.SELECTED],
-  [ISSUE_STATUSES.SELECTED]: [ISSUE_STATUSES.IN_PROGRESS, ISSUE_STATUSES.BLOCKED],
-  [ISSUE_STATUSES.IN_PROGRESS]: [
-    ISSUE_STATUSES.IN_REVIEW,
-    ISSUE_STATUSES.BLOCKED,
-    ISSUE_STATUSES.DONE,
-  ],
-  [ISSUE_STATUSES.IN_REVIEW]: [
-    ISSUE_STATUSES.IN_PROGRESS,
-    ISSUE_STATUSES.DONE,
-    ISSUE_STATUSES.BLOCKED,
-  ],
-  [ISSUE_STATUSES.BLOCKED]: [ISSUE_STATUSES.IN_PROGRESS],
-  [ISSUE_STATUSES.DONE]: [],
+// Issue statuses come from the project's workflow, every status belongs to a category
+export const STATUS_CATEGORIES = {
+  TODO: 'todo',
+  IN_PROGRESS: 'in_progress',
+  DONE: 'done',
+};
+
+export const STATUS_CATEGORY_LABELS = {
+  [STATUS_CATEGORIES.TODO]: 'To Do',
+  [STATUS_CATEGORIES.IN_PROGRESS]: 'In Progress',
+  [STATUS_CATEGORIES.DONE]: 'Done',
+};
+
+// Fallback chart colors for statuses without their own
+export const STATUS_CATEGORY_COLORS = {
+  [STATUS_CATEGORIES.TODO]: '#64748b',
+  [STATUS_CATEGORIES.IN_PROGRESS]: '#38bdf8',
+  [STATUS_CATEGORIES.DONE]: '#22c55e',
+};
+
+export const TRANSITION_GUARDS = {
+  HAS_ASSIGNEE: 'has_assignee',
+  HAS_STORY_POINTS: 'has_story_points',
+  NO_OPEN_BLOCKERS: 'no_open_blockers',
+};
+
+export const TRANSITION_GUARD_LABELS = {
+  [TRANSITION_GUARDS.HAS_ASSIGNEE]: 'Has assignee',
+  [TRANSITION_GUARDS.HAS_STORY_POINTS]: 'Has story points',
+  [TRANSITION_GUARDS.NO_OPEN_BLOCKERS]: 'No open blockers',
+};
+
+export const SPRINT_STATES = {
+  PLANNED: 'planned',
+  ACTIVE: 'active',
+  CLOSED: 'closed',
+};
+
+export const SPRINT_STATE_LABELS = {
+  [SPRINT_STATES.PLANNED]: 'Planned',
+  [SPRINT_STATES.ACTIVE]: 'Active',
+  [SPRINT_STATES.CLOSED]: 'Completed',
+};
+
+
+export const NOTIFICATION_EVENT_LABELS = {
+  assigned: 'Assigned to me',
+  commented: 'Comments on my issues',
+  transitioned: 'Status changes',
+  mentioned: 'Mentions',
+  chat_message: 'Chat messages',
+  created: 'New issues I watch',
+  updated: 'Other issue updates',
+};
+
+export const EMAIL_DIGEST_LABELS = {
+  immediate: 'Immediately',
+  hourly: 'Hourly digest',
+  daily: 'Daily digest',
+};
+
+// Kinds of records returned by global search
+export const SEARCH_RESULT_TYPES = {
+  ISSUE: 'issue',
+  TASK: 'task',
+  SUBTASK: 'subtask',
+  NOTE: 'note',
+  COMMENT: 'comment',
+  CHAT: 'chat',
+};
+
+export const SEARCH_RESULT_TYPE_LABELS = {
+  [SEARCH_RESULT_TYPES.ISSUE]: 'Issues',
+  [SEARCH_RESULT_TYPES.TASK]: 'Tasks',
+  [SEARCH_RESULT_TYPES.SUBTASK]: 'Subtasks',
+  [SEARCH_RESULT_TYPES.NOTE]: 'Notes',
+  [SEARCH_RESULT_TYPES.COMMENT]: 'Comments',
+  [SEARCH_RESULT_TYPES.CHAT]: 'Chat',
+};
+
+// Value types of project-defined custom fields
+export const CUSTOM_FIELD_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  SELECT: 'select',
+  MULTI_SELECT: 'multi_select',
+  USER: 'user',
+};
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+  [CUSTOM_FIELD_TYPES.TEXT]: 'Text',
+  [CUSTOM_FIELD_TYPES.NUMBER]: 'Number',
+  [CUSTOM_FIELD_TYPES.DATE]: 'Date',
+  [CUSTOM_FIELD_TYPES.SELECT]: 'Single select',
+  [CUSTOM_FIELD_TYPES.MULTI_SELECT]: 'Multi select',
+  [CUSTOM_FIELD_TYPES.USER]: 'User',
+};
+
+// Kinds of soft-deleted items kept in a project's trash
+export const TRASH_ITEM_TYPES = {
+  ISSUE: 'issue',
+  TASK: 'task',
+  NOTE: 'note',
+  CHAT_MESSAGE: 'chat_message',
+};
+
+export const TRASH_ITEM_TYPE_LABELS = {
+  [TRASH_ITEM_TYPES.ISSUE]: 'Issue',
+  [TRASH_ITEM_TYPES.TASK]: 'Task',
+  [TRASH_ITEM_TYPES.NOTE]: 'Note',
+  [TRASH_ITEM_TYPES.CHAT_MESSAGE]: 'Chat message',
+};
+
+// Resources a personal API token can read or write
+export const API_TOKEN_RESOURCE_LABELS = {
+  issues: 'Issues',
+  tasks: 'Tasks',
+  notes: 'Notes',
+  chat: 'Chat',
+  projects: 'Projects',
 };
 
+// Expiry choices offered when creating a token, in days (null: never)
+export const API_TOKEN_EXPIRY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: null, label: 'No expiry' },
+];
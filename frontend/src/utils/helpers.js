@@ -38,3 +38,35 @@ export const truncate = (str, length = 50) => {
   return str.substring(0, length) + '...';
 };
 
+
+// Minutes as "1h 30m"
+export const formatDuration = (minutes) => {
+  if (!minutes) return '0m';
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+// Parses "1h 30m", "1.5h", "45m" or plain minutes; null when unreadable
+export const parseDuration = (text) => {
+  const value = String(text ?? '').trim().toLowerCase();
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+  const match = value.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Math.round(parseFloat(match[1] || 0) * 60) + parseInt(match[2] || 0, 10);
+};
+
+// Saves a response blob (e.g. a CSV export) as a file
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -84,6 +84,10 @@ import taskRouter from "./routes/task.routes.js";
 import noteRouter from "./routes/note.routes.js";
 import issueRouter from "./routes/issue.routes.js";
 import chatRouter from "./routes/chat.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import meRouter from "./routes/me.routes.js";
+import searchRouter from "./routes/search.routes.js";
+import invitationRouter from "./routes/invitation.routes.js";
 
 app.use("/api/v1/healthcheck", healthCheckRouter);
 app.use("/api/v1/auth", authLimiter, authRouter);
@@ -92,6 +96,10 @@ app.use("/api/v1/tasks", taskRouter);
 app.use("/api/v1/notes", noteRouter);
 app.use("/api/v1/issues", issueRouter);
 app.use("/api/v1/chat", chatRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/me", meRouter);
+app.use("/api/v1/search", searchRouter);
+app.use("/api/v1/invitations", invitationRouter);
 
 app.get("/", (req, res) => {
   res.send("Welcome to basecampy");
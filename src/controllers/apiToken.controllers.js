@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import { ApiToken } from "../models/apiToken.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { generateApiToken } from "../utils/api-tokens.js";
+
+const listApiTokens = asyncHandler(async (req, res) => {
+  const tokens = await ApiToken.find({ user: req.user._id })
+    .select("-tokenHash")
+    .populate("projects", "name key")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tokens, "API tokens fetched successfully"));
+});
+
+const createApiToken = asyncHandler(async (req, res) => {
+  const { name, scopes, projects = [], expiresAt } = req.body;
+
+  // A token can only be restricted to projects its owner belongs to
+  const uniqueProjects = [...new Set(projects)];
+  const memberships = await ProjectMember.countDocuments({
+    user: new mongoose.Types.ObjectId(req.user._id),
+    project: {
+      $in: uniqueProjects.map((id) => new mongoose.Types.ObjectId(id)),
+    },
+  });
+  if (memberships !== uniqueProjects.length) {
+    throw new ApiError(400, "You are not a member of every selected project");
+  }
+
+  const { token, tokenHash, tokenPrefix } = generateApiToken();
+
+  const apiToken = await ApiToken.create({
+    user: req.user._id,
+    name,
+    tokenHash,
+    tokenPrefix,
+    scopes: [...new Set(scopes)],
+    projects: uniqueProjects,
+    expiresAt: expiresAt || undefined,
+  });
+
+  const created = apiToken.toObject();
+  delete created.tokenHash;
+
+  // The plain token is returned this once and never again
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...created, token },
+        "API token created successfully",
+      ),
+    );
+});
+
+const revokeApiToken = asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  const apiToken = await ApiToken.findOneAndDelete({
+    _id: tokenId,
+    user: req.user._id,
+  });
+
+  if (!apiToken) {
+    throw new ApiError(404, "API token not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "API token revoked successfully"));
+});
+
+export { listApiTokens, createApiToken, revokeApiToken };
@@ -7,24 +7,56 @@ import {
   forgotPasswordMailgenContent,
   sendEmail,
 } from "../utils/mail.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSessions,
+} from "../utils/sessions.js";
+import { consumeSecondFactor } from "../utils/totp.js";
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockLogin,
+} from "../utils/login-protection.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  AuditActionEnum,
+  SessionRevokeReasonEnum,
+} from "../utils/constants.js";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 
-const generateAccessAndRefreshTokens = async (userId) => {
-  try {
-    const user = await User.findById(userId);
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+// Start a session and hand out its tokens, as cookies and in the body
+const sendLoginResponse = async (req, res, user) => {
+  await clearLoginFailures(user.email);
 
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
-    return { accessToken, refreshToken };
-  } catch (error) {
-    throw new ApiError(
-      500,
-      "Something went wrong while generating access token",
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  const loggedInUser = await User.findById(user._id).select(
+    "-password -refreshToken -emailVerificationToken -emailVerificationExpiry",
+  );
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          user: loggedInUser,
+          accessToken,
+          refreshToken,
+        },
+        "User logged in successfully",
+      ),
     );
-  }
 };
 
 const registerUser = asyncHandler(async (req, res) => {
@@ -88,59 +120,78 @@ const login = asyncHandler(async (req, res) => {
     throw new ApiError(400, " email is required");
   }
 
+  await assertLoginAllowed(email);
+
   const user = await User.findOne({ email });
 
   if (!user) {
+    await recordLoginFailure(req, email, null, "unknown_email");
     throw new ApiError(400, "User does not exists");
   }
 
   const isPasswordValid = await user.isPasswordCorrect(password);
 
   if (!isPasswordValid) {
+    await recordLoginFailure(req, email, user, "wrong_password");
     throw new ApiError(400, "Invalid credentials");
   }
 
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    user._id,
-  );
-
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken -emailVerificationToken -emailVerificationExpiry",
-  );
-
-  const options = {
-    httpOnly: true,
-    secure: true,
-  };
-
-  return res
-    .status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
-    .json(
+  // With 2FA on, tokens are only issued by the second step
+  if (user.twoFactorEnabled) {
+    return res.status(200).json(
       new ApiResponse(
         200,
         {
-          user: loggedInUser,
-          accessToken,
-          refreshToken,
+          twoFactorRequired: true,
+          twoFactorToken: user.generateTwoFactorToken(),
         },
-        "User logged in successfully",
+        "Enter the code from your authenticator app",
       ),
     );
+  }
+
+  return sendLoginResponse(req, res, user);
+});
+
+// Second login step: a code from the authenticator app or a recovery code
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code } = req.body;
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(twoFactorToken, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Login has expired, please sign in again");
+  }
+
+  if (decodedToken?.purpose !== "two_factor") {
+    throw new ApiError(401, "Invalid login token");
+  }
+
+  const user = await User.findById(decodedToken._id).select(
+    "+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes",
+  );
+
+  if (!user?.twoFactorEnabled) {
+    throw new ApiError(401, "Invalid login token");
+  }
+
+  // Guessed codes count towards the same lockout as guessed passwords
+  await assertLoginAllowed(user.email);
+
+  if (!(await consumeSecondFactor(user, code))) {
+    await recordLoginFailure(req, user.email, user, "wrong_code");
+    throw new ApiError(400, "Invalid authentication code");
+  }
+
+  return sendLoginResponse(req, res, user);
 });
 
 const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
+  await revokeSessions(
     req.user._id,
-    {
-      $set: {
-        refreshToken: "",
-      },
-    },
-    {
-      new: true,
-    },
+    { _id: req.sessionId },
+    SessionRevokeReasonEnum.LOGOUT,
   );
   const options = {
     httpOnly: true,
@@ -197,6 +248,40 @@ const verifyEmail = asyncHandler(async (req, res) => {
   );
 });
 
+// Linked from the email sent when an account gets locked
+const unlockAccount = asyncHandler(async (req, res) => {
+  const { unlockToken } = req.params;
+
+  let hashedToken = crypto
+    .createHash("sha256")
+    .update(unlockToken)
+    .digest("hex");
+
+  const user = await User.findOne({
+    accountUnlockToken: hashedToken,
+    accountUnlockExpiry: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw new ApiError(400, "Token is invalid or expired");
+  }
+
+  user.accountUnlockToken = undefined;
+  user.accountUnlockExpiry = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await unlockLogin(user.email);
+  await recordAudit(req, AuditActionEnum.ACCOUNT_UNLOCKED, {
+    user,
+    email: user.email,
+    details: { via: "email_link" },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Account unlocked, you can sign in again"));
+});
+
 const resendEmailVerification = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user?._id);
 
@@ -237,46 +322,28 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized access");
   }
 
-  try {
-    const decodedToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET,
-    );
+  // Every refresh rotates the token; reusing an old one ends the session
+  const { accessToken, refreshToken: newRefreshToken } = await rotateSession(
+    incomingRefreshToken,
+    req,
+  );
 
-    const user = await User.findById(decodedToken?._id);
-    if (!user) {
-      throw new ApiError(401, "Invalid refresh token");
-    }
-
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "Refresh token in expired");
-    }
-
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
-
-    const { accessToken, refreshToken: newRefreshToken } =
-      await generateAccessAndRefreshTokens(user._id);
-
-    user.refreshToken = newRefreshToken;
-    await user.save();
-
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", newRefreshToken, options)
-      .json(
-        new ApiResponse(
-          200,
-          { accessToken, refreshToken: newRefreshToken },
-          "Access token refreshed",
-        ),
-      );
-  } catch (error) {
-    throw new ApiError(401, "Invalid refresh token");
-  }
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", newRefreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        { accessToken, refreshToken: newRefreshToken },
+        "Access token refreshed",
+      ),
+    );
 });
 
 const forgotPasswordRequest = asyncHandler(async (req, res) => {
@@ -339,6 +406,17 @@ const resetForgotPassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save({ validateBeforeSave: false });
 
+  // Whoever knew the old password is signed out everywhere
+  await revokeSessions(user._id, {}, SessionRevokeReasonEnum.REVOKED);
+
+  // A new password also ends a lockout caused by guessing the old one
+  await unlockLogin(user.email);
+  await recordAudit(req, AuditActionEnum.ACCOUNT_UNLOCKED, {
+    user,
+    email: user.email,
+    details: { via: "password_reset" },
+  });
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password reset successfully"));
@@ -357,6 +435,13 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save({ validateBeforeSave: false });
 
+  // Other devices have to sign in again with the new password
+  await revokeSessions(
+    user._id,
+    { _id: { $ne: req.sessionId } },
+    SessionRevokeReasonEnum.REVOKED,
+  );
+
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password changed successfully"));
@@ -365,9 +450,11 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
 export {
   registerUser,
   login,
+  loginWithTwoFactor,
   logoutUser,
   getCurrentUser,
   verifyEmail,
+  unlockAccount,
   resendEmailVerification,
   refreshAccessToken,
   forgotPasswordRequest,
@@ -5,6 +5,12 @@ import { ApiResponse } from "../utils/api-response.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
 import mongoose from "mongoose";
+import {
+  notifyChatMessage,
+  notifyMentions,
+} from "../utils/notifications.js";
+import { resolveMentions } from "../utils/mentions.js";
+import { UserRolesEnum } from "../utils/constants.js";
 
 const getMessages = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
@@ -29,6 +35,7 @@ const getMessages = asyncHandler(async (req, res) => {
   // Build query
   const query = {
     project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
   };
 
   // If 'before' timestamp is provided, get messages before that time (for infinite scroll)
@@ -98,6 +105,8 @@ const postMessage = asyncHandler(async (req, res) => {
     size: file.size,
   }));
 
+  const mentions = await resolveMentions(body, projectId);
+
   // Create message
   const message = await ChatMessage.create({
     project: new mongoose.Types.ObjectId(projectId),
@@ -105,6 +114,7 @@ const postMessage = asyncHandler(async (req, res) => {
     body,
     attachments,
     readBy: [new mongoose.Types.ObjectId(req.user._id)], // Sender has read their own message
+    mentions: mentions.map((user) => user._id),
   });
 
   // Populate sender info
@@ -113,15 +123,28 @@ const postMessage = asyncHandler(async (req, res) => {
     "username fullName avatar"
   );
 
+  await notifyChatMessage(message, req.user);
+  await notifyMentions({
+    projectId,
+    mentions,
+    sender: req.user,
+    body,
+    source: "chat",
+  });
+
   return res
     .status(201)
     .json(new ApiResponse(201, populatedMessage, "Message sent successfully"));
 });
 
 const markAsRead = asyncHandler(async (req, res) => {
-  const { messageId } = req.params;
+  const { projectId, messageId } = req.params;
 
-  const message = await ChatMessage.findById(messageId);
+  const message = await ChatMessage.findOne({
+    _id: messageId,
+    project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  });
 
   if (!message) {
     throw new ApiError(404, "Message not found");
@@ -151,5 +174,38 @@ const markAsRead = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, message, "Message marked as read"));
 });
 
-export { getMessages, postMessage, markAsRead };
+// Messages can be deleted by their sender and by project admins
+const deleteMessage = asyncHandler(async (req, res) => {
+  const { projectId, messageId } = req.params;
+
+  const message = await ChatMessage.findOne({
+    _id: new mongoose.Types.ObjectId(messageId),
+    project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  });
+
+  if (!message) {
+    throw new ApiError(404, "Message not found");
+  }
+
+  const isSender = message.sender.toString() === req.user._id.toString();
+  const isProjectAdmin = [
+    UserRolesEnum.ADMIN,
+    UserRolesEnum.PROJECT_ADMIN,
+  ].includes(req.user.role);
+
+  if (!isSender && !isProjectAdmin) {
+    throw new ApiError(403, "You can only delete your own messages");
+  }
+
+  message.deletedAt = new Date();
+  message.deletedBy = new mongoose.Types.ObjectId(req.user._id);
+  await message.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { _id: message._id }, "Message deleted successfully"));
+});
+
+export { getMessages, postMessage, markAsRead, deleteMessage };
 
@@ -0,0 +1,183 @@
+import { CustomField } from "../models/customField.models.js";
+import { Issue } from "../models/issue.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import {
+  CustomFieldTypeEnum,
+  CUSTOM_FIELD_KEY_PATTERN,
+} from "../utils/constants.js";
+import { getProjectCustomFields } from "../utils/custom-fields.js";
+
+const SELECT_TYPES = [
+  CustomFieldTypeEnum.SELECT,
+  CustomFieldTypeEnum.MULTI_SELECT,
+];
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// "Customer Tier" -> "customer_tier"
+const toFieldKey = (name) => {
+  const key = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 32);
+  return /^[a-z]/.test(key) ? key : `f_${key}`.slice(0, 32);
+};
+
+// Trimmed, non-empty and unique, keeping the given order
+const cleanOptions = (options = []) => [
+  ...new Set(options.map((option) => String(option).trim()).filter(Boolean)),
+];
+
+const findCustomField = async (projectId, fieldId) => {
+  const field = await CustomField.findOne({
+    _id: new mongoose.Types.ObjectId(fieldId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  if (!field) {
+    throw new ApiError(404, "Custom field not found");
+  }
+
+  return field;
+};
+
+const listCustomFields = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const fields = await getProjectCustomFields(projectId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, fields, "Custom fields fetched successfully"));
+});
+
+const createCustomField = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { name, description, type, issueTypes, required } = req.body;
+
+  const key = req.body.key || toFieldKey(name);
+  if (!CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+    throw new ApiError(400, `Cannot derive a field key from "${name}"`);
+  }
+
+  const options = SELECT_TYPES.includes(type)
+    ? cleanOptions(req.body.options)
+    : [];
+  if (SELECT_TYPES.includes(type) && options.length === 0) {
+    throw new ApiError(400, "Select fields need at least one option");
+  }
+
+  const position = await CustomField.countDocuments({
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  try {
+    const field = await CustomField.create({
+      project: new mongoose.Types.ObjectId(projectId),
+      key,
+      name,
+      description: description || "",
+      type,
+      options,
+      issueTypes: issueTypes || [],
+      required: Boolean(required),
+      position,
+    });
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, field, "Custom field created successfully"));
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new ApiError(
+        409,
+        `A custom field with key "${key}" already exists`,
+      );
+    }
+    throw error;
+  }
+});
+
+const updateCustomField = asyncHandler(async (req, res) => {
+  const { projectId, fieldId } = req.params;
+  const { name, description, type, options, issueTypes, required, position } =
+    req.body;
+
+  const field = await findCustomField(projectId, fieldId);
+
+  // Stored values are shaped by the type, so it cannot change afterwards
+  if (type !== undefined && type !== field.type) {
+    throw new ApiError(400, "The type of a custom field cannot be changed");
+  }
+
+  let removedOptions = [];
+  if (options !== undefined && SELECT_TYPES.includes(field.type)) {
+    const nextOptions = cleanOptions(options);
+    if (nextOptions.length === 0) {
+      throw new ApiError(400, "Select fields need at least one option");
+    }
+    removedOptions = field.options.filter(
+      (option) => !nextOptions.includes(option),
+    );
+    field.options = nextOptions;
+  }
+
+  if (name !== undefined) field.name = name;
+  if (description !== undefined) field.description = description;
+  if (issueTypes !== undefined) field.issueTypes = issueTypes;
+  if (required !== undefined) field.required = Boolean(required);
+  if (position !== undefined) field.position = position;
+
+  await field.save();
+
+  // Values that pointed at removed options are dropped from issues
+  if (removedOptions.length > 0) {
+    const path = `customFields.${field.key}`;
+    const projectFilter = { projectId: new mongoose.Types.ObjectId(projectId) };
+    if (field.type === CustomFieldTypeEnum.SELECT) {
+      await Issue.updateMany(
+        { ...projectFilter, [path]: { $in: removedOptions } },
+        { $unset: { [path]: "" } },
+      );
+    } else {
+      await Issue.updateMany(
+        { ...projectFilter, [path]: { $in: removedOptions } },
+        { $pull: { [path]: { $in: removedOptions } } },
+      );
+    }
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, field, "Custom field updated successfully"));
+});
+
+const deleteCustomField = asyncHandler(async (req, res) => {
+  const { projectId, fieldId } = req.params;
+
+  const field = await findCustomField(projectId, fieldId);
+
+  await field.deleteOne();
+  await Issue.updateMany(
+    {
+      projectId: new mongoose.Types.ObjectId(projectId),
+      [`customFields.${field.key}`]: { $exists: true },
+    },
+    { $unset: { [`customFields.${field.key}`]: "" } },
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, field, "Custom field deleted successfully"));
+});
+
+export {
+  listCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+};
@@ -0,0 +1,236 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { Invitation } from "../models/invitation.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { User } from "../models/user.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { projectInvitationMailgenContent, sendEmail } from "../utils/mail.js";
+import { getClientUrl } from "../utils/notifications.js";
+import {
+  INVITATION_EXPIRY_DAYS,
+  InvitationStatusEnum,
+  UserRolesEnum,
+} from "../utils/constants.js";
+
+const ROLE_NAMES = {
+  [UserRolesEnum.ADMIN]: "an admin",
+  [UserRolesEnum.PROJECT_ADMIN]: "a project admin",
+  [UserRolesEnum.MEMBER]: "a member",
+};
+
+// Look up a pending invitation from the plain token in the link
+const findInvitationByToken = async (invitationToken) => {
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(invitationToken)
+    .digest("hex");
+
+  const invitation = await Invitation.findOne({ tokenHash: hashedToken })
+    .populate("project", "name description")
+    .populate("invitedBy", "username fullName");
+
+  if (!invitation || !invitation.project) {
+    throw new ApiError(404, "Invitation not found");
+  }
+  if (invitation.status !== InvitationStatusEnum.PENDING) {
+    throw new ApiError(
+      410,
+      `This invitation has already been ${invitation.status}`,
+    );
+  }
+  if (invitation.expiresAt <= new Date()) {
+    throw new ApiError(410, "This invitation has expired");
+  }
+
+  return invitation;
+};
+
+// Invitations are bound to the address they were sent to
+const assertInvitee = (invitation, user) => {
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new ApiError(
+      403,
+      `This invitation was sent to ${invitation.email}. Sign in with that email address to respond to it`,
+    );
+  }
+};
+
+const listProjectInvitations = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const invitations = await Invitation.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    status: InvitationStatusEnum.PENDING,
+  })
+    .select("-tokenHash")
+    .populate("invitedBy", "username fullName")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, invitations, "Invitations fetched successfully"),
+    );
+});
+
+const createInvitation = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { role } = req.body;
+  const email = req.body.email.toLowerCase();
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (
+    existingUser &&
+    (await ProjectMember.exists({
+      project: project._id,
+      user: existingUser._id,
+    }))
+  ) {
+    throw new ApiError(409, "User is already a member of this project");
+  }
+
+  // Inviting the same address again renews the link and the role
+  const invitation =
+    (await Invitation.findOne({
+      project: project._id,
+      email,
+      status: InvitationStatusEnum.PENDING,
+    })) || new Invitation({ project: project._id, email });
+
+  const { unHashedToken, hashedToken, tokenExpiry } =
+    invitation.generateTemporaryToken();
+
+  invitation.role = role;
+  invitation.invitedBy = req.user._id;
+  invitation.tokenHash = hashedToken;
+  invitation.expiresAt = tokenExpiry;
+  await invitation.save();
+
+  await sendEmail({
+    email,
+    subject: `You have been invited to ${project.name}`,
+    mailgenContent: projectInvitationMailgenContent({
+      inviter: req.user.fullName || req.user.username,
+      projectName: project.name,
+      role: ROLE_NAMES[role],
+      invitationUrl: `${getClientUrl()}/invitations/${unHashedToken}`,
+      expiresInDays: INVITATION_EXPIRY_DAYS,
+    }),
+  });
+
+  const created = invitation.toObject();
+  delete created.tokenHash;
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, created, "Invitation sent successfully"));
+});
+
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const { projectId, invitationId } = req.params;
+
+  const invitation = await Invitation.findOneAndUpdate(
+    {
+      _id: invitationId,
+      project: new mongoose.Types.ObjectId(projectId),
+      status: InvitationStatusEnum.PENDING,
+    },
+    {
+      status: InvitationStatusEnum.REVOKED,
+      respondedAt: new Date(),
+    },
+  );
+
+  if (!invitation) {
+    throw new ApiError(404, "Invitation not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Invitation revoked successfully"));
+});
+
+const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findInvitationByToken(req.params.invitationToken);
+
+  const details = invitation.toObject();
+  delete details.tokenHash;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...details,
+        // Lets the page ask for the right account before accept is tried
+        isInvitee: invitation.email === req.user.email.toLowerCase(),
+      },
+      "Invitation fetched successfully",
+    ),
+  );
+});
+
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findInvitationByToken(req.params.invitationToken);
+  assertInvitee(invitation, req.user);
+
+  // Someone who already joined keeps their current role
+  await ProjectMember.findOneAndUpdate(
+    {
+      user: new mongoose.Types.ObjectId(req.user._id),
+      project: invitation.project._id,
+    },
+    {
+      $setOnInsert: {
+        user: new mongoose.Types.ObjectId(req.user._id),
+        project: invitation.project._id,
+        role: invitation.role,
+      },
+    },
+    { upsert: true },
+  );
+
+  invitation.status = InvitationStatusEnum.ACCEPTED;
+  invitation.respondedBy = req.user._id;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { project: invitation.project },
+        `You have joined ${invitation.project.name}`,
+      ),
+    );
+});
+
+const declineInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findInvitationByToken(req.params.invitationToken);
+  assertInvitee(invitation, req.user);
+
+  invitation.status = InvitationStatusEnum.DECLINED;
+  invitation.respondedBy = req.user._id;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return res.status(200).json(new ApiResponse(200, {}, "Invitation declined"));
+});
+
+export {
+  listProjectInvitations,
+  createInvitation,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+  declineInvitation,
+};
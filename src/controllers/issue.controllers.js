@@ -3,58 +3,161 @@ import { Project } from "../models/project.models.js";
 import { Issue } from "../models/issue.models.js";
 import { IssueComment } from "../models/issueComment.models.js";
 import { IssueActivity } from "../models/issueActivity.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Sprint } from "../models/sprint.models.js";
 import { ApiResponse } from "../utils/api-response.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
 import mongoose from "mongoose";
-import { STATUS_TRANSITIONS } from "../utils/constants.js";
+import {
+  IssueParentTypes,
+  IssueTypeEnum,
+  StatusCategoryEnum,
+  SprintStateEnum,
+  UserRolesEnum,
+  MAX_BULK_ISSUES,
+  MAX_EXPORT_ISSUES,
+} from "../utils/constants.js";
+import { resolveMentions } from "../utils/mentions.js";
+import { createWithNextIssueKey, ensureProjectKey } from "../utils/issue-keys.js";
+import { logActivity } from "../utils/issue-activity.js";
+import {
+  getProjectWorkflow,
+  getDoneStatuses,
+  findStatus,
+  findTransition,
+  getAllowedTargets,
+  getUnresolvedBlockers,
+  checkTransitionGuards,
+} from "../utils/workflows.js";
+import { buildIssueListQuery } from "../utils/issue-query.js";
+import { getProjectCustomFields } from "../utils/custom-fields.js";
+import { sendCsv } from "../utils/csv.js";
+import {
+  buildIssueExport,
+  issueExportToCsv,
+  readImportRows,
+  suggestImportMapping,
+  prepareImportRows,
+} from "../utils/issue-transfer.js";
+import { issueNotificationMailgenContent } from "../utils/mail.js";
+import {
+  dispatchNotifications,
+  getClientUrl,
+} from "../utils/notifications.js";
+
+// Helper to check a parent assignment against the allowed type hierarchy
+// Returns the parent issue, or null when the issue has no parent
+const validateParent = async (projectId, type, parentId, issueId) => {
+  const allowedTypes = IssueParentTypes[type] || [];
+
+  if (!parentId) {
+    if (type === IssueTypeEnum.SUBTASK) {
+      throw new ApiError(400, "A subtask must belong to a story");
+    }
+    return null;
+  }
 
-// Helper function to generate sequential issue key
-const generateIssueKey = async (projectId) => {
-  const project = await Project.findById(projectId);
-  if (!project) {
-    throw new ApiError(404, "Project not found");
+  if (allowedTypes.length === 0) {
+    throw new ApiError(400, `A ${type} cannot have a parent issue`);
   }
 
-  // Get the project name abbreviation (first 3 letters uppercase)
-  const projectKey = project.name.substring(0, 3).toUpperCase();
+  if (issueId && parentId.toString() === issueId.toString()) {
+    throw new ApiError(400, "An issue cannot be its own parent");
+  }
 
-  // Find the highest issue number for this project
-  const lastIssue = await Issue.findOne({ projectId })
-    .sort({ createdAt: -1 })
-    .select("key");
+  const parent = await Issue.findOne({
+    _id: new mongoose.Types.ObjectId(parentId),
+    projectId: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  });
 
-  let issueNumber = 1;
-  if (lastIssue && lastIssue.key) {
-    const parts = lastIssue.key.split("-");
-    if (parts.length === 2) {
-      issueNumber = parseInt(parts[1]) + 1;
-    }
+  if (!parent) {
+    throw new ApiError(404, "Parent issue not found");
+  }
+
+  if (!allowedTypes.includes(parent.type)) {
+    throw new ApiError(
+      400,
+      `A ${type} can only belong to a ${allowedTypes.join(" or ")}, not a ${parent.type}`
+    );
   }
 
-  return `${projectKey}-${issueNumber}`;
+  return parent;
 };
 
-// Helper function to log activity
-const logActivity = async (issueId, actorId, action, from, to) => {
-  try {
-    await IssueActivity.create({
-      issueId: new mongoose.Types.ObjectId(issueId),
-      actorId: new mongoose.Types.ObjectId(actorId),
-      action,
-      from,
-      to,
-    });
-  } catch (error) {
-    console.error("Failed to log activity:", error);
-  }
+// Helper to count children and story points per parent, done vs total
+const getRollups = async (parentIds, doneStatuses) => {
+  const rollups = await Issue.aggregate([
+    {
+      $match: {
+        parent: { $in: parentIds },
+        deletedAt: { $exists: false },
+      },
+    },
+    {
+      $group: {
+        _id: "$parent",
+        total: { $sum: 1 },
+        done: {
+          $sum: { $cond: [{ $in: ["$status", doneStatuses] }, 1, 0] },
+        },
+        totalPoints: { $sum: { $ifNull: ["$storyPoints", 0] } },
+        donePoints: {
+          $sum: {
+            $cond: [
+              { $in: ["$status", doneStatuses] },
+              { $ifNull: ["$storyPoints", 0] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    rollups.map(({ _id, ...rollup }) => [_id.toString(), rollup])
+  );
+};
+
+const EMPTY_ROLLUP = { total: 0, done: 0, totalPoints: 0, donePoints: 0 };
+
+// Categories that should not be entered while blockers are still open
+const BLOCKER_CHECKED_CATEGORIES = [
+  StatusCategoryEnum.IN_PROGRESS,
+  StatusCategoryEnum.DONE,
+];
+
+// Helpers to build links to an issue in the frontend
+const getIssuePath = (issue) =>
+  `/projects/${issue.projectId}?tab=issues&issue=${issue._id}`;
+
+const getIssueUrl = (issue) => `${getClientUrl()}${getIssuePath(issue)}`;
+
+const NOTIFICATION_SUBJECTS = {
+  created: (issue) => `[${issue.key}] New issue: ${issue.title}`,
+  updated: (issue) => `[${issue.key}] Issue updated: ${issue.title}`,
+  transitioned: (issue) => `[${issue.key}] Status changed: ${issue.title}`,
+  commented: (issue) => `[${issue.key}] New comment: ${issue.title}`,
+  assigned: (issue) => `[${issue.key}] Assigned to you: ${issue.title}`,
+  mentioned: (issue) => `[${issue.key}] You were mentioned: ${issue.title}`,
+};
+
+const NOTIFICATION_MESSAGES = {
+  created: (actor) => `${actor} created this issue`,
+  updated: (actor) => `${actor} updated this issue`,
+  transitioned: (actor) => `${actor} changed the status`,
+  commented: (actor) => `${actor} commented`,
+  assigned: (actor) => `${actor} assigned this issue to you`,
+  mentioned: (actor) => `${actor} mentioned you in a comment`,
 };
 
 // Helper to send notifications (fail-safe)
-const sendNotification = async (issue, action, userId) => {
+// Delivery follows each recipient's notification preferences; emails are
+// queued, so a failing SMTP host never blocks the main flow
+const sendNotification = async (issue, event, actor, details = {}) => {
   try {
-    // Import mail utility if it exists
-    // This is fail-safe - if mail fails, it won't block the main flow
     const recipients = new Set();
     
     if (issue.assignee) {
@@ -66,76 +169,121 @@ const sendNotification = async (issue, action, userId) => {
     });
     
     // Remove the actor from recipients
-    recipients.delete(userId.toString());
+    recipients.delete(actor._id.toString());
     
-    // TODO: Implement actual email sending using src/utils/mail.js
-    // For now, just log
-    if (recipients.size > 0) {
-      console.log(`Notification: ${action} on ${issue.key} to ${recipients.size} users`);
+    if (recipients.size === 0) {
+      return;
+    }
+
+    const users = await User.find({ _id: { $in: [...recipients] } }).select(
+      "username email",
+    );
+
+    // Show assignee changes by username instead of raw ids
+    let changes = details.changes || [];
+    const assigneeChange = changes.find((change) => change.field === "assignee");
+    if (assigneeChange) {
+      const assignees = await User.find({
+        _id: { $in: [assigneeChange.from, assigneeChange.to].filter(Boolean) },
+      }).select("username");
+      const usernameOf = (id) =>
+        id && assignees.find((u) => u._id.toString() === id.toString())?.username;
+      changes = changes.map((change) =>
+        change === assigneeChange
+          ? { ...change, from: usernameOf(change.from), to: usernameOf(change.to) }
+          : change,
+      );
     }
+
+    const assignedTo = details.assigned ? issue.assignee?.toString() : null;
+    const mentioned = (details.mentioned || []).map((id) => id.toString());
+    const issueUrl = getIssueUrl(issue);
+
+    const getUserEvent = (userId) => {
+      if (userId === assignedTo) return "assigned";
+      if (mentioned.includes(userId)) return "mentioned";
+      return event;
+    };
+
+    const entries = users.map((user) => {
+      const userEvent = getUserEvent(user._id.toString());
+
+      return {
+        recipient: user,
+        notification: {
+          actor: actor._id,
+          project: issue.projectId,
+          issue: issue._id,
+          event: userEvent,
+          title: `${issue.key}: ${issue.title}`,
+          message: NOTIFICATION_MESSAGES[userEvent](actor.username),
+          link: getIssuePath(issue),
+        },
+        email: {
+          subject: NOTIFICATION_SUBJECTS[userEvent](issue),
+          mailgenContent: issueNotificationMailgenContent(user.username, {
+            event: userEvent,
+            issue,
+            actor: actor.username,
+            changes,
+            comment: details.comment,
+            issueUrl,
+          }),
+        },
+      };
+    });
+
+    await dispatchNotifications(entries);
   } catch (error) {
     console.error("Failed to send notification:", error);
   }
 };
 
+// Aggregation so priorities and statuses can be sorted by rank
+const buildListPipeline = ({ match, addFields, sort }, paging) => {
+  const pipeline = [{ $match: match }];
+  const rankFields = Object.keys(addFields);
+  if (rankFields.length > 0) {
+    pipeline.push({ $addFields: addFields });
+  }
+  pipeline.push({ $sort: sort });
+  if (paging) {
+    pipeline.push({ $skip: paging.skip }, { $limit: paging.limit });
+  }
+  if (rankFields.length > 0) {
+    pipeline.push({ $unset: rankFields });
+  }
+  return pipeline;
+};
+
 const listIssues = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
-  const {
-    type,
-    status,
-    priority,
-    assignee,
-    labels,
-    search,
-    page = 1,
-    limit = 50,
-    sort = "-createdAt",
-  } = req.query;
+  const { page = 1, limit = 50 } = req.query;
 
   const project = await Project.findById(projectId);
   if (!project) {
     throw new ApiError(404, "Project not found");
   }
 
-  // Build query
-  const query = {
-    projectId: new mongoose.Types.ObjectId(projectId),
-    deletedAt: { $exists: false },
-  };
-
-  if (type) {
-    query.type = Array.isArray(type) ? { $in: type } : type;
-  }
-
-  if (status) {
-    query.status = Array.isArray(status) ? { $in: status } : status;
-  }
-
-  if (priority) {
-    query.priority = Array.isArray(priority) ? { $in: priority } : priority;
-  }
-
-  if (assignee) {
-    query.assignee = new mongoose.Types.ObjectId(assignee);
-  }
-
-  if (labels && labels.length > 0) {
-    query.labels = { $in: Array.isArray(labels) ? labels : [labels] };
-  }
-
-  if (search) {
-    query.$text = { $search: search };
-  }
+  // Build query from the filter params and the q query language
+  const listQuery = await buildIssueListQuery(
+    projectId,
+    req.query,
+    req.user._id
+  );
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
-  const total = await Issue.countDocuments(query);
+  const total = await Issue.countDocuments(listQuery.match);
 
-  const issues = await Issue.find(query)
-    .populate("assignee", "username fullName avatar")
-    .populate("reporter", "username fullName avatar")
-    .sort(sort)
-    .skip(skip)
-    .limit(parseInt(limit));
+  const pipeline = buildListPipeline(listQuery, {
+    skip,
+    limit: parseInt(limit),
+  });
+
+  const issues = await Issue.populate(await Issue.aggregate(pipeline), [
+    { path: "assignee", select: "username fullName avatar" },
+    { path: "reporter", select: "username fullName avatar" },
+  ]);
 
   return res.status(200).json(
     new ApiResponse(
@@ -152,8 +300,46 @@ const listIssues = asyncHandler(async (req, res) => {
   );
 });
 
-const createIssue = asyncHandler(async (req, res) => {
+const listEpics = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
+
+  const epics = await Issue.find({
+    projectId: new mongoose.Types.ObjectId(projectId),
+    type: IssueTypeEnum.EPIC,
+    deletedAt: { $exists: false },
+  })
+    .select("key title status priority assignee dueDate")
+    .populate("assignee", "username fullName avatar")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const workflow = await getProjectWorkflow(projectId);
+  const rollups = await getRollups(
+    epics.map((epic) => epic._id),
+    getDoneStatuses(workflow)
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      epics.map((epic) => ({
+        ...epic,
+        rollup: rollups.get(epic._id.toString()) || EMPTY_ROLLUP,
+      })),
+      "Epics fetched successfully"
+    )
+  );
+});
+
+// Shared by createIssue and importIssues so every new issue gets its key,
+// workflow status and "created" activity the same way. The reporter defaults
+// to the actor; imports may keep the original one.
+const createIssueRecord = async (
+  project,
+  data,
+  actor,
+  { attachments = [], reporter, notify = true } = {}
+) => {
   const {
     title,
     description,
@@ -164,16 +350,81 @@ const createIssue = asyncHandler(async (req, res) => {
     labels,
     dueDate,
     storyPoints,
-  } = req.body;
+    originalEstimate,
+    remainingEstimate,
+    parent,
+    customFields,
+  } = data;
+
+  const parentIssue = await validateParent(
+    project._id,
+    type || IssueTypeEnum.TASK,
+    parent
+  );
+
+  // New issues start in the workflow's initial status unless one is given
+  const workflow = await getProjectWorkflow(project._id);
+  if (status && !findStatus(workflow, status)) {
+    throw new ApiError(400, `Status '${status}' is not part of this project's workflow`);
+  }
+
+  const reporterId = new mongoose.Types.ObjectId(reporter || actor._id);
+
+  // Takes the next key from the project's counter in the same transaction
+  const issue = await createWithNextIssueKey(project, async (key, session) => {
+    const [created] = await Issue.create(
+      [
+        {
+          projectId: project._id,
+          key,
+          title,
+          description: description || "",
+          type,
+          priority,
+          status: status || workflow.initialStatus,
+          assignee: assignee ? new mongoose.Types.ObjectId(assignee) : undefined,
+          reporter: reporterId,
+          labels: labels || [],
+          watchers: [reporterId],
+          attachments,
+          dueDate,
+          storyPoints,
+          originalEstimate: originalEstimate ?? undefined,
+          // Nothing has been logged yet, so all of the estimate remains
+          remainingEstimate: remainingEstimate ?? originalEstimate ?? undefined,
+          parent: parentIssue?._id,
+          // Validated and normalized by createIssueValidator; nulls are left unset
+          customFields: Object.fromEntries(
+            Object.entries(customFields || {}).filter(([, value]) => value !== null)
+          ),
+        },
+      ],
+      { session }
+    );
+    return created;
+  });
+
+  // Log activity
+  await logActivity(issue._id, actor._id, "created", null, null);
+
+  // Send notifications
+  if (notify) {
+    await sendNotification(issue, "created", actor, {
+      assigned: Boolean(issue.assignee),
+    });
+  }
+
+  return issue;
+};
+
+const createIssue = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
 
   const project = await Project.findById(projectId);
   if (!project) {
     throw new ApiError(404, "Project not found");
   }
 
-  // Generate unique issue key
-  const key = await generateIssueKey(projectId);
-
   // Handle file attachments
   const files = req.files || [];
   const attachments = files.map((file) => ({
@@ -183,29 +434,10 @@ const createIssue = asyncHandler(async (req, res) => {
     size: file.size,
   }));
 
-  const issue = await Issue.create({
-    projectId: new mongoose.Types.ObjectId(projectId),
-    key,
-    title,
-    description: description || "",
-    type,
-    priority,
-    status,
-    assignee: assignee ? new mongoose.Types.ObjectId(assignee) : undefined,
-    reporter: new mongoose.Types.ObjectId(req.user._id),
-    labels: labels || [],
-    watchers: [new mongoose.Types.ObjectId(req.user._id)],
+  const issue = await createIssueRecord(project, req.body, req.user, {
     attachments,
-    dueDate,
-    storyPoints,
   });
 
-  // Log activity
-  await logActivity(issue._id, req.user._id, "created", null, null);
-
-  // Send notifications
-  await sendNotification(issue, "created", req.user._id);
-
   const populatedIssue = await Issue.findById(issue._id)
     .populate("assignee", "username fullName avatar")
     .populate("reporter", "username fullName avatar");
@@ -216,20 +448,34 @@ const createIssue = asyncHandler(async (req, res) => {
 });
 
 const getIssue = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   })
     .populate("assignee", "username fullName avatar")
     .populate("reporter", "username fullName avatar")
-    .populate("watchers", "username fullName avatar");
+    .populate("watchers", "username fullName avatar")
+    .populate("parent", "key title type status");
 
   if (!issue) {
     throw new ApiError(404, "Issue not found");
   }
 
+  // Child issues with done/total rollups
+  const children = await Issue.find({
+    parent: issue._id,
+    deletedAt: { $exists: false },
+  })
+    .select("key title type status priority storyPoints assignee")
+    .populate("assignee", "username fullName avatar")
+    .sort({ createdAt: 1 });
+
+  const workflow = await getProjectWorkflow(issue.projectId);
+  const rollups = await getRollups([issue._id], getDoneStatuses(workflow));
+
   // Get latest 20 comments
   const comments = await IssueComment.find({
     issueId: new mongoose.Types.ObjectId(issueId),
@@ -260,6 +506,8 @@ const getIssue = asyncHandler(async (req, res) => {
       200,
       {
         issue,
+        children,
+        rollup: rollups.get(issue._id.toString()) || EMPTY_ROLLUP,
         comments,
         activities,
         commentCount,
@@ -271,7 +519,7 @@ const getIssue = asyncHandler(async (req, res) => {
 });
 
 const updateIssue = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
   const {
     title,
     description,
@@ -281,10 +529,15 @@ const updateIssue = asyncHandler(async (req, res) => {
     labels,
     dueDate,
     storyPoints,
+    originalEstimate,
+    remainingEstimate,
+    parent,
+    customFields,
   } = req.body;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   });
 
@@ -295,6 +548,53 @@ const updateIssue = asyncHandler(async (req, res) => {
   // Track changes for activity log
   const changes = [];
 
+  // Re-check the hierarchy when the type or the parent changes
+  const newType = type !== undefined ? type : issue.type;
+  const typeChanged = newType !== issue.type;
+  const parentChanged =
+    parent !== undefined &&
+    (parent || "").toString() !== (issue.parent || "").toString();
+
+  if (typeChanged || parentChanged) {
+    const parentIssue = await validateParent(
+      issue.projectId,
+      newType,
+      parentChanged ? parent : issue.parent,
+      issue._id
+    );
+
+    if (typeChanged) {
+      const invalidChildren = await Issue.countDocuments({
+        parent: issue._id,
+        deletedAt: { $exists: false },
+        type: {
+          $nin: Object.keys(IssueParentTypes).filter((childType) =>
+            IssueParentTypes[childType].includes(newType)
+          ),
+        },
+      });
+
+      if (invalidChildren > 0) {
+        throw new ApiError(
+          400,
+          `Cannot change type to ${newType} while the issue has ${invalidChildren} child issue(s) that cannot belong to it`
+        );
+      }
+    }
+
+    if (parentChanged) {
+      const oldParent = issue.parent
+        ? await Issue.findById(issue.parent).select("key")
+        : null;
+      changes.push({
+        field: "parent",
+        from: oldParent?.key || null,
+        to: parentIssue?.key || null,
+      });
+      issue.parent = parentIssue?._id || null;
+    }
+  }
+
   if (title !== undefined && title !== issue.title) {
     changes.push({ field: "title", from: issue.title, to: title });
     issue.title = title;
@@ -372,6 +672,55 @@ const updateIssue = asyncHandler(async (req, res) => {
     issue.storyPoints = storyPoints;
   }
 
+  // Estimates are in minutes, null clears them
+  const currentOriginal = issue.originalEstimate ?? null;
+  if (originalEstimate !== undefined && originalEstimate !== currentOriginal) {
+    changes.push({
+      field: "originalEstimate",
+      from: currentOriginal,
+      to: originalEstimate,
+    });
+    issue.originalEstimate = originalEstimate;
+  }
+
+  // Without an explicit remaining estimate, a first estimate starts it off
+  const currentRemaining = issue.remainingEstimate ?? null;
+  const nextRemaining =
+    remainingEstimate !== undefined
+      ? remainingEstimate
+      : currentRemaining === null && originalEstimate != null
+        ? Math.max(0, originalEstimate - (issue.timeSpent || 0))
+        : currentRemaining;
+  if (nextRemaining !== currentRemaining) {
+    changes.push({
+      field: "remainingEstimate",
+      from: currentRemaining,
+      to: nextRemaining,
+    });
+    issue.remainingEstimate = nextRemaining;
+  }
+
+  // Custom field values arrive normalized by updateIssueValidator; null clears
+  const customFieldChanges = [];
+  if (customFields) {
+    const fields = await getProjectCustomFields(issue.projectId);
+    for (const [key, value] of Object.entries(customFields)) {
+      const current = issue.customFields.get(key) ?? null;
+      if (JSON.stringify(current) === JSON.stringify(value)) continue;
+
+      customFieldChanges.push({
+        field: fields.find((field) => field.key === key)?.name || key,
+        from: current,
+        to: value,
+      });
+      if (value === null) {
+        issue.customFields.delete(key);
+      } else {
+        issue.customFields.set(key, value);
+      }
+    }
+  }
+
   await issue.save();
 
   // Log activities for each change
@@ -385,9 +734,25 @@ const updateIssue = asyncHandler(async (req, res) => {
     );
   }
 
+  // Custom fields share one action, with the field name kept alongside values
+  for (const change of customFieldChanges) {
+    await logActivity(
+      issue._id,
+      req.user._id,
+      "custom_field_changed",
+      { field: change.field, value: change.from },
+      { field: change.field, value: change.to }
+    );
+  }
+
   // Send notifications if there were changes
-  if (changes.length > 0) {
-    await sendNotification(issue, "updated", req.user._id);
+  if (changes.length > 0 || customFieldChanges.length > 0) {
+    await sendNotification(issue, "updated", req.user, {
+      changes: [...changes, ...customFieldChanges],
+      assigned: changes.some(
+        (change) => change.field === "assignee" && change.to,
+      ),
+    });
   }
 
   const updatedIssue = await Issue.findById(issue._id)
@@ -400,10 +765,11 @@ const updateIssue = asyncHandler(async (req, res) => {
 });
 
 const deleteIssue = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   });
 
@@ -411,8 +777,9 @@ const deleteIssue = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Issue not found");
   }
 
-  // Soft delete
+  // Soft delete; the issue can be restored from the project trash
   issue.deletedAt = new Date();
+  issue.deletedBy = new mongoose.Types.ObjectId(req.user._id);
   await issue.save();
 
   await logActivity(issue._id, req.user._id, "deleted", null, null);
@@ -422,12 +789,403 @@ const deleteIssue = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, issue, "Issue deleted successfully"));
 });
 
+// Resolve the issues a bulk operation targets, from explicit ids or a filter
+// in the listIssues format. Missing ids are returned so they can be reported.
+const findBulkTargets = async (projectId, { issueIds, filter }, userId) => {
+  if (issueIds) {
+    const issues = await Issue.find({
+      _id: { $in: issueIds.map((id) => new mongoose.Types.ObjectId(id)) },
+      projectId: new mongoose.Types.ObjectId(projectId),
+      deletedAt: { $exists: false },
+    });
+    const found = issues.map((issue) => issue._id.toString());
+    return {
+      issues,
+      missing: [...new Set(issueIds)].filter((id) => !found.includes(id)),
+    };
+  }
+
+  const { match } = await buildIssueListQuery(projectId, filter, userId);
+  const issues = await Issue.find(match).limit(MAX_BULK_ISSUES + 1);
+  if (issues.length > MAX_BULK_ISSUES) {
+    throw new ApiError(
+      400,
+      `The filter matches more than ${MAX_BULK_ISSUES} issues, narrow it down first`
+    );
+  }
+  return { issues, missing: [] };
+};
+
+// Apply bulk changes to one issue and save it. Throws when the issue cannot
+// take the changes, in which case nothing is saved for it.
+const applyBulkChanges = async (issue, changes, workflow) => {
+  const applied = [];
+
+  if (changes.assignee !== undefined) {
+    const newAssignee = changes.assignee
+      ? new mongoose.Types.ObjectId(changes.assignee)
+      : null;
+    if ((issue.assignee || "").toString() !== (newAssignee || "").toString()) {
+      applied.push({
+        field: "assignee",
+        from: issue.assignee || null,
+        to: newAssignee,
+      });
+      issue.assignee = newAssignee;
+    }
+  }
+
+  if (changes.priority !== undefined && changes.priority !== issue.priority) {
+    applied.push({
+      field: "priority",
+      from: issue.priority,
+      to: changes.priority,
+    });
+    issue.priority = changes.priority;
+  }
+
+  const labels = issue.labels || [];
+  const added = (changes.addLabels || []).filter((l) => !labels.includes(l));
+  const removed = labels.filter((l) => (changes.removeLabels || []).includes(l));
+  added.forEach((label) => {
+    applied.push({ field: "label_added", from: null, to: label });
+  });
+  removed.forEach((label) => {
+    applied.push({ field: "label_removed", from: label, to: null });
+  });
+  if (added.length > 0 || removed.length > 0) {
+    issue.labels = [...labels.filter((l) => !removed.includes(l)), ...added];
+  }
+
+  if (changes.sprint !== undefined) {
+    const newSprint = changes.sprint
+      ? new mongoose.Types.ObjectId(changes.sprint)
+      : null;
+    if ((issue.sprint || "").toString() !== (newSprint || "").toString()) {
+      applied.push({
+        field: "sprint",
+        from: issue.sprint || null,
+        to: newSprint,
+      });
+      issue.sprint = newSprint || undefined;
+    }
+  }
+
+  // Status goes through the project's workflow like a single transition,
+  // checked after the other changes so guards see the updated issue
+  if (changes.status !== undefined && changes.status !== issue.status) {
+    const transition = findTransition(workflow, issue.status, changes.status);
+    if (!transition) {
+      throw new Error(
+        `Cannot transition from ${issue.status} to ${changes.status}`
+      );
+    }
+    const guardFailures = await checkTransitionGuards(
+      workflow,
+      transition,
+      issue
+    );
+    if (guardFailures.length > 0) {
+      throw new Error(guardFailures.join(", "));
+    }
+    applied.push({ field: "status", from: issue.status, to: changes.status });
+    issue.status = changes.status;
+  }
+
+  if (applied.length > 0) {
+    await issue.save();
+  }
+
+  return applied;
+};
+
+const bulkUpdateIssues = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { changes } = req.body;
+
+  const isProjectAdmin = [
+    UserRolesEnum.ADMIN,
+    UserRolesEnum.PROJECT_ADMIN,
+  ].includes(req.user.role);
+  if (changes.delete && !isProjectAdmin) {
+    throw new ApiError(403, "Only project admins can delete issues");
+  }
+
+  // Shared targets are checked once instead of per issue
+  if (changes.assignee) {
+    const isMember = await ProjectMember.exists({
+      project: new mongoose.Types.ObjectId(projectId),
+      user: new mongoose.Types.ObjectId(changes.assignee),
+    });
+    if (!isMember) {
+      throw new ApiError(400, "The assignee must be a member of this project");
+    }
+  }
+
+  if (changes.sprint) {
+    const sprint = await Sprint.findOne({
+      _id: new mongoose.Types.ObjectId(changes.sprint),
+      project: new mongoose.Types.ObjectId(projectId),
+    });
+    if (!sprint) {
+      throw new ApiError(404, "Sprint not found");
+    }
+    if (sprint.state === SprintStateEnum.CLOSED) {
+      throw new ApiError(400, "Issues cannot be added to a completed sprint");
+    }
+  }
+
+  const workflow = await getProjectWorkflow(projectId);
+  if (changes.status !== undefined && !findStatus(workflow, changes.status)) {
+    throw new ApiError(
+      400,
+      `Status '${changes.status}' is not part of this project's workflow`
+    );
+  }
+
+  const { issues, missing } = await findBulkTargets(
+    projectId,
+    req.body,
+    req.user._id
+  );
+
+  const results = missing.map((issueId) => ({
+    issueId,
+    success: false,
+    error: "Issue not found",
+  }));
+
+  for (const issue of issues) {
+    try {
+      if (changes.delete) {
+        issue.deletedAt = new Date();
+        issue.deletedBy = new mongoose.Types.ObjectId(req.user._id);
+        await issue.save();
+        await logActivity(issue._id, req.user._id, "deleted", null, null);
+        results.push({
+          issueId: issue._id,
+          key: issue.key,
+          success: true,
+          changes: 1,
+        });
+        continue;
+      }
+
+      const applied = await applyBulkChanges(issue, changes, workflow);
+
+      for (const change of applied) {
+        await logActivity(
+          issue._id,
+          req.user._id,
+          `${change.field}_changed`,
+          change.from,
+          change.to
+        );
+      }
+
+      // Sprint moves are not announced, as with the sprint planning routes
+      const notified = applied.filter((change) => change.field !== "sprint");
+      if (notified.length > 0) {
+        await sendNotification(issue, "updated", req.user, {
+          changes: notified,
+          assigned: notified.some(
+            (change) => change.field === "assignee" && change.to
+          ),
+        });
+      }
+
+      results.push({
+        issueId: issue._id,
+        key: issue.key,
+        success: true,
+        changes: applied.length,
+      });
+    } catch (error) {
+      results.push({
+        issueId: issue._id,
+        key: issue.key,
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      },
+      `Bulk update applied to ${succeeded} of ${results.length} issue(s)`
+    )
+  );
+});
+
+// Every issue matching the listIssues filters, as CSV or JSON
+const exportIssues = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { format } = req.query;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  const listQuery = await buildIssueListQuery(
+    projectId,
+    req.query,
+    req.user._id
+  );
+
+  const total = await Issue.countDocuments(listQuery.match);
+  if (total > MAX_EXPORT_ISSUES) {
+    throw new ApiError(
+      400,
+      `The filter matches ${total} issues; narrow it to at most ${MAX_EXPORT_ISSUES} to export`
+    );
+  }
+
+  const issues = await Issue.populate(
+    await Issue.aggregate(buildListPipeline(listQuery)),
+    [
+      { path: "assignee", select: "username" },
+      { path: "reporter", select: "username" },
+    ]
+  );
+
+  const customFields = await getProjectCustomFields(projectId);
+  const { fields, records } = await buildIssueExport(
+    projectId,
+    issues,
+    customFields
+  );
+
+  if (format === "csv") {
+    const projectKey = await ensureProjectKey(project);
+    return sendCsv(
+      res,
+      `${projectKey}-issues.csv`,
+      issueExportToCsv(fields, records)
+    );
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { fields, data: records }, "Issues exported successfully")
+    );
+});
+
+// Import issues from CSV or JSON. A dry run only reports what would happen;
+// otherwise valid rows are created and invalid ones reported and skipped.
+const importIssues = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { format, content, statusMap, labelMap, dryRun } = req.body;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  const { columns, rows } = readImportRows(format, content);
+  const customFields = await getProjectCustomFields(projectId);
+
+  // Without a mapping, columns are matched to fields by name
+  const mapping =
+    req.body.mapping || suggestImportMapping(columns, customFields);
+  const unknownColumn = Object.values(mapping).find(
+    (column) => column && !columns.includes(column)
+  );
+  if (unknownColumn) {
+    throw new ApiError(400, `Column '${unknownColumn}' is not in the file`);
+  }
+
+  const prepared = await prepareImportRows(projectId, rows, {
+    mapping,
+    statusMap,
+    labelMap,
+    customFields,
+  });
+
+  // The type hierarchy is only known once type and parent are both resolved
+  for (const row of prepared.rows) {
+    if (row.errors.length > 0) continue;
+    try {
+      await validateParent(
+        projectId,
+        row.data.type || IssueTypeEnum.TASK,
+        row.data.parent
+      );
+    } catch (error) {
+      row.errors.push(error.message);
+    }
+  }
+
+  let created = 0;
+  if (!dryRun) {
+    // One at a time so keys follow the order of the file
+    for (const row of prepared.rows) {
+      if (row.errors.length > 0) continue;
+      try {
+        const issue = await createIssueRecord(project, row.data, req.user, {
+          reporter: row.data.reporter,
+          notify: false,
+        });
+        row.issueId = issue._id;
+        row.key = issue.key;
+        created += 1;
+      } catch (error) {
+        row.errors.push(error.message);
+      }
+    }
+  }
+
+  const invalid = prepared.rows.filter((row) => row.errors.length > 0).length;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        dryRun: Boolean(dryRun),
+        columns,
+        mapping,
+        total: prepared.rows.length,
+        valid: prepared.rows.length - invalid,
+        invalid,
+        created,
+        unknownStatuses: prepared.unknownStatuses,
+        unknownUsers: prepared.unknownUsers,
+        labels: prepared.labels,
+        rows: prepared.rows.map(
+          ({ row, title, key, issueId, errors, warnings }) => ({
+            row,
+            title,
+            key,
+            issueId,
+            errors,
+            warnings,
+          })
+        ),
+      },
+      dryRun
+        ? "Import checked successfully"
+        : `Imported ${created} of ${prepared.rows.length} issues`
+    )
+  );
+});
+
 const addComment = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
   const { body } = req.body;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   });
 
@@ -444,16 +1202,34 @@ const addComment = asyncHandler(async (req, res) => {
     size: file.size,
   }));
 
+  const mentions = await resolveMentions(body, issue.projectId);
+  const mentionedIds = mentions.map((user) => user._id);
+
   const comment = await IssueComment.create({
     issueId: new mongoose.Types.ObjectId(issueId),
     authorId: new mongoose.Types.ObjectId(req.user._id),
     body,
     attachments,
+    mentions: mentionedIds,
   });
 
+  // Mentioned users start watching so they follow the rest of the discussion
+  const newWatchers = mentionedIds.filter(
+    (id) =>
+      id.toString() !== req.user._id.toString() &&
+      !issue.watchers.some((watcher) => watcher.toString() === id.toString()),
+  );
+  if (newWatchers.length > 0) {
+    issue.watchers.push(...newWatchers);
+    await issue.save();
+  }
+
   await logActivity(issue._id, req.user._id, "comment_added", null, comment._id);
 
-  await sendNotification(issue, "commented", req.user._id);
+  await sendNotification(issue, "commented", req.user, {
+    comment: body,
+    mentioned: mentionedIds,
+  });
 
   const populatedComment = await IssueComment.findById(comment._id).populate(
     "authorId",
@@ -466,11 +1242,12 @@ const addComment = asyncHandler(async (req, res) => {
 });
 
 const listComments = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
   const { page = 1, limit = 20 } = req.query;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   });
 
@@ -507,11 +1284,12 @@ const listComments = asyncHandler(async (req, res) => {
 });
 
 const transitionIssue = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
   const { to } = req.body;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   });
 
@@ -520,15 +1298,37 @@ const transitionIssue = asyncHandler(async (req, res) => {
   }
 
   const currentStatus = issue.status;
-  const allowedTransitions = STATUS_TRANSITIONS[currentStatus] || [];
+  const workflow = await getProjectWorkflow(issue.projectId);
+  const targetStatus = findStatus(workflow, to);
+
+  if (!targetStatus) {
+    throw new ApiError(400, `Status '${to}' is not part of this project's workflow`);
+  }
 
-  if (!allowedTransitions.includes(to)) {
+  const transition = findTransition(workflow, currentStatus, to);
+  if (!transition) {
+    const allowedTargets = getAllowedTargets(workflow, currentStatus);
     throw new ApiError(
       400,
-      `Cannot transition from ${currentStatus} to ${to}. Allowed transitions: ${allowedTransitions.join(", ")}`
+      `Cannot transition from ${currentStatus} to ${to}. Allowed transitions: ${allowedTargets.join(", ") || "none"}`
     );
   }
 
+  const guardFailures = await checkTransitionGuards(workflow, transition, issue);
+  if (guardFailures.length > 0) {
+    throw new ApiError(
+      400,
+      `Cannot move to ${targetStatus.name}: ${guardFailures.join(", ")}`
+    );
+  }
+
+  // Blockers don't prevent the move, but the caller gets a warning
+  const unresolvedBlockers = BLOCKER_CHECKED_CATEGORIES.includes(
+    targetStatus.category
+  )
+    ? await getUnresolvedBlockers(workflow, issue)
+    : [];
+
   issue.status = to;
   await issue.save();
 
@@ -540,24 +1340,36 @@ const transitionIssue = asyncHandler(async (req, res) => {
     to
   );
 
-  await sendNotification(issue, "status changed", req.user._id);
+  await sendNotification(issue, "transitioned", req.user, {
+    changes: [{ field: "status", from: currentStatus, to }],
+  });
 
   const updatedIssue = await Issue.findById(issue._id)
     .populate("assignee", "username fullName avatar")
     .populate("reporter", "username fullName avatar");
 
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(200, updatedIssue, "Issue status updated successfully")
-    );
+  const message =
+    unresolvedBlockers.length > 0
+      ? `Issue status updated, but it is still blocked by ${unresolvedBlockers
+          .map((blocker) => blocker.key)
+          .join(", ")}`
+      : "Issue status updated successfully";
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { ...updatedIssue.toObject(), unresolvedBlockers },
+      message
+    )
+  );
 });
 
 const watchIssue = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   });
 
@@ -582,10 +1394,11 @@ const watchIssue = asyncHandler(async (req, res) => {
 });
 
 const unwatchIssue = asyncHandler(async (req, res) => {
-  const { issueId } = req.params;
+  const { projectId, issueId } = req.params;
 
   const issue = await Issue.findOne({
     _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
     deletedAt: { $exists: false },
   });
 
@@ -607,10 +1420,14 @@ const unwatchIssue = asyncHandler(async (req, res) => {
 
 export {
   listIssues,
+  listEpics,
   createIssue,
   getIssue,
   updateIssue,
   deleteIssue,
+  bulkUpdateIssues,
+  exportIssues,
+  importIssues,
   addComment,
   listComments,
   transitionIssue,
@@ -0,0 +1,148 @@
+import { Issue } from "../models/issue.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import { ISSUE_LINK_INVERSES } from "../utils/constants.js";
+import { logActivity } from "../utils/issue-activity.js";
+
+const findProjectIssue = async (projectId, issueId) => {
+  const issue = await Issue.findOne({
+    _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  });
+
+  if (!issue) {
+    throw new ApiError(404, "Issue not found");
+  }
+
+  return issue;
+};
+
+const listLinks = asyncHandler(async (req, res) => {
+  const { projectId, issueId } = req.params;
+
+  const issue = await findProjectIssue(projectId, issueId);
+  await issue.populate({
+    path: "links.issue",
+    select: "key title type status priority deletedAt",
+  });
+
+  // Links to issues that were deleted since are hidden until they are restored
+  const links = issue.links.filter(
+    (link) => link.issue && !link.issue.deletedAt,
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, links, "Issue links fetched successfully"));
+});
+
+const addLink = asyncHandler(async (req, res) => {
+  const { projectId, issueId } = req.params;
+  const { type, targetIssueId } = req.body;
+
+  if (targetIssueId === issueId) {
+    throw new ApiError(400, "An issue cannot be linked to itself");
+  }
+
+  const issue = await findProjectIssue(projectId, issueId);
+  const target = await findProjectIssue(projectId, targetIssueId);
+
+  const exists = issue.links.some(
+    (link) => link.type === type && link.issue.toString() === targetIssueId,
+  );
+  if (exists) {
+    throw new ApiError(409, "These issues are already linked this way");
+  }
+
+  const inverse = ISSUE_LINK_INVERSES[type];
+
+  issue.links.push({ type, issue: target._id, createdBy: req.user._id });
+  target.links.push({ type: inverse, issue: issue._id, createdBy: req.user._id });
+
+  await issue.save();
+  await target.save();
+
+  await logActivity(issue._id, req.user._id, "link_added", null, {
+    type,
+    key: target.key,
+  });
+  await logActivity(target._id, req.user._id, "link_added", null, {
+    type: inverse,
+    key: issue.key,
+  });
+
+  const link = issue.links[issue.links.length - 1];
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        _id: link._id,
+        type: link.type,
+        issue: {
+          _id: target._id,
+          key: target.key,
+          title: target.title,
+          type: target.type,
+          status: target.status,
+          priority: target.priority,
+        },
+        createdBy: link.createdBy,
+        createdAt: link.createdAt,
+      },
+      "Issue link added successfully",
+    ),
+  );
+});
+
+const removeLink = asyncHandler(async (req, res) => {
+  const { projectId, issueId, linkId } = req.params;
+
+  const issue = await findProjectIssue(projectId, issueId);
+  const link = issue.links.id(linkId);
+
+  if (!link) {
+    throw new ApiError(404, "Issue link not found");
+  }
+
+  const inverse = ISSUE_LINK_INVERSES[link.type];
+  const target = await Issue.findById(link.issue);
+
+  issue.links.pull(link._id);
+  await issue.save();
+
+  // Remove the mirrored link from the other issue, even if it was deleted
+  if (target) {
+    target.links = target.links.filter(
+      (other) =>
+        !(other.type === inverse && other.issue.toString() === issueId),
+    );
+    await target.save();
+  }
+
+  await logActivity(
+    issue._id,
+    req.user._id,
+    "link_removed",
+    { type: link.type, key: target?.key || null },
+    null,
+  );
+  if (target) {
+    await logActivity(
+      target._id,
+      req.user._id,
+      "link_removed",
+      { type: inverse, key: issue.key },
+      null,
+    );
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Issue link removed successfully"));
+});
+
+export { listLinks, addLink, removeLink };
@@ -0,0 +1,325 @@
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Issue } from "../models/issue.models.js";
+import { IssueActivity } from "../models/issueActivity.models.js";
+import { Task } from "../models/task.models.js";
+import { ChatMessage } from "../models/chatmessage.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import { TaskStatusEnum } from "../utils/constants.js";
+import {
+  getProjectWorkflows,
+  getDoneStatuses,
+  findStatus,
+} from "../utils/workflows.js";
+import {
+  resolveTimesheetRange,
+  buildTimesheet,
+  timesheetToCsv,
+} from "../utils/timesheets.js";
+import { sendCsv } from "../utils/csv.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ASSIGNED_ITEMS = 200;
+const MAX_WATCHED_ISSUES = 20;
+
+const DUE_BUCKETS = ["overdue", "today", "thisWeek", "later"];
+
+// Day boundaries in the caller's timezone (offset as from getTimezoneOffset)
+const getBucketBoundaries = (now, timezoneOffset) => {
+  const offsetMs = timezoneOffset * 60 * 1000;
+  const local = new Date(now.getTime() - offsetMs);
+  const startOfToday =
+    Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) +
+    offsetMs;
+
+  // Weeks run Monday to Sunday, so on Sundays "this week" ends tonight
+  const daysUntilMonday = (8 - local.getUTCDay()) % 7 || 7;
+
+  return {
+    startOfToday,
+    startOfTomorrow: startOfToday + DAY_MS,
+    startOfNextWeek: startOfToday + daysUntilMonday * DAY_MS,
+  };
+};
+
+// Work without a due date is never urgent, so it lands in "later"
+const getDueBucket = (dueDate, boundaries) => {
+  if (!dueDate) return "later";
+  const time = new Date(dueDate).getTime();
+  if (time < boundaries.startOfToday) return "overdue";
+  if (time < boundaries.startOfTomorrow) return "today";
+  if (time < boundaries.startOfNextWeek) return "thisWeek";
+  return "later";
+};
+
+const byDueDate = (a, b) => {
+  if (a.dueDate && b.dueDate) {
+    return new Date(a.dueDate) - new Date(b.dueDate);
+  }
+  if (a.dueDate || b.dueDate) return a.dueDate ? -1 : 1;
+  return new Date(b.updatedAt) - new Date(a.updatedAt);
+};
+
+// Status keys are per project, so resolve their display name and category here
+const describeStatus = (workflows, projectId, key) => {
+  const status = findStatus(workflows.get(projectId.toString()), key);
+  return {
+    statusName: status?.name || key,
+    statusCategory: status?.category || null,
+  };
+};
+
+const getMyWork = asyncHandler(async (req, res) => {
+  const { timezoneOffset = 0, days = 7 } = req.query;
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  const memberships = await ProjectMember.find({ user: userId })
+    .populate("project", "name key")
+    .lean();
+
+  // Memberships can outlive a project that was deleted without cleanup
+  const projects = memberships
+    .filter((membership) => membership.project)
+    .map((membership) => ({
+      _id: membership.project._id,
+      name: membership.project.name,
+      key: membership.project.key,
+      role: membership.role,
+    }));
+  const projectIds = projects.map((project) => project._id);
+  const projectsById = new Map(
+    projects.map((project) => [
+      project._id.toString(),
+      { _id: project._id, name: project.name, key: project.key },
+    ]),
+  );
+
+  const workflows = await getProjectWorkflows(projectIds);
+
+  // Open issues: not in a done status of their own project's workflow
+  const openIssueFilters = projectIds.map((projectId) => ({
+    projectId,
+    status: {
+      $nin: getDoneStatuses(workflows.get(projectId.toString())),
+    },
+  }));
+
+  const [issues, tasks] = await Promise.all([
+    openIssueFilters.length === 0
+      ? []
+      : Issue.aggregate([
+          {
+            $match: {
+              assignee: userId,
+              deletedAt: { $exists: false },
+              $or: openIssueFilters,
+            },
+          },
+          // Dated issues first: a plain dueDate sort puts missing dates first,
+          // and the cap would then cut off overdue and due-today work
+          {
+            $addFields: {
+              hasDueDate: { $eq: [{ $type: "$dueDate" }, "date"] },
+            },
+          },
+          { $sort: { hasDueDate: -1, dueDate: 1, updatedAt: -1 } },
+          { $limit: MAX_ASSIGNED_ITEMS },
+          {
+            $project: {
+              projectId: 1,
+              key: 1,
+              title: 1,
+              type: 1,
+              status: 1,
+              priority: 1,
+              dueDate: 1,
+              updatedAt: 1,
+            },
+          },
+        ]),
+    Task.find({
+      assignedTo: userId,
+      project: { $in: projectIds },
+      status: { $ne: TaskStatusEnum.DONE },
+      deletedAt: { $exists: false },
+    })
+      .select("project title status updatedAt")
+      .sort({ updatedAt: -1 })
+      .limit(MAX_ASSIGNED_ITEMS)
+      .lean(),
+  ]);
+
+  const items = [
+    ...issues.map((issue) => ({
+      kind: "issue",
+      _id: issue._id,
+      project: projectsById.get(issue.projectId.toString()),
+      key: issue.key,
+      title: issue.title,
+      type: issue.type,
+      status: issue.status,
+      ...describeStatus(workflows, issue.projectId, issue.status),
+      priority: issue.priority,
+      dueDate: issue.dueDate || null,
+      updatedAt: issue.updatedAt,
+    })),
+    ...tasks.map((task) => ({
+      kind: "task",
+      _id: task._id,
+      project: projectsById.get(task.project.toString()),
+      title: task.title,
+      status: task.status,
+      // Task statuses share their names with the status categories
+      statusCategory: task.status,
+      dueDate: null,
+      updatedAt: task.updatedAt,
+    })),
+  ].sort(byDueDate);
+
+  const boundaries = getBucketBoundaries(new Date(), parseInt(timezoneOffset));
+  const assigned = Object.fromEntries(
+    DUE_BUCKETS.map((bucket) => [bucket, []]),
+  );
+  for (const item of items) {
+    assigned[getDueBucket(item.dueDate, boundaries)].push(item);
+  }
+
+  // Watched issues that others touched recently
+  const since = new Date(Date.now() - parseInt(days) * DAY_MS);
+  const watchedIssues = await Issue.find({
+    watchers: userId,
+    projectId: { $in: projectIds },
+    deletedAt: { $exists: false },
+  })
+    .select("projectId key title type status priority")
+    .lean();
+
+  const activity = watchedIssues.length
+    ? await IssueActivity.aggregate([
+        {
+          $match: {
+            issueId: { $in: watchedIssues.map((issue) => issue._id) },
+            actorId: { $ne: userId },
+            createdAt: { $gte: since },
+          },
+        },
+        { $sort: { createdAt: -1 } },
+        {
+          $group: {
+            _id: "$issueId",
+            count: { $sum: 1 },
+            latest: { $first: "$$ROOT" },
+          },
+        },
+        { $sort: { "latest.createdAt": -1 } },
+        { $limit: MAX_WATCHED_ISSUES },
+        {
+          $lookup: {
+            from: "users",
+            localField: "latest.actorId",
+            foreignField: "_id",
+            as: "actor",
+            pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+          },
+        },
+      ])
+    : [];
+
+  const watchedById = new Map(
+    watchedIssues.map((issue) => [issue._id.toString(), issue]),
+  );
+  const watched = activity.map((group) => {
+    const issue = watchedById.get(group._id.toString());
+    return {
+      ...issue,
+      ...describeStatus(workflows, issue.projectId, issue.status),
+      project: projectsById.get(issue.projectId.toString()),
+      recentActivity: {
+        count: group.count,
+        latest: {
+          action: group.latest.action,
+          from: group.latest.from,
+          to: group.latest.to,
+          actor: group.actor[0] || null,
+          createdAt: group.latest.createdAt,
+        },
+      },
+    };
+  });
+
+  // Unread chat: messages from others the caller has not marked as read
+  const unreadGroups = projectIds.length
+    ? await ChatMessage.aggregate([
+        {
+          $match: {
+            project: { $in: projectIds },
+            sender: { $ne: userId },
+            readBy: { $ne: userId },
+            deletedAt: { $exists: false },
+          },
+        },
+        { $group: { _id: "$project", count: { $sum: 1 } } },
+      ])
+    : [];
+
+  const unreadChat = unreadGroups
+    .map((group) => ({
+      project: projectsById.get(group._id.toString()),
+      count: group.count,
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        projects,
+        assigned,
+        counts: Object.fromEntries(
+          DUE_BUCKETS.map((bucket) => [bucket, assigned[bucket].length]),
+        ),
+        watched,
+        unreadChat,
+        totalUnreadChat: unreadChat.reduce(
+          (sum, group) => sum + group.count,
+          0,
+        ),
+      },
+      "Work fetched successfully",
+    ),
+  );
+});
+
+// The caller's own logged work across projects they are still a member of
+const getMyTimesheet = asyncHandler(async (req, res) => {
+  const { project, format } = req.query;
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  const memberships = await ProjectMember.find({ user: userId }).select(
+    "project",
+  );
+  const projectIds = memberships
+    .map((membership) => membership.project)
+    .filter((candidate) => !project || candidate.toString() === project);
+
+  const range = resolveTimesheetRange(req.query);
+  const data = await buildTimesheet(
+    { user: userId, project: { $in: projectIds } },
+    range,
+  );
+
+  if (format === "csv") {
+    return sendCsv(
+      res,
+      `my-timesheet-${range.from}-to-${range.to}.csv`,
+      timesheetToCsv(data),
+    );
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Timesheet fetched successfully"));
+});
+
+export { getMyWork, getMyTimesheet };
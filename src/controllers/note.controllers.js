@@ -4,6 +4,8 @@ import { ApiResponse } from "../utils/api-response.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
 import mongoose from "mongoose";
+import { resolveMentions } from "../utils/mentions.js";
+import { notifyMentions } from "../utils/notifications.js";
 
 const getNotes = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
@@ -15,6 +17,7 @@ const getNotes = asyncHandler(async (req, res) => {
 
   const notes = await ProjectNote.find({
     project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
   })
     .populate("createdBy", "username fullName avatar")
     .sort({ createdAt: -1 });
@@ -33,10 +36,21 @@ const createNote = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Project not found");
   }
 
+  const mentions = await resolveMentions(content, projectId);
+
   const note = await ProjectNote.create({
     content,
     project: new mongoose.Types.ObjectId(projectId),
     createdBy: new mongoose.Types.ObjectId(req.user._id),
+    mentions: mentions.map((user) => user._id),
+  });
+
+  await notifyMentions({
+    projectId,
+    mentions,
+    sender: req.user,
+    body: content,
+    source: "note",
   });
 
   return res
@@ -45,9 +59,13 @@ const createNote = asyncHandler(async (req, res) => {
 });
 
 const getNoteById = asyncHandler(async (req, res) => {
-  const { noteId } = req.params;
+  const { projectId, noteId } = req.params;
 
-  const note = await ProjectNote.findById(noteId).populate(
+  const note = await ProjectNote.findOne({
+    _id: noteId,
+    project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  }).populate(
     "createdBy",
     "username fullName avatar"
   );
@@ -62,18 +80,39 @@ const getNoteById = asyncHandler(async (req, res) => {
 });
 
 const updateNote = asyncHandler(async (req, res) => {
-  const { noteId } = req.params;
+  const { projectId, noteId } = req.params;
   const { content } = req.body;
 
+  const existingNote = await ProjectNote.findOne({
+    _id: noteId,
+    project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  });
+
+  if (!existingNote) {
+    throw new ApiError(404, "Note not found");
+  }
+
+  // Only notify users who were not already mentioned in this note
+  const mentions = await resolveMentions(content, projectId);
+  const previousMentions = existingNote.mentions.map((id) => id.toString());
+  const newMentions = mentions.filter(
+    (user) => !previousMentions.includes(user._id.toString()),
+  );
+
   const note = await ProjectNote.findByIdAndUpdate(
     noteId,
-    { content },
+    { content, mentions: mentions.map((user) => user._id) },
     { new: true }
   ).populate("createdBy", "username fullName avatar");
 
-  if (!note) {
-    throw new ApiError(404, "Note not found");
-  }
+  await notifyMentions({
+    projectId,
+    mentions: newMentions,
+    sender: req.user,
+    body: content,
+    source: "note",
+  });
 
   return res
     .status(200)
@@ -81,9 +120,21 @@ const updateNote = asyncHandler(async (req, res) => {
 });
 
 const deleteNote = asyncHandler(async (req, res) => {
-  const { noteId } = req.params;
-
-  const note = await ProjectNote.findByIdAndDelete(noteId);
+  const { projectId, noteId } = req.params;
+
+  // Soft delete; the note can be restored from the project trash
+  const note = await ProjectNote.findOneAndUpdate(
+    {
+      _id: noteId,
+      project: new mongoose.Types.ObjectId(projectId),
+      deletedAt: { $exists: false },
+    },
+    {
+      deletedAt: new Date(),
+      deletedBy: new mongoose.Types.ObjectId(req.user._id),
+    },
+    { new: true }
+  );
 
   if (!note) {
     throw new ApiError(404, "Note not found");
@@ -0,0 +1,207 @@
+import { Notification } from "../models/notification.models.js";
+import { NotificationPreference } from "../models/notificationPreference.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import {
+  AvailableNotificationEvents,
+  DefaultNotificationChannels,
+  EmailDigestEnum,
+} from "../utils/constants.js";
+
+// Keep only known events and boolean channel flags
+const sanitizeEvents = (events = {}) => {
+  const sanitized = {};
+  AvailableNotificationEvents.forEach((event) => {
+    const channels = events[event];
+    if (!channels) return;
+    sanitized[event] = {};
+    ["inApp", "email"].forEach((channel) => {
+      if (typeof channels[channel] === "boolean") {
+        sanitized[event][channel] = channels[channel];
+      }
+    });
+  });
+  return sanitized;
+};
+
+// Global event settings with defaults filled in for anything unset
+const withDefaultEvents = (events) =>
+  Object.fromEntries(
+    AvailableNotificationEvents.map((event) => [
+      event,
+      {
+        inApp: events?.[event]?.inApp ?? DefaultNotificationChannels[event].inApp,
+        email: events?.[event]?.email ?? DefaultNotificationChannels[event].email,
+      },
+    ])
+  );
+
+const formatPreferences = (preference) => ({
+  events: withDefaultEvents(preference?.events),
+  projects: preference?.projects || [],
+  emailDigest: preference?.emailDigest || EmailDigestEnum.IMMEDIATE,
+});
+
+const listNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unread } = req.query;
+
+  const query = {
+    recipient: new mongoose.Types.ObjectId(req.user._id),
+  };
+
+  if (unread === "true") {
+    query.readAt = { $exists: false };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const total = await Notification.countDocuments(query);
+
+  const notifications = await Notification.find(query)
+    .populate("actor", "username fullName avatar")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        data: notifications,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        hasMore: skip + notifications.length < total,
+      },
+      "Notifications fetched successfully"
+    )
+  );
+});
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await Notification.countDocuments({
+    recipient: new mongoose.Types.ObjectId(req.user._id),
+    readAt: { $exists: false },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { count }, "Unread count fetched successfully"));
+});
+
+const markAsRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  const notification = await Notification.findOne({
+    _id: new mongoose.Types.ObjectId(notificationId),
+    recipient: new mongoose.Types.ObjectId(req.user._id),
+  });
+
+  if (!notification) {
+    throw new ApiError(404, "Notification not found");
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read"));
+});
+
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    {
+      recipient: new mongoose.Types.ObjectId(req.user._id),
+      readAt: { $exists: false },
+    },
+    { $set: { readAt: new Date() } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { modifiedCount: result.modifiedCount },
+        "All notifications marked as read"
+      )
+    );
+});
+
+const getPreferences = asyncHandler(async (req, res) => {
+  const preference = await NotificationPreference.findOne({
+    user: new mongoose.Types.ObjectId(req.user._id),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        formatPreferences(preference),
+        "Notification preferences fetched successfully"
+      )
+    );
+});
+
+const updatePreferences = asyncHandler(async (req, res) => {
+  const { events, projects, emailDigest } = req.body;
+  const update = {};
+
+  if (events !== undefined) {
+    update.events = sanitizeEvents(events);
+  }
+
+  if (emailDigest !== undefined) {
+    update.emailDigest = emailDigest;
+  }
+
+  if (projects !== undefined) {
+    // Overrides are only kept for projects the user belongs to
+    const memberships = await ProjectMember.find({
+      user: new mongoose.Types.ObjectId(req.user._id),
+      project: {
+        $in: projects.map((p) => new mongoose.Types.ObjectId(p.project)),
+      },
+    });
+    const memberProjectIds = memberships.map((m) => m.project.toString());
+
+    update.projects = projects
+      .filter((p) => memberProjectIds.includes(p.project.toString()))
+      .map((p) => ({
+        project: new mongoose.Types.ObjectId(p.project),
+        muted: Boolean(p.muted),
+        events: sanitizeEvents(p.events),
+      }));
+  }
+
+  const preference = await NotificationPreference.findOneAndUpdate(
+    { user: new mongoose.Types.ObjectId(req.user._id) },
+    { $set: update },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        formatPreferences(preference),
+        "Notification preferences updated successfully"
+      )
+    );
+});
+
+export {
+  listNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+};
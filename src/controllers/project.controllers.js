@@ -1,24 +1,66 @@
 import { User } from "../models/user.models.js";
 import { Project } from "../models/project.models.js";
 import { ProjectMember } from "../models/projectmember.models.js";
-import { Task } from "../models/task.models.js";
-import { Subtask } from "../models/subtask.models.js";
-import { Issue } from "../models/issue.models.js";
-import { IssueComment } from "../models/issueComment.models.js";
-import { IssueActivity } from "../models/issueActivity.models.js";
-import { ProjectNote } from "../models/note.models.js";
-import { ChatMessage } from "../models/chatmessage.models.js";
+import { Invitation } from "../models/invitation.models.js";
 import { ApiResponse } from "../utils/api-response.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
 import mongoose from "mongoose";
 import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+import {
+  generateUniqueProjectKey,
+  renameIssueKeys,
+} from "../utils/issue-keys.js";
+import {
+  resolveProjectGraph,
+  exportProjectArchive,
+  importProjectArchive,
+} from "../utils/project-archive.js";
+import { apiTokenAllowsProject } from "../utils/api-tokens.js";
+
+// Make sure no other project already uses the requested key
+const assertProjectKeyAvailable = async (key, projectId) => {
+  const existing = await Project.exists({
+    key,
+    ...(projectId ? { _id: { $ne: new mongoose.Types.ObjectId(projectId) } } : {}),
+  });
+
+  if (existing) {
+    throw new ApiError(409, `Project key ${key} is already in use`);
+  }
+};
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// The unique indexes settle races between the checks and the write
+const rethrowProjectConflict = (error, { name, key }) => {
+  if (!isDuplicateKeyError(error)) throw error;
+  throw new ApiError(
+    409,
+    error.keyPattern?.key
+      ? `Project key ${key} is already in use`
+      : `Project name ${name} is already in use`,
+  );
+};
+
+// API tokens restricted to some projects cannot create new ones
+const assertUnrestrictedApiToken = (req) => {
+  if (req.apiToken?.projects.length > 0) {
+    throw new ApiError(403, "This API token is restricted to specific projects");
+  }
+};
 
 const getProjects = asyncHandler(async (req, res) => {
+  const includeArchived = req.query.includeArchived === "true";
+  const tokenProjects = req.apiToken?.projects ?? [];
+
   const projects = await ProjectMember.aggregate([
     {
       $match: {
         user: new mongoose.Types.ObjectId(req.user._id),
+        ...(tokenProjects.length > 0
+          ? { project: { $in: tokenProjects } }
+          : {}),
       },
     },
     {
@@ -49,15 +91,20 @@ const getProjects = asyncHandler(async (req, res) => {
     {
       $unwind: "$project",
     },
+    ...(includeArchived
+      ? []
+      : [{ $match: { "project.archivedAt": { $exists: false } } }]),
     {
       $project: {
         project: {
           _id: 1,
           name: 1,
+          key: 1,
           description: 1,
           members: 1,
           createdAt: 1,
           createdBy: 1,
+          archivedAt: 1,
         },
         role: 1,
         _id: 0,
@@ -84,13 +131,26 @@ const getProjectById = asyncHandler(async (req, res) => {
 });
 
 const createProject = asyncHandler(async (req, res) => {
-  const { name, description } = req.body;
+  const { name, key, description } = req.body;
 
-  const project = await Project.create({
-    name,
-    description,
-    createdBy: new mongoose.Types.ObjectId(req.user._id),
-  });
+  assertUnrestrictedApiToken(req);
+
+  if (key) {
+    await assertProjectKeyAvailable(key);
+  }
+
+  const projectKey = key || (await generateUniqueProjectKey(name));
+  let project;
+  try {
+    project = await Project.create({
+      name,
+      key: projectKey,
+      description,
+      createdBy: new mongoose.Types.ObjectId(req.user._id),
+    });
+  } catch (error) {
+    rethrowProjectConflict(error, { name, key: projectKey });
+  }
 
   await ProjectMember.create({
     user: new mongoose.Types.ObjectId(req.user._id),
@@ -104,21 +164,46 @@ const createProject = asyncHandler(async (req, res) => {
 });
 
 const updateProject = asyncHandler(async (req, res) => {
-  const { name, description } = req.body;
+  const { name, key, description } = req.body;
   const { projectId } = req.params;
 
-  const project = await Project.findByIdAndUpdate(
-    projectId,
-    {
-      name,
-      description,
-    },
-    { new: true },
-  );
+  const existingProject = await Project.findById(projectId);
 
-  if (!project) {
+  if (!existingProject) {
     throw new ApiError(404, "Project not found");
   }
+
+  const keyChanged = key && key !== existingProject.key;
+  if (keyChanged) {
+    await assertProjectKeyAvailable(key, projectId);
+  }
+
+  // Existing issues keep their numbers under the new prefix, so the key and
+  // the issue keys change together
+  const session = await mongoose.startSession();
+  let project;
+  try {
+    await session.withTransaction(async () => {
+      project = await Project.findByIdAndUpdate(
+        projectId,
+        {
+          name,
+          description,
+          ...(keyChanged ? { key } : {}),
+        },
+        { new: true, session },
+      );
+
+      if (keyChanged) {
+        await renameIssueKeys(project._id, key, session);
+      }
+    });
+  } catch (error) {
+    rethrowProjectConflict(error, { name, key });
+  } finally {
+    await session.endSession();
+  }
+
   return res
     .status(200)
     .json(new ApiResponse(200, project, "Project updated successfully"));
@@ -138,42 +223,15 @@ const deleteProject = asyncHandler(async (req, res) => {
   session.startTransaction();
 
   try {
-    // Delete all related data in order
-    // 1. Delete chat messages
-    await ChatMessage.deleteMany({ project: new mongoose.Types.ObjectId(projectId) }, { session });
-    
-    // 2. Delete notes
-    await ProjectNote.deleteMany({ project: new mongoose.Types.ObjectId(projectId) }, { session });
-    
-    // 3. Get all issues for this project to delete their activities and comments
-    const issues = await Issue.find({ projectId: new mongoose.Types.ObjectId(projectId) }, { _id: 1 }, { session });
-    const issueIds = issues.map(issue => issue._id);
-    
-    if (issueIds.length > 0) {
-      // 4. Delete issue activities
-      await IssueActivity.deleteMany({ issueId: { $in: issueIds } }, { session });
-      
-      // 5. Delete issue comments
-      await IssueComment.deleteMany({ issueId: { $in: issueIds } }, { session });
+    // Delete everything that belongs to the project, children first
+    const collections = await resolveProjectGraph(projectId, session);
+    for (const { model, filter } of collections.reverse()) {
+      await model.deleteMany(filter, { session });
     }
-    
-    // 6. Delete issues
-    await Issue.deleteMany({ projectId: new mongoose.Types.ObjectId(projectId) }, { session });
-    
-    // 7. Delete subtasks (get all tasks first, then delete their subtasks)
-    const tasks = await Task.find({ project: new mongoose.Types.ObjectId(projectId) }, { _id: 1 }, { session });
-    const taskIds = tasks.map(task => task._id);
-    if (taskIds.length > 0) {
-      await Subtask.deleteMany({ task: { $in: taskIds } }, { session });
-    }
-    
-    // 8. Delete tasks
-    await Task.deleteMany({ project: new mongoose.Types.ObjectId(projectId) }, { session });
-    
-    // 9. Delete project members
-    await ProjectMember.deleteMany({ project: new mongoose.Types.ObjectId(projectId) }, { session });
-    
-    // 10. Finally delete the project itself
+    // Invitations are left out of the graph so backups never carry tokens
+    await Invitation.deleteMany({ project: project._id }, { session });
+
+    // Finally delete the project itself
     await Project.findByIdAndDelete(projectId, { session });
 
     // Commit the transaction
@@ -191,6 +249,77 @@ const deleteProject = asyncHandler(async (req, res) => {
   }
 });
 
+// Archived projects stay readable but reject every change until unarchived
+const archiveProject = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+  if (project.archivedAt) {
+    throw new ApiError(409, "Project is already archived");
+  }
+
+  project.archivedAt = new Date();
+  project.archivedBy = new mongoose.Types.ObjectId(req.user._id);
+  await project.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project archived successfully"));
+});
+
+const unarchiveProject = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+  if (!project.archivedAt) {
+    throw new ApiError(409, "Project is not archived");
+  }
+
+  project.archivedAt = undefined;
+  project.archivedBy = undefined;
+  await project.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project unarchived successfully"));
+});
+
+// Download the whole project (documents and uploads) as one archive
+const exportProjectBackup = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const { project, buffer } = await exportProjectArchive(projectId);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader("Content-Type", "application/gzip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${project.key || "project"}-backup-${date}.json.gz"`,
+  );
+  return res.status(200).send(buffer);
+});
+
+// Restore an archive as a new project owned by the caller
+const importProjectBackup = asyncHandler(async (req, res) => {
+  assertUnrestrictedApiToken(req);
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new ApiError(400, "Upload a project archive");
+  }
+
+  const result = await importProjectArchive(req.body, req.user);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, result, "Project restored successfully"));
+});
+
 const addMembersToProject = asyncHandler(async (req, res) => {
   const { email, role } = req.body;
   const { projectId } = req.params;
@@ -223,6 +352,10 @@ const addMembersToProject = asyncHandler(async (req, res) => {
 
 const getProjectMembers = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
+
+  if (req.apiToken && !apiTokenAllowsProject(req.apiToken, projectId)) {
+    throw new ApiError(403, "This API token cannot be used for this project");
+  }
   const project = await Project.findById(projectId);
 
   if (!project) {
@@ -356,5 +489,9 @@ export {
   getProjectMembers,
   updateProject,
   deleteProject,
+  archiveProject,
+  unarchiveProject,
+  exportProjectBackup,
+  importProjectBackup,
   updateMemberRole,
 };
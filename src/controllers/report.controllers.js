@@ -0,0 +1,277 @@
+import { Issue } from "../models/issue.models.js";
+import { Sprint } from "../models/sprint.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import { SprintStateEnum } from "../utils/constants.js";
+import { getProjectWorkflow, getDoneStatuses } from "../utils/workflows.js";
+import {
+  buildIssueTimelines,
+  stateAt,
+  eachDayEnd,
+} from "../utils/issue-history.js";
+import {
+  resolveTimesheetRange,
+  buildTimesheet,
+  timesheetToCsv,
+} from "../utils/timesheets.js";
+import { sendCsv } from "../utils/csv.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const toDateKey = (date) => date.toISOString().split("T")[0];
+
+// Whole days between two dates, ignoring the time of day
+const daysBetween = (from, to) =>
+  Math.round(
+    (new Date(toDateKey(new Date(to))) - new Date(toDateKey(new Date(from)))) /
+      DAY_MS,
+  );
+
+// Resolve the reporting window from a sprint or from/to query params
+const resolveRange = async (projectId, { sprintId, from, to }) => {
+  if (sprintId) {
+    const sprint = await Sprint.findOne({
+      _id: new mongoose.Types.ObjectId(sprintId),
+      project: new mongoose.Types.ObjectId(projectId),
+    });
+
+    if (!sprint) {
+      throw new ApiError(404, "Sprint not found");
+    }
+
+    if (sprint.state === SprintStateEnum.PLANNED || !sprint.startDate) {
+      throw new ApiError(400, "Sprint has not started yet");
+    }
+
+    return {
+      sprint,
+      from: sprint.startDate,
+      to: sprint.completedAt || sprint.endDate || new Date(),
+    };
+  }
+
+  const end = to ? new Date(to) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (start > end) {
+    throw new ApiError(400, "'from' must be before 'to'");
+  }
+
+  if (daysBetween(start, end) >= MAX_RANGE_DAYS) {
+    throw new ApiError(400, `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { sprint: null, from: start, to: end };
+};
+
+// Timelines of every issue that existed in the project up to a date
+const loadTimelines = async (projectId, until) => {
+  const issues = await Issue.find({
+    projectId: new mongoose.Types.ObjectId(projectId),
+    createdAt: { $lte: until },
+  })
+    .select("status storyPoints sprint deletedAt createdAt")
+    .lean();
+
+  return buildIssueTimelines(issues);
+};
+
+// Issue states at a point in time, limited to existing issues (and a sprint)
+const statesAt = (timelines, date, sprintId) =>
+  timelines
+    .map((timeline) => stateAt(timeline, date))
+    .filter(
+      (state) =>
+        state &&
+        !state.deleted &&
+        (!sprintId || state.sprint === sprintId.toString()),
+    );
+
+const burndown = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { sprint, from, to } = await resolveRange(projectId, req.query);
+  const sprintId = sprint?._id;
+
+  const timelines = await loadTimelines(projectId, to);
+  const days = eachDayEnd(from, to);
+  const doneStatuses = getDoneStatuses(await getProjectWorkflow(projectId));
+
+  const series = days.map((day) => {
+    const remaining = statesAt(timelines, day, sprintId).filter(
+      (state) => !doneStatuses.includes(state.status),
+    );
+    return {
+      date: toDateKey(day),
+      remainingPoints: remaining.reduce(
+        (sum, state) => sum + (state.storyPoints || 0),
+        0,
+      ),
+      remainingIssues: remaining.length,
+    };
+  });
+
+  // Ideal line from the starting scope down to zero on the last day
+  const startPoints = series[0]?.remainingPoints || 0;
+  const totalDays = Math.max(daysBetween(from, to), 1);
+  series.forEach((point, index) => {
+    point.idealPoints = Math.max(
+      0,
+      Math.round((startPoints - (startPoints * index) / totalDays) * 10) / 10,
+    );
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        sprint: sprint
+          ? { _id: sprint._id, name: sprint.name, state: sprint.state }
+          : null,
+        from: toDateKey(new Date(from)),
+        to: toDateKey(new Date(to)),
+        series,
+      },
+      "Burndown fetched successfully",
+    ),
+  );
+});
+
+const velocity = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const limit = parseInt(req.query.limit) || 6;
+
+  const sprints = await Sprint.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    state: SprintStateEnum.CLOSED,
+  })
+    .sort({ completedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  sprints.reverse();
+
+  const timelines = sprints.length
+    ? await loadTimelines(projectId, sprints[sprints.length - 1].completedAt)
+    : [];
+  const doneStatuses = getDoneStatuses(await getProjectWorkflow(projectId));
+
+  const data = sprints.map((sprint) => {
+    // Commitment is the sprint scope at the moment it started
+    const committed = statesAt(timelines, sprint.startDate, sprint._id);
+    const completedPoints =
+      sprint.summary?.completedPoints ??
+      statesAt(timelines, sprint.completedAt, sprint._id)
+        .filter((state) => doneStatuses.includes(state.status))
+        .reduce((sum, state) => sum + (state.storyPoints || 0), 0);
+
+    return {
+      _id: sprint._id,
+      name: sprint.name,
+      startDate: sprint.startDate,
+      completedAt: sprint.completedAt,
+      committedPoints: committed.reduce(
+        (sum, state) => sum + (state.storyPoints || 0),
+        0,
+      ),
+      completedPoints,
+    };
+  });
+
+  const averageVelocity = data.length
+    ? Math.round(
+        (data.reduce((sum, sprint) => sum + sprint.completedPoints, 0) /
+          data.length) *
+          10,
+      ) / 10
+    : 0;
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { sprints: data, averageVelocity },
+        "Velocity fetched successfully",
+      ),
+    );
+});
+
+const cumulativeFlow = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { sprint, from, to } = await resolveRange(projectId, req.query);
+
+  const timelines = await loadTimelines(projectId, to);
+  const days = eachDayEnd(from, to);
+  const workflow = await getProjectWorkflow(projectId);
+
+  // Workflow statuses first, then any status issues had before it changed
+  const statuses = workflow.statuses.map(({ key, name, category, color }) => ({
+    key,
+    name,
+    category,
+    color,
+  }));
+  const known = new Set(statuses.map((status) => status.key));
+
+  const series = days.map((day) => {
+    const counts = Object.fromEntries(
+      statuses.map((status) => [status.key, 0]),
+    );
+    statesAt(timelines, day, sprint?._id).forEach((state) => {
+      if (!known.has(state.status)) {
+        known.add(state.status);
+        statuses.push({ key: state.status, name: state.status, category: null });
+      }
+      counts[state.status] = (counts[state.status] || 0) + 1;
+    });
+    return { date: toDateKey(day), ...counts };
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        statuses,
+        from: toDateKey(new Date(from)),
+        to: toDateKey(new Date(to)),
+        series,
+      },
+      "Cumulative flow fetched successfully",
+    ),
+  );
+});
+
+// Logged work in the project, optionally for one user, as JSON or CSV
+const timesheet = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { user, format } = req.query;
+
+  const range = resolveTimesheetRange(req.query);
+  const data = await buildTimesheet(
+    {
+      project: new mongoose.Types.ObjectId(projectId),
+      ...(user && { user: new mongoose.Types.ObjectId(user) }),
+    },
+    range,
+  );
+
+  if (format === "csv") {
+    return sendCsv(
+      res,
+      `timesheet-${range.from}-to-${range.to}.csv`,
+      timesheetToCsv(data),
+    );
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Timesheet fetched successfully"));
+});
+
+export { burndown, velocity, cumulativeFlow, timesheet };
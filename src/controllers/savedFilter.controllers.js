@@ -0,0 +1,145 @@
+import { SavedFilter } from "../models/savedFilter.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import { UserRolesEnum } from "../utils/constants.js";
+import { compileIssueQuery } from "../utils/issue-query.js";
+
+const OWNER_FIELDS = "username fullName avatar";
+
+// Saved filters are visible to their owner, shared ones to the whole project
+const findVisibleFilter = async (projectId, filterId, userId) => {
+  const filter = await SavedFilter.findOne({
+    _id: new mongoose.Types.ObjectId(filterId),
+    project: new mongoose.Types.ObjectId(projectId),
+    $or: [{ owner: userId }, { shared: true }],
+  });
+
+  if (!filter) {
+    throw new ApiError(404, "Saved filter not found");
+  }
+
+  return filter;
+};
+
+const assertOwner = (filter, user, allowProjectAdmins = false) => {
+  const isOwner = filter.owner.toString() === user._id.toString();
+  const isProjectAdmin = [
+    UserRolesEnum.ADMIN,
+    UserRolesEnum.PROJECT_ADMIN,
+  ].includes(user.role);
+
+  if (!isOwner && !(allowProjectAdmins && isProjectAdmin)) {
+    throw new ApiError(403, "Only the owner can change this saved filter");
+  }
+};
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+const listSavedFilters = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const filters = await SavedFilter.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    $or: [{ owner: req.user._id }, { shared: true }],
+  })
+    .populate("owner", OWNER_FIELDS)
+    .sort({ name: 1 });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, filters, "Saved filters fetched successfully"));
+});
+
+const getSavedFilter = asyncHandler(async (req, res) => {
+  const { projectId, filterId } = req.params;
+
+  const filter = await findVisibleFilter(projectId, filterId, req.user._id);
+  await filter.populate("owner", OWNER_FIELDS);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, filter, "Saved filter fetched successfully"));
+});
+
+const createSavedFilter = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { name, description, query, shared } = req.body;
+
+  // Reject broken queries now rather than every time the filter is used
+  await compileIssueQuery(query, { projectId, userId: req.user._id });
+
+  try {
+    const filter = await SavedFilter.create({
+      project: new mongoose.Types.ObjectId(projectId),
+      owner: req.user._id,
+      name,
+      description,
+      query,
+      shared: Boolean(shared),
+    });
+    await filter.populate("owner", OWNER_FIELDS);
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, filter, "Saved filter created successfully"));
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new ApiError(409, `You already have a filter named "${name}"`);
+    }
+    throw error;
+  }
+});
+
+const updateSavedFilter = asyncHandler(async (req, res) => {
+  const { projectId, filterId } = req.params;
+  const { name, description, query, shared } = req.body;
+
+  const filter = await findVisibleFilter(projectId, filterId, req.user._id);
+  assertOwner(filter, req.user);
+
+  if (query !== undefined) {
+    await compileIssueQuery(query, { projectId, userId: req.user._id });
+    filter.query = query;
+  }
+  if (name !== undefined) filter.name = name;
+  if (description !== undefined) filter.description = description;
+  if (shared !== undefined) filter.shared = Boolean(shared);
+
+  try {
+    await filter.save();
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new ApiError(409, `You already have a filter named "${name}"`);
+    }
+    throw error;
+  }
+  await filter.populate("owner", OWNER_FIELDS);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, filter, "Saved filter updated successfully"));
+});
+
+const deleteSavedFilter = asyncHandler(async (req, res) => {
+  const { projectId, filterId } = req.params;
+
+  const filter = await findVisibleFilter(projectId, filterId, req.user._id);
+  // Project admins can clean up filters shared with everyone
+  assertOwner(filter, req.user, true);
+
+  await filter.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, filter, "Saved filter deleted successfully"));
+});
+
+export {
+  listSavedFilters,
+  getSavedFilter,
+  createSavedFilter,
+  updateSavedFilter,
+  deleteSavedFilter,
+};
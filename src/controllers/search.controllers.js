@@ -0,0 +1,347 @@
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Issue } from "../models/issue.models.js";
+import { IssueComment } from "../models/issueComment.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { ProjectNote } from "../models/note.models.js";
+import { ChatMessage } from "../models/chatmessage.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { escapeRegex } from "../utils/regex.js";
+import mongoose from "mongoose";
+import {
+  SearchResultTypeEnum,
+  AvailableSearchResultTypes,
+} from "../utils/constants.js";
+
+const DEFAULT_LIMIT_PER_TYPE = 5;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 60;
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9]*-\d+$/i;
+
+// Words of the query as typed, ignoring negated terms and phrase quotes
+const getSearchTerms = (q) =>
+  q
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term.length >= 2 && !term.startsWith("-"))
+    .map((term) => term.toLowerCase());
+
+// Character ranges of every term occurrence, merged where they overlap
+const findHighlights = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const ranges = [];
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+  return ranges;
+};
+
+/**
+ * Short excerpt around the first matching term. Highlights are returned as
+ * [start, end) offsets so clients never have to render HTML from the server.
+ */
+const buildSnippet = (text, terms) => {
+  const clean = (text || "").replace(/\s+/g, " ").trim();
+  if (!clean) return { snippet: "", highlights: [] };
+
+  const lower = clean.toLowerCase();
+  const positions = terms
+    .map((term) => lower.indexOf(term))
+    .filter((position) => position >= 0);
+  // Stemmed matches ("running" for "run") may not appear verbatim
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(clean.length, start + SNIPPET_LENGTH);
+  const snippet = `${start > 0 ? "…" : ""}${clean.slice(start, end)}${
+    end < clean.length ? "…" : ""
+  }`;
+
+  return { snippet, highlights: findHighlights(snippet, terms) };
+};
+
+const textStages = (q, match) => [
+  { $match: { $text: { $search: q }, ...match } },
+  { $addFields: { score: { $meta: "textScore" } } },
+  { $sort: { score: -1 } },
+];
+
+// How each result type is searched, scoped to the caller's projects and shaped.
+// Comments and subtasks have no project field, so their text search is limited
+// to the ids of the issues and tasks in those projects.
+const SEARCH_SOURCES = {
+  [SearchResultTypeEnum.ISSUE]: {
+    model: Issue,
+    pipeline: (q, projectIds) =>
+      textStages(q, {
+        projectId: { $in: projectIds },
+        deletedAt: { $exists: false },
+      }),
+    toResult: (doc) => ({
+      projectId: doc.projectId,
+      title: `${doc.key} ${doc.title}`,
+      text: doc.description || doc.title,
+      issueId: doc._id,
+      key: doc.key,
+      status: doc.status,
+    }),
+  },
+  [SearchResultTypeEnum.TASK]: {
+    model: Task,
+    pipeline: (q, projectIds) =>
+      textStages(q, {
+        project: { $in: projectIds },
+        deletedAt: { $exists: false },
+      }),
+    toResult: (doc) => ({
+      projectId: doc.project,
+      title: doc.title,
+      text: doc.description || doc.title,
+      taskId: doc._id,
+      status: doc.status,
+    }),
+  },
+  [SearchResultTypeEnum.SUBTASK]: {
+    model: Subtask,
+    pipeline: async (q, projectIds) => {
+      const taskIds = await Task.distinct("_id", {
+        project: { $in: projectIds },
+        deletedAt: { $exists: false },
+      });
+
+      return [
+        ...textStages(q, { task: { $in: taskIds } }),
+        {
+          $lookup: {
+            from: "tasks",
+            localField: "task",
+            foreignField: "_id",
+            as: "task",
+            pipeline: [{ $project: { title: 1, project: 1 } }],
+          },
+        },
+        { $unwind: "$task" },
+      ];
+    },
+    toResult: (doc) => ({
+      projectId: doc.task.project,
+      title: doc.title,
+      text: `Subtask of ${doc.task.title}`,
+      taskId: doc.task._id,
+      isCompleted: doc.isCompleted,
+    }),
+  },
+  [SearchResultTypeEnum.NOTE]: {
+    model: ProjectNote,
+    pipeline: (q, projectIds) =>
+      textStages(q, {
+        project: { $in: projectIds },
+        deletedAt: { $exists: false },
+      }),
+    toResult: (doc) => ({
+      projectId: doc.project,
+      title: doc.content.split("\n")[0].slice(0, 80),
+      text: doc.content,
+      noteId: doc._id,
+    }),
+  },
+  [SearchResultTypeEnum.COMMENT]: {
+    model: IssueComment,
+    pipeline: async (q, projectIds) => {
+      const issueIds = await Issue.distinct("_id", {
+        projectId: { $in: projectIds },
+        deletedAt: { $exists: false },
+      });
+
+      return [
+        ...textStages(q, { issueId: { $in: issueIds } }),
+        {
+          $lookup: {
+            from: "issues",
+            localField: "issueId",
+            foreignField: "_id",
+            as: "issue",
+            pipeline: [{ $project: { key: 1, title: 1, projectId: 1 } }],
+          },
+        },
+        { $unwind: "$issue" },
+      ];
+    },
+    toResult: (doc) => ({
+      projectId: doc.issue.projectId,
+      title: `Comment on ${doc.issue.key} ${doc.issue.title}`,
+      text: doc.body,
+      issueId: doc.issue._id,
+      key: doc.issue.key,
+    }),
+  },
+  [SearchResultTypeEnum.CHAT]: {
+    model: ChatMessage,
+    pipeline: (q, projectIds) => [
+      ...textStages(q, {
+        project: { $in: projectIds },
+        deletedAt: { $exists: false },
+      }),
+      {
+        $lookup: {
+          from: "users",
+          localField: "sender",
+          foreignField: "_id",
+          as: "sender",
+          pipeline: [{ $project: { username: 1 } }],
+        },
+      },
+      { $unwind: { path: "$sender", preserveNullAndEmptyArrays: true } },
+    ],
+    toResult: (doc) => ({
+      projectId: doc.project,
+      title: `Message from ${doc.sender?.username || "a former member"}`,
+      text: doc.body,
+      messageId: doc._id,
+    }),
+  },
+};
+
+const runSearch = async (type, q, projectIds, limit) => {
+  const source = SEARCH_SOURCES[type];
+
+  // Types the caller did not ask for are only counted
+  const [{ results = [], total }] = await source.model.aggregate([
+    ...(await source.pipeline(q, projectIds)),
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        ...(limit > 0 && { results: [{ $limit: limit }] }),
+      },
+    },
+  ]);
+
+  return {
+    results: results.map((doc) => ({
+      type,
+      _id: doc._id,
+      score: doc.score,
+      createdAt: doc.createdAt,
+      ...source.toResult(doc),
+    })),
+    total: total[0]?.count || 0,
+  };
+};
+
+// Issue keys are not in the text index, so "WEB-42" is looked up directly
+const findIssueByKey = async (q, projectIds) => {
+  if (!ISSUE_KEY_PATTERN.test(q)) return null;
+
+  const issue = await Issue.findOne({
+    key: q.toUpperCase(),
+    projectId: { $in: projectIds },
+    deletedAt: { $exists: false },
+  }).lean();
+
+  return (
+    issue && {
+      type: SearchResultTypeEnum.ISSUE,
+      _id: issue._id,
+      score: Number.MAX_SAFE_INTEGER,
+      createdAt: issue.createdAt,
+      ...SEARCH_SOURCES[SearchResultTypeEnum.ISSUE].toResult(issue),
+    }
+  );
+};
+
+const search = asyncHandler(async (req, res) => {
+  const { type, project, limit } = req.query;
+  const q = req.query.q.trim();
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  // Permission filtering: only projects the caller is a member of
+  const memberships = await ProjectMember.find({ user: userId })
+    .populate("project", "name key")
+    .lean();
+  const projects = memberships
+    .map((membership) => membership.project)
+    .filter(Boolean)
+    .filter((candidate) => !project || candidate._id.toString() === project);
+  const projectIds = projects.map((candidate) => candidate._id);
+  const projectsById = new Map(
+    projects.map((candidate) => [candidate._id.toString(), candidate]),
+  );
+
+  const requestedTypes = type
+    ? (Array.isArray(type) ? type : type.split(",")).filter((candidate) =>
+        AvailableSearchResultTypes.includes(candidate),
+      )
+    : AvailableSearchResultTypes;
+  // A single type gets a longer list, "all" a few per type
+  const perTypeLimit = parseInt(limit) || DEFAULT_LIMIT_PER_TYPE;
+
+  // Facet counts cover every type so the client can switch between them
+  const searches = await Promise.all(
+    AvailableSearchResultTypes.map((candidate) =>
+      runSearch(
+        candidate,
+        q,
+        projectIds,
+        requestedTypes.includes(candidate) ? perTypeLimit : 0,
+      ).then((result) => [candidate, result]),
+    ),
+  );
+
+  const facets = Object.fromEntries(
+    searches.map(([candidate, result]) => [candidate, result.total]),
+  );
+
+  let results = searches.flatMap(([, result]) => result.results);
+
+  if (requestedTypes.includes(SearchResultTypeEnum.ISSUE)) {
+    const keyMatch = await findIssueByKey(q, projectIds);
+    if (keyMatch) {
+      const alreadyFound = results.some(
+        (result) => result._id.toString() === keyMatch._id.toString(),
+      );
+      results = results.filter(
+        (result) => result._id.toString() !== keyMatch._id.toString(),
+      );
+      results.unshift(keyMatch);
+      if (!alreadyFound) facets[SearchResultTypeEnum.ISSUE] += 1;
+    }
+  }
+
+  const terms = getSearchTerms(q);
+  const data = results
+    .sort((a, b) => b.score - a.score)
+    .map(({ text, score, projectId, ...result }) => {
+      const owner = projectsById.get(projectId.toString());
+      return {
+        ...result,
+        project: { _id: owner._id, name: owner.name, key: owner.key },
+        titleHighlights: findHighlights(result.title, terms),
+        ...buildSnippet(text, terms),
+      };
+    });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        query: q,
+        results: data,
+        facets,
+        total: Object.values(facets).reduce((sum, count) => sum + count, 0),
+      },
+      "Search completed successfully",
+    ),
+  );
+});
+
+export { search };
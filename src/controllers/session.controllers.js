@@ -0,0 +1,55 @@
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { SessionRevokeReasonEnum } from "../utils/constants.js";
+import { listActiveSessions, revokeSessions } from "../utils/sessions.js";
+
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId,
+      })),
+      "Sessions fetched successfully",
+    ),
+  );
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const revoked = await revokeSessions(
+    req.user._id,
+    { _id: sessionId },
+    SessionRevokeReasonEnum.REVOKED,
+  );
+
+  if (revoked === 0) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// "Log out other devices": everything except the session making the request
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions(
+    req.user._id,
+    { _id: { $ne: req.sessionId } },
+    SessionRevokeReasonEnum.REVOKED,
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { revoked }, "Other sessions revoked successfully"),
+    );
+});
+
+export { getSessions, revokeSession, revokeOtherSessions };
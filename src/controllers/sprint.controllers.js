@@ -0,0 +1,340 @@
+import { Project } from "../models/project.models.js";
+import { Issue } from "../models/issue.models.js";
+import { Sprint } from "../models/sprint.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import { SprintStateEnum } from "../utils/constants.js";
+import { logActivity } from "../utils/issue-activity.js";
+import { getProjectWorkflow, getDoneStatuses } from "../utils/workflows.js";
+
+const DEFAULT_SPRINT_LENGTH_DAYS = 14;
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+const findSprint = async (projectId, sprintId) => {
+  const sprint = await Sprint.findOne({
+    _id: new mongoose.Types.ObjectId(sprintId),
+    project: new mongoose.Types.ObjectId(projectId),
+  });
+
+  if (!sprint) {
+    throw new ApiError(404, "Sprint not found");
+  }
+
+  return sprint;
+};
+
+const assertValidDates = (startDate, endDate) => {
+  if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+    throw new ApiError(400, "End date must be after the start date");
+  }
+};
+
+// Move issues into a sprint (or back to the backlog when sprintId is null),
+// logging a sprint_changed activity for every issue that actually moves
+const moveIssuesToSprint = async (issues, sprintId, actorId) => {
+  const target = sprintId ? sprintId.toString() : null;
+  const moving = issues.filter(
+    (issue) => (issue.sprint ? issue.sprint.toString() : null) !== target,
+  );
+
+  if (moving.length === 0) return 0;
+
+  await Issue.updateMany(
+    { _id: { $in: moving.map((issue) => issue._id) } },
+    sprintId
+      ? { $set: { sprint: new mongoose.Types.ObjectId(sprintId) } }
+      : { $unset: { sprint: 1 } },
+  );
+
+  await Promise.all(
+    moving.map((issue) =>
+      logActivity(issue._id, actorId, "sprint_changed", issue.sprint || null, sprintId || null),
+    ),
+  );
+
+  return moving.length;
+};
+
+const listSprints = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { state } = req.query;
+
+  const query = { project: new mongoose.Types.ObjectId(projectId) };
+  if (state) {
+    query.state = Array.isArray(state) ? { $in: state } : state;
+  }
+
+  const sprints = await Sprint.find(query).sort({ startDate: 1, createdAt: 1 }).lean();
+  const doneStatuses = getDoneStatuses(await getProjectWorkflow(projectId));
+
+  // Issue counts and points per sprint
+  const totals = await Issue.aggregate([
+    {
+      $match: {
+        sprint: { $in: sprints.map((sprint) => sprint._id) },
+        deletedAt: { $exists: false },
+      },
+    },
+    {
+      $group: {
+        _id: "$sprint",
+        issueCount: { $sum: 1 },
+        totalPoints: { $sum: { $ifNull: ["$storyPoints", 0] } },
+        completedPoints: {
+          $sum: {
+            $cond: [
+              { $in: ["$status", doneStatuses] },
+              { $ifNull: ["$storyPoints", 0] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const data = sprints.map((sprint) => {
+    const total = totals.find((t) => t._id.toString() === sprint._id.toString());
+    return {
+      ...sprint,
+      issueCount: total?.issueCount || 0,
+      totalPoints: total?.totalPoints || 0,
+      completedPoints: total?.completedPoints || 0,
+    };
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Sprints fetched successfully"));
+});
+
+const createSprint = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { name, goal, startDate, endDate } = req.body;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  assertValidDates(startDate, endDate);
+
+  const sprint = await Sprint.create({
+    project: new mongoose.Types.ObjectId(projectId),
+    name,
+    goal: goal || "",
+    startDate,
+    endDate,
+    createdBy: new mongoose.Types.ObjectId(req.user._id),
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, sprint, "Sprint created successfully"));
+});
+
+const updateSprint = asyncHandler(async (req, res) => {
+  const { projectId, sprintId } = req.params;
+  const { name, goal, startDate, endDate } = req.body;
+
+  const sprint = await findSprint(projectId, sprintId);
+
+  if (sprint.state === SprintStateEnum.CLOSED) {
+    throw new ApiError(400, "Completed sprints cannot be changed");
+  }
+
+  if (name !== undefined) sprint.name = name;
+  if (goal !== undefined) sprint.goal = goal;
+  if (startDate !== undefined) sprint.startDate = startDate;
+  if (endDate !== undefined) sprint.endDate = endDate;
+
+  assertValidDates(sprint.startDate, sprint.endDate);
+
+  await sprint.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sprint, "Sprint updated successfully"));
+});
+
+const deleteSprint = asyncHandler(async (req, res) => {
+  const { projectId, sprintId } = req.params;
+
+  const sprint = await findSprint(projectId, sprintId);
+
+  if (sprint.state !== SprintStateEnum.PLANNED) {
+    throw new ApiError(400, "Only planned sprints can be deleted");
+  }
+
+  // Issues planned for this sprint go back to the backlog
+  const issues = await Issue.find({ sprint: sprint._id }).select("sprint");
+  await moveIssuesToSprint(issues, null, req.user._id);
+
+  await sprint.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sprint, "Sprint deleted successfully"));
+});
+
+const startSprint = asyncHandler(async (req, res) => {
+  const { projectId, sprintId } = req.params;
+  const { startDate, endDate } = req.body;
+
+  const sprint = await findSprint(projectId, sprintId);
+
+  if (sprint.state !== SprintStateEnum.PLANNED) {
+    throw new ApiError(400, "Only planned sprints can be started");
+  }
+
+  const activeSprint = await Sprint.findOne({
+    project: sprint.project,
+    state: SprintStateEnum.ACTIVE,
+  });
+
+  if (activeSprint) {
+    throw new ApiError(
+      409,
+      `Sprint "${activeSprint.name}" is already active. Complete it first`,
+    );
+  }
+
+  sprint.startDate = startDate || new Date();
+  sprint.endDate =
+    endDate ||
+    sprint.endDate ||
+    new Date(
+      new Date(sprint.startDate).getTime() +
+        DEFAULT_SPRINT_LENGTH_DAYS * 24 * 60 * 60 * 1000,
+    );
+
+  assertValidDates(sprint.startDate, sprint.endDate);
+
+  sprint.state = SprintStateEnum.ACTIVE;
+  try {
+    await sprint.save();
+  } catch (error) {
+    // The unique index on active sprints catches a concurrent start
+    if (isDuplicateKeyError(error)) {
+      throw new ApiError(409, "Another sprint was started at the same time");
+    }
+    throw error;
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sprint, "Sprint started successfully"));
+});
+
+const completeSprint = asyncHandler(async (req, res) => {
+  const { projectId, sprintId } = req.params;
+  const { moveTo = "backlog" } = req.body;
+
+  const sprint = await findSprint(projectId, sprintId);
+
+  if (sprint.state !== SprintStateEnum.ACTIVE) {
+    throw new ApiError(400, "Only the active sprint can be completed");
+  }
+
+  let targetSprint = null;
+  if (moveTo !== "backlog") {
+    targetSprint = await findSprint(projectId, moveTo);
+    if (targetSprint.state !== SprintStateEnum.PLANNED) {
+      throw new ApiError(400, "Unfinished issues can only move to a planned sprint");
+    }
+  }
+
+  const issues = await Issue.find({
+    sprint: sprint._id,
+    deletedAt: { $exists: false },
+  }).select("status storyPoints sprint");
+
+  const doneStatuses = getDoneStatuses(await getProjectWorkflow(projectId));
+  const completed = issues.filter((issue) => doneStatuses.includes(issue.status));
+  const unfinished = issues.filter((issue) => !doneStatuses.includes(issue.status));
+  const sumPoints = (list) =>
+    list.reduce((sum, issue) => sum + (issue.storyPoints || 0), 0);
+
+  sprint.state = SprintStateEnum.CLOSED;
+  sprint.completedAt = new Date();
+  sprint.summary = {
+    completedIssues: completed.length,
+    completedPoints: sumPoints(completed),
+    incompleteIssues: unfinished.length,
+    incompletePoints: sumPoints(unfinished),
+  };
+  await sprint.save();
+
+  await moveIssuesToSprint(unfinished, targetSprint?._id || null, req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { sprint, movedIssues: unfinished.length, movedTo: targetSprint?._id || "backlog" },
+      "Sprint completed successfully",
+    ),
+  );
+});
+
+const addIssuesToSprint = asyncHandler(async (req, res) => {
+  const { projectId, sprintId } = req.params;
+  const issueIds = [...new Set(req.body.issueIds)];
+
+  const sprint = await findSprint(projectId, sprintId);
+
+  if (sprint.state === SprintStateEnum.CLOSED) {
+    throw new ApiError(400, "Issues cannot be added to a completed sprint");
+  }
+
+  const issues = await Issue.find({
+    _id: { $in: issueIds.map((id) => new mongoose.Types.ObjectId(id)) },
+    projectId: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  }).select("sprint");
+
+  if (issues.length !== issueIds.length) {
+    throw new ApiError(404, "One or more issues were not found in this project");
+  }
+
+  const moved = await moveIssuesToSprint(issues, sprint._id, req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { moved }, "Issues added to sprint successfully"));
+});
+
+const removeIssuesFromSprint = asyncHandler(async (req, res) => {
+  const { projectId, sprintId } = req.params;
+  const { issueIds } = req.body;
+
+  const sprint = await findSprint(projectId, sprintId);
+
+  if (sprint.state === SprintStateEnum.CLOSED) {
+    throw new ApiError(400, "Issues cannot be removed from a completed sprint");
+  }
+
+  const issues = await Issue.find({
+    _id: { $in: issueIds.map((id) => new mongoose.Types.ObjectId(id)) },
+    sprint: sprint._id,
+  }).select("sprint");
+
+  const moved = await moveIssuesToSprint(issues, null, req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { moved }, "Issues moved to backlog successfully"));
+});
+
+export {
+  listSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  completeSprint,
+  addIssuesToSprint,
+  removeIssuesFromSprint,
+};
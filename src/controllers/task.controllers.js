@@ -5,9 +5,37 @@ import { Subtask } from "../models/subtask.models.js";
 import { ApiResponse } from "../utils/api-response.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
+import { sendCsv } from "../utils/csv.js";
+import {
+  TASK_IMPORT_FIELDS,
+  buildTaskExport,
+  issueExportToCsv,
+  readImportRows,
+  suggestImportMapping,
+  prepareTaskImportRows,
+} from "../utils/issue-transfer.js";
 import mongoose from "mongoose";
 import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
 
+// Subtasks have no project of their own, so they are found through a task of
+// the route's project
+const findProjectSubtask = async (projectId, subTaskId) => {
+  const subtask = await Subtask.findById(subTaskId);
+  const task =
+    subtask &&
+    (await Task.exists({
+      _id: subtask.task,
+      project: new mongoose.Types.ObjectId(projectId),
+      deletedAt: { $exists: false },
+    }));
+
+  if (!task) {
+    throw new ApiError(404, "Subtask not found");
+  }
+
+  return subtask;
+};
+
 const getTasks = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
   const project = await Project.findById(projectId);
@@ -16,6 +44,7 @@ const getTasks = asyncHandler(async (req, res) => {
   }
   const tasks = await Task.find({
     project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
   }).populate("assignedTo", "avatar username fullName");
 
   return res
@@ -58,12 +87,14 @@ const createTask = asyncHandler(async (req, res) => {
     .json(new ApiResponse(201, task, "Task created successfully"));
 });
 const getTaskById = asyncHandler(async (req, res) => {
-  const { taskId } = req.params;
+  const { projectId, taskId } = req.params;
 
   const task = await Task.aggregate([
     {
       $match: {
         _id: new mongoose.Types.ObjectId(taskId),
+        project: new mongoose.Types.ObjectId(projectId),
+        deletedAt: { $exists: false },
       },
     },
     {
@@ -136,11 +167,15 @@ const getTaskById = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, task[0], "Task fetched successfully"));
 });
 const updateTask = asyncHandler(async (req, res) => {
-  const { taskId } = req.params;
+  const { projectId, taskId } = req.params;
   const { title, description, status, assignedTo } = req.body;
 
-  const task = await Task.findByIdAndUpdate(
-    taskId,
+  const task = await Task.findOneAndUpdate(
+    {
+      _id: taskId,
+      project: new mongoose.Types.ObjectId(projectId),
+      deletedAt: { $exists: false },
+    },
     {
       title,
       description,
@@ -162,27 +197,40 @@ const updateTask = asyncHandler(async (req, res) => {
 });
 
 const deleteTask = asyncHandler(async (req, res) => {
-  const { taskId } = req.params;
+  const { projectId, taskId } = req.params;
 
-  const task = await Task.findByIdAndDelete(taskId);
+  // Soft delete; subtasks stay with the task so a restore brings them back
+  const task = await Task.findOneAndUpdate(
+    {
+      _id: taskId,
+      project: new mongoose.Types.ObjectId(projectId),
+      deletedAt: { $exists: false },
+    },
+    {
+      deletedAt: new Date(),
+      deletedBy: new mongoose.Types.ObjectId(req.user._id),
+    },
+    { new: true }
+  );
 
   if (!task) {
     throw new ApiError(404, "Task not found");
   }
 
-  // Delete all subtasks associated with this task
-  await Subtask.deleteMany({ task: new mongoose.Types.ObjectId(taskId) });
-
   return res
     .status(200)
     .json(new ApiResponse(200, task, "Task deleted successfully"));
 });
 
 const createSubTask = asyncHandler(async (req, res) => {
-  const { taskId } = req.params;
+  const { projectId, taskId } = req.params;
   const { title } = req.body;
 
-  const task = await Task.findById(taskId);
+  const task = await Task.findOne({
+    _id: taskId,
+    project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  });
   if (!task) {
     throw new ApiError(404, "Task not found");
   }
@@ -199,20 +247,14 @@ const createSubTask = asyncHandler(async (req, res) => {
 });
 
 const updateSubTask = asyncHandler(async (req, res) => {
-  const { subTaskId } = req.params;
+  const { projectId, subTaskId } = req.params;
   const { title, isCompleted } = req.body;
 
-  const updateData = {};
-  if (title !== undefined) updateData.title = title;
-  if (isCompleted !== undefined) updateData.isCompleted = isCompleted;
+  const subtask = await findProjectSubtask(projectId, subTaskId);
 
-  const subtask = await Subtask.findByIdAndUpdate(subTaskId, updateData, {
-    new: true,
-  });
-
-  if (!subtask) {
-    throw new ApiError(404, "Subtask not found");
-  }
+  if (title !== undefined) subtask.title = title;
+  if (isCompleted !== undefined) subtask.isCompleted = isCompleted;
+  await subtask.save();
 
   return res
     .status(200)
@@ -220,17 +262,142 @@ const updateSubTask = asyncHandler(async (req, res) => {
 });
 
 const deleteSubTask = asyncHandler(async (req, res) => {
-  const { subTaskId } = req.params;
+  const { projectId, subTaskId } = req.params;
 
-  const subtask = await Subtask.findByIdAndDelete(subTaskId);
+  const subtask = await findProjectSubtask(projectId, subTaskId);
+  await subtask.deleteOne();
 
-  if (!subtask) {
-    throw new ApiError(404, "Subtask not found");
+  return res
+    .status(200)
+    .json(new ApiResponse(200, subtask, "Subtask deleted successfully"));
+});
+
+// Every task of the project, as CSV or JSON
+const exportTasks = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { format } = req.query;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  const tasks = await Task.find({
+    project: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  })
+    .populate("assignedTo", "username")
+    .populate("assignedBy", "username")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const { fields, records } = await buildTaskExport(tasks);
+
+  if (format === "csv") {
+    return sendCsv(
+      res,
+      project.key ? `${project.key}-tasks.csv` : "tasks.csv",
+      issueExportToCsv(fields, records),
+    );
   }
 
   return res
     .status(200)
-    .json(new ApiResponse(200, subtask, "Subtask deleted successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { fields, data: records },
+        "Tasks exported successfully",
+      ),
+    );
+});
+
+// Import tasks from CSV or JSON, with their subtasks. A dry run only reports
+// what would happen; otherwise valid rows are created and invalid ones skipped.
+const importTasks = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { format, content, statusMap, dryRun } = req.body;
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  const { columns, rows } = readImportRows(format, content);
+
+  // Without a mapping, columns are matched to fields by name
+  const mapping =
+    req.body.mapping || suggestImportMapping(columns, [], TASK_IMPORT_FIELDS);
+  const unknownColumn = Object.values(mapping).find(
+    (column) => column && !columns.includes(column),
+  );
+  if (unknownColumn) {
+    throw new ApiError(400, `Column '${unknownColumn}' is not in the file`);
+  }
+
+  const prepared = await prepareTaskImportRows(projectId, rows, {
+    mapping,
+    statusMap,
+  });
+
+  let created = 0;
+  if (!dryRun) {
+    for (const row of prepared.rows) {
+      if (row.errors.length > 0) continue;
+      const { subtasks, ...data } = row.data;
+      try {
+        const task = await Task.create({
+          ...data,
+          project: project._id,
+          assignedBy: new mongoose.Types.ObjectId(req.user._id),
+        });
+        if (subtasks.length > 0) {
+          await Subtask.insertMany(
+            subtasks.map((title) => ({
+              title,
+              task: task._id,
+              createdBy: new mongoose.Types.ObjectId(req.user._id),
+            })),
+          );
+        }
+        row.taskId = task._id;
+        created += 1;
+      } catch (error) {
+        row.errors.push(error.message);
+      }
+    }
+  }
+
+  const invalid = prepared.rows.filter((row) => row.errors.length > 0).length;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        dryRun: Boolean(dryRun),
+        columns,
+        mapping,
+        total: prepared.rows.length,
+        valid: prepared.rows.length - invalid,
+        invalid,
+        created,
+        unknownStatuses: prepared.unknownStatuses,
+        unknownUsers: prepared.unknownUsers,
+        rows: prepared.rows.map(
+          ({ row, title, taskId, errors, warnings }) => ({
+            row,
+            title,
+            taskId,
+            errors,
+            warnings,
+          }),
+        ),
+      },
+      dryRun
+        ? "Import checked successfully"
+        : `Imported ${created} of ${prepared.rows.length} tasks`,
+    ),
+  );
 });
 
 export {
@@ -238,8 +405,10 @@ export {
   createTask,
   deleteTask,
   deleteSubTask,
+  exportTasks,
   getTaskById,
   getTasks,
+  importTasks,
   updateSubTask,
   updateTask,
 };
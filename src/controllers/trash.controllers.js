@@ -0,0 +1,81 @@
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import { TrashItemTypeEnum } from "../utils/constants.js";
+import { logActivity } from "../utils/issue-activity.js";
+import {
+  getTrashRetentionDays,
+  listTrashedItems,
+  findTrashedItem,
+  purgeTrashedItems,
+} from "../utils/trash.js";
+
+const findTrashItemOrThrow = async (type, projectId, itemId) => {
+  const item = await findTrashedItem(type, projectId, itemId);
+
+  if (!item) {
+    throw new ApiError(404, "Item not found in the trash");
+  }
+
+  return item;
+};
+
+const listTrash = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { type } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const { items, total } = await listTrashedItems(projectId, {
+    type,
+    page,
+    limit,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        data: items,
+        page,
+        limit,
+        total,
+        hasMore: (page - 1) * limit + items.length < total,
+        retentionDays: getTrashRetentionDays(),
+      },
+      "Trash fetched successfully",
+    ),
+  );
+});
+
+const restoreTrashItem = asyncHandler(async (req, res) => {
+  const { projectId, type, itemId } = req.params;
+
+  const item = await findTrashItemOrThrow(type, projectId, itemId);
+
+  item.deletedAt = undefined;
+  item.deletedBy = undefined;
+  await item.save();
+
+  if (type === TrashItemTypeEnum.ISSUE) {
+    await logActivity(item._id, req.user._id, "restored", null, null);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, item, "Item restored successfully"));
+});
+
+const purgeTrashItem = asyncHandler(async (req, res) => {
+  const { projectId, type, itemId } = req.params;
+
+  const item = await findTrashItemOrThrow(type, projectId, itemId);
+
+  await purgeTrashedItems(type, [item._id]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Item deleted permanently"));
+});
+
+export { listTrash, restoreTrashItem, purgeTrashItem };
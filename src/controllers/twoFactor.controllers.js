@@ -0,0 +1,126 @@
+import { User } from "../models/user.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+} from "../utils/totp.js";
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/login-protection.js";
+
+// Enrollment starts with a pending secret; 2FA is on once a code checks out
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUrl: buildOtpauthUrl(secret, user.email) },
+        "Scan the code with your authenticator app",
+      ),
+    );
+});
+
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret",
+  );
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError(400, "Start the two-factor setup first");
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    throw new ApiError(400, "Invalid authentication code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  // Conditional on the same pending secret, so the code is used only once
+  const enabled = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      twoFactorEnabled: { $ne: true },
+      twoFactorPendingSecret: user.twoFactorPendingSecret,
+    },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: hashes,
+      },
+      $unset: { twoFactorPendingSecret: 1 },
+    },
+  );
+
+  if (!enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  // The codes are only ever shown here; just their hashes are kept
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two-factor authentication enabled",
+      ),
+    );
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is not enabled");
+  }
+
+  // Guessed passwords count towards the same lockout as at sign-in
+  await assertLoginAllowed(user.email);
+
+  if (!(await user.isPasswordCorrect(password))) {
+    await recordLoginFailure(req, user.email, user, "wrong_password");
+    throw new ApiError(400, "Invalid password");
+  }
+
+  await clearLoginFailures(user.email);
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+export { setupTwoFactor, enableTwoFactor, disableTwoFactor };
@@ -0,0 +1,105 @@
+import { Issue } from "../models/issue.models.js";
+import { Workflow } from "../models/workflow.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import { logActivity } from "../utils/issue-activity.js";
+import {
+  getProjectWorkflow,
+  assertValidWorkflow,
+} from "../utils/workflows.js";
+
+const getWorkflow = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+
+  const workflow = await getProjectWorkflow(projectId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, workflow, "Workflow fetched successfully"));
+});
+
+const updateWorkflow = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { initialStatus, statuses, transitions, statusMapping = {} } = req.body;
+
+  const definition = {
+    initialStatus,
+    statuses: statuses.map(({ key, name, category, color }) => ({
+      key,
+      name,
+      category,
+      color: color || undefined,
+    })),
+    transitions: transitions.map(({ from, to, guards = [] }) => ({
+      from,
+      to,
+      guards: [...new Set(guards)],
+    })),
+  };
+
+  assertValidWorkflow(definition);
+
+  // Issues in statuses that are being removed must be moved somewhere valid
+  const keys = definition.statuses.map((status) => status.key);
+  const orphaned = await Issue.aggregate([
+    {
+      $match: {
+        projectId: new mongoose.Types.ObjectId(projectId),
+        status: { $nin: keys },
+      },
+    },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const unmapped = orphaned.filter(
+    (group) => !keys.includes(statusMapping[group._id]),
+  );
+  if (unmapped.length > 0) {
+    throw new ApiError(
+      409,
+      `Issues still use removed statuses: ${unmapped
+        .map((group) => `${group._id} (${group.count})`)
+        .join(", ")}. Map them to a new status with statusMapping`,
+    );
+  }
+
+  const workflow = await Workflow.findOneAndUpdate(
+    { project: new mongoose.Types.ObjectId(projectId) },
+    { $set: { ...definition, updatedBy: req.user._id } },
+    { upsert: true, new: true, runValidators: true },
+  ).lean();
+
+  for (const group of orphaned) {
+    const to = statusMapping[group._id];
+    const issues = await Issue.find({
+      projectId: new mongoose.Types.ObjectId(projectId),
+      status: group._id,
+    }).select("_id");
+
+    await Issue.updateMany(
+      { _id: { $in: issues.map((issue) => issue._id) } },
+      { $set: { status: to } },
+    );
+
+    // Keeps the status history used by reports accurate
+    await Promise.all(
+      issues.map((issue) =>
+        logActivity(issue._id, req.user._id, "status_changed", group._id, to),
+      ),
+    );
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...workflow, isDefault: false },
+        "Workflow updated successfully",
+      ),
+    );
+});
+
+export { getWorkflow, updateWorkflow };
@@ -0,0 +1,219 @@
+import { Issue } from "../models/issue.models.js";
+import { WorkLog } from "../models/worklog.models.js";
+import { ApiResponse } from "../utils/api-response.js";
+import { ApiError } from "../utils/api-error.js";
+import { asyncHandler } from "../utils/async-handler.js";
+import mongoose from "mongoose";
+import { UserRolesEnum } from "../utils/constants.js";
+import { logActivity } from "../utils/issue-activity.js";
+
+const USER_FIELDS = "username fullName avatar";
+
+const findIssue = async (projectId, issueId) => {
+  const issue = await Issue.findOne({
+    _id: new mongoose.Types.ObjectId(issueId),
+    projectId: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  });
+
+  if (!issue) {
+    throw new ApiError(404, "Issue not found");
+  }
+
+  return issue;
+};
+
+const findWorklog = async (issue, worklogId) => {
+  const worklog = await WorkLog.findOne({
+    _id: new mongoose.Types.ObjectId(worklogId),
+    issue: issue._id,
+  });
+
+  if (!worklog) {
+    throw new ApiError(404, "Work log not found");
+  }
+
+  return worklog;
+};
+
+// Work logs can be changed by their author and by project admins
+const assertCanEdit = (worklog, user) => {
+  const isAuthor = worklog.user.toString() === user._id.toString();
+  const isProjectAdmin = [
+    UserRolesEnum.ADMIN,
+    UserRolesEnum.PROJECT_ADMIN,
+  ].includes(user.role);
+
+  if (!isAuthor && !isProjectAdmin) {
+    throw new ApiError(403, "You can only change your own work logs");
+  }
+};
+
+const getTimeTracking = (issue) => ({
+  originalEstimate: issue.originalEstimate ?? null,
+  remainingEstimate: issue.remainingEstimate ?? null,
+  timeSpent: issue.timeSpent || 0,
+});
+
+/**
+ * Apply a change in logged time to an issue. Logged time burns down the
+ * remaining estimate (never below zero) unless the caller sets it explicitly.
+ */
+const applyLoggedTime = (issue, delta, remainingEstimate) => {
+  const before = issue.remainingEstimate ?? null;
+
+  issue.timeSpent = Math.max(0, (issue.timeSpent || 0) + delta);
+  if (remainingEstimate !== undefined) {
+    issue.remainingEstimate = remainingEstimate;
+  } else if (before !== null) {
+    issue.remainingEstimate = Math.max(0, before - delta);
+  }
+
+  const after = issue.remainingEstimate ?? null;
+  return after === before ? null : { from: before, to: after };
+};
+
+const logRemainingChange = async (issue, actorId, change) => {
+  if (change) {
+    await logActivity(
+      issue._id,
+      actorId,
+      "remainingEstimate_changed",
+      change.from,
+      change.to,
+    );
+  }
+};
+
+const listWorklogs = asyncHandler(async (req, res) => {
+  const { projectId, issueId } = req.params;
+
+  const issue = await findIssue(projectId, issueId);
+
+  const worklogs = await WorkLog.find({ issue: issue._id })
+    .populate("user", USER_FIELDS)
+    .sort({ date: -1, createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { worklogs, timeTracking: getTimeTracking(issue) },
+        "Work logs fetched successfully",
+      ),
+    );
+});
+
+const addWorklog = asyncHandler(async (req, res) => {
+  const { projectId, issueId } = req.params;
+  const { duration, date, comment, remainingEstimate } = req.body;
+
+  const issue = await findIssue(projectId, issueId);
+
+  const worklog = await WorkLog.create({
+    issue: issue._id,
+    project: issue.projectId,
+    user: new mongoose.Types.ObjectId(req.user._id),
+    duration,
+    date: date || new Date(),
+    comment: comment || "",
+  });
+
+  const remainingChange = applyLoggedTime(issue, duration, remainingEstimate);
+  await issue.save();
+
+  await logActivity(issue._id, req.user._id, "worklog_added", null, duration);
+  await logRemainingChange(issue, req.user._id, remainingChange);
+
+  await worklog.populate("user", USER_FIELDS);
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { worklog, timeTracking: getTimeTracking(issue) },
+        "Work logged successfully",
+      ),
+    );
+});
+
+const updateWorklog = asyncHandler(async (req, res) => {
+  const { projectId, issueId, worklogId } = req.params;
+  const { duration, date, comment } = req.body;
+
+  const issue = await findIssue(projectId, issueId);
+  const worklog = await findWorklog(issue, worklogId);
+  assertCanEdit(worklog, req.user);
+
+  const previousDuration = worklog.duration;
+  if (duration !== undefined) worklog.duration = duration;
+  if (date !== undefined) worklog.date = date;
+  if (comment !== undefined) worklog.comment = comment;
+  await worklog.save();
+
+  if (worklog.duration !== previousDuration) {
+    const remainingChange = applyLoggedTime(
+      issue,
+      worklog.duration - previousDuration,
+    );
+    await issue.save();
+
+    await logActivity(
+      issue._id,
+      req.user._id,
+      "worklog_updated",
+      previousDuration,
+      worklog.duration,
+    );
+    await logRemainingChange(issue, req.user._id, remainingChange);
+  }
+
+  await worklog.populate("user", USER_FIELDS);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { worklog, timeTracking: getTimeTracking(issue) },
+        "Work log updated successfully",
+      ),
+    );
+});
+
+const deleteWorklog = asyncHandler(async (req, res) => {
+  const { projectId, issueId, worklogId } = req.params;
+
+  const issue = await findIssue(projectId, issueId);
+  const worklog = await findWorklog(issue, worklogId);
+  assertCanEdit(worklog, req.user);
+
+  await worklog.deleteOne();
+
+  // Deleted time goes back onto the remaining estimate
+  const remainingChange = applyLoggedTime(issue, -worklog.duration);
+  await issue.save();
+
+  await logActivity(
+    issue._id,
+    req.user._id,
+    "worklog_deleted",
+    worklog.duration,
+    null,
+  );
+  await logRemainingChange(issue, req.user._id, remainingChange);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { timeTracking: getTimeTracking(issue) },
+        "Work log deleted successfully",
+      ),
+    );
+});
+
+export { listWorklogs, addWorklog, updateWorklog, deleteWorklog };
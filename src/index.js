@@ -4,6 +4,7 @@ import { Server } from "socket.io";
 import app from "./app.js";
 import connectDB from "./db/index.js";
 import { setupChatSocket } from "./sockets/chat.socket.js";
+import { setupNotificationSocket } from "./sockets/notification.socket.js";
 import { validateEnvironment } from "./utils/env-validator.js";
 import { spawn } from "node:child_process";
 
@@ -68,7 +69,12 @@ const io = new Server(httpServer, {
 // Setup chat socket handlers
 setupChatSocket(io);
 
+// Setup per-user notification delivery
+setupNotificationSocket(io);
+
 import { logger } from "./utils/logger.js";
+import { startDigestScheduler } from "./utils/notification-digest.js";
+import { startTrashPurgeScheduler } from "./utils/trash.js";
 
 connectDB()
   .then(() => {
@@ -88,6 +94,9 @@ connectDB()
       });
     }
 
+    startDigestScheduler();
+    startTrashPurgeScheduler();
+
     httpServer.listen(port, () => {
       logger.info(`Server listening on http://localhost:${port}`);
       logger.info("Socket.IO ready for connections");
@@ -3,13 +3,67 @@ import { ProjectMember } from "../models/projectmember.models.js";
 import { Project } from "../models/project.models.js";
 import { ApiError } from "../utils/api-error.js";
 import { asyncHandler } from "../utils/async-handler.js";
+import { isSessionActive } from "../utils/sessions.js";
+import {
+  findApiToken,
+  recordApiTokenUse,
+  apiTokenAllows,
+  apiTokenAllowsProject,
+} from "../utils/api-tokens.js";
+import { API_TOKEN_PREFIX, ApiTokenResourceEnum } from "../utils/constants.js";
 import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 
+// Routers that accept personal API tokens, and the scope resource of each;
+// everything else (account settings included) needs a login
+const API_TOKEN_RESOURCES = {
+  "/api/v1/issues": ApiTokenResourceEnum.ISSUES,
+  "/api/v1/tasks": ApiTokenResourceEnum.TASKS,
+  "/api/v1/notes": ApiTokenResourceEnum.NOTES,
+  "/api/v1/chat": ApiTokenResourceEnum.CHAT,
+  "/api/v1/projects": ApiTokenResourceEnum.PROJECTS,
+};
+
+const authenticateApiToken = async (req, token) => {
+  const apiToken = await findApiToken(token);
+
+  if (!apiToken) {
+    throw new ApiError(401, "Invalid or expired API token");
+  }
+
+  const resource = API_TOKEN_RESOURCES[req.baseUrl];
+  if (!resource) {
+    throw new ApiError(403, "API tokens cannot be used for this endpoint");
+  }
+  if (!apiTokenAllows(apiToken, resource, req.method)) {
+    throw new ApiError(
+      403,
+      `This API token has no ${resource} scope for this request`,
+    );
+  }
+
+  const user = await User.findById(apiToken.user).select(
+    "-password -refreshToken -emailVerificationToken -emailVerificationExpiry",
+  );
+  if (!user) {
+    throw new ApiError(401, "Invalid or expired API token");
+  }
+
+  await recordApiTokenUse(apiToken, req.ip);
+
+  req.user = user;
+  req.apiToken = apiToken;
+};
+
 export const verifyJWT = asyncHandler(async (req, res, next) => {
-  const token =
-    req.cookies?.accessToken ||
-    req.header("Authorization")?.replace("Bearer ", "");
+  const bearerToken = req.header("Authorization")?.replace("Bearer ", "");
+
+  if (bearerToken?.startsWith(API_TOKEN_PREFIX)) {
+    await authenticateApiToken(req, bearerToken);
+    return next();
+  }
+
+  const token = req.cookies?.accessToken || bearerToken;
 
   if (!token) {
     throw new ApiError(401, "Unauthorized request");
@@ -24,14 +78,27 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
     if (!user) {
       throw new ApiError(401, "Invalid access token");
     }
+
+    // Logging out or revoking a session invalidates its access tokens too
+    if (!(await isSessionActive(decodedToken.sid))) {
+      throw new ApiError(401, "Session has ended");
+    }
+
     req.user = user;
+    req.sessionId = decodedToken.sid;
     next();
   } catch (error) {
     throw new ApiError(401, "Invalid access token");
   }
 });
 
-export const validateProjectPermission = (roles = []) => {
+// Requests that only read, and so are allowed on archived projects
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+export const validateProjectPermission = (
+  roles = [],
+  { allowArchived = false } = {},
+) => {
   return asyncHandler(async (req, res, next) => {
     const { projectId } = req.params;
 
@@ -39,6 +106,10 @@ export const validateProjectPermission = (roles = []) => {
       throw new ApiError(400, "project id is missing");
     }
 
+    if (req.apiToken && !apiTokenAllowsProject(req.apiToken, projectId)) {
+      throw new ApiError(403, "This API token cannot be used for this project");
+    }
+
     const project = await ProjectMember.findOne({
       project: new mongoose.Types.ObjectId(projectId),
       user: new mongoose.Types.ObjectId(req.user._id),
@@ -59,6 +130,20 @@ export const validateProjectPermission = (roles = []) => {
       );
     }
 
+    if (!allowArchived && !READ_ONLY_METHODS.includes(req.method)) {
+      const archived = await Project.exists({
+        _id: new mongoose.Types.ObjectId(projectId),
+        archivedAt: { $ne: null },
+      });
+
+      if (archived) {
+        throw new ApiError(
+          409,
+          "This project is archived and read-only. Unarchive it to make changes",
+        );
+      }
+    }
+
     next();
   });
 };
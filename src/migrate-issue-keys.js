@@ -0,0 +1,29 @@
+/**
+ * Issue Key Migration Script
+ *
+ * Assigns a key to every project that does not have one, rewrites existing
+ * issue keys to use it and initializes the per-project issue counters.
+ * Safe to run more than once.
+ *
+ * Usage: npm run migrate:issue-keys
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "./db/index.js";
+import { migrateIssueKeys } from "./utils/issue-keys.js";
+
+dotenv.config({
+  path: "./.env",
+});
+
+try {
+  await connectDB();
+  const summary = await migrateIssueKeys();
+  console.log("Issue key migration complete:", summary);
+} catch (error) {
+  console.error("Issue key migration failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableApiTokenScopes } from "../utils/constants.js";
+
+// Personal access token for scripts and CI; only its hash is stored
+const apiTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token, to recognise it in the list
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      enum: AvailableApiTokenScopes,
+      required: true,
+    },
+    // Empty means every project the user is a member of
+    projects: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ],
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+  },
+  { timestamps: true },
+);
+
+export const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableAuditActions } from "../utils/constants.js";
+
+// Security-relevant events; entries are only ever added
+const auditLogSchema = new Schema(
+  {
+    action: {
+      type: String,
+      enum: AvailableAuditActions,
+      required: true,
+    },
+    // Unset when the event names an email that has no account
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    details: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ email: 1, createdAt: -1 });
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
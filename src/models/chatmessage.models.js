@@ -37,6 +37,24 @@ const chatMessageSchema = new Schema(
       ],
       default: [],
     },
+    mentions: {
+      type: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      default: [],
+    },
+    // Deleted messages leave the history but are kept in the trash
+    deletedAt: {
+      type: Date,
+      index: { sparse: true },
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   { timestamps: true }
 );
@@ -44,5 +62,8 @@ const chatMessageSchema = new Schema(
 // Compound index for efficient pagination within a project
 chatMessageSchema.index({ project: 1, createdAt: -1 });
 
+// Text index for global search
+chatMessageSchema.index({ body: "text" });
+
 export const ChatMessage = mongoose.model("ChatMessage", chatMessageSchema);
 
@@ -0,0 +1,19 @@
+import mongoose, { Schema } from "mongoose";
+
+// Named sequence incremented atomically with $inc (e.g. "issue:<projectId>")
+const counterSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+export const Counter = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,62 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  AvailableCustomFieldTypes,
+  AvailableIssueTypes,
+  CUSTOM_FIELD_KEY_PATTERN,
+} from "../utils/constants.js";
+
+// A project-defined field whose values are stored in issue.customFields
+const customFieldSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    // Stable identifier; the name can be changed freely
+    key: {
+      type: String,
+      required: true,
+      match: CUSTOM_FIELD_KEY_PATTERN,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: AvailableCustomFieldTypes,
+      required: true,
+    },
+    // Choices for select and multi-select fields
+    options: {
+      type: [String],
+      default: [],
+    },
+    // Issue types the field applies to, empty for all of them
+    issueTypes: {
+      type: [{ type: String, enum: AvailableIssueTypes }],
+      default: [],
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    position: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+customFieldSchema.index({ project: 1, key: 1 }, { unique: true });
+
+export const CustomField = mongoose.model("CustomField", customFieldSchema);
@@ -0,0 +1,30 @@
+import mongoose, { Schema } from "mongoose";
+
+// Email notifications held back for users who receive a periodic digest
+const emailDigestItemSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      default: "",
+    },
+    url: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+export const EmailDigestItem = mongoose.model(
+  "EmailDigestItem",
+  emailDigestItemSchema
+);
@@ -0,0 +1,82 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+import {
+  AvailableInvitationStatuses,
+  AvailableUserRole,
+  INVITATION_EXPIRY_DAYS,
+  InvitationStatusEnum,
+  UserRolesEnum,
+} from "../utils/constants.js";
+
+// Invitation to join a project, sent by email; only the token hash is stored
+const invitationSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: AvailableUserRole,
+      default: UserRolesEnum.MEMBER,
+    },
+    invitedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: AvailableInvitationStatuses,
+      default: InvitationStatusEnum.PENDING,
+    },
+    // The account that accepted or declined
+    respondedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+// One open invitation per email and project; inviting again renews it
+invitationSchema.index(
+  { project: 1, email: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: InvitationStatusEnum.PENDING },
+  },
+);
+
+invitationSchema.methods.generateTemporaryToken = function () {
+  const unHashedToken = crypto.randomBytes(20).toString("hex");
+
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(unHashedToken)
+    .digest("hex");
+
+  const tokenExpiry = Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  return { unHashedToken, hashedToken, tokenExpiry };
+};
+
+export const Invitation = mongoose.model("Invitation", invitationSchema);
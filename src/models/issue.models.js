@@ -2,10 +2,9 @@ import mongoose, { Schema } from "mongoose";
 import {
   AvailableIssueTypes,
   AvailableIssuePriorities,
-  AvailableIssueStatuses,
+  AvailableIssueLinkTypes,
   IssueTypeEnum,
   IssuePriorityEnum,
-  IssueStatusEnum,
 } from "../utils/constants.js";
 
 const issueSchema = new Schema(
@@ -42,10 +41,10 @@ const issueSchema = new Schema(
       default: IssuePriorityEnum.MEDIUM,
       index: true,
     },
+    // Key of a status in the project's workflow
     status: {
       type: String,
-      enum: AvailableIssueStatuses,
-      default: IssueStatusEnum.BACKLOG,
+      required: true,
       index: true,
     },
     assignee: {
@@ -90,8 +89,72 @@ const issueSchema = new Schema(
     storyPoints: {
       type: Number,
     },
+    // Time tracking, all in minutes
+    originalEstimate: {
+      type: Number,
+      min: 0,
+    },
+    remainingEstimate: {
+      type: Number,
+      min: 0,
+    },
+    // Sum of the issue's work logs, kept in sync when logs change
+    timeSpent: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Values of the project's custom fields, keyed by field key
+    customFields: {
+      type: Map,
+      of: Schema.Types.Mixed,
+      default: {},
+    },
+    // Epic for stories/tasks/bugs, story for subtasks
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Issue",
+      index: true,
+    },
+    // Links to other issues, mirrored on the linked issue with the inverse type
+    links: {
+      type: [
+        {
+          type: {
+            type: String,
+            enum: AvailableIssueLinkTypes,
+            required: true,
+          },
+          issue: {
+            type: Schema.Types.ObjectId,
+            ref: "Issue",
+            required: true,
+          },
+          createdBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      default: [],
+    },
+    // Issues without a sprint are in the backlog
+    sprint: {
+      type: Schema.Types.ObjectId,
+      ref: "Sprint",
+      index: true,
+    },
     deletedAt: {
       type: Date,
+      index: { sparse: true },
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
     },
   },
   { timestamps: true }
@@ -28,9 +28,21 @@ const issueCommentSchema = new Schema(
       ],
       default: [],
     },
+    mentions: {
+      type: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      default: [],
+    },
   },
   { timestamps: true }
 );
 
+// Text index for global search
+issueCommentSchema.index({ body: "text" });
+
 export const IssueComment = mongoose.model("IssueComment", issueCommentSchema);
 
@@ -16,8 +16,29 @@ const projectNoteSchema = new Schema(
       type: String,
       required: true,
     },
+    mentions: {
+      type: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      default: [],
+    },
+    // Set when the note is moved to the trash
+    deletedAt: {
+      type: Date,
+      index: { sparse: true },
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   { timestamps: true },
 );
 
+// Text index for global search
+projectNoteSchema.index({ content: "text" });
+
 export const ProjectNote = mongoose.model("ProjectNote", projectNoteSchema);
@@ -0,0 +1,50 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableNotificationEvents } from "../utils/constants.js";
+
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    issue: {
+      type: Schema.Types.ObjectId,
+      ref: "Issue",
+    },
+    event: {
+      type: String,
+      enum: AvailableNotificationEvents,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      default: "",
+    },
+    // Frontend path the notification links to
+    link: {
+      type: String,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Inbox listing and unread counts per user
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  AvailableEmailDigests,
+  AvailableNotificationEvents,
+  EmailDigestEnum,
+} from "../utils/constants.js";
+
+// { inApp, email } per event; unset values fall back to the defaults
+const channelSchema = new Schema(
+  {
+    inApp: Boolean,
+    email: Boolean,
+  },
+  { _id: false }
+);
+
+const eventsDefinition = Object.fromEntries(
+  AvailableNotificationEvents.map((event) => [event, channelSchema])
+);
+
+const notificationPreferenceSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    events: {
+      type: new Schema(eventsDefinition, { _id: false }),
+      default: {},
+    },
+    // Per-project overrides of the global event settings
+    projects: {
+      type: [
+        {
+          project: {
+            type: Schema.Types.ObjectId,
+            ref: "Project",
+            required: true,
+          },
+          muted: {
+            type: Boolean,
+            default: false,
+          },
+          events: {
+            type: new Schema(eventsDefinition, { _id: false }),
+            default: {},
+          },
+        },
+      ],
+      default: [],
+    },
+    emailDigest: {
+      type: String,
+      enum: AvailableEmailDigests,
+      default: EmailDigestEnum.IMMEDIATE,
+    },
+    lastDigestSentAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+export const NotificationPreference = mongoose.model(
+  "NotificationPreference",
+  notificationPreferenceSchema
+);
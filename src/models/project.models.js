@@ -8,6 +8,14 @@ const projectSchema = new Schema(
       unique: true,
       trim: true,
     },
+    // Short uppercase prefix used for issue keys, e.g. WEB-42
+    key: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true,
+    },
     description: {
       type: String,
     },
@@ -16,6 +24,14 @@ const projectSchema = new Schema(
       ref: "User",
       required: true,
     },
+    // Archived projects are read-only and hidden from the project list
+    archivedAt: {
+      type: Date,
+    },
+    archivedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   { timestamps: true },
 );
@@ -0,0 +1,42 @@
+import mongoose, { Schema } from "mongoose";
+
+// A named issue query, private to its owner unless shared with the project
+const savedFilterSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Query language expression passed to listIssues as q
+    query: {
+      type: String,
+      required: true,
+    },
+    shared: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+savedFilterSchema.index({ project: 1, owner: 1, name: 1 }, { unique: true });
+
+export const SavedFilter = mongoose.model("SavedFilter", savedFilterSchema);
@@ -0,0 +1,56 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableSessionRevokeReasons } from "../utils/constants.js";
+
+// One login on one device. Every refresh rotates the token, so a session is
+// one refresh-token family; only hashes of the tokens are stored.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token replaced by the last rotation, to tell a racing refresh from reuse
+    previousTokenHash: {
+      type: String,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+    },
+    device: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: AvailableSessionRevokeReasons,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,61 @@
+import mongoose, { Schema } from "mongoose";
+import { AvailableSprintStates, SprintStateEnum } from "../utils/constants.js";
+
+const sprintSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    goal: {
+      type: String,
+      default: "",
+    },
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+    state: {
+      type: String,
+      enum: AvailableSprintStates,
+      default: SprintStateEnum.PLANNED,
+      index: true,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Snapshot taken when the sprint is completed, used for velocity
+    summary: {
+      completedIssues: Number,
+      completedPoints: Number,
+      incompleteIssues: Number,
+      incompletePoints: Number,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Only one sprint per project can be active at a time
+sprintSchema.index(
+  { project: 1, state: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { state: SprintStateEnum.ACTIVE },
+  }
+);
+
+export const Sprint = mongoose.model("Sprint", sprintSchema);
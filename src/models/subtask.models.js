@@ -25,4 +25,7 @@ const subTaskSchema = new Schema(
   { timestamps: true },
 );
 
+// Text index for global search
+subTaskSchema.index({ title: "text" });
+
 export const Subtask = mongoose.model("Subtask", subTaskSchema);
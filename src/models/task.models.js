@@ -37,8 +37,20 @@ const taskSchema = new Schema(
       ],
       default: [],
     },
+    // Deleted tasks stay in the project trash until restored or purged
+    deletedAt: {
+      type: Date,
+      index: { sparse: true },
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   { timestamps: true },
 );
 
+// Text index for global search
+taskSchema.index({ title: "text", description: "text" });
+
 export const Task = mongoose.model("Task", taskSchema);
@@ -42,9 +42,6 @@ const userSchema = new Schema(
       type: Boolean,
       default: false,
     },
-    refreshToken: {
-      type: String,
-    },
     forgotPasswordToken: {
       type: String,
     },
@@ -57,6 +54,36 @@ const userSchema = new Schema(
     emailVerificationExpiry: {
       type: Date,
     },
+    // Emailed when failed sign-ins lock the account
+    accountUnlockToken: {
+      type: String,
+    },
+    accountUnlockExpiry: {
+      type: Date,
+    },
+    // TOTP two-factor authentication; the secrets are never selected by default
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret of an enrollment that has not been confirmed with a code yet
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -74,28 +101,45 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await brcypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+// Both tokens name the login session (sid) they belong to
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
+      sid: sessionId,
     },
     process.env.ACCESS_TOKEN_SECRET,
     { expiresIn: process.env.ACCESS_TOKEN_EXPIRY },
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
+      // Tokens rotated within the same second must still differ
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     { expiresIn: process.env.REFRESH_TOKEN_EXPIRY },
   );
 };
 
+// Proves the password was checked while the second login step is pending
+userSchema.methods.generateTwoFactorToken = function () {
+  return jwt.sign(
+    {
+      _id: this._id,
+      purpose: "two_factor",
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: "5m" },
+  );
+};
+
 userSchema.methods.generateTemporaryToken = function () {
     const unHashedToken = crypto.randomBytes(20).toString("hex")
 
@@ -0,0 +1,79 @@
+import mongoose, { Schema } from "mongoose";
+import {
+  AvailableStatusCategories,
+  AvailableTransitionGuards,
+} from "../utils/constants.js";
+
+const workflowStatusSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: AvailableStatusCategories,
+      required: true,
+    },
+    color: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const workflowTransitionSchema = new Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    guards: {
+      type: [{ type: String, enum: AvailableTransitionGuards }],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// A project's issue workflow; projects without one use DEFAULT_WORKFLOW
+const workflowSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      unique: true,
+    },
+    initialStatus: {
+      type: String,
+      required: true,
+    },
+    // Listed in board column order
+    statuses: {
+      type: [workflowStatusSchema],
+      default: [],
+    },
+    transitions: {
+      type: [workflowTransitionSchema],
+      default: [],
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+export const Workflow = mongoose.model("Workflow", workflowSchema);
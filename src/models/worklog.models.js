@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+
+// Time a user spent on an issue, in minutes
+const workLogSchema = new Schema(
+  {
+    issue: {
+      type: Schema.Types.ObjectId,
+      ref: "Issue",
+      required: true,
+      index: true,
+    },
+    // Denormalized from the issue so timesheets can filter by project
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    duration: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Day the work was done, which may differ from when it was logged
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    comment: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+workLogSchema.index({ project: 1, date: 1 });
+workLogSchema.index({ user: 1, date: 1 });
+
+export const WorkLog = mongoose.model("WorkLog", workLogSchema);
@@ -4,13 +4,30 @@ import {
   forgotPasswordRequest,
   getCurrentUser,
   login,
+  loginWithTwoFactor,
   logoutUser,
   refreshAccessToken,
   registerUser,
   resendEmailVerification,
   resetForgotPassword,
+  unlockAccount,
   verifyEmail,
 } from "../controllers/auth.controllers.js";
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/session.controllers.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+} from "../controllers/twoFactor.controllers.js";
+import {
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+} from "../controllers/apiToken.controllers.js";
 import { validate } from "../middlewares/validator.middleware.js";
 import {
   userChangeCurrentPasswordValidator,
@@ -18,6 +35,12 @@ import {
   userLoginValidator,
   userRegisterValidator,
   userResetForgotPasswordValidator,
+  sessionIdValidator,
+  twoFactorLoginValidator,
+  twoFactorCodeValidator,
+  twoFactorDisableValidator,
+  createApiTokenValidator,
+  apiTokenIdValidator,
 } from "../validators/index.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 
@@ -26,7 +49,11 @@ const router = Router();
 // unsecured route
 router.route("/register").post(userRegisterValidator(), validate, registerUser);
 router.route("/login").post(userLoginValidator(), validate, login);
+router
+  .route("/login/2fa")
+  .post(twoFactorLoginValidator(), validate, loginWithTwoFactor);
 router.route("/verify-email/:verificationToken").get(verifyEmail);
+router.route("/unlock-account/:unlockToken").get(unlockAccount);
 router.route("/refresh-token").post(refreshAccessToken);
 router
   .route("/forgot-password")
@@ -50,4 +77,31 @@ router
   .route("/resend-email-verification")
   .post(verifyJWT, resendEmailVerification);
 
+// TOTP two-factor authentication
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor);
+router
+  .route("/2fa/enable")
+  .post(verifyJWT, twoFactorCodeValidator(), validate, enableTwoFactor);
+router
+  .route("/2fa/disable")
+  .post(verifyJWT, twoFactorDisableValidator(), validate, disableTwoFactor);
+
+// Login sessions of the current user, one per device
+router
+  .route("/sessions")
+  .get(verifyJWT, getSessions)
+  .delete(verifyJWT, revokeOtherSessions);
+router
+  .route("/sessions/:sessionId")
+  .delete(verifyJWT, sessionIdValidator(), validate, revokeSession);
+
+// Personal API tokens for scripts and CI
+router
+  .route("/tokens")
+  .get(verifyJWT, listApiTokens)
+  .post(verifyJWT, createApiTokenValidator(), validate, createApiToken);
+router
+  .route("/tokens/:tokenId")
+  .delete(verifyJWT, apiTokenIdValidator(), validate, revokeApiToken);
+
 export default router;
@@ -3,6 +3,7 @@ import {
   getMessages,
   postMessage,
   markAsRead,
+  deleteMessage,
 } from "../controllers/chat.controllers.js";
 import {
   verifyJWT,
@@ -24,10 +25,18 @@ router
     postMessage
   );
 
-// Mark message as read
+// Delete a message (sender or project admin)
+router
+  .route("/:projectId/messages/:messageId")
+  .delete(validateProjectPermission(AvailableUserRole), deleteMessage);
+
+// Mark message as read; read receipts are still kept for archived projects
 router
   .route("/:projectId/messages/:messageId/read")
-  .post(validateProjectPermission(AvailableUserRole), markAsRead);
+  .post(
+    validateProjectPermission(AvailableUserRole, { allowArchived: true }),
+    markAsRead
+  );
 
 export default router;
 
@@ -0,0 +1,17 @@
+import { Router } from "express";
+import {
+  getInvitation,
+  acceptInvitation,
+  declineInvitation,
+} from "../controllers/invitation.controllers.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+// Opened from the invitation email, once the invitee has signed in
+router.route("/:invitationToken").get(getInvitation);
+router.route("/:invitationToken/accept").post(acceptInvitation);
+router.route("/:invitationToken/decline").post(declineInvitation);
+
+export default router;
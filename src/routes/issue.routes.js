@@ -1,16 +1,64 @@
 import { Router } from "express";
 import {
   listIssues,
+  listEpics,
   createIssue,
   getIssue,
   updateIssue,
   deleteIssue,
+  bulkUpdateIssues,
+  exportIssues,
+  importIssues,
   addComment,
   listComments,
   transitionIssue,
   watchIssue,
   unwatchIssue,
 } from "../controllers/issue.controllers.js";
+import {
+  listLinks,
+  addLink,
+  removeLink,
+} from "../controllers/issueLink.controllers.js";
+import {
+  getWorkflow,
+  updateWorkflow,
+} from "../controllers/workflow.controllers.js";
+import {
+  listCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+} from "../controllers/customField.controllers.js";
+import {
+  listSavedFilters,
+  getSavedFilter,
+  createSavedFilter,
+  updateSavedFilter,
+  deleteSavedFilter,
+} from "../controllers/savedFilter.controllers.js";
+import {
+  listSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  completeSprint,
+  addIssuesToSprint,
+  removeIssuesFromSprint,
+} from "../controllers/sprint.controllers.js";
+import {
+  burndown,
+  velocity,
+  cumulativeFlow,
+  timesheet,
+} from "../controllers/report.controllers.js";
+import {
+  listWorklogs,
+  addWorklog,
+  updateWorklog,
+  deleteWorklog,
+} from "../controllers/worklog.controllers.js";
 import {
   verifyJWT,
   validateProjectPermission,
@@ -22,8 +70,26 @@ import {
   createIssueValidator,
   updateIssueValidator,
   transitionIssueValidator,
+  bulkUpdateIssuesValidator,
+  exportIssuesQueryValidator,
+  importIssuesValidator,
+  createIssueLinkValidator,
+  updateWorkflowValidator,
+  createCustomFieldValidator,
+  updateCustomFieldValidator,
   createCommentValidator,
   listIssuesQueryValidator,
+  createSavedFilterValidator,
+  updateSavedFilterValidator,
+  createSprintValidator,
+  updateSprintValidator,
+  listSprintsQueryValidator,
+  completeSprintValidator,
+  sprintIssuesValidator,
+  reportQueryValidator,
+  createWorklogValidator,
+  updateWorklogValidator,
+  timesheetQueryValidator,
 } from "../validators/index.js";
 import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
 
@@ -42,12 +108,103 @@ router
   .post(
     validateProjectPermission(AvailableUserRole),
     upload.array("attachments", 5),
-    parseFormDataFields(["labels"]),
+    parseFormDataFields(["labels", "customFields"]),
     createIssueValidator(),
     validate,
     createIssue
   );
 
+// Bulk edit route; deleting additionally requires a project admin
+router
+  .route("/:projectId/bulk")
+  .post(
+    validateProjectPermission(AvailableUserRole),
+    bulkUpdateIssuesValidator(),
+    validate,
+    bulkUpdateIssues
+  );
+
+// Export and import routes; importing requires a project admin
+router
+  .route("/:projectId/export")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    exportIssuesQueryValidator(),
+    validate,
+    exportIssues
+  );
+
+router
+  .route("/:projectId/import")
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    importIssuesValidator(),
+    validate,
+    importIssues
+  );
+
+// Workflow routes
+router
+  .route("/:projectId/workflow")
+  .get(validateProjectPermission(AvailableUserRole), getWorkflow)
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    updateWorkflowValidator(),
+    validate,
+    updateWorkflow
+  );
+
+// Custom field routes
+router
+  .route("/:projectId/fields")
+  .get(validateProjectPermission(AvailableUserRole), listCustomFields)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    createCustomFieldValidator(),
+    validate,
+    createCustomField
+  );
+
+router
+  .route("/:projectId/fields/:fieldId")
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    updateCustomFieldValidator(),
+    validate,
+    updateCustomField
+  )
+  .delete(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    deleteCustomField
+  );
+
+// Saved filter routes
+router
+  .route("/:projectId/filters")
+  .get(validateProjectPermission(AvailableUserRole), listSavedFilters)
+  .post(
+    validateProjectPermission(AvailableUserRole),
+    createSavedFilterValidator(),
+    validate,
+    createSavedFilter
+  );
+
+router
+  .route("/:projectId/filters/:filterId")
+  .get(validateProjectPermission(AvailableUserRole), getSavedFilter)
+  .put(
+    validateProjectPermission(AvailableUserRole),
+    updateSavedFilterValidator(),
+    validate,
+    updateSavedFilter
+  )
+  .delete(validateProjectPermission(AvailableUserRole), deleteSavedFilter);
+
+// Epic progress route
+router
+  .route("/:projectId/epics")
+  .get(validateProjectPermission(AvailableUserRole), listEpics);
+
 router
   .route("/:projectId/i/:issueId")
   .get(validateProjectPermission(AvailableUserRole), getIssue)
@@ -84,11 +241,146 @@ router
     transitionIssue
   );
 
+// Issue link routes
+router
+  .route("/:projectId/i/:issueId/links")
+  .get(validateProjectPermission(AvailableUserRole), listLinks)
+  .post(
+    validateProjectPermission(AvailableUserRole),
+    createIssueLinkValidator(),
+    validate,
+    addLink
+  );
+
+router
+  .route("/:projectId/i/:issueId/links/:linkId")
+  .delete(validateProjectPermission(AvailableUserRole), removeLink);
+
+// Work log routes
+router
+  .route("/:projectId/i/:issueId/worklogs")
+  .get(validateProjectPermission(AvailableUserRole), listWorklogs)
+  .post(
+    validateProjectPermission(AvailableUserRole),
+    createWorklogValidator(),
+    validate,
+    addWorklog
+  );
+
+router
+  .route("/:projectId/i/:issueId/worklogs/:worklogId")
+  .put(
+    validateProjectPermission(AvailableUserRole),
+    updateWorklogValidator(),
+    validate,
+    updateWorklog
+  )
+  .delete(validateProjectPermission(AvailableUserRole), deleteWorklog);
+
 // Watch/Unwatch routes
 router
   .route("/:projectId/i/:issueId/watch")
   .post(validateProjectPermission(AvailableUserRole), watchIssue)
   .delete(validateProjectPermission(AvailableUserRole), unwatchIssue);
 
+// Sprint routes
+router
+  .route("/:projectId/sprints")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    listSprintsQueryValidator(),
+    validate,
+    listSprints
+  )
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    createSprintValidator(),
+    validate,
+    createSprint
+  );
+
+router
+  .route("/:projectId/sprints/:sprintId")
+  .put(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    updateSprintValidator(),
+    validate,
+    updateSprint
+  )
+  .delete(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    deleteSprint
+  );
+
+router
+  .route("/:projectId/sprints/:sprintId/start")
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    updateSprintValidator(),
+    validate,
+    startSprint
+  );
+
+router
+  .route("/:projectId/sprints/:sprintId/complete")
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    completeSprintValidator(),
+    validate,
+    completeSprint
+  );
+
+router
+  .route("/:projectId/sprints/:sprintId/issues")
+  .post(
+    validateProjectPermission(AvailableUserRole),
+    sprintIssuesValidator(),
+    validate,
+    addIssuesToSprint
+  )
+  .delete(
+    validateProjectPermission(AvailableUserRole),
+    sprintIssuesValidator(),
+    validate,
+    removeIssuesFromSprint
+  );
+
+// Report routes
+router
+  .route("/:projectId/reports/burndown")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    reportQueryValidator(),
+    validate,
+    burndown
+  );
+
+router
+  .route("/:projectId/reports/velocity")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    reportQueryValidator(),
+    validate,
+    velocity
+  );
+
+router
+  .route("/:projectId/reports/cumulative-flow")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    reportQueryValidator(),
+    validate,
+    cumulativeFlow
+  );
+
+router
+  .route("/:projectId/reports/timesheet")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    timesheetQueryValidator(),
+    validate,
+    timesheet
+  );
+
 export default router;
 
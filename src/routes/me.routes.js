@@ -0,0 +1,20 @@
+import { Router } from "express";
+import { getMyWork, getMyTimesheet } from "../controllers/me.controllers.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  myWorkQueryValidator,
+  timesheetQueryValidator,
+} from "../validators/index.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+// Cross-project views of the current user's work
+router.route("/work").get(myWorkQueryValidator(), validate, getMyWork);
+
+router
+  .route("/timesheet")
+  .get(timesheetQueryValidator(), validate, getMyTimesheet);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+  listNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+} from "../controllers/notification.controllers.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  listNotificationsQueryValidator,
+  updateNotificationPreferencesValidator,
+} from "../validators/index.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .get(listNotificationsQueryValidator(), validate, listNotifications);
+
+router.route("/unread-count").get(getUnreadCount);
+
+router
+  .route("/preferences")
+  .get(getPreferences)
+  .put(updateNotificationPreferencesValidator(), validate, updatePreferences);
+
+router.route("/read-all").post(markAllAsRead);
+
+router.route("/:notificationId/read").post(markAsRead);
+
+export default router;
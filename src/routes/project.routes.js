@@ -1,4 +1,4 @@
-import { Router } from "express";
+import express, { Router } from "express";
 import {
   addMembersToProject,
   createProject,
@@ -8,27 +8,62 @@ import {
   getProjectMembers,
   updateProject,
   deleteProject,
+  archiveProject,
+  unarchiveProject,
+  exportProjectBackup,
+  importProjectBackup,
   updateMemberRole,
 } from "../controllers/project.controllers.js";
+import {
+  listTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+} from "../controllers/trash.controllers.js";
+import {
+  listProjectInvitations,
+  createInvitation,
+  revokeInvitation,
+} from "../controllers/invitation.controllers.js";
 import { validate } from "../middlewares/validator.middleware.js";
 import {
   createProjectValidator,
+  listProjectsQueryValidator,
   addMembertoProjectValidator,
+  invitationIdValidator,
+  listTrashQueryValidator,
+  trashItemValidator,
 } from "../validators/index.js";
 import {
   verifyJWT,
   validateProjectPermission,
 } from "../middlewares/auth.middleware.js";
-import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
+import {
+  AvailableUserRole,
+  UserRolesEnum,
+  MAX_PROJECT_ARCHIVE_SIZE,
+} from "../utils/constants.js";
 
 const router = Router();
 router.use(verifyJWT);
 
 router
   .route("/")
-  .get(getProjects)
+  .get(listProjectsQueryValidator(), validate, getProjects)
   .post(createProjectValidator(), validate, createProject);
 
+// Restore a project archive; the body is the gzipped archive itself. Only
+// admins of the archived project may restore it, which is checked once the
+// archive has been read
+router
+  .route("/import")
+  .post(
+    express.raw({
+      type: ["application/gzip", "application/x-gzip", "application/octet-stream"],
+      limit: MAX_PROJECT_ARCHIVE_SIZE,
+    }),
+    importProjectBackup,
+  );
+
 router
   .route("/:projectId")
   .get(validateProjectPermission(AvailableUserRole), getProjectById)
@@ -38,7 +73,26 @@ router
     validate,
     updateProject,
   )
-  .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteProject);
+  .delete(
+    validateProjectPermission([UserRolesEnum.ADMIN], { allowArchived: true }),
+    deleteProject,
+  );
+
+router
+  .route("/:projectId/backup")
+  .get(validateProjectPermission([UserRolesEnum.ADMIN]), exportProjectBackup);
+
+// Archiving makes the project read-only; only the owner can undo it
+router
+  .route("/:projectId/archive")
+  .post(validateProjectPermission([UserRolesEnum.ADMIN]), archiveProject);
+
+router
+  .route("/:projectId/unarchive")
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN], { allowArchived: true }),
+    unarchiveProject,
+  );
 
 router
   .route("/:projectId/members")
@@ -55,4 +109,52 @@ router
   .put(validateProjectPermission([UserRolesEnum.ADMIN]), updateMemberRole)
   .delete(validateProjectPermission([UserRolesEnum.ADMIN]), deleteMember);
 
+// Email invitations for people who are not members yet
+router
+  .route("/:projectId/invitations")
+  .get(validateProjectPermission([UserRolesEnum.ADMIN]), listProjectInvitations)
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    addMembertoProjectValidator(),
+    validate,
+    createInvitation,
+  );
+
+router
+  .route("/:projectId/invitations/:invitationId")
+  .delete(
+    validateProjectPermission([UserRolesEnum.ADMIN]),
+    invitationIdValidator(),
+    validate,
+    revokeInvitation,
+  );
+
+// Trash of soft-deleted issues, tasks, notes and chat messages
+router
+  .route("/:projectId/trash")
+  .get(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    listTrashQueryValidator(),
+    validate,
+    listTrash,
+  );
+
+router
+  .route("/:projectId/trash/:type/:itemId")
+  .delete(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    trashItemValidator(),
+    validate,
+    purgeTrashItem,
+  );
+
+router
+  .route("/:projectId/trash/:type/:itemId/restore")
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    trashItemValidator(),
+    validate,
+    restoreTrashItem,
+  );
+
 export default router;
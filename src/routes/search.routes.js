@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { search } from "../controllers/search.controllers.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import { searchQueryValidator } from "../validators/index.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+// Search across every project the current user belongs to
+router.route("/").get(searchQueryValidator(), validate, search);
+
+export default router;
@@ -8,8 +8,15 @@ import {
   createSubTask,
   updateSubTask,
   deleteSubTask,
+  exportTasks,
+  importTasks,
 } from "../controllers/task.controllers.js";
 import { verifyJWT, validateProjectPermission } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validator.middleware.js";
+import {
+  exportTasksQueryValidator,
+  importTasksValidator,
+} from "../validators/index.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { AvailableUserRole, UserRolesEnum } from "../utils/constants.js";
 
@@ -38,6 +45,25 @@ router
     deleteTask
   );
 
+// Export and import routes; importing requires a project admin
+router
+  .route("/:projectId/export")
+  .get(
+    validateProjectPermission(AvailableUserRole),
+    exportTasksQueryValidator(),
+    validate,
+    exportTasks
+  );
+
+router
+  .route("/:projectId/import")
+  .post(
+    validateProjectPermission([UserRolesEnum.ADMIN, UserRolesEnum.PROJECT_ADMIN]),
+    importTasksValidator(),
+    validate,
+    importTasks
+  );
+
 // Subtask routes
 router
   .route("/:projectId/t/:taskId/subtasks")
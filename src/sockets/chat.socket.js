@@ -1,19 +1,15 @@
-import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
-import { User } from "../models/user.models.js";
 import { ProjectMember } from "../models/projectmember.models.js";
+import { Project } from "../models/project.models.js";
 import { ChatMessage } from "../models/chatmessage.models.js";
-import { userCache, membershipCache } from "../utils/cache.js";
-
-const verifySocketToken = async (token) => {
-  try {
-    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    return await User.findById(decoded._id).select("-password -refreshToken");
-  } catch (error) {
-    console.error("Token verification failed:", error.message);
-    return null;
-  }
-};
+import { membershipCache } from "../utils/cache.js";
+import { authenticateSocket } from "./socket-auth.js";
+import {
+  notifyChatMessage,
+  notifyMentions,
+} from "../utils/notifications.js";
+import { resolveMentions } from "../utils/mentions.js";
+import { UserRolesEnum } from "../utils/constants.js";
 
 const isProjectMember = async (userId, projectId) => {
   const cacheKey = `membership:${userId}:${projectId}`;
@@ -37,35 +33,19 @@ const isProjectMember = async (userId, projectId) => {
   }
 };
 
+// Archived projects are read-only, so their chat takes no new messages
+const isProjectArchived = async (projectId) => {
+  const archived = await Project.exists({
+    _id: new mongoose.Types.ObjectId(projectId),
+    archivedAt: { $ne: null },
+  });
+  return Boolean(archived);
+};
+
 const registerChatHandlers = (namespace) => {
   const label = namespace.name === "/" ? "default" : namespace.name;
 
-  namespace.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-
-      if (!token) {
-        return next(new Error("Authentication token required"));
-      }
-
-      let user = userCache.get(token);
-      if (!user) {
-        user = await verifySocketToken(token);
-        if (user) {
-          userCache.set(token, user, 10 * 60 * 1000);
-        }
-      }
-
-      if (!user) {
-        return next(new Error("Invalid authentication token"));
-      }
-
-      socket.user = user;
-      next();
-    } catch (error) {
-      next(new Error("Authentication failed"));
-    }
-  });
+  namespace.use(authenticateSocket);
 
   namespace.on("connection", (socket) => {
     console.log(`🔌 User connected [${label}]: ${socket.user.username} (${socket.id})`);
@@ -139,11 +119,20 @@ const registerChatHandlers = (namespace) => {
           return;
         }
 
+        if (await isProjectArchived(projectId)) {
+          const errorResponse = { error: "This project is archived and read-only" };
+          callback?.(errorResponse);
+          return;
+        }
+
+        const mentions = await resolveMentions(body, projectId);
+
         const message = await ChatMessage.create({
           project: new mongoose.Types.ObjectId(projectId),
           sender: new mongoose.Types.ObjectId(socket.user._id),
           body: body.trim(),
           readBy: [new mongoose.Types.ObjectId(socket.user._id)],
+          mentions: mentions.map((user) => user._id),
         });
 
         const populatedMessage = await ChatMessage.findById(message._id).populate(
@@ -165,6 +154,15 @@ const registerChatHandlers = (namespace) => {
           message: populatedMessage,
           tempId,
         });
+
+        notifyChatMessage(message, socket.user);
+        notifyMentions({
+          projectId,
+          mentions,
+          sender: socket.user,
+          body: message.body,
+          source: "chat",
+        });
       } catch (error) {
         console.error("❌ MESSAGE ERROR:", error);
         const errorResponse = {
@@ -238,7 +236,10 @@ const registerChatHandlers = (namespace) => {
           return;
         }
 
-        const message = await ChatMessage.findById(messageId);
+        const message = await ChatMessage.findOne({
+          _id: messageId,
+          deletedAt: { $exists: false },
+        });
         if (!message) {
           const errorResponse = { error: "Message not found" };
           callback?.(errorResponse);
@@ -277,6 +278,73 @@ const registerChatHandlers = (namespace) => {
       }
     });
 
+    // Senders delete their own messages, project admins any message
+    socket.on("chat:delete", async (data = {}, callback) => {
+      const { projectId, messageId } = data;
+
+      try {
+        if (!projectId || !messageId) {
+          const errorResponse = { error: "Project ID and Message ID are required" };
+          callback?.(errorResponse);
+          return;
+        }
+
+        const membership = await ProjectMember.findOne({
+          project: new mongoose.Types.ObjectId(projectId),
+          user: new mongoose.Types.ObjectId(socket.user._id),
+        });
+        if (!membership) {
+          const errorResponse = { error: "Not a project member" };
+          callback?.(errorResponse);
+          return;
+        }
+
+        if (await isProjectArchived(projectId)) {
+          const errorResponse = { error: "This project is archived and read-only" };
+          callback?.(errorResponse);
+          return;
+        }
+
+        const message = await ChatMessage.findOne({
+          _id: messageId,
+          project: new mongoose.Types.ObjectId(projectId),
+          deletedAt: { $exists: false },
+        });
+        if (!message) {
+          const errorResponse = { error: "Message not found" };
+          callback?.(errorResponse);
+          return;
+        }
+
+        const isSender = message.sender.toString() === socket.user._id.toString();
+        const isProjectAdmin = [
+          UserRolesEnum.ADMIN,
+          UserRolesEnum.PROJECT_ADMIN,
+        ].includes(membership.role);
+        if (!isSender && !isProjectAdmin) {
+          const errorResponse = { error: "You can only delete your own messages" };
+          callback?.(errorResponse);
+          return;
+        }
+
+        message.deletedAt = new Date();
+        message.deletedBy = new mongoose.Types.ObjectId(socket.user._id);
+        await message.save();
+
+        const roomName = `project:${projectId}`;
+        namespace.to(roomName).emit("chat:message-deleted", { messageId });
+
+        callback?.({ success: true, messageId });
+      } catch (error) {
+        console.error("❌ DELETE ERROR:", error);
+        const errorResponse = {
+          error: "Failed to delete message",
+          details: error.message,
+        };
+        callback?.(errorResponse);
+      }
+    });
+
     socket.on("chat:leave", async (data = {}, callback) => {
       const { projectId } = data;
 
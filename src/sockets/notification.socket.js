@@ -0,0 +1,29 @@
+import { authenticateSocket } from "./socket-auth.js";
+
+let notificationNamespace = null;
+
+const userRoom = (userId) => `user:${userId}`;
+
+// Emit an event to every connected socket of a user (no-op before setup)
+export const emitToUser = (userId, event, payload) => {
+  if (!notificationNamespace) return;
+  notificationNamespace.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+export const setupNotificationSocket = (io) => {
+  console.log("🔧 Setting up NOTIFICATION socket handlers...");
+
+  notificationNamespace = io.of("/notifications");
+  notificationNamespace.use(authenticateSocket);
+
+  notificationNamespace.on("connection", (socket) => {
+    // Each user gets a private room so all their tabs/devices receive updates
+    socket.join(userRoom(socket.user._id.toString()));
+
+    socket.on("error", (error) => {
+      console.error(`❌ Notification socket error for ${socket.user.username}:`, error);
+    });
+  });
+
+  console.log("✅ Notification socket handlers registered");
+};
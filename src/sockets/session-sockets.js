@@ -0,0 +1,20 @@
+// Sockets are grouped per login session, so revoking a session can close the
+// sockets it opened. Namespaces register themselves on their first handshake.
+const namespaces = new Set();
+
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Called from the handshake once the session is known to be active
+export const trackSessionSocket = (socket, sessionId) => {
+  namespaces.add(socket.nsp);
+  socket.join(sessionRoom(sessionId));
+};
+
+// Disconnect every socket of the given sessions, in every namespace
+export const disconnectSessionSockets = (sessionIds) => {
+  for (const namespace of namespaces) {
+    for (const sessionId of sessionIds) {
+      namespace.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+    }
+  }
+};
@@ -0,0 +1,55 @@
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.models.js";
+import { userCache } from "../utils/cache.js";
+import { isSessionActive } from "../utils/sessions.js";
+import { trackSessionSocket } from "./session-sockets.js";
+
+const verifySocketToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    console.error("Token verification failed:", error.message);
+    return null;
+  }
+};
+
+// Namespace middleware that authenticates the handshake token and sets socket.user
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth.token;
+
+    if (!token) {
+      return next(new Error("Authentication token required"));
+    }
+
+    const decoded = verifySocketToken(token);
+    if (!decoded) {
+      return next(new Error("Invalid authentication token"));
+    }
+
+    // The session is checked on every handshake, only the user is cached,
+    // so a revoked session cannot connect again
+    if (!(await isSessionActive(decoded.sid))) {
+      return next(new Error("Session has ended"));
+    }
+
+    let user = userCache.get(token);
+    if (!user) {
+      user = await User.findById(decoded._id).select("-password -refreshToken");
+      if (user) {
+        userCache.set(token, user, 10 * 60 * 1000);
+      }
+    }
+
+    if (!user) {
+      return next(new Error("Invalid authentication token"));
+    }
+
+    socket.user = user;
+    socket.sessionId = decoded.sid;
+    trackSessionSocket(socket, decoded.sid);
+    next();
+  } catch (error) {
+    next(new Error("Authentication failed"));
+  }
+};
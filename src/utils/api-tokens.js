@@ -0,0 +1,106 @@
+/**
+ * Personal API Tokens
+ *
+ * Long-lived bearer tokens that users create for scripts and CI. A token acts
+ * as its owner, narrowed down by its scopes (read or write per resource) and
+ * optionally to a set of projects. Like the other tokens in this codebase it
+ * is stored as a SHA-256 hash, so it can only be shown once, when created.
+ */
+
+import crypto from "crypto";
+import { ApiToken } from "../models/apiToken.models.js";
+import { API_TOKEN_PREFIX } from "./constants.js";
+
+const TOKEN_BYTES = 20;
+const SHOWN_PREFIX_LENGTH = API_TOKEN_PREFIX.length + 6;
+// lastUsedAt is only written once per interval, not on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * SHA-256 hash of a token
+ * @param {string} token - Plain token
+ * @returns {string}
+ */
+const hashApiToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * A new random token
+ * @returns {{ token: string, tokenHash: string, tokenPrefix: string }}
+ */
+const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(TOKEN_BYTES).toString("hex")}`;
+
+  return {
+    token,
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.slice(0, SHOWN_PREFIX_LENGTH),
+  };
+};
+
+/**
+ * The stored token for a plain token, unless it is unknown or expired
+ * @param {string} token - Plain token from the Authorization header
+ * @returns {Promise<object|null>}
+ */
+const findApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashApiToken(token) });
+
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+    return null;
+  }
+  return apiToken;
+};
+
+/**
+ * Remember when and from where a token was last used
+ * @param {object} apiToken - ApiToken document
+ * @param {string} ip - Client IP
+ */
+const recordApiTokenUse = async (apiToken, ip) => {
+  const recentlyRecorded =
+    apiToken.lastUsedAt &&
+    Date.now() - apiToken.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS;
+  if (recentlyRecorded && apiToken.lastUsedIp === ip) return;
+
+  await ApiToken.updateOne(
+    { _id: apiToken._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip } },
+  );
+};
+
+/**
+ * Whether the token's scopes cover a request; writing includes reading
+ * @param {object} apiToken - ApiToken document
+ * @param {string} resource - One of ApiTokenResourceEnum
+ * @param {string} method - HTTP method
+ * @returns {boolean}
+ */
+const apiTokenAllows = (apiToken, resource, method) => {
+  const scopes = READ_METHODS.includes(method)
+    ? [`${resource}:read`, `${resource}:write`]
+    : [`${resource}:write`];
+
+  return scopes.some((scope) => apiToken.scopes.includes(scope));
+};
+
+/**
+ * Whether the token may be used on a project
+ * @param {object} apiToken - ApiToken document
+ * @param {string} projectId - Project ID
+ * @returns {boolean}
+ */
+const apiTokenAllowsProject = (apiToken, projectId) =>
+  apiToken.projects.length === 0 ||
+  apiToken.projects.some((project) => project.toString() === projectId);
+
+export {
+  hashApiToken,
+  generateApiToken,
+  findApiToken,
+  recordApiTokenUse,
+  apiTokenAllows,
+  apiTokenAllowsProject,
+};
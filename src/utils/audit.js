@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+import { AuditLog } from "../models/auditLog.models.js";
+
+// Record a security event in the audit log (fail-safe)
+const recordAudit = async (req, action, { user, email, details } = {}) => {
+  try {
+    await AuditLog.create({
+      action,
+      user: user ? new mongoose.Types.ObjectId(user._id) : undefined,
+      email: email ?? user?.email,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      details,
+    });
+  } catch (error) {
+    console.error("Failed to record audit entry:", error);
+  }
+};
+
+export { recordAudit };
@@ -19,10 +19,20 @@ export const IssueTypeEnum = {
   TASK: "task",
   STORY: "story",
   EPIC: "epic",
+  SUBTASK: "subtask",
 };
 
 export const AvailableIssueTypes = Object.values(IssueTypeEnum);
 
+// Issue types each type may be nested under (epic > story/task/bug, story > subtask)
+export const IssueParentTypes = {
+  [IssueTypeEnum.EPIC]: [],
+  [IssueTypeEnum.STORY]: [IssueTypeEnum.EPIC],
+  [IssueTypeEnum.TASK]: [IssueTypeEnum.EPIC],
+  [IssueTypeEnum.BUG]: [IssueTypeEnum.EPIC],
+  [IssueTypeEnum.SUBTASK]: [IssueTypeEnum.STORY],
+};
+
 export const IssuePriorityEnum = {
   LOWEST: "lowest",
   LOW: "low",
@@ -33,6 +43,7 @@ export const IssuePriorityEnum = {
 
 export const AvailableIssuePriorities = Object.values(IssuePriorityEnum);
 
+// Statuses of the default workflow, projects can define their own
 export const IssueStatusEnum = {
   BACKLOG: "backlog",
   SELECTED: "selected",
@@ -42,21 +53,282 @@ export const IssueStatusEnum = {
   BLOCKED: "blocked",
 };
 
-export const AvailableIssueStatuses = Object.values(IssueStatusEnum);
+export const StatusCategoryEnum = {
+  TODO: "todo",
+  IN_PROGRESS: "in_progress",
+  DONE: "done",
+};
+
+export const AvailableStatusCategories = Object.values(StatusCategoryEnum);
 
-export const STATUS_TRANSITIONS = {
-  [IssueStatusEnum.BACKLOG]: [IssueStatusEnum.SELECTED],
-  [IssueStatusEnum.SELECTED]: [IssueStatusEnum.IN_PROGRESS, IssueStatusEnum.BLOCKED],
-  [IssueStatusEnum.IN_PROGRESS]: [
-    IssueStatusEnum.IN_REVIEW,
-    IssueStatusEnum.BLOCKED,
-    IssueStatusEnum.DONE,
+// Conditions an issue must meet before a transition is allowed
+export const TransitionGuardEnum = {
+  HAS_ASSIGNEE: "has_assignee",
+  HAS_STORY_POINTS: "has_story_points",
+  NO_OPEN_BLOCKERS: "no_open_blockers",
+};
+
+export const AvailableTransitionGuards = Object.values(TransitionGuardEnum);
+
+export const WORKFLOW_STATUS_KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+export const DEFAULT_WORKFLOW = {
+  initialStatus: IssueStatusEnum.BACKLOG,
+  statuses: [
+    {
+      key: IssueStatusEnum.BACKLOG,
+      name: "Backlog",
+      category: StatusCategoryEnum.TODO,
+      color: "#64748b",
+    },
+    {
+      key: IssueStatusEnum.SELECTED,
+      name: "Selected",
+      category: StatusCategoryEnum.TODO,
+      color: "#fbbf24",
+    },
+    {
+      key: IssueStatusEnum.IN_PROGRESS,
+      name: "In Progress",
+      category: StatusCategoryEnum.IN_PROGRESS,
+      color: "#38bdf8",
+    },
+    {
+      key: IssueStatusEnum.IN_REVIEW,
+      name: "In Review",
+      category: StatusCategoryEnum.IN_PROGRESS,
+      color: "#a78bfa",
+    },
+    {
+      key: IssueStatusEnum.BLOCKED,
+      name: "Blocked",
+      category: StatusCategoryEnum.IN_PROGRESS,
+      color: "#f87171",
+    },
+    {
+      key: IssueStatusEnum.DONE,
+      name: "Done",
+      category: StatusCategoryEnum.DONE,
+      color: "#22c55e",
+    },
   ],
-  [IssueStatusEnum.IN_REVIEW]: [
-    IssueStatusEnum.IN_PROGRESS,
-    IssueStatusEnum.DONE,
-    IssueStatusEnum.BLOCKED,
+  transitions: [
+    {
+      from: IssueStatusEnum.BACKLOG,
+      to: IssueStatusEnum.SELECTED,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.SELECTED,
+      to: IssueStatusEnum.IN_PROGRESS,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.SELECTED,
+      to: IssueStatusEnum.BLOCKED,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.IN_PROGRESS,
+      to: IssueStatusEnum.IN_REVIEW,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.IN_PROGRESS,
+      to: IssueStatusEnum.BLOCKED,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.IN_PROGRESS,
+      to: IssueStatusEnum.DONE,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.IN_REVIEW,
+      to: IssueStatusEnum.IN_PROGRESS,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.IN_REVIEW,
+      to: IssueStatusEnum.DONE,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.IN_REVIEW,
+      to: IssueStatusEnum.BLOCKED,
+      guards: [],
+    },
+    {
+      from: IssueStatusEnum.BLOCKED,
+      to: IssueStatusEnum.IN_PROGRESS,
+      guards: [],
+    },
   ],
-  [IssueStatusEnum.BLOCKED]: [IssueStatusEnum.IN_PROGRESS],
-  [IssueStatusEnum.DONE]: [],
 };
+
+export const IssueLinkTypeEnum = {
+  BLOCKS: "blocks",
+  IS_BLOCKED_BY: "is_blocked_by",
+  RELATES_TO: "relates_to",
+  DUPLICATES: "duplicates",
+  IS_DUPLICATED_BY: "is_duplicated_by",
+  CLONES: "clones",
+  IS_CLONED_BY: "is_cloned_by",
+};
+
+export const AvailableIssueLinkTypes = Object.values(IssueLinkTypeEnum);
+
+// Every link is stored on both issues, the other side gets the inverse type
+export const ISSUE_LINK_INVERSES = {
+  [IssueLinkTypeEnum.BLOCKS]: IssueLinkTypeEnum.IS_BLOCKED_BY,
+  [IssueLinkTypeEnum.IS_BLOCKED_BY]: IssueLinkTypeEnum.BLOCKS,
+  [IssueLinkTypeEnum.RELATES_TO]: IssueLinkTypeEnum.RELATES_TO,
+  [IssueLinkTypeEnum.DUPLICATES]: IssueLinkTypeEnum.IS_DUPLICATED_BY,
+  [IssueLinkTypeEnum.IS_DUPLICATED_BY]: IssueLinkTypeEnum.DUPLICATES,
+  [IssueLinkTypeEnum.CLONES]: IssueLinkTypeEnum.IS_CLONED_BY,
+  [IssueLinkTypeEnum.IS_CLONED_BY]: IssueLinkTypeEnum.CLONES,
+};
+
+export const SprintStateEnum = {
+  PLANNED: "planned",
+  ACTIVE: "active",
+  CLOSED: "closed",
+};
+
+export const AvailableSprintStates = Object.values(SprintStateEnum);
+
+export const NotificationEventEnum = {
+  CREATED: "created",
+  UPDATED: "updated",
+  TRANSITIONED: "transitioned",
+  COMMENTED: "commented",
+  ASSIGNED: "assigned",
+  MENTIONED: "mentioned",
+  CHAT_MESSAGE: "chat_message",
+};
+
+export const AvailableNotificationEvents = Object.values(NotificationEventEnum);
+
+// Channels used when a user has not set a preference for an event
+export const DefaultNotificationChannels = {
+  [NotificationEventEnum.CREATED]: { inApp: true, email: true },
+  [NotificationEventEnum.UPDATED]: { inApp: true, email: true },
+  [NotificationEventEnum.TRANSITIONED]: { inApp: true, email: true },
+  [NotificationEventEnum.COMMENTED]: { inApp: true, email: true },
+  [NotificationEventEnum.ASSIGNED]: { inApp: true, email: true },
+  [NotificationEventEnum.MENTIONED]: { inApp: true, email: true },
+  [NotificationEventEnum.CHAT_MESSAGE]: { inApp: false, email: false },
+};
+
+export const EmailDigestEnum = {
+  IMMEDIATE: "immediate",
+  HOURLY: "hourly",
+  DAILY: "daily",
+};
+
+export const AvailableEmailDigests = Object.values(EmailDigestEnum);
+
+// Project keys prefix issue keys (WEB-42): 2-10 characters, starting with a letter
+export const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// Kinds of records returned by global search
+export const SearchResultTypeEnum = {
+  ISSUE: "issue",
+  TASK: "task",
+  SUBTASK: "subtask",
+  NOTE: "note",
+  COMMENT: "comment",
+  CHAT: "chat",
+};
+
+export const AvailableSearchResultTypes = Object.values(SearchResultTypeEnum);
+
+// Value types of project-defined custom fields on issues
+export const CustomFieldTypeEnum = {
+  TEXT: "text",
+  NUMBER: "number",
+  DATE: "date",
+  SELECT: "select",
+  MULTI_SELECT: "multi_select",
+  USER: "user",
+};
+
+export const AvailableCustomFieldTypes = Object.values(CustomFieldTypeEnum);
+
+// Custom field keys are stored as issue.customFields.<key> and used in queries as cf.<key>
+export const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+// Upper bound on the issues one bulk operation may touch
+export const MAX_BULK_ISSUES = 500;
+
+// Kinds of soft-deleted items listed in a project's trash
+export const TrashItemTypeEnum = {
+  ISSUE: "issue",
+  TASK: "task",
+  NOTE: "note",
+  CHAT_MESSAGE: "chat_message",
+};
+
+export const AvailableTrashItemTypes = Object.values(TrashItemTypeEnum);
+
+// Upper bounds on the issues one export or import may contain
+export const MAX_EXPORT_ISSUES = 10000;
+export const MAX_IMPORT_ROWS = 1000;
+
+// Largest project archive accepted for a restore
+export const MAX_PROJECT_ARCHIVE_SIZE = "200mb";
+// Largest a project archive may be once decompressed, in bytes; it is read
+// as one string, so this stays below V8's string length limit
+export const MAX_PROJECT_ARCHIVE_UNPACKED_BYTES = 500 * 1000 * 1000;
+
+// Why a login session ended before it expired
+export const SessionRevokeReasonEnum = {
+  LOGOUT: "logout",
+  REVOKED: "revoked",
+  TOKEN_REUSE: "token_reuse",
+};
+
+export const AvailableSessionRevokeReasons = Object.values(
+  SessionRevokeReasonEnum,
+);
+
+// Resources a personal API token can be granted read or write access to
+export const ApiTokenResourceEnum = {
+  ISSUES: "issues",
+  TASKS: "tasks",
+  NOTES: "notes",
+  CHAT: "chat",
+  PROJECTS: "projects",
+};
+
+export const AvailableApiTokenResources = Object.values(ApiTokenResourceEnum);
+
+// "issues:read", "issues:write", ...; write includes read
+export const AvailableApiTokenScopes = AvailableApiTokenResources.flatMap(
+  (resource) => [`${resource}:read`, `${resource}:write`],
+);
+
+// Personal API tokens start with this, which tells them apart from JWTs
+export const API_TOKEN_PREFIX = "pat_";
+
+// Security events recorded in the audit log
+export const AuditActionEnum = {
+  LOGIN_FAILED: "login_failed",
+  ACCOUNT_LOCKED: "account_locked",
+  ACCOUNT_UNLOCKED: "account_unlocked",
+};
+
+export const AvailableAuditActions = Object.values(AuditActionEnum);
+
+// Lifecycle of an invitation to join a project
+export const InvitationStatusEnum = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  REVOKED: "revoked",
+};
+
+export const AvailableInvitationStatuses = Object.values(InvitationStatusEnum);
+
+// How long an invitation link stays valid
+export const INVITATION_EXPIRY_DAYS = 7;
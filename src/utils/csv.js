@@ -0,0 +1,103 @@
+/**
+ * CSV Helpers
+ *
+ * Minimal RFC 4180 writer used by report and export endpoints, and the
+ * matching reader for imports. Cells that start with a formula character are
+ * prefixed with a quote so spreadsheet apps do not evaluate user-provided
+ * text.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows as CSV
+ * @param {Array<{ header: string, value: Function }>} columns - Column headers and cell getters
+ * @param {Array<object>} rows - Rows to render
+ * @returns {string} - CSV text with a header line and CRLF line endings
+ */
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCell(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCell(column.value(row))).join(","),
+    ),
+  ].join("\r\n");
+
+/**
+ * Send CSV as a file download
+ * @param {object} res - Express response
+ * @param {string} filename - Suggested file name
+ * @param {string} csv - CSV text
+ */
+const sendCsv = (res, filename, csv) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  // BOM so Excel detects UTF-8
+  return res.status(200).send(`﻿${csv}`);
+};
+
+/**
+ * Parse CSV text into rows of cells. Quoted cells may contain commas, quotes
+ * ("") and line breaks; a leading BOM and blank lines are ignored.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, header line included
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted cell");
+  }
+  if (cell !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+export { toCsv, sendCsv, parseCsv };
@@ -0,0 +1,157 @@
+/**
+ * Custom Fields
+ *
+ * Project admins define typed fields per project (and optionally per issue
+ * type); issues store their values in issue.customFields keyed by field key.
+ * Submitted values are checked against the definitions and coerced to their
+ * stored form here, so the issue controllers only ever see clean values.
+ */
+
+import mongoose from "mongoose";
+import { CustomField } from "../models/customField.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Issue } from "../models/issue.models.js";
+import { CustomFieldTypeEnum, IssueTypeEnum } from "./constants.js";
+
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Custom field definitions of a project in display order
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} - Lean field definitions
+ */
+const getProjectCustomFields = (projectId) =>
+  CustomField.find({ project: new mongoose.Types.ObjectId(projectId) })
+    .sort({ position: 1, createdAt: 1 })
+    .lean();
+
+const appliesToIssueType = (field, issueType) =>
+  field.issueTypes.length === 0 || field.issueTypes.includes(issueType);
+
+const isEmptyValue = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Options are matched case-insensitively and stored as defined
+const resolveOption = (field, value) => {
+  const option = field.options.find(
+    (candidate) => candidate.toLowerCase() === String(value).toLowerCase(),
+  );
+  if (!option) {
+    throw new Error(`${field.name} must be one of ${field.options.join(", ")}`);
+  }
+  return option;
+};
+
+const normalizeValue = async (field, value, projectId) => {
+  switch (field.type) {
+    case CustomFieldTypeEnum.TEXT:
+      if (typeof value !== "string" || value.length > MAX_TEXT_LENGTH) {
+        throw new Error(
+          `${field.name} must be text of at most ${MAX_TEXT_LENGTH} characters`,
+        );
+      }
+      return value.trim();
+    case CustomFieldTypeEnum.NUMBER: {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        throw new Error(`${field.name} must be a number`);
+      }
+      return number;
+    }
+    case CustomFieldTypeEnum.DATE: {
+      const date = new Date(value);
+      if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+        throw new Error(`${field.name} must be a date`);
+      }
+      return date;
+    }
+    case CustomFieldTypeEnum.SELECT:
+      return resolveOption(field, value);
+    case CustomFieldTypeEnum.MULTI_SELECT: {
+      const values = Array.isArray(value) ? value : [value];
+      return [...new Set(values.map((item) => resolveOption(field, item)))];
+    }
+    default: {
+      // User fields only accept members of the project
+      const isMember =
+        mongoose.isValidObjectId(value) &&
+        (await ProjectMember.exists({
+          project: new mongoose.Types.ObjectId(projectId),
+          user: new mongoose.Types.ObjectId(value),
+        }));
+      if (!isMember) {
+        throw new Error(`${field.name} must be a member of this project`);
+      }
+      return new mongoose.Types.ObjectId(value);
+    }
+  }
+};
+
+/**
+ * Validate submitted custom field values for a new or existing issue. Throws
+ * an Error with a user-facing message, as express-validator expects.
+ * @param {string} projectId - Project ID
+ * @param {object} values - Submitted values keyed by field key
+ * @param {object} options - { issueType, issueId, fields }; without an
+ *   issueId the issue is new and every required field must be given. Callers
+ *   validating many issues pass the already loaded fields.
+ * @returns {Promise<object>} - Normalized values, null for values to clear
+ */
+const validateCustomFieldValues = async (
+  projectId,
+  values = {},
+  { issueType, issueId, fields: loadedFields } = {},
+) => {
+  const fields = loadedFields || (await getProjectCustomFields(projectId));
+  const fieldsByKey = new Map(fields.map((field) => [field.key, field]));
+
+  let type = issueType;
+  if (!type && issueId && mongoose.isValidObjectId(issueId)) {
+    const issue = await Issue.findById(issueId).select("type").lean();
+    type = issue?.type;
+  }
+  type = type || IssueTypeEnum.TASK;
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(values)) {
+    const field = fieldsByKey.get(key);
+    if (!field) {
+      throw new Error(`Unknown custom field "${key}"`);
+    }
+    if (!appliesToIssueType(field, type)) {
+      throw new Error(`${field.name} does not apply to ${type} issues`);
+    }
+
+    if (isEmptyValue(value)) {
+      if (field.required) {
+        throw new Error(`${field.name} is required`);
+      }
+      normalized[key] = null;
+    } else {
+      normalized[key] = await normalizeValue(field, value, projectId);
+    }
+  }
+
+  if (!issueId) {
+    const missing = fields.find(
+      (field) =>
+        field.required &&
+        appliesToIssueType(field, type) &&
+        isEmptyValue(normalized[field.key]),
+    );
+    if (missing) {
+      throw new Error(`${missing.name} is required`);
+    }
+  }
+
+  return normalized;
+};
+
+export {
+  getProjectCustomFields,
+  appliesToIssueType,
+  validateCustomFieldValues,
+};
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+import { IssueActivity } from "../models/issueActivity.models.js";
+
+// Record an entry in an issue's activity log (fail-safe)
+const logActivity = async (issueId, actorId, action, from, to) => {
+  try {
+    await IssueActivity.create({
+      issueId: new mongoose.Types.ObjectId(issueId),
+      actorId: new mongoose.Types.ObjectId(actorId),
+      action,
+      from,
+      to,
+    });
+  } catch (error) {
+    console.error("Failed to log activity:", error);
+  }
+};
+
+export { logActivity };
@@ -0,0 +1,132 @@
+/**
+ * Issue History Reconstruction
+ *
+ * Rebuilds the state of issues at any point in time from their current
+ * values and the IssueActivity log, so reports can be computed for past
+ * dates without storing daily snapshots.
+ */
+
+import { IssueActivity } from "../models/issueActivity.models.js";
+
+// Activity actions that change a tracked field
+const TRACKED_FIELDS = {
+  status_changed: "status",
+  storyPoints_changed: "storyPoints",
+  sprint_changed: "sprint",
+};
+
+const EXISTENCE_ACTIONS = {
+  deleted: true,
+  restored: false,
+};
+
+const normalize = (field, value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (field === "storyPoints") return Number(value) || 0;
+  if (field === "sprint") return value.toString();
+  return value;
+};
+
+/**
+ * Build a timeline per issue: its state right after creation plus the
+ * ordered list of changes applied since then
+ * @param {Array} issues - Issue documents (including soft-deleted ones)
+ * @returns {Promise<Array>} - Timelines
+ */
+const buildIssueTimelines = async (issues) => {
+  const activities = await IssueActivity.find({
+    issueId: { $in: issues.map((issue) => issue._id) },
+    action: {
+      $in: [...Object.keys(TRACKED_FIELDS), ...Object.keys(EXISTENCE_ACTIONS)],
+    },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byIssue = new Map();
+  activities.forEach((activity) => {
+    const key = activity.issueId.toString();
+    if (!byIssue.has(key)) byIssue.set(key, []);
+    byIssue.get(key).push(activity);
+  });
+
+  return issues.map((issue) => {
+    const events = (byIssue.get(issue._id.toString()) || []).map((activity) => {
+      if (activity.action in EXISTENCE_ACTIONS) {
+        return {
+          at: activity.createdAt,
+          field: "deleted",
+          from: !EXISTENCE_ACTIONS[activity.action],
+          to: EXISTENCE_ACTIONS[activity.action],
+        };
+      }
+      const field = TRACKED_FIELDS[activity.action];
+      return {
+        at: activity.createdAt,
+        field,
+        from: normalize(field, activity.from),
+        to: normalize(field, activity.to),
+      };
+    });
+
+    // The first change of each field tells us its value before that change
+    const initial = {
+      status: issue.status,
+      storyPoints: normalize("storyPoints", issue.storyPoints),
+      sprint: normalize("sprint", issue.sprint),
+      deleted: Boolean(issue.deletedAt),
+    };
+    const seen = new Set();
+    events.forEach((event) => {
+      if (!seen.has(event.field)) {
+        initial[event.field] = event.from;
+        seen.add(event.field);
+      }
+    });
+
+    return { issue, createdAt: issue.createdAt, initial, events };
+  });
+};
+
+/**
+ * State of an issue at a given time, or null if it did not exist yet
+ * @param {object} timeline - Timeline from buildIssueTimelines
+ * @param {Date} date - Point in time
+ * @returns {object|null} - { status, storyPoints, sprint, deleted }
+ */
+const stateAt = (timeline, date) => {
+  if (timeline.createdAt > date) return null;
+
+  const state = { ...timeline.initial };
+  for (const event of timeline.events) {
+    if (event.at > date) break;
+    state[event.field] = event.to;
+  }
+
+  return state;
+};
+
+/**
+ * End-of-day timestamps (UTC) from one date to another, the last one capped at now
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Array<Date>} - One timestamp per day
+ */
+const eachDayEnd = (from, to) => {
+  const days = [];
+  const now = new Date();
+  const cursor = new Date(from);
+  cursor.setUTCHours(23, 59, 59, 999);
+  const last = new Date(to);
+  last.setUTCHours(23, 59, 59, 999);
+
+  while (cursor <= last) {
+    days.push(new Date(Math.min(cursor.getTime(), now.getTime())));
+    if (cursor >= now) break;
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return days;
+};
+
+export { buildIssueTimelines, stateAt, eachDayEnd };
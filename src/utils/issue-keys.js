@@ -0,0 +1,256 @@
+/**
+ * Issue Key Generation
+ *
+ * Every project has a short uppercase key (e.g. WEB) and issues are numbered
+ * from an atomic per-project counter, so concurrent createIssue calls never
+ * receive the same key and renaming a project does not affect issue keys.
+ * The counter is advanced in the same transaction as the issue insert, so a
+ * failed insert does not use up a number. Deleting an issue still leaves a gap.
+ */
+
+import mongoose from "mongoose";
+import { Project } from "../models/project.models.js";
+import { Issue } from "../models/issue.models.js";
+import { Counter } from "../models/counter.models.js";
+import { logger } from "./logger.js";
+import { PROJECT_KEY_PATTERN } from "./constants.js";
+
+const DEFAULT_PROJECT_KEY = "PRJ";
+
+const getIssueCounterName = (projectId) => `issue:${projectId}`;
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// Numeric part of an issue key ("WEB-42" -> 42), or null if it has none
+const parseIssueNumber = (key) => {
+  const number = Number(key?.split("-").pop());
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Suggest a key from a project name: initials for multi-word names,
+ * otherwise the first three characters ("Web Portal" -> WP, "Backend" -> BAC)
+ * @param {string} name - Project name
+ * @returns {string} - Candidate project key
+ */
+const deriveProjectKey = (name = "") => {
+  const words = name
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  const base =
+    words.length > 1
+      ? words.map((word) => word[0]).join("").substring(0, 4)
+      : (words[0] || "").substring(0, 3);
+
+  return PROJECT_KEY_PATTERN.test(base) ? base : DEFAULT_PROJECT_KEY;
+};
+
+/**
+ * Derive a project key that no other project uses yet
+ * @param {string} name - Project name
+ * @param {string} [excludeProjectId] - Project to ignore when checking usage
+ * @returns {Promise<string>} - Unused project key
+ */
+const generateUniqueProjectKey = async (name, excludeProjectId) => {
+  const base = deriveProjectKey(name);
+  const filter = excludeProjectId ? { _id: { $ne: excludeProjectId } } : {};
+
+  let candidate = base;
+  let suffix = 2;
+  while (await Project.exists({ ...filter, key: candidate })) {
+    candidate = `${base.substring(0, 8)}${suffix++}`;
+  }
+
+  return candidate;
+};
+
+/**
+ * Assign a key to a project created before project keys existed
+ * @param {object} project - Project document
+ * @returns {Promise<string>} - The project key
+ */
+const ensureProjectKey = async (project) => {
+  if (project.key) return project.key;
+
+  for (;;) {
+    const candidate = await generateUniqueProjectKey(project.name, project._id);
+    try {
+      // Only set if still unset; a concurrent request may have been first
+      await Project.updateOne(
+        { _id: project._id, key: null },
+        { $set: { key: candidate } },
+      );
+    } catch (error) {
+      // Another project took the candidate meanwhile, derive the next one
+      if (isDuplicateKeyError(error)) continue;
+      throw error;
+    }
+
+    const { key } = await Project.findById(project._id).select("key").lean();
+    project.key = key;
+    return key;
+  }
+};
+
+/**
+ * Start a project's counter at its highest existing issue number so
+ * issues created before the counter existed are never reused
+ * @param {string} projectId - Project id
+ */
+const seedIssueCounter = async (projectId) => {
+  const issues = await Issue.find({ projectId }).select("key").lean();
+  const highest = Math.max(0, ...issues.map((issue) => parseIssueNumber(issue.key) || 0));
+
+  try {
+    await Counter.updateOne(
+      { name: getIssueCounterName(projectId) },
+      { $max: { seq: highest } },
+      { upsert: true },
+    );
+  } catch (error) {
+    // Another request seeded the counter first
+    if (!isDuplicateKeyError(error)) throw error;
+  }
+};
+
+/**
+ * Create an issue under the next key of its project. The counter is advanced
+ * inside the transaction that runs `create`, so concurrent creates retry
+ * instead of sharing a number and a failed create gives its number back.
+ * @param {object} project - Project document
+ * @param {(key: string, session: object) => Promise<object>} create - Inserts the issue using the session
+ * @returns {Promise<object>} - Whatever `create` returned
+ */
+const createWithNextIssueKey = async (project, create) => {
+  const projectKey = await ensureProjectKey(project);
+  const name = getIssueCounterName(project._id);
+
+  // Seeding upserts, which is kept out of the transaction
+  if (!(await Counter.exists({ name }))) {
+    await seedIssueCounter(project._id);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const counter = await Counter.findOneAndUpdate(
+        { name },
+        { $inc: { seq: 1 } },
+        { new: true, session },
+      );
+      result = await create(`${projectKey}-${counter.seq}`, session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Re-prefix all issue keys of a project after its key changed, keeping numbers
+ * @param {string} projectId - Project id
+ * @param {string} projectKey - New project key
+ * @param {object} [session] - Transaction that also changes the project key
+ */
+const renameIssueKeys = async (projectId, projectKey, session) => {
+  await Issue.updateMany({ projectId }, [
+    {
+      $set: {
+        key: {
+          $concat: [
+            projectKey,
+            "-",
+            { $arrayElemAt: [{ $split: ["$key", "-"] }, -1] },
+          ],
+        },
+      },
+    },
+  ], { session });
+};
+
+/**
+ * Give every project a key, rewrite existing issue keys to use it and
+ * initialize the counters. Issues whose number is missing or duplicated
+ * are renumbered after the highest existing number. Safe to run repeatedly.
+ * @returns {Promise<object>} - Migration summary
+ */
+const migrateIssueKeys = async () => {
+  const summary = { projects: 0, keysAssigned: 0, issuesRekeyed: 0, issuesRenumbered: 0 };
+  const projects = await Project.find();
+
+  for (const project of projects) {
+    summary.projects++;
+    if (!project.key) {
+      await ensureProjectKey(project);
+      summary.keysAssigned++;
+    }
+
+    const issues = await Issue.find({ projectId: project._id })
+      .sort({ createdAt: 1 })
+      .select("key")
+      .lean();
+
+    const used = new Set();
+    const needsNumber = [];
+    const updates = [];
+
+    issues.forEach((issue) => {
+      const number = parseIssueNumber(issue.key);
+      if (!number || used.has(number)) {
+        needsNumber.push(issue);
+        return;
+      }
+      used.add(number);
+      const key = `${project.key}-${number}`;
+      if (key !== issue.key) updates.push({ _id: issue._id, key });
+    });
+
+    let highest = Math.max(0, ...used);
+    needsNumber.forEach((issue) => {
+      highest++;
+      updates.push({ _id: issue._id, key: `${project.key}-${highest}` });
+    });
+
+    if (updates.length > 0) {
+      // Move changed issues to temporary keys first so the unique
+      // {projectId, key} index never sees two issues with the same key
+      await Issue.bulkWrite(
+        updates.map(({ _id }) => ({
+          updateOne: { filter: { _id }, update: { $set: { key: `migrating-${_id}` } } },
+        })),
+      );
+      await Issue.bulkWrite(
+        updates.map(({ _id, key }) => ({
+          updateOne: { filter: { _id }, update: { $set: { key } } },
+        })),
+      );
+    }
+
+    summary.issuesRekeyed += updates.length - needsNumber.length;
+    summary.issuesRenumbered += needsNumber.length;
+
+    await Counter.updateOne(
+      { name: getIssueCounterName(project._id) },
+      { $max: { seq: highest } },
+      { upsert: true },
+    );
+  }
+
+  logger.info("Issue key migration finished", summary);
+  return summary;
+};
+
+export {
+  deriveProjectKey,
+  generateUniqueProjectKey,
+  ensureProjectKey,
+  createWithNextIssueKey,
+  parseIssueNumber,
+  renameIssueKeys,
+  migrateIssueKeys,
+};
@@ -0,0 +1,1000 @@
+/**
+ * Issue Query Language
+ *
+ * A small JQL-like language for filtering issues, e.g.
+ *   assignee = me AND priority >= high AND labels in (ui) AND due < +7d
+ *   ORDER BY priority DESC
+ *
+ * Queries are parsed into a syntax tree first and then compiled into a Mongo
+ * filter, resolving users, sprints, parent keys, workflow statuses and
+ * custom fields (cf.<key>) against the project. Every mistake is reported as a 400 with a message
+ * that can be shown next to the query bar.
+ */
+
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import { Sprint } from "../models/sprint.models.js";
+import { Issue } from "../models/issue.models.js";
+import { ApiError } from "./api-error.js";
+import { getProjectWorkflow, getStatusKeysByCategory } from "./workflows.js";
+import { getProjectCustomFields } from "./custom-fields.js";
+import { escapeRegex } from "./regex.js";
+import {
+  AvailableIssueTypes,
+  AvailableIssuePriorities,
+  AvailableStatusCategories,
+  SprintStateEnum,
+  CustomFieldTypeEnum,
+} from "./constants.js";
+
+const KEYWORDS = [
+  "AND",
+  "OR",
+  "NOT",
+  "IN",
+  "IS",
+  "EMPTY",
+  "NULL",
+  "ORDER",
+  "BY",
+  "ASC",
+  "DESC",
+];
+
+const COMPARISON_OPERATORS = ["!=", ">=", "<=", "!~", "=", ">", "<", "~"];
+
+const EQUALITY = ["=", "!=", "in", "not in"];
+const EMPTINESS = ["is empty", "is not empty"];
+const ORDERED = ["<", "<=", ">", ">="];
+const CONTAINS = ["~", "!~"];
+
+const FIELD_ALIASES = {
+  summary: "title",
+  label: "labels",
+  storypoints: "points",
+  duedate: "due",
+  epic: "parent",
+  watchers: "watcher",
+  statuscategory: "category",
+};
+
+const CUSTOM_FIELD_PREFIX = "cf.";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const queryError = (message) => new ApiError(400, `Invalid query: ${message}`);
+
+/* ---------------------------------- Lexer --------------------------------- */
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    if (char === "(" || char === ")" || char === ",") {
+      tokens.push({ type: char, value: char, position: i });
+      i += 1;
+      continue;
+    }
+
+    const operator = COMPARISON_OPERATORS.find((op) => text.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: "operator", value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = "";
+      let j = i + 1;
+      while (j < text.length && text[j] !== char) {
+        if (text[j] === "\\" && j + 1 < text.length) j += 1;
+        value += text[j];
+        j += 1;
+      }
+      if (j >= text.length) {
+        throw queryError(`unterminated string at position ${i + 1}`);
+      }
+      tokens.push({ type: "string", value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const match = /^[^\s(),=!<>~"']+/.exec(text.slice(i));
+    if (!match) {
+      throw queryError(`unexpected "${char}" at position ${i + 1}`);
+    }
+    tokens.push({ type: "word", value: match[0], position: i });
+    i += match[0].length;
+  }
+
+  return tokens;
+};
+
+/* --------------------------------- Parser --------------------------------- */
+
+const parseTokens = (tokens) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isKeyword = (token, keyword) =>
+    token?.type === "word" && token.value.toUpperCase() === keyword;
+  const describe = (token) =>
+    token
+      ? `"${token.value}" at position ${token.position + 1}`
+      : "end of query";
+
+  const expectKeyword = (keyword) => {
+    if (!isKeyword(peek(), keyword)) {
+      throw queryError(`expected ${keyword} but found ${describe(peek())}`);
+    }
+    index += 1;
+  };
+
+  const expectType = (type) => {
+    if (peek()?.type !== type) {
+      throw queryError(`expected "${type}" but found ${describe(peek())}`);
+    }
+    index += 1;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (
+      !token ||
+      (token.type !== "word" && token.type !== "string") ||
+      (token.type === "word" && KEYWORDS.includes(token.value.toUpperCase()))
+    ) {
+      throw queryError(`expected a value but found ${describe(token)}`);
+    }
+    index += 1;
+    return token.value;
+  };
+
+  const parseList = () => {
+    expectType("(");
+    const values = [parseValue()];
+    while (peek()?.type === ",") {
+      index += 1;
+      values.push(parseValue());
+    }
+    expectType(")");
+    return values;
+  };
+
+  const parseClause = () => {
+    const token = peek();
+    if (
+      token?.type !== "word" ||
+      KEYWORDS.includes(token.value.toUpperCase())
+    ) {
+      throw queryError(`expected a field but found ${describe(token)}`);
+    }
+    index += 1;
+    const field = token.value;
+
+    if (isKeyword(peek(), "IS")) {
+      index += 1;
+      let negated = false;
+      if (isKeyword(peek(), "NOT")) {
+        index += 1;
+        negated = true;
+      }
+      if (!isKeyword(peek(), "EMPTY") && !isKeyword(peek(), "NULL")) {
+        throw queryError(`expected EMPTY but found ${describe(peek())}`);
+      }
+      index += 1;
+      return {
+        type: "clause",
+        field,
+        op: negated ? "is not empty" : "is empty",
+        values: [],
+      };
+    }
+
+    if (isKeyword(peek(), "NOT")) {
+      index += 1;
+      expectKeyword("IN");
+      return { type: "clause", field, op: "not in", values: parseList() };
+    }
+
+    if (isKeyword(peek(), "IN")) {
+      index += 1;
+      return { type: "clause", field, op: "in", values: parseList() };
+    }
+
+    if (peek()?.type !== "operator") {
+      throw queryError(
+        `expected an operator after ${field} but found ${describe(peek())}`,
+      );
+    }
+    const op = peek().value;
+    index += 1;
+
+    // "assignee = empty" reads more naturally than "assignee is empty"
+    if (
+      (op === "=" || op === "!=") &&
+      (isKeyword(peek(), "EMPTY") || isKeyword(peek(), "NULL"))
+    ) {
+      index += 1;
+      return {
+        type: "clause",
+        field,
+        op: op === "=" ? "is empty" : "is not empty",
+        values: [],
+      };
+    }
+
+    return { type: "clause", field, op, values: [parseValue()] };
+  };
+
+  const parsePrimary = () => {
+    if (peek()?.type === "(") {
+      index += 1;
+      const node = parseOr();
+      expectType(")");
+      return node;
+    }
+    return parseClause();
+  };
+
+  const parseNot = () => {
+    if (isKeyword(peek(), "NOT")) {
+      index += 1;
+      return { type: "not", node: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const nodes = [parseNot()];
+    while (isKeyword(peek(), "AND")) {
+      index += 1;
+      nodes.push(parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+  };
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (isKeyword(peek(), "OR")) {
+      index += 1;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+  }
+
+  const parseOrderBy = () => {
+    expectKeyword("ORDER");
+    expectKeyword("BY");
+    const orderBy = [];
+    do {
+      if (orderBy.length > 0) index += 1;
+      const field = parseValue();
+      let direction = 1;
+      if (isKeyword(peek(), "ASC")) {
+        index += 1;
+      } else if (isKeyword(peek(), "DESC")) {
+        index += 1;
+        direction = -1;
+      }
+      orderBy.push({ field, direction });
+    } while (peek()?.type === ",");
+    return orderBy;
+  };
+
+  const where =
+    tokens.length > 0 && !isKeyword(peek(), "ORDER") ? parseOr() : null;
+  const orderBy = isKeyword(peek(), "ORDER") ? parseOrderBy() : [];
+
+  if (index < tokens.length) {
+    throw queryError(`unexpected ${describe(peek())}`);
+  }
+
+  return { where, orderBy };
+};
+
+/**
+ * Parse a query into a syntax tree without touching the database
+ * @param {string} text - Query text
+ * @returns {{ where: object|null, orderBy: Array<{ field: string, direction: number }> }}
+ */
+const parseIssueQuery = (text = "") => parseTokens(tokenize(text));
+
+/* ------------------------------ Value helpers ----------------------------- */
+
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+
+// Dates resolve to a [start, end) range so "due = today" covers the whole day
+const parseDateValue = (value, now) => {
+  const lower = value.toLowerCase();
+
+  if (lower === "now") {
+    return { start: now, end: new Date(now.getTime() + 1) };
+  }
+
+  if (lower === "today") {
+    const start = startOfUtcDay(now);
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  const relative = /^([+-])(\d+)([hdwm])$/.exec(lower);
+  if (relative) {
+    const amount = Number(relative[2]) * (relative[1] === "-" ? -1 : 1);
+    if (relative[3] === "h") {
+      const start = new Date(now.getTime() + amount * 60 * 60 * 1000);
+      return { start, end: new Date(start.getTime() + 1) };
+    }
+    const start = startOfUtcDay(now);
+    if (relative[3] === "m") {
+      start.setUTCMonth(start.getUTCMonth() + amount);
+    } else {
+      start.setUTCDate(
+        start.getUTCDate() + amount * (relative[3] === "w" ? 7 : 1),
+      );
+    }
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = new Date(`${value}T00:00:00.000Z`);
+    if (!Number.isNaN(start.getTime())) {
+      return { start, end: new Date(start.getTime() + DAY_MS) };
+    }
+  }
+
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw queryError(
+      `"${value}" is not a date (use YYYY-MM-DD, today, now or +7d)`,
+    );
+  }
+  return { start: parsed, end: new Date(parsed.getTime() + 1) };
+};
+
+const matchValues = (path, op, values) => {
+  switch (op) {
+    case "=":
+      return { [path]: values[0] };
+    case "!=":
+      return { [path]: { $ne: values[0] } };
+    case "in":
+      return { [path]: { $in: values } };
+    case "not in":
+      return { [path]: { $nin: values } };
+    case "is empty":
+      return { [path]: null };
+    default:
+      return { [path]: { $ne: null } };
+  }
+};
+
+const matchArray = (path, op, values) => {
+  if (op === "is empty") return { [path]: { $size: 0 } };
+  if (op === "is not empty") return { [`${path}.0`]: { $exists: true } };
+  return matchValues(path, op, values);
+};
+
+const matchRange = (path, op, range) => {
+  switch (op) {
+    case "=":
+      return { [path]: { $gte: range.start, $lt: range.end } };
+    case "!=":
+      return { [path]: { $not: { $gte: range.start, $lt: range.end } } };
+    case "<":
+      return { [path]: { $lt: range.start } };
+    case "<=":
+      return { [path]: { $lt: range.end } };
+    case ">":
+      return { [path]: { $gte: range.end } };
+    default:
+      return { [path]: { $gte: range.start } };
+  }
+};
+
+const matchNumber = (path, op, values) => {
+  if (EMPTINESS.includes(op)) return matchValues(path, op, values);
+  const number = resolveNumber(values[0]);
+  const operator = {
+    "=": "$eq",
+    "!=": "$ne",
+    "<": "$lt",
+    "<=": "$lte",
+    ">": "$gt",
+    ">=": "$gte",
+  }[op];
+  return { [path]: { [operator]: number } };
+};
+
+const matchText = (path, op, value) => {
+  const pattern = new RegExp(escapeRegex(value), "i");
+  return op === "~" ? { [path]: pattern } : { [path]: { $not: pattern } };
+};
+
+const oneOf = (field, value, allowed) => {
+  const match = allowed.find(
+    (option) => option.toLowerCase() === value.toLowerCase(),
+  );
+  if (!match) {
+    throw queryError(
+      `unknown ${field} "${value}" (expected one of ${allowed.join(", ")})`,
+    );
+  }
+  return match;
+};
+
+const resolveUser = async (value, context) => {
+  if (["me", "currentuser()"].includes(value.toLowerCase())) {
+    return new mongoose.Types.ObjectId(context.userId);
+  }
+
+  const user = await User.findOne({
+    $or: [{ username: value.toLowerCase() }, { email: value.toLowerCase() }],
+  }).select("_id");
+  if (!user) {
+    throw queryError(`unknown user "${value}"`);
+  }
+  return user._id;
+};
+
+const resolveSprint = async (value, context) => {
+  const projectId = new mongoose.Types.ObjectId(context.projectId);
+
+  if (value.toLowerCase() === "active") {
+    const active = await Sprint.findOne({
+      project: projectId,
+      state: SprintStateEnum.ACTIVE,
+    }).select("_id");
+    // Without an active sprint, "sprint = active" matches nothing
+    return active?._id || new mongoose.Types.ObjectId();
+  }
+
+  const sprint = await Sprint.findOne({
+    project: projectId,
+    ...(mongoose.isValidObjectId(value)
+      ? { _id: new mongoose.Types.ObjectId(value) }
+      : { name: new RegExp(`^${escapeRegex(value)}$`, "i") }),
+  }).select("_id");
+  if (!sprint) {
+    throw queryError(`unknown sprint "${value}"`);
+  }
+  return sprint._id;
+};
+
+const resolveIssueKey = async (value, context) => {
+  const issue = await Issue.findOne({
+    projectId: new mongoose.Types.ObjectId(context.projectId),
+    key: value.toUpperCase(),
+  }).select("_id");
+  if (!issue) {
+    throw queryError(`unknown issue "${value}"`);
+  }
+  return issue._id;
+};
+
+const resolveStatus = (value, context) => {
+  const status = context.workflow.statuses.find(
+    (candidate) =>
+      candidate.key === value.toLowerCase() ||
+      candidate.name.toLowerCase() === value.toLowerCase(),
+  );
+  if (!status) {
+    throw queryError(
+      `unknown status "${value}" (expected one of ${context.workflow.statuses
+        .map((candidate) => candidate.key)
+        .join(", ")})`,
+    );
+  }
+  return status.key;
+};
+
+const resolveNumber = (value) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw queryError(`"${value}" is not a number`);
+  }
+  return number;
+};
+
+/* --------------------------------- Fields --------------------------------- */
+
+const FIELDS = {
+  key: {
+    operators: EQUALITY,
+    compile: ({ op, values }) =>
+      matchValues(
+        "key",
+        op,
+        values.map((value) => value.toUpperCase()),
+      ),
+  },
+  title: {
+    operators: [...CONTAINS, "=", "!="],
+    compile: ({ op, values }) =>
+      CONTAINS.includes(op)
+        ? matchText("title", op, values[0])
+        : matchValues("title", op, values),
+  },
+  text: {
+    operators: CONTAINS,
+    compile: ({ op, values }) =>
+      op === "~"
+        ? {
+            $or: [
+              matchText("title", op, values[0]),
+              matchText("description", op, values[0]),
+            ],
+          }
+        : {
+            $and: [
+              matchText("title", op, values[0]),
+              matchText("description", op, values[0]),
+            ],
+          },
+  },
+  type: {
+    operators: EQUALITY,
+    compile: ({ op, values }) =>
+      matchValues(
+        "type",
+        op,
+        values.map((value) => oneOf("type", value, AvailableIssueTypes)),
+      ),
+  },
+  priority: {
+    operators: [...EQUALITY, ...ORDERED],
+    compile: ({ op, values }) => {
+      const resolved = values.map((value) =>
+        oneOf("priority", value, AvailableIssuePriorities),
+      );
+      if (!ORDERED.includes(op)) {
+        return matchValues("priority", op, resolved);
+      }
+
+      // Priorities are ordered lowest..highest, so comparisons become a set
+      const rank = AvailableIssuePriorities.indexOf(resolved[0]);
+      const matching = AvailableIssuePriorities.filter(
+        (_, index) =>
+          ({
+            "<": index < rank,
+            "<=": index <= rank,
+            ">": index > rank,
+            ">=": index >= rank,
+          })[op],
+      );
+      return { priority: { $in: matching } };
+    },
+  },
+  status: {
+    operators: EQUALITY,
+    compile: ({ op, values }, context) =>
+      matchValues(
+        "status",
+        op,
+        values.map((value) => resolveStatus(value, context)),
+      ),
+  },
+  category: {
+    operators: EQUALITY,
+    compile: ({ op, values }, context) => {
+      const keys = values.flatMap((value) =>
+        getStatusKeysByCategory(
+          context.workflow,
+          oneOf("category", value, AvailableStatusCategories),
+        ),
+      );
+      return {
+        status: op === "=" || op === "in" ? { $in: keys } : { $nin: keys },
+      };
+    },
+  },
+  assignee: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: async ({ op, values }, context) =>
+      matchValues(
+        "assignee",
+        op,
+        await Promise.all(values.map((value) => resolveUser(value, context))),
+      ),
+  },
+  reporter: {
+    operators: EQUALITY,
+    compile: async ({ op, values }, context) =>
+      matchValues(
+        "reporter",
+        op,
+        await Promise.all(values.map((value) => resolveUser(value, context))),
+      ),
+  },
+  watcher: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: async ({ op, values }, context) =>
+      matchArray(
+        "watchers",
+        op,
+        await Promise.all(values.map((value) => resolveUser(value, context))),
+      ),
+  },
+  labels: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: ({ op, values }) => matchArray("labels", op, values),
+  },
+  sprint: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: async ({ op, values }, context) => {
+      // "sprint = backlog" is the same as "sprint is empty"
+      if (values.length === 1 && values[0].toLowerCase() === "backlog") {
+        if (op === "=") return { sprint: null };
+        if (op === "!=") return { sprint: { $ne: null } };
+      }
+      return matchValues(
+        "sprint",
+        op,
+        await Promise.all(values.map((value) => resolveSprint(value, context))),
+      );
+    },
+  },
+  parent: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: async ({ op, values }, context) =>
+      matchValues(
+        "parent",
+        op,
+        await Promise.all(
+          values.map((value) => resolveIssueKey(value, context)),
+        ),
+      ),
+  },
+  points: {
+    operators: ["=", "!=", ...ORDERED, ...EMPTINESS],
+    compile: ({ op, values }) => matchNumber("storyPoints", op, values),
+  },
+  due: {
+    operators: ["=", "!=", ...ORDERED, ...EMPTINESS],
+    compile: ({ op, values }, context) =>
+      EMPTINESS.includes(op)
+        ? matchValues("dueDate", op, values)
+        : matchRange("dueDate", op, parseDateValue(values[0], context.now)),
+  },
+  created: {
+    operators: ["=", "!=", ...ORDERED],
+    compile: ({ op, values }, context) =>
+      matchRange("createdAt", op, parseDateValue(values[0], context.now)),
+  },
+  updated: {
+    operators: ["=", "!=", ...ORDERED],
+    compile: ({ op, values }, context) =>
+      matchRange("updatedAt", op, parseDateValue(values[0], context.now)),
+  },
+};
+
+// Operators and compilers per custom field type, given the stored value path
+const CUSTOM_FIELD_TYPES = {
+  [CustomFieldTypeEnum.TEXT]: {
+    operators: [...CONTAINS, "=", "!=", ...EMPTINESS],
+    compile: (path, field, { op, values }) =>
+      CONTAINS.includes(op)
+        ? matchText(path, op, values[0])
+        : matchValues(path, op, values),
+  },
+  [CustomFieldTypeEnum.NUMBER]: {
+    operators: ["=", "!=", ...ORDERED, ...EMPTINESS],
+    compile: (path, field, { op, values }) => matchNumber(path, op, values),
+  },
+  [CustomFieldTypeEnum.DATE]: {
+    operators: ["=", "!=", ...ORDERED, ...EMPTINESS],
+    compile: (path, field, { op, values }, context) =>
+      EMPTINESS.includes(op)
+        ? matchValues(path, op, values)
+        : matchRange(path, op, parseDateValue(values[0], context.now)),
+  },
+  [CustomFieldTypeEnum.SELECT]: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: (path, field, { op, values }) =>
+      matchValues(
+        path,
+        op,
+        values.map((value) => oneOf(field.name, value, field.options)),
+      ),
+  },
+  [CustomFieldTypeEnum.MULTI_SELECT]: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: (path, field, { op, values }) => {
+      // Unset and cleared values both count as empty
+      if (op === "is empty") return { [path]: { $in: [null, []] } };
+      if (op === "is not empty") return { [`${path}.0`]: { $exists: true } };
+      return matchValues(
+        path,
+        op,
+        values.map((value) => oneOf(field.name, value, field.options)),
+      );
+    },
+  },
+  [CustomFieldTypeEnum.USER]: {
+    operators: [...EQUALITY, ...EMPTINESS],
+    compile: async (path, field, { op, values }, context) =>
+      matchValues(
+        path,
+        op,
+        await Promise.all(values.map((value) => resolveUser(value, context))),
+      ),
+  },
+};
+
+// "cf.severity", or just "severity" when no built-in field has that name
+const findCustomField = (name, context) => {
+  const key = name.startsWith(CUSTOM_FIELD_PREFIX)
+    ? name.slice(CUSTOM_FIELD_PREFIX.length)
+    : name;
+  return context.customFields.find((field) => field.key === key);
+};
+
+const compileCustomField = (field, node, context) => {
+  const { operators, compile } = CUSTOM_FIELD_TYPES[field.type];
+  if (!operators.includes(node.op)) {
+    throw queryError(
+      `operator "${node.op}" is not supported for ${field.name}`,
+    );
+  }
+  return compile(`customFields.${field.key}`, field, node, context);
+};
+
+// Issue keys grow with creation order, so "ORDER BY key" sorts by createdAt
+const SORT_FIELDS = {
+  key: "createdAt",
+  created: "createdAt",
+  updated: "updatedAt",
+  due: "dueDate",
+  points: "storyPoints",
+  title: "title",
+  type: "type",
+  priority: "priority",
+  status: "status",
+};
+
+const resolveFieldName = (name) => {
+  const lower = name.toLowerCase();
+  return FIELD_ALIASES[lower] || lower;
+};
+
+const compileNode = async (node, context) => {
+  switch (node.type) {
+    case "and":
+      return {
+        $and: await Promise.all(
+          node.nodes.map((child) => compileNode(child, context)),
+        ),
+      };
+    case "or":
+      return {
+        $or: await Promise.all(
+          node.nodes.map((child) => compileNode(child, context)),
+        ),
+      };
+    case "not":
+      return { $nor: [await compileNode(node.node, context)] };
+    default: {
+      const name = resolveFieldName(node.field);
+      const field = FIELDS[name];
+      if (!field) {
+        const customField = findCustomField(name, context);
+        if (customField) {
+          return compileCustomField(customField, node, context);
+        }
+        const fieldNames = [
+          ...Object.keys(FIELDS),
+          ...context.customFields.map(
+            (custom) => `${CUSTOM_FIELD_PREFIX}${custom.key}`,
+          ),
+        ];
+        throw queryError(
+          `unknown field "${node.field}" (expected one of ${fieldNames.join(", ")})`,
+        );
+      }
+      if (!field.operators.includes(node.op)) {
+        throw queryError(`operator "${node.op}" is not supported for ${name}`);
+      }
+      return field.compile(node, context);
+    }
+  }
+};
+
+const compileOrderBy = (orderBy, { workflow, customFields }) => {
+  const addFields = {};
+  const sort = {};
+
+  for (const { field, direction } of orderBy) {
+    const name = resolveFieldName(field);
+    const customField =
+      !SORT_FIELDS[name] && findCustomField(name, { customFields });
+    const path = customField
+      ? `customFields.${customField.key}`
+      : SORT_FIELDS[name];
+    if (!path) {
+      throw queryError(
+        `cannot order by "${field}" (expected one of ${Object.keys(SORT_FIELDS).join(", ")})`,
+      );
+    }
+
+    // Priorities and statuses sort by their rank, not alphabetically
+    if (name === "priority") {
+      addFields._priorityRank = {
+        $indexOfArray: [AvailableIssuePriorities, "$priority"],
+      };
+      sort._priorityRank = direction;
+    } else if (name === "status") {
+      addFields._statusRank = {
+        $indexOfArray: [
+          workflow.statuses.map((status) => status.key),
+          "$status",
+        ],
+      };
+      sort._statusRank = direction;
+    } else {
+      sort[path] = direction;
+    }
+  }
+
+  return { addFields, sort };
+};
+
+// Project data that field names and values are resolved against
+const createCompileContext = async (context) => ({
+  ...context,
+  workflow: context.workflow || (await getProjectWorkflow(context.projectId)),
+  customFields:
+    context.customFields || (await getProjectCustomFields(context.projectId)),
+  now: new Date(),
+});
+
+/**
+ * Compile a query into a Mongo filter and sort for the project's issues
+ * @param {string} text - Query text
+ * @param {object} context - { projectId, userId, workflow?, customFields? }
+ * @returns {Promise<{ filter: object, addFields: object, sort: object }>}
+ *   Empty filter and sort when the query has no condition or ORDER BY
+ */
+const compileIssueQuery = async (text, context) => {
+  const { where, orderBy } = parseIssueQuery(text);
+  const compileContext = await createCompileContext(context);
+
+  return {
+    filter: where ? await compileNode(where, compileContext) : {},
+    ...compileOrderBy(orderBy, compileContext),
+  };
+};
+
+// Legacy "sort" param, e.g. "-createdAt" or "priority,-dueDate"
+const parseSortParam = (sort = "-createdAt") => {
+  const result = {};
+  for (const part of String(sort)
+    .split(/[\s,]+/)
+    .filter(Boolean)) {
+    const path = part.replace(/^-/, "");
+    if (/^[A-Za-z][\w.]*$/.test(path)) {
+      result[path] = part.startsWith("-") ? -1 : 1;
+    }
+  }
+  return Object.keys(result).length > 0 ? result : { createdAt: -1 };
+};
+
+/**
+ * Filter and sort for listing a project's issues, combining the fixed query
+ * params (type, status, priority, ..., cf.<key>) with a query language
+ * expression in q
+ * @param {string} projectId - Project ID
+ * @param {object} params - Request query params
+ * @param {string} userId - Current user, resolves "me"
+ * @returns {Promise<{ match: object, addFields: object, sort: object }>}
+ */
+const buildIssueListQuery = async (projectId, params, userId) => {
+  const {
+    type,
+    status,
+    priority,
+    assignee,
+    labels,
+    sprint,
+    parent,
+    search,
+    q,
+    sort,
+  } = params;
+
+  const match = {
+    projectId: new mongoose.Types.ObjectId(projectId),
+    deletedAt: { $exists: false },
+  };
+
+  if (type) {
+    match.type = Array.isArray(type) ? { $in: type } : type;
+  }
+
+  if (status) {
+    match.status = Array.isArray(status) ? { $in: status } : status;
+  }
+
+  if (priority) {
+    match.priority = Array.isArray(priority) ? { $in: priority } : priority;
+  }
+
+  if (assignee) {
+    match.assignee = new mongoose.Types.ObjectId(assignee);
+  }
+
+  if (labels && labels.length > 0) {
+    match.labels = { $in: Array.isArray(labels) ? labels : [labels] };
+  }
+
+  if (sprint) {
+    match.sprint =
+      sprint === "backlog" ? null : new mongoose.Types.ObjectId(sprint);
+  }
+
+  if (parent) {
+    match.parent = new mongoose.Types.ObjectId(parent);
+  }
+
+  if (search) {
+    match.$text = { $search: search };
+  }
+
+  const conditions = [];
+
+  // Custom field params (cf.severity=high, repeated for any of several)
+  // read like "cf.severity = high" / "cf.severity in (...)" in a query
+  const customClauses = Object.entries(params)
+    .filter(([name]) => name.startsWith(CUSTOM_FIELD_PREFIX))
+    .map(([field, value]) => {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      return {
+        type: "clause",
+        field,
+        op: values.length > 1 ? "in" : "=",
+        values,
+      };
+    });
+  if (customClauses.length > 0) {
+    const context = await createCompileContext({ projectId, userId });
+    for (const clause of customClauses) {
+      conditions.push(await compileNode(clause, context));
+    }
+  }
+
+  let addFields = {};
+  let order = {};
+
+  if (q && q.trim()) {
+    const compiled = await compileIssueQuery(q, { projectId, userId });
+    if (Object.keys(compiled.filter).length > 0) {
+      conditions.push(compiled.filter);
+    }
+    addFields = compiled.addFields;
+    order = compiled.sort;
+  }
+
+  if (conditions.length > 0) {
+    match.$and = conditions;
+  }
+
+  // An ORDER BY in the query wins over the sort param; _id keeps pages stable
+  const baseSort = Object.keys(order).length > 0 ? order : parseSortParam(sort);
+
+  return {
+    match,
+    addFields,
+    sort: "_id" in baseSort ? baseSort : { ...baseSort, _id: 1 },
+  };
+};
+
+export { parseIssueQuery, compileIssueQuery, buildIssueListQuery };
@@ -0,0 +1,680 @@
+/**
+ * Issue and Task Import and Export
+ *
+ * Exports flatten issues into records with one value per field (users by
+ * username, the parent by key, custom fields as cf.<key>), rendered as CSV or
+ * JSON. Imports go the other way: rows from a CSV or JSON file are mapped onto
+ * issue fields column by column, and each row is checked against the project
+ * (members, workflow statuses, custom fields, parent keys) so a dry run can
+ * report every problem before anything is created. Tasks go through the same
+ * steps with their smaller set of fields, subtasks listed by title.
+ */
+
+import mongoose from "mongoose";
+import { Issue } from "../models/issue.models.js";
+import { Sprint } from "../models/sprint.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { ApiError } from "./api-error.js";
+import { toCsv, parseCsv } from "./csv.js";
+import { getProjectWorkflow } from "./workflows.js";
+import { validateCustomFieldValues } from "./custom-fields.js";
+import {
+  AvailableIssueTypes,
+  AvailableIssuePriorities,
+  AvailableTaskStatues,
+  CustomFieldTypeEnum,
+  MAX_IMPORT_ROWS,
+} from "./constants.js";
+
+// Issue fields an import can fill, with column names recognized for each
+const IMPORT_FIELDS = {
+  title: ["summary", "name", "subject"],
+  description: ["body", "details"],
+  type: ["issuetype", "kind"],
+  priority: [],
+  status: ["state"],
+  assignee: ["assignedto", "owner"],
+  reporter: ["createdby", "author"],
+  labels: ["tags"],
+  parent: ["parentkey", "parentissue"],
+  dueDate: ["due", "duedate"],
+  storyPoints: ["points", "storypoints"],
+  originalEstimate: ["estimate"],
+  remainingEstimate: ["remaining"],
+};
+
+// Task fields an import can fill, with column names recognized for each
+const TASK_IMPORT_FIELDS = {
+  title: ["summary", "name", "subject"],
+  description: ["body", "details"],
+  status: ["state"],
+  assignee: ["assignedto", "owner"],
+  subtasks: ["checklist"],
+};
+
+// Built-in columns of an export, followed by one cf.<key> column per field
+const EXPORT_FIELDS = [
+  "key",
+  "title",
+  "type",
+  "status",
+  "priority",
+  "assignee",
+  "reporter",
+  "labels",
+  "parent",
+  "sprint",
+  "dueDate",
+  "storyPoints",
+  "originalEstimate",
+  "remainingEstimate",
+  "timeSpent",
+  "createdAt",
+  "updatedAt",
+  "description",
+];
+
+const TASK_EXPORT_FIELDS = [
+  "title",
+  "status",
+  "assignee",
+  "assignedBy",
+  "subtasks",
+  "createdAt",
+  "updatedAt",
+  "description",
+];
+
+const CUSTOM_FIELD_PREFIX = "cf.";
+const LIST_SEPARATOR = /[;,]/;
+// Undo the quote toCsv puts in front of formula-like cells
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+const normalizeName = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9.]/g, "");
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const toList = (value, separator = LIST_SEPARATOR) =>
+  (Array.isArray(value) ? value : String(value).split(separator))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const formatCell = (value) => (Array.isArray(value) ? value.join("; ") : value);
+
+// Project members by lowercased username and email, to their user ID
+const loadMembersByName = async (projectId) => {
+  const members = await ProjectMember.find({
+    project: new mongoose.Types.ObjectId(projectId),
+  })
+    .populate("user", "username email")
+    .lean();
+
+  const usersByName = new Map();
+  for (const { user } of members) {
+    if (!user) continue;
+    usersByName.set(user.username.toLowerCase(), user._id.toString());
+    usersByName.set(user.email.toLowerCase(), user._id.toString());
+  }
+  return usersByName;
+};
+
+/**
+ * Flatten issues into export records
+ * @param {string} projectId - Project ID
+ * @param {Array} issues - Issues with assignee and reporter populated
+ * @param {Array} customFields - The project's custom field definitions
+ * @returns {Promise<{ fields: Array<string>, records: Array<object> }>}
+ */
+const buildIssueExport = async (projectId, issues, customFields) => {
+  const parentIds = [
+    ...new Set(issues.filter((i) => i.parent).map((i) => i.parent.toString())),
+  ];
+  const sprintIds = [
+    ...new Set(issues.filter((i) => i.sprint).map((i) => i.sprint.toString())),
+  ];
+
+  const [parents, sprints, members] = await Promise.all([
+    Issue.find({ _id: { $in: parentIds } })
+      .select("key")
+      .lean(),
+    Sprint.find({ _id: { $in: sprintIds } })
+      .select("name")
+      .lean(),
+    ProjectMember.find({ project: new mongoose.Types.ObjectId(projectId) })
+      .populate("user", "username")
+      .lean(),
+  ]);
+
+  const parentKeys = new Map(parents.map((p) => [p._id.toString(), p.key]));
+  const sprintNames = new Map(sprints.map((s) => [s._id.toString(), s.name]));
+  const usernames = new Map(
+    members
+      .filter((member) => member.user)
+      .map((member) => [member.user._id.toString(), member.user.username]),
+  );
+
+  const exportValue = (field, value) => {
+    if (isBlank(value)) return null;
+    if (field.type === CustomFieldTypeEnum.USER) {
+      return usernames.get(value.toString()) || value.toString();
+    }
+    return value;
+  };
+
+  const records = issues.map((issue) => ({
+    key: issue.key,
+    title: issue.title,
+    type: issue.type,
+    status: issue.status,
+    priority: issue.priority,
+    assignee: issue.assignee?.username || null,
+    reporter: issue.reporter?.username || null,
+    labels: issue.labels || [],
+    parent: issue.parent ? parentKeys.get(issue.parent.toString()) : null,
+    sprint: issue.sprint ? sprintNames.get(issue.sprint.toString()) : null,
+    dueDate: issue.dueDate || null,
+    storyPoints: issue.storyPoints ?? null,
+    originalEstimate: issue.originalEstimate ?? null,
+    remainingEstimate: issue.remainingEstimate ?? null,
+    timeSpent: issue.timeSpent ?? null,
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+    description: issue.description || "",
+    ...Object.fromEntries(
+      customFields.map((field) => [
+        `${CUSTOM_FIELD_PREFIX}${field.key}`,
+        exportValue(field, issue.customFields?.[field.key]),
+      ]),
+    ),
+  }));
+
+  const fields = [
+    ...EXPORT_FIELDS,
+    ...customFields.map((field) => `${CUSTOM_FIELD_PREFIX}${field.key}`),
+  ];
+
+  return { fields, records };
+};
+
+/**
+ * Flatten tasks into export records, subtasks by title
+ * @param {Array} tasks - Tasks with assignedTo and assignedBy populated
+ * @returns {Promise<{ fields: Array<string>, records: Array<object> }>}
+ */
+const buildTaskExport = async (tasks) => {
+  const subtasks = await Subtask.find({
+    task: { $in: tasks.map((task) => task._id) },
+  })
+    .select("title task")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const subtasksByTask = new Map();
+  for (const subtask of subtasks) {
+    const key = subtask.task.toString();
+    if (!subtasksByTask.has(key)) subtasksByTask.set(key, []);
+    subtasksByTask.get(key).push(subtask.title);
+  }
+
+  const records = tasks.map((task) => ({
+    title: task.title,
+    status: task.status,
+    assignee: task.assignedTo?.username || null,
+    assignedBy: task.assignedBy?.username || null,
+    subtasks: subtasksByTask.get(task._id.toString()) || [],
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+    description: task.description || "",
+  }));
+
+  return { fields: TASK_EXPORT_FIELDS, records };
+};
+
+/**
+ * Render export records as CSV, lists joined with semicolons
+ * @param {Array<string>} fields - Field names, used as headers
+ * @param {Array<object>} records - Result of buildIssueExport or
+ *   buildTaskExport
+ * @returns {string} - CSV text
+ */
+const issueExportToCsv = (fields, records) =>
+  toCsv(
+    fields.map((field) => ({
+      header: field,
+      value: (record) => formatCell(record[field]),
+    })),
+    records,
+  );
+
+/**
+ * Read the rows of an import file
+ * @param {string} format - "csv" or "json"
+ * @param {string|Array} content - CSV text, JSON text or an array of objects
+ * @returns {{ columns: Array<string>, rows: Array<object> }}
+ */
+const readImportRows = (format, content) => {
+  let columns;
+  let rows;
+
+  if (format === "csv") {
+    let lines;
+    try {
+      lines = parseCsv(content);
+    } catch (error) {
+      throw new ApiError(400, `Invalid CSV: ${error.message}`);
+    }
+    if (lines.length === 0) {
+      throw new ApiError(400, "The file is empty");
+    }
+
+    const [header, ...body] = lines;
+    columns = header.map((column) => column.trim());
+    rows = body.map((cells) =>
+      Object.fromEntries(
+        columns.map((column, index) => [
+          column,
+          (cells[index] ?? "").replace(ESCAPED_FORMULA, (match) =>
+            match.slice(1),
+          ),
+        ]),
+      ),
+    );
+  } else {
+    let parsed = content;
+    if (typeof content === "string") {
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw new ApiError(400, `Invalid JSON: ${error.message}`);
+      }
+    }
+    // Accept the bare array as well as a { data: [...] } wrapper
+    rows = Array.isArray(parsed) ? parsed : parsed?.data;
+    if (
+      !Array.isArray(rows) ||
+      rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))
+    ) {
+      throw new ApiError(400, "JSON imports must be an array of objects");
+    }
+    columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(
+      400,
+      `An import may contain at most ${MAX_IMPORT_ROWS} rows, this file has ${rows.length}`,
+    );
+  }
+
+  return { columns, rows };
+};
+
+/**
+ * Guess which column fills which field from the column names
+ * @param {Array<string>} columns - Columns of the import file
+ * @param {Array} customFields - The project's custom field definitions
+ * @param {object} importFields - IMPORT_FIELDS or TASK_IMPORT_FIELDS
+ * @returns {object} - Field name (or cf.<key>) to column name
+ */
+const suggestImportMapping = (
+  columns,
+  customFields,
+  importFields = IMPORT_FIELDS,
+) => {
+  const byName = new Map(
+    columns.map((column) => [normalizeName(column), column]),
+  );
+  const mapping = {};
+
+  for (const [field, aliases] of Object.entries(importFields)) {
+    const column = [field, ...aliases]
+      .map((name) => byName.get(normalizeName(name)))
+      .find(Boolean);
+    if (column) mapping[field] = column;
+  }
+
+  for (const field of customFields) {
+    const target = `${CUSTOM_FIELD_PREFIX}${field.key}`;
+    const column = byName.get(target) || byName.get(normalizeName(field.name));
+    if (column) mapping[target] = column;
+  }
+
+  return mapping;
+};
+
+// Case-insensitive lookup of an enum value, ignoring spaces and dashes
+const matchEnum = (values, raw) =>
+  values.find((value) => normalizeName(value) === normalizeName(raw));
+
+/**
+ * Check import rows against the project and turn them into issue data
+ * @param {string} projectId - Project ID
+ * @param {Array<object>} rows - Rows from readImportRows
+ * @param {object} options - { mapping, statusMap, labelMap, customFields };
+ *   statusMap and labelMap translate source values, a label mapped to ""
+ *   is dropped
+ * @returns {Promise<{ rows: Array, unknownStatuses: Array<string>,
+ *   unknownUsers: Array<string>, labels: Array<string> }>} - One entry per
+ *   row with { row, title, data, errors, warnings }
+ */
+const prepareImportRows = async (
+  projectId,
+  rows,
+  { mapping, statusMap = {}, labelMap = {}, customFields },
+) => {
+  const [workflow, usersByName] = await Promise.all([
+    getProjectWorkflow(projectId),
+    loadMembersByName(projectId),
+  ]);
+
+  const fieldsByKey = new Map(customFields.map((field) => [field.key, field]));
+
+  // Parents are referenced by key and must already exist in the project
+  const parentKeys = mapping.parent
+    ? [
+        ...new Set(
+          rows
+            .map((row) => row[mapping.parent])
+            .filter((value) => !isBlank(value))
+            .map((value) => String(value).trim().toUpperCase()),
+        ),
+      ]
+    : [];
+  const parents = await Issue.find({
+    projectId: new mongoose.Types.ObjectId(projectId),
+    key: { $in: parentKeys },
+    deletedAt: { $exists: false },
+  })
+    .select("key")
+    .lean();
+  const parentsByKey = new Map(parents.map((p) => [p.key, p._id.toString()]));
+
+  const unknownStatuses = new Set();
+  const unknownUsers = new Set();
+  const labels = new Set();
+
+  const resolveStatus = (raw) => {
+    const mapped = Object.hasOwn(statusMap, raw) ? statusMap[raw] : raw;
+    return workflow.statuses.find(
+      (status) =>
+        status.key === mapped ||
+        status.name.toLowerCase() === String(mapped).toLowerCase(),
+    )?.key;
+  };
+
+  const prepared = [];
+
+  for (const [index, source] of rows.entries()) {
+    const errors = [];
+    const warnings = [];
+    const data = {};
+
+    const read = (target) => {
+      const column = mapping[target];
+      if (!column) return undefined;
+      const value = source[column];
+      return typeof value === "string" ? value.trim() : value;
+    };
+
+    const readNumber = (target, label, { integer = false } = {}) => {
+      const raw = read(target);
+      if (isBlank(raw)) return;
+      const number = Number(raw);
+      if (!Number.isFinite(number) || number < 0) {
+        errors.push(`${label} must be a non-negative number`);
+      } else if (integer && !Number.isInteger(number)) {
+        errors.push(`${label} must be a whole number of minutes`);
+      } else {
+        data[target] = number;
+      }
+    };
+
+    const title = read("title");
+    if (isBlank(title)) {
+      errors.push("Title is required");
+    } else if (String(title).length < 3) {
+      errors.push("Title must be at least 3 characters long");
+    } else {
+      data.title = String(title);
+    }
+
+    const description = read("description");
+    if (!isBlank(description)) data.description = String(description);
+
+    const type = read("type");
+    if (!isBlank(type)) {
+      data.type = matchEnum(AvailableIssueTypes, type);
+      if (!data.type) errors.push(`Unknown issue type '${type}'`);
+    }
+
+    const priority = read("priority");
+    if (!isBlank(priority)) {
+      data.priority = matchEnum(AvailableIssuePriorities, priority);
+      if (!data.priority) errors.push(`Unknown priority '${priority}'`);
+    }
+
+    const status = read("status");
+    if (!isBlank(status)) {
+      data.status = resolveStatus(String(status));
+      if (!data.status) {
+        unknownStatuses.add(String(status));
+        errors.push(`Status '${status}' is not mapped to a workflow status`);
+      }
+    }
+
+    // Unmatched people are reported but do not block the row
+    const assignee = read("assignee");
+    if (!isBlank(assignee)) {
+      data.assignee = usersByName.get(String(assignee).toLowerCase());
+      if (!data.assignee) {
+        unknownUsers.add(String(assignee));
+        warnings.push(
+          `Assignee '${assignee}' is not a project member, left unassigned`,
+        );
+      }
+    }
+
+    const reporter = read("reporter");
+    if (!isBlank(reporter)) {
+      data.reporter = usersByName.get(String(reporter).toLowerCase());
+      if (!data.reporter) {
+        unknownUsers.add(String(reporter));
+        warnings.push(
+          `Reporter '${reporter}' is not a project member, you are the reporter`,
+        );
+      }
+    }
+
+    const rawLabels = read("labels");
+    if (!isBlank(rawLabels)) {
+      const sourceLabels = toList(rawLabels);
+      sourceLabels.forEach((label) => labels.add(label));
+      data.labels = [
+        ...new Set(
+          sourceLabels
+            .map((label) =>
+              Object.hasOwn(labelMap, label) ? labelMap[label] : label,
+            )
+            .filter(Boolean),
+        ),
+      ];
+    }
+
+    const parent = read("parent");
+    if (!isBlank(parent)) {
+      data.parent = parentsByKey.get(String(parent).toUpperCase());
+      if (!data.parent) errors.push(`Parent issue '${parent}' not found`);
+    }
+
+    const dueDate = read("dueDate");
+    if (!isBlank(dueDate)) {
+      const date = new Date(dueDate);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`Invalid due date '${dueDate}'`);
+      } else {
+        data.dueDate = date;
+      }
+    }
+
+    readNumber("storyPoints", "Story points");
+    readNumber("originalEstimate", "Original estimate", { integer: true });
+    readNumber("remainingEstimate", "Remaining estimate", { integer: true });
+
+    // Custom fields take list values separated by semicolons and users by
+    // username or email, like the built-in fields
+    const customValues = {};
+    for (const [target, column] of Object.entries(mapping)) {
+      if (!target.startsWith(CUSTOM_FIELD_PREFIX) || !column) continue;
+      const field = fieldsByKey.get(target.slice(CUSTOM_FIELD_PREFIX.length));
+      if (!field) continue;
+
+      const raw = read(target);
+      if (isBlank(raw)) continue;
+
+      if (field.type === CustomFieldTypeEnum.MULTI_SELECT) {
+        customValues[field.key] = toList(raw);
+      } else if (field.type === CustomFieldTypeEnum.USER) {
+        const userId = usersByName.get(String(raw).toLowerCase());
+        if (userId) {
+          customValues[field.key] = userId;
+        } else {
+          unknownUsers.add(String(raw));
+          errors.push(`${field.name}: '${raw}' is not a project member`);
+        }
+      } else {
+        customValues[field.key] =
+          field.type === CustomFieldTypeEnum.NUMBER ? raw : String(raw);
+      }
+    }
+
+    try {
+      data.customFields = await validateCustomFieldValues(
+        projectId,
+        customValues,
+        { issueType: data.type, fields: customFields },
+      );
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    prepared.push({
+      row: index + 1,
+      title: data.title || (isBlank(title) ? "" : String(title)),
+      data,
+      errors,
+      warnings,
+    });
+  }
+
+  return {
+    rows: prepared,
+    unknownStatuses: [...unknownStatuses],
+    unknownUsers: [...unknownUsers],
+    labels: [...labels].sort(),
+  };
+};
+
+/**
+ * Check task import rows against the project and turn them into task data
+ * @param {string} projectId - Project ID
+ * @param {Array<object>} rows - Rows from readImportRows
+ * @param {object} options - { mapping, statusMap }; statusMap translates
+ *   source statuses to task statuses
+ * @returns {Promise<{ rows: Array, unknownStatuses: Array<string>,
+ *   unknownUsers: Array<string> }>} - One entry per row with
+ *   { row, title, data, errors, warnings }; data.subtasks lists titles
+ */
+const prepareTaskImportRows = async (
+  projectId,
+  rows,
+  { mapping, statusMap = {} },
+) => {
+  const usersByName = await loadMembersByName(projectId);
+
+  const unknownStatuses = new Set();
+  const unknownUsers = new Set();
+
+  const prepared = rows.map((source, index) => {
+    const errors = [];
+    const warnings = [];
+    const data = {};
+
+    const read = (target) => {
+      const column = mapping[target];
+      if (!column) return undefined;
+      const value = source[column];
+      return typeof value === "string" ? value.trim() : value;
+    };
+
+    const title = read("title");
+    if (isBlank(title)) {
+      errors.push("Title is required");
+    } else {
+      data.title = String(title);
+    }
+
+    const description = read("description");
+    if (!isBlank(description)) data.description = String(description);
+
+    const status = read("status");
+    if (!isBlank(status)) {
+      const mapped = Object.hasOwn(statusMap, status)
+        ? statusMap[status]
+        : status;
+      data.status = matchEnum(AvailableTaskStatues, mapped);
+      if (!data.status) {
+        unknownStatuses.add(String(status));
+        errors.push(`Status '${status}' is not mapped to a task status`);
+      }
+    }
+
+    const assignee = read("assignee");
+    if (!isBlank(assignee)) {
+      data.assignedTo = usersByName.get(String(assignee).toLowerCase());
+      if (!data.assignedTo) {
+        unknownUsers.add(String(assignee));
+        warnings.push(
+          `Assignee '${assignee}' is not a project member, left unassigned`,
+        );
+      }
+    }
+
+    // Subtask titles may contain commas, so only semicolons separate them
+    const subtasks = read("subtasks");
+    data.subtasks = isBlank(subtasks) ? [] : toList(subtasks, ";");
+
+    return {
+      row: index + 1,
+      title: isBlank(title) ? "" : String(title),
+      data,
+      errors,
+      warnings,
+    };
+  });
+
+  return {
+    rows: prepared,
+    unknownStatuses: [...unknownStatuses],
+    unknownUsers: [...unknownUsers],
+  };
+};
+
+export {
+  IMPORT_FIELDS,
+  TASK_IMPORT_FIELDS,
+  buildIssueExport,
+  buildTaskExport,
+  issueExportToCsv,
+  readImportRows,
+  suggestImportMapping,
+  prepareImportRows,
+  prepareTaskImportRows,
+};
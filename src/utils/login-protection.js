@@ -0,0 +1,155 @@
+/**
+ * Login Protection
+ *
+ * Failed sign-ins are counted per account (by email), on top of the IP-based
+ * authLimiter. From the third failure on, the next attempt has to wait, twice
+ * as long each time (capped at a minute). The tenth failure locks the account
+ * for a while: the owner is emailed an unlock link and the lock is written to
+ * the audit log. State lives in the Redis layer, so every instance sees every
+ * attempt; without Redis it falls back to this process's memory.
+ */
+
+import { redisLoginAttemptCache } from "./redis-cache.js";
+import { ApiError } from "./api-error.js";
+import { recordAudit } from "./audit.js";
+import { accountLockedMailgenContent, sendEmail } from "./mail.js";
+import { AuditActionEnum } from "./constants.js";
+
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCK_AFTER_FAILURES = 10;
+const LOCK_SECONDS = 15 * 60;
+
+const attemptKeys = (email) => {
+  const account = String(email).trim().toLowerCase();
+  return {
+    failures: `login:failures:${account}`,
+    wait: `login:wait:${account}`,
+    lock: `login:lock:${account}`,
+  };
+};
+
+const secondsUntil = (timestamp) =>
+  Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * Reject the attempt while the account is locked or has to wait
+ * @param {string} email - Account email
+ */
+const assertLoginAllowed = async (email) => {
+  const keys = attemptKeys(email);
+
+  const lockedUntil = await redisLoginAttemptCache.get(keys.lock);
+  if (lockedUntil) {
+    const minutes = Math.ceil(secondsUntil(lockedUntil) / 60);
+    throw new ApiError(
+      423,
+      `Account is locked after too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}, or use the unlock link sent to your email`,
+    );
+  }
+
+  const retryAt = await redisLoginAttemptCache.get(keys.wait);
+  if (retryAt) {
+    throw new ApiError(
+      429,
+      `Too many failed sign-in attempts. Try again in ${secondsUntil(retryAt)} seconds`,
+    );
+  }
+};
+
+const lockAccount = async (req, email, user) => {
+  const keys = attemptKeys(email);
+  const lockedUntil = Date.now() + LOCK_SECONDS * 1000;
+
+  await redisLoginAttemptCache.set(keys.lock, lockedUntil, LOCK_SECONDS);
+  await redisLoginAttemptCache.delete(keys.failures);
+  await redisLoginAttemptCache.delete(keys.wait);
+
+  await recordAudit(req, AuditActionEnum.ACCOUNT_LOCKED, {
+    user,
+    email,
+    details: { lockedUntil: new Date(lockedUntil) },
+  });
+
+  // Unknown emails are locked all the same, there is just nobody to tell
+  if (!user) return;
+
+  const { unHashedToken, hashedToken, tokenExpiry } =
+    user.generateTemporaryToken();
+
+  user.accountUnlockToken = hashedToken;
+  user.accountUnlockExpiry = tokenExpiry;
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    email: user.email,
+    subject: "Your account has been locked",
+    mailgenContent: accountLockedMailgenContent(
+      user.username,
+      `${req.protocol}://${req.get("host")}/api/v1/auth/unlock-account/${unHashedToken}`,
+      LOCK_SECONDS / 60,
+    ),
+  });
+};
+
+/**
+ * Count a failed sign-in; slows down or locks the account as failures add up
+ * @param {object} req - Login request, for the audit entry and unlock link
+ * @param {string} email - Account email
+ * @param {object} user - User document, or null for an unknown email
+ * @param {string} reason - Why the attempt failed, for the audit log
+ */
+const recordLoginFailure = async (req, email, user, reason) => {
+  const keys = attemptKeys(email);
+  const failures = await redisLoginAttemptCache.increment(
+    keys.failures,
+    FAILURE_WINDOW_SECONDS,
+  );
+
+  await recordAudit(req, AuditActionEnum.LOGIN_FAILED, {
+    user,
+    email,
+    details: { reason, failures },
+  });
+
+  if (failures >= LOCK_AFTER_FAILURES) {
+    await lockAccount(req, email, user);
+  } else if (failures >= DELAY_AFTER_FAILURES) {
+    const delay = Math.min(
+      2 ** (failures - DELAY_AFTER_FAILURES),
+      MAX_DELAY_SECONDS,
+    );
+    await redisLoginAttemptCache.set(
+      keys.wait,
+      Date.now() + delay * 1000,
+      delay,
+    );
+  }
+};
+
+/**
+ * Forget the failures of an account after a successful sign-in
+ * @param {string} email - Account email
+ */
+const clearLoginFailures = async (email) => {
+  const keys = attemptKeys(email);
+  await redisLoginAttemptCache.delete(keys.failures);
+  await redisLoginAttemptCache.delete(keys.wait);
+};
+
+/**
+ * Lift a lock together with the failures that led to it
+ * @param {string} email - Account email
+ */
+const unlockLogin = async (email) => {
+  await clearLoginFailures(email);
+  await redisLoginAttemptCache.delete(attemptKeys(email).lock);
+};
+
+export {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockLogin,
+};
@@ -0,0 +1,110 @@
+/**
+ * Background Email Queue
+ *
+ * Emails are queued in memory and delivered one at a time outside of the
+ * request cycle. Failed deliveries are retried with exponential backoff so
+ * a slow or unreachable SMTP host never delays an API response.
+ */
+
+import { deliverEmail } from "./mail.js";
+import { logger } from "./logger.js";
+
+class MailQueue {
+  constructor() {
+    this.queue = [];
+    this.processing = false;
+    this.stats = {
+      queued: 0,
+      sent: 0,
+      retried: 0,
+      failed: 0
+    };
+  }
+
+  get maxAttempts() {
+    return parseInt(process.env.MAIL_MAX_ATTEMPTS) || 3;
+  }
+
+  get retryDelay() {
+    return parseInt(process.env.MAIL_RETRY_DELAY_MS) || 5000;
+  }
+
+  /**
+   * Add an email to the queue
+   * @param {object} options - Same options accepted by sendEmail
+   */
+  enqueue(options) {
+    this.queue.push({ options, attempts: 0 });
+    this.stats.queued++;
+    setImmediate(() => this.process());
+  }
+
+  /**
+   * Deliver queued emails until the queue is empty
+   */
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      await this.deliver(job);
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * Attempt a single delivery, scheduling a retry on failure
+   * @param {object} job - Queued job
+   */
+  async deliver(job) {
+    job.attempts++;
+
+    try {
+      await deliverEmail(job.options);
+      this.stats.sent++;
+    } catch (error) {
+      if (job.attempts < this.maxAttempts) {
+        const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+        this.stats.retried++;
+        logger.warn("Email delivery failed, retrying", {
+          to: job.options.email,
+          subject: job.options.subject,
+          attempt: job.attempts,
+          retryInMs: delay,
+          error: error.message,
+        });
+
+        const timer = setTimeout(() => {
+          this.queue.push(job);
+          this.process();
+        }, delay);
+        timer.unref?.();
+      } else {
+        this.stats.failed++;
+        logger.error("Email delivery failed permanently", {
+          to: job.options.email,
+          subject: job.options.subject,
+          attempts: job.attempts,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {object} - Queue statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.queue.length
+    };
+  }
+}
+
+export const mailQueue = new MailQueue();
+
+export default MailQueue;
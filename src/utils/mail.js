@@ -1,12 +1,30 @@
 import Mailgen from "mailgen";
 import nodemailer from "nodemailer";
 
-const sendEmail = async (options) => {
+const createTransporter = () => {
+  const options = {
+    host: process.env.MAILTRAP_SMTP_HOST,
+    port: process.env.MAILTRAP_SMTP_PORT,
+  };
+
+  // Local SMTP stand-ins (Mailpit, MailHog, smtp4dev) accept mail without auth
+  if (process.env.MAILTRAP_SMTP_USER) {
+    options.auth = {
+      user: process.env.MAILTRAP_SMTP_USER,
+      pass: process.env.MAILTRAP_SMTP_PASS,
+    };
+  }
+
+  return nodemailer.createTransport(options);
+};
+
+// Sends an email and lets delivery errors propagate to the caller
+const deliverEmail = async (options) => {
   const mailGenerator = new Mailgen({
     theme: "default",
     product: {
       name: "Task Manager",
-      link: "https://taskmanagelink.com",
+      link: process.env.CLIENT_URL || "https://taskmanagelink.com",
     },
   });
 
@@ -14,25 +32,22 @@ const sendEmail = async (options) => {
 
   const emailHtml = mailGenerator.generate(options.mailgenContent);
 
-  const transporter = nodemailer.createTransport({
-    host: process.env.MAILTRAP_SMTP_HOST,
-    port: process.env.MAILTRAP_SMTP_PORT,
-    auth: {
-      user: process.env.MAILTRAP_SMTP_USER,
-      pass: process.env.MAILTRAP_SMTP_PASS,
-    },
-  });
+  const transporter = createTransporter();
 
   const mail = {
-    from: "mail.taskmanager@example.com",
+    from: process.env.MAILTRAP_SENDER_EMAIL || "mail.taskmanager@example.com",
     to: options.email,
     subject: options.subject,
     text: emailTextual,
     html: emailHtml,
   };
 
+  await transporter.sendMail(mail);
+};
+
+const sendEmail = async (options) => {
   try {
-    await transporter.sendMail(mail);
+    await deliverEmail(options);
   } catch (error) {
     console.error(
       "Email service failed siliently. Make sure that you have provided your MAILTRAP credentials in the .env file",
@@ -81,8 +96,178 @@ const forgotPasswordMailgenContent = (username, passwordResetUrl) => {
   };
 };
 
+const accountLockedMailgenContent = (username, unlockUrl, minutes) => {
+  return {
+    body: {
+      name: username,
+      intro: `There were too many failed attempts to sign in to your account, so it has been locked for ${minutes} minutes.`,
+      action: {
+        instructions:
+          "If these attempts were yours, you can unlock your account right away",
+        button: {
+          color: "#22BC66",
+          text: "Unlock account",
+          link: unlockUrl,
+        },
+      },
+      outro:
+        "If they were not yours, someone may be guessing your password. Consider changing it and enabling two-factor authentication.",
+    },
+  };
+};
+
+const projectInvitationMailgenContent = ({
+  inviter,
+  projectName,
+  role,
+  invitationUrl,
+  expiresInDays,
+}) => {
+  return {
+    body: {
+      intro: `${inviter} invited you to join ${projectName} as ${role}.`,
+      action: {
+        instructions:
+          "To accept or decline, click on the following button. If you don't have an account yet, create one with this email address first.",
+        button: {
+          color: "#22BC66",
+          text: "View invitation",
+          link: invitationUrl,
+        },
+      },
+      outro: `The invitation expires in ${expiresInDays} days. If you weren't expecting it, you can ignore this email.`,
+    },
+  };
+};
+
+const ISSUE_EVENT_INTROS = {
+  created: (actor, issue) => `${actor} created ${issue.key}: ${issue.title}`,
+  updated: (actor, issue) => `${actor} updated ${issue.key}: ${issue.title}`,
+  transitioned: (actor, issue) =>
+    `${actor} changed the status of ${issue.key}: ${issue.title}`,
+  commented: (actor, issue) =>
+    `${actor} commented on ${issue.key}: ${issue.title}`,
+  assigned: (actor, issue) =>
+    `${actor} assigned ${issue.key}: ${issue.title} to you`,
+  mentioned: (actor, issue) =>
+    `${actor} mentioned you on ${issue.key}: ${issue.title}`,
+};
+
+const formatChangeValue = (value) => {
+  if (value === null || value === undefined || value === "") return "None";
+  if (value instanceof Date) return value.toISOString().split("T")[0];
+  const text = String(value);
+  return text.length > 200 ? `${text.substring(0, 200)}...` : text;
+};
+
+const issueNotificationMailgenContent = (
+  username,
+  { event, issue, actor, changes = [], comment, issueUrl },
+) => {
+  const buildIntro = ISSUE_EVENT_INTROS[event] || ISSUE_EVENT_INTROS.updated;
+  const body = {
+    name: username,
+    intro: buildIntro(actor, issue),
+    action: {
+      instructions: "To view the issue click on the following button",
+      button: {
+        color: "#22BC66",
+        text: `Open ${issue.key}`,
+        link: issueUrl,
+      },
+    },
+    outro:
+      "You are receiving this email because you are assigned to or watching this issue.",
+  };
+
+  if (changes.length > 0) {
+    body.table = {
+      data: changes.map((change) => ({
+        field: change.field,
+        from: formatChangeValue(change.from),
+        to: formatChangeValue(change.to),
+      })),
+    };
+  }
+
+  if (comment) {
+    body.intro = [body.intro, `"${comment}"`];
+  }
+
+  return { body };
+};
+
+const chatMessageMailgenContent = (
+  username,
+  { sender, projectName, body, chatUrl },
+) => {
+  return {
+    body: {
+      name: username,
+      intro: [`${sender} posted in ${projectName}:`, `"${body}"`],
+      action: {
+        instructions: "To reply click on the following button",
+        button: {
+          color: "#22BC66",
+          text: "Open chat",
+          link: chatUrl,
+        },
+      },
+      outro:
+        "You are receiving this email because chat notifications are enabled for this project.",
+    },
+  };
+};
+
+const mentionMailgenContent = (
+  username,
+  { sender, projectName, location, body, url },
+) => {
+  return {
+    body: {
+      name: username,
+      intro: [`${sender} mentioned you in ${location} of ${projectName}:`, `"${body}"`],
+      action: {
+        instructions: "To view it click on the following button",
+        button: {
+          color: "#22BC66",
+          text: "Open project",
+          link: url,
+        },
+      },
+      outro:
+        "You are receiving this email because someone mentioned you in a project you are a member of.",
+    },
+  };
+};
+
+const notificationDigestMailgenContent = (username, items, frequency) => {
+  return {
+    body: {
+      name: username,
+      intro: `Here is your ${frequency} summary of ${items.length} notification${items.length === 1 ? "" : "s"}.`,
+      table: {
+        data: items.map((item) => ({
+          notification: item.title,
+          details: item.message,
+          link: item.url || "",
+        })),
+      },
+      outro:
+        "You can change how often you receive these emails in your notification settings.",
+    },
+  };
+};
+
 export {
   emailVerificationMailgenContent,
   forgotPasswordMailgenContent,
+  accountLockedMailgenContent,
+  projectInvitationMailgenContent,
+  issueNotificationMailgenContent,
+  chatMessageMailgenContent,
+  mentionMailgenContent,
+  notificationDigestMailgenContent,
+  deliverEmail,
   sendEmail,
 };
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import { ProjectMember } from "../models/projectmember.models.js";
+
+// @username where username follows the registration rules (lowercase, 3+ chars)
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9._-]{3,})/gi;
+
+// Extract the unique, lowercased usernames mentioned in a text
+const extractMentions = (text = "") => {
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2].toLowerCase().replace(/[.]+$/, ""));
+  }
+  return [...usernames];
+};
+
+// Resolve @mentions in a text to the project members they refer to
+const resolveMentions = async (text, projectId) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+
+  const members = await ProjectMember.aggregate([
+    {
+      $match: {
+        project: new mongoose.Types.ObjectId(projectId),
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "user",
+        pipeline: [
+          {
+            $match: { username: { $in: usernames } },
+          },
+          {
+            $project: { _id: 1, username: 1, email: 1 },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$user",
+    },
+  ]);
+
+  return members.map((member) => member.user);
+};
+
+export { extractMentions, resolveMentions };
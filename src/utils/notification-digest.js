@@ -0,0 +1,99 @@
+/**
+ * Notification Email Digests
+ *
+ * Users on an hourly or daily digest have their notification emails stored
+ * as EmailDigestItems. A periodic job bundles the pending items of every user
+ * whose digest period has elapsed into a single email.
+ */
+
+import { EmailDigestItem } from "../models/emailDigestItem.models.js";
+import { NotificationPreference } from "../models/notificationPreference.models.js";
+import { User } from "../models/user.models.js";
+import { EmailDigestEnum } from "./constants.js";
+import { notificationDigestMailgenContent } from "./mail.js";
+import { mailQueue } from "./mail-queue.js";
+import { logger } from "./logger.js";
+
+const DIGEST_PERIODS = {
+  [EmailDigestEnum.HOURLY]: 60 * 60 * 1000,
+  [EmailDigestEnum.DAILY]: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Send a digest to every user whose digest period has elapsed
+ * @returns {number} - Number of digests queued
+ */
+const sendDueDigests = async () => {
+  const pending = await EmailDigestItem.aggregate([
+    {
+      $group: {
+        _id: "$user",
+        oldest: { $min: "$createdAt" },
+      },
+    },
+  ]);
+
+  let sent = 0;
+
+  for (const { _id: userId, oldest } of pending) {
+    const preference = await NotificationPreference.findOne({ user: userId });
+    const frequency = preference?.emailDigest || EmailDigestEnum.IMMEDIATE;
+
+    // Users who switched back to immediate still get what was held back
+    const period = DIGEST_PERIODS[frequency] || 0;
+    const since = preference?.lastDigestSentAt || oldest;
+    if (Date.now() - new Date(since).getTime() < period) continue;
+
+    const user = await User.findById(userId).select("username email");
+    const items = await EmailDigestItem.find({ user: userId }).sort({
+      createdAt: 1,
+    });
+
+    if (user && items.length > 0) {
+      const label = frequency === EmailDigestEnum.IMMEDIATE ? "latest" : frequency;
+      mailQueue.enqueue({
+        email: user.email,
+        subject: `Your ${label} notification digest`,
+        mailgenContent: notificationDigestMailgenContent(
+          user.username,
+          items,
+          label,
+        ),
+      });
+      sent++;
+    }
+
+    await EmailDigestItem.deleteMany({
+      _id: { $in: items.map((item) => item._id) },
+    });
+    await NotificationPreference.updateOne(
+      { user: userId },
+      { $set: { lastDigestSentAt: new Date() } },
+    );
+  }
+
+  return sent;
+};
+
+// Check for due digests periodically (every 5 minutes by default)
+const startDigestScheduler = () => {
+  const interval = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+
+  const timer = setInterval(async () => {
+    try {
+      const sent = await sendDueDigests();
+      if (sent > 0) {
+        logger.info(`Queued ${sent} notification digest emails`);
+      }
+    } catch (error) {
+      logger.error("Failed to send notification digests", {
+        error: error.message,
+      });
+    }
+  }, interval);
+
+  timer.unref?.();
+  return timer;
+};
+
+export { sendDueDigests, startDigestScheduler };
@@ -0,0 +1,238 @@
+import { Notification } from "../models/notification.models.js";
+import { NotificationPreference } from "../models/notificationPreference.models.js";
+import { EmailDigestItem } from "../models/emailDigestItem.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { User } from "../models/user.models.js";
+import { emitToUser } from "../sockets/notification.socket.js";
+import { mailQueue } from "./mail-queue.js";
+import { chatMessageMailgenContent, mentionMailgenContent } from "./mail.js";
+import {
+  DefaultNotificationChannels,
+  EmailDigestEnum,
+  NotificationEventEnum,
+} from "./constants.js";
+
+// Base URL of the frontend, used for links in emails
+const getClientUrl = () =>
+  process.env.CLIENT_URL ||
+  process.env.CORS_ORIGIN?.split(",")[0] ||
+  "http://localhost:5173";
+
+// Persist in-app notifications and push each one to its recipient in real time
+const pushNotifications = async (notifications) => {
+  if (notifications.length === 0) return [];
+
+  const created = await Notification.insertMany(notifications);
+  const populated = await Notification.populate(created, {
+    path: "actor",
+    select: "username fullName avatar",
+  });
+
+  populated.forEach((notification) => {
+    emitToUser(notification.recipient, "notification:new", notification);
+  });
+
+  return populated;
+};
+
+// Work out which channels a user wants for an event, honoring project overrides
+const resolveChannels = (preference, event, projectId) => {
+  const defaults = DefaultNotificationChannels[event] || {
+    inApp: true,
+    email: true,
+  };
+  const global = preference?.events?.[event] || {};
+  const override = projectId
+    ? preference?.projects?.find(
+        (p) => p.project.toString() === projectId.toString(),
+      )
+    : null;
+
+  if (override?.muted) {
+    return { inApp: false, email: false };
+  }
+
+  const projectEvent = override?.events?.[event] || {};
+
+  return {
+    inApp: projectEvent.inApp ?? global.inApp ?? defaults.inApp,
+    email: projectEvent.email ?? global.email ?? defaults.email,
+  };
+};
+
+/**
+ * Deliver notifications according to each recipient's preferences.
+ * Each entry is { recipient, notification, email } where recipient is a user
+ * with username and email, notification holds the Notification fields (event,
+ * project, title, ...) and email holds the { subject, mailgenContent } to send.
+ */
+const dispatchNotifications = async (entries) => {
+  if (entries.length === 0) return;
+
+  const preferences = await NotificationPreference.find({
+    user: { $in: entries.map((entry) => entry.recipient._id) },
+  });
+
+  const inApp = [];
+  const digestItems = [];
+
+  entries.forEach(({ recipient, notification, email }) => {
+    const preference = preferences.find(
+      (p) => p.user.toString() === recipient._id.toString(),
+    );
+    const channels = resolveChannels(
+      preference,
+      notification.event,
+      notification.project,
+    );
+
+    if (channels.inApp) {
+      inApp.push({ recipient: recipient._id, ...notification });
+    }
+
+    if (channels.email && email) {
+      const digest = preference?.emailDigest || EmailDigestEnum.IMMEDIATE;
+
+      if (digest === EmailDigestEnum.IMMEDIATE) {
+        mailQueue.enqueue({ email: recipient.email, ...email });
+      } else {
+        digestItems.push({
+          user: recipient._id,
+          title: notification.title,
+          message: notification.message,
+          url: notification.link ? `${getClientUrl()}${notification.link}` : undefined,
+        });
+      }
+    }
+  });
+
+  await pushNotifications(inApp);
+
+  if (digestItems.length > 0) {
+    await EmailDigestItem.insertMany(digestItems);
+  }
+};
+
+const truncate = (text, length = 140) =>
+  text.length > length ? `${text.substring(0, length)}...` : text;
+
+// Notify project members who opted in to chat message notifications (fail-safe)
+// Mentioned members are skipped since they get a mention notification instead
+const notifyChatMessage = async (message, sender) => {
+  try {
+    const memberships = await ProjectMember.find({
+      project: message.project,
+      user: { $nin: [sender._id, ...(message.mentions || [])] },
+    }).select("user");
+    const memberIds = memberships.map((m) => m.user);
+
+    // Chat notifications are off by default, so only opted-in members matter
+    const preferences = await NotificationPreference.find({
+      user: { $in: memberIds },
+    });
+    const optedIn = preferences
+      .filter((preference) => {
+        const channels = resolveChannels(
+          preference,
+          NotificationEventEnum.CHAT_MESSAGE,
+          message.project,
+        );
+        return channels.inApp || channels.email;
+      })
+      .map((preference) => preference.user);
+
+    if (optedIn.length === 0) return;
+
+    const project = await Project.findById(message.project).select("name");
+    const users = await User.find({ _id: { $in: optedIn } }).select(
+      "username email",
+    );
+    const link = `/projects/${message.project}?tab=chat`;
+    const body = truncate(message.body);
+
+    await dispatchNotifications(
+      users.map((user) => ({
+        recipient: user,
+        notification: {
+          actor: sender._id,
+          project: message.project,
+          event: NotificationEventEnum.CHAT_MESSAGE,
+          title: `New message in ${project?.name}`,
+          message: `${sender.username}: ${body}`,
+          link,
+        },
+        email: {
+          subject: `New message in ${project?.name}`,
+          mailgenContent: chatMessageMailgenContent(user.username, {
+            sender: sender.username,
+            projectName: project?.name,
+            body,
+            chatUrl: `${getClientUrl()}${link}`,
+          }),
+        },
+      })),
+    );
+  } catch (error) {
+    console.error("Failed to send chat notification:", error);
+  }
+};
+
+const MENTION_LOCATIONS = {
+  chat: { label: "chat", tab: "chat" },
+  note: { label: "a note", tab: "notes" },
+};
+
+/**
+ * Notify users mentioned in a chat message or project note (fail-safe).
+ * Issue comment mentions go through the issue notification flow instead.
+ * @param {object} options - { projectId, mentions, sender, body, source }
+ */
+const notifyMentions = async ({ projectId, mentions, sender, body, source }) => {
+  try {
+    const recipients = mentions.filter(
+      (user) => user._id.toString() !== sender._id.toString(),
+    );
+    if (recipients.length === 0) return;
+
+    const project = await Project.findById(projectId).select("name");
+    const location = MENTION_LOCATIONS[source];
+    const link = `/projects/${projectId}?tab=${location.tab}`;
+    const excerpt = truncate(body);
+
+    await dispatchNotifications(
+      recipients.map((user) => ({
+        recipient: user,
+        notification: {
+          actor: sender._id,
+          project: projectId,
+          event: NotificationEventEnum.MENTIONED,
+          title: `Mentioned in ${project?.name}`,
+          message: `${sender.username} mentioned you in ${location.label}: ${excerpt}`,
+          link,
+        },
+        email: {
+          subject: `${sender.username} mentioned you in ${project?.name}`,
+          mailgenContent: mentionMailgenContent(user.username, {
+            sender: sender.username,
+            projectName: project?.name,
+            location: location.label,
+            body: excerpt,
+            url: `${getClientUrl()}${link}`,
+          }),
+        },
+      })),
+    );
+  } catch (error) {
+    console.error("Failed to send mention notification:", error);
+  }
+};
+
+export {
+  getClientUrl,
+  pushNotifications,
+  resolveChannels,
+  dispatchNotifications,
+  notifyChatMessage,
+  notifyMentions,
+};
@@ -0,0 +1,682 @@
+/**
+ * Project Archives
+ *
+ * PROJECT_GRAPH lists every collection that belongs to a project and how its
+ * documents are found, parents before children. deleteProject walks it to
+ * cascade, and archives walk it to back a project up into one gzipped EJSON
+ * file: the documents, the users they reference (by email, so another
+ * instance can match them) and the uploads attached to those documents.
+ * Restoring an archive creates a new project in which every document gets a
+ * fresh id.
+ * Archives are signed with a key derived from ACCESS_TOKEN_SECRET, so only
+ * archives exported by this server (or one sharing its secret) are restored,
+ * and the members they list can be trusted. References may still only point
+ * into the restored project or at users of this instance, and every document
+ * is validated against its schema before anything is written.
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import { Project } from "../models/project.models.js";
+import { ProjectMember } from "../models/projectmember.models.js";
+import { Workflow } from "../models/workflow.models.js";
+import { CustomField } from "../models/customField.models.js";
+import { Sprint } from "../models/sprint.models.js";
+import { SavedFilter } from "../models/savedFilter.models.js";
+import { Issue } from "../models/issue.models.js";
+import { IssueComment } from "../models/issueComment.models.js";
+import { IssueActivity } from "../models/issueActivity.models.js";
+import { WorkLog } from "../models/worklog.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { ProjectNote } from "../models/note.models.js";
+import { ChatMessage } from "../models/chatmessage.models.js";
+import { ApiError } from "./api-error.js";
+import { generateUniqueProjectKey, parseIssueNumber } from "./issue-keys.js";
+import {
+  MAX_PROJECT_ARCHIVE_UNPACKED_BYTES,
+  UserRolesEnum,
+} from "./constants.js";
+
+const { EJSON } = mongoose.mongo.BSON;
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = "project-archive";
+// Version 2 wraps the archive in a signed envelope
+const ARCHIVE_VERSION = 2;
+const UPLOAD_DIR = path.resolve("public/images");
+const UPLOAD_PATTERN = /\/images\/([\w.-]+)$/;
+// Collections whose documents own uploads, through their attachments
+const ATTACHMENT_COLLECTIONS = [
+  "issues",
+  "issueComments",
+  "tasks",
+  "chatMessages",
+];
+
+// The image types uploads accept, recognized by their first bytes. Files are
+// served from public/, so anything else in an archive (HTML, SVG, scripts)
+// is never written there.
+const startsWith = (data, bytes, offset = 0) =>
+  data.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+const IMAGE_SIGNATURES = {
+  ".jpg": (data) => startsWith(data, [0xff, 0xd8, 0xff]),
+  ".jpeg": (data) => startsWith(data, [0xff, 0xd8, 0xff]),
+  ".png": (data) =>
+    startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  ".gif": (data) =>
+    startsWith(data, Buffer.from("GIF87a")) ||
+    startsWith(data, Buffer.from("GIF89a")),
+  ".webp": (data) =>
+    startsWith(data, Buffer.from("RIFF")) &&
+    startsWith(data, Buffer.from("WEBP"), 8),
+};
+
+const projectScoped = (name, model, projectField = "project") => ({
+  name,
+  model,
+  projectField,
+  filter: (projectId) => ({ [projectField]: projectId }),
+});
+
+const childScoped = (name, model, parent, parentField) => ({
+  name,
+  model,
+  parent,
+  filter: (projectId, ids) => ({ [parentField]: { $in: ids[parent] } }),
+});
+
+// Everything that belongs to a project, parents before their children
+const PROJECT_GRAPH = [
+  projectScoped("members", ProjectMember),
+  projectScoped("workflows", Workflow),
+  projectScoped("customFields", CustomField),
+  projectScoped("sprints", Sprint),
+  projectScoped("savedFilters", SavedFilter),
+  projectScoped("issues", Issue, "projectId"),
+  childScoped("issueComments", IssueComment, "issues", "issueId"),
+  childScoped("issueActivities", IssueActivity, "issues", "issueId"),
+  projectScoped("worklogs", WorkLog),
+  projectScoped("tasks", Task),
+  childScoped("subtasks", Subtask, "tasks", "task"),
+  projectScoped("notes", ProjectNote),
+  projectScoped("chatMessages", ChatMessage),
+];
+
+// How the documents of each collection reference others when restored:
+// refs point at documents of another archived collection, users at users of
+// this instance (single ids or lists), and without its owner a document is
+// dropped. Required references that cannot be resolved drop the document too,
+// except authors, which fall back to the user restoring the archive.
+const ARCHIVE_REFERENCES = {
+  members: { owner: "user" },
+  workflows: { users: ["updatedBy"] },
+  customFields: {},
+  sprints: { users: ["createdBy"] },
+  savedFilters: { owner: "owner" },
+  issues: {
+    refs: { parent: "issues", sprint: "sprints" },
+    users: ["assignee", "reporter", "watchers", "deletedBy"],
+  },
+  issueComments: {
+    refs: { issueId: "issues" },
+    users: ["authorId", "mentions"],
+  },
+  issueActivities: { refs: { issueId: "issues" }, users: ["actorId"] },
+  worklogs: { refs: { issue: "issues" }, users: ["user"] },
+  tasks: { users: ["assignedTo", "assignedBy", "deletedBy"] },
+  subtasks: { refs: { task: "tasks" }, users: ["createdBy"] },
+  notes: { users: ["createdBy", "mentions", "deletedBy"] },
+  chatMessages: { users: ["sender", "readBy", "mentions", "deletedBy"] },
+};
+
+const PARENT_COLLECTIONS = new Set(
+  PROJECT_GRAPH.map((node) => node.parent).filter(Boolean),
+);
+
+/**
+ * The project's collections with the filter that selects its documents
+ * @param {string} projectId - Project ID
+ * @param {object} session - Optional Mongo session
+ * @returns {Promise<Array<{ name: string, model: object, filter: object }>>}
+ */
+const resolveProjectGraph = async (projectId, session) => {
+  const id = new mongoose.Types.ObjectId(projectId);
+  const ids = {};
+  const resolved = [];
+
+  for (const node of PROJECT_GRAPH) {
+    const filter = node.filter(id, ids);
+    if (PARENT_COLLECTIONS.has(node.name)) {
+      const docs = await node.model
+        .find(filter, { _id: 1 }, { session })
+        .lean();
+      ids[node.name] = docs.map((doc) => doc._id);
+    }
+    resolved.push({ name: node.name, model: node.model, filter });
+  }
+
+  return resolved;
+};
+
+const isObjectId = (value) => value?._bsontype === "ObjectId";
+
+// Visit every value of a document tree; ObjectIds, dates and binaries are leaves
+const walk = (value, visit) => {
+  if (
+    isObjectId(value) ||
+    value instanceof Date ||
+    value?._bsontype ||
+    value === null ||
+    typeof value !== "object"
+  ) {
+    return visit(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => walk(item, visit));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, walk(item, visit)]),
+  );
+};
+
+const signArchive = (payload) => {
+  const key = crypto
+    .createHmac("sha256", process.env.ACCESS_TOKEN_SECRET)
+    .update(ARCHIVE_FORMAT)
+    .digest();
+  return crypto.createHmac("sha256", key).update(payload).digest("hex");
+};
+
+const hasValidSignature = (payload, signature) => {
+  if (typeof signature !== "string") return false;
+  const expected = Buffer.from(signArchive(payload), "hex");
+  const actual = Buffer.from(signature, "hex");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+/**
+ * Back a project up into a gzipped archive
+ * @param {string} projectId - Project ID
+ * @returns {Promise<{ project: object, buffer: Buffer }>}
+ */
+const exportProjectArchive = async (projectId) => {
+  const project = await Project.findById(projectId).lean();
+  if (!project) {
+    throw new ApiError(404, "Project not found");
+  }
+
+  const collections = {};
+  for (const { name, model, filter } of await resolveProjectGraph(projectId)) {
+    collections[name] = await model.find(filter).lean();
+  }
+
+  // Any id that is not one of the archived documents may be a user
+  const archivedIds = new Set([project._id.toString()]);
+  Object.values(collections).forEach((docs) =>
+    docs.forEach((doc) => archivedIds.add(doc._id.toString())),
+  );
+  const referencedIds = new Set();
+  walk({ project, collections }, (value) => {
+    if (isObjectId(value) && !archivedIds.has(value.toString())) {
+      referencedIds.add(value.toString());
+    }
+    return value;
+  });
+
+  // Only uploads attached to the project's own documents are archived; a
+  // file name merely mentioned in a note or comment may be another project's
+  const fileNames = new Set(
+    ATTACHMENT_COLLECTIONS.flatMap((name) => collections[name])
+      .flatMap((doc) => doc.attachments || [])
+      .map((attachment) => UPLOAD_PATTERN.exec(attachment.url || "")?.[1])
+      .filter(Boolean),
+  );
+
+  const users = await User.find({ _id: { $in: [...referencedIds] } })
+    .select("username email fullName")
+    .lean();
+
+  // Uploads that are gone from disk are left out
+  const files = [];
+  for (const name of fileNames) {
+    try {
+      const data = await fs.readFile(path.join(UPLOAD_DIR, name));
+      files.push({ name, data: data.toString("base64") });
+    } catch {
+      continue;
+    }
+  }
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date(),
+    serverUrl: process.env.SERVER_URL,
+    project,
+    users,
+    collections,
+    files,
+  };
+
+  // The signature covers the exact text of the archive
+  const payload = EJSON.stringify(archive);
+  const envelope = JSON.stringify({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    signature: signArchive(payload),
+    archive: payload,
+  });
+
+  return { project, buffer: await gzip(envelope) };
+};
+
+const readArchive = async (buffer) => {
+  let text;
+  try {
+    // Bounded, so a small upload cannot unpack into gigabytes
+    text = (
+      await gunzip(buffer, {
+        maxOutputLength: MAX_PROJECT_ARCHIVE_UNPACKED_BYTES,
+      })
+    ).toString("utf8");
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") {
+      throw new ApiError(413, "The archive is too large to restore");
+    }
+    throw new ApiError(400, "The file is not a project archive");
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch {
+    throw new ApiError(400, "The file is not a project archive");
+  }
+
+  if (envelope?.format !== ARCHIVE_FORMAT) {
+    throw new ApiError(400, "The file is not a project archive");
+  }
+  if (envelope.version > ARCHIVE_VERSION) {
+    throw new ApiError(
+      400,
+      `Archive version ${envelope.version} is newer than this server supports`,
+    );
+  }
+  if (
+    typeof envelope.archive !== "string" ||
+    !hasValidSignature(envelope.archive, envelope.signature)
+  ) {
+    throw new ApiError(
+      400,
+      "The archive was not exported by this server or has been modified",
+    );
+  }
+
+  let archive;
+  try {
+    archive = EJSON.parse(envelope.archive);
+  } catch {
+    throw new ApiError(400, "The file is not a project archive");
+  }
+
+  if (archive?.format !== ARCHIVE_FORMAT || !isObjectId(archive.project?._id)) {
+    throw new ApiError(400, "The file is not a project archive");
+  }
+  if (
+    archive.files !== undefined &&
+    (!Array.isArray(archive.files) ||
+      archive.files.some((file) => !file || typeof file !== "object"))
+  ) {
+    throw new ApiError(400, "The archive's files are malformed");
+  }
+
+  const isDocumentList = (docs) =>
+    docs === undefined ||
+    (Array.isArray(docs) && docs.every((doc) => isObjectId(doc?._id)));
+  if (
+    !isDocumentList(archive.users) ||
+    !PROJECT_GRAPH.every(({ name }) =>
+      isDocumentList(archive.collections?.[name]),
+    )
+  ) {
+    throw new ApiError(400, "The archive's documents are malformed");
+  }
+
+  return archive;
+};
+
+// A name that is not taken yet, e.g. "Website (restored 2)"
+const availableProjectName = async (name) => {
+  let candidate = name;
+  for (let attempt = 1; await Project.exists({ name: candidate }); attempt++) {
+    candidate = `${name} (restored${attempt > 1 ? ` ${attempt}` : ""})`;
+  }
+  return candidate;
+};
+
+// Write the archived uploads back; returns what was restored and the names
+// of files that were not images of an accepted type
+const restoreFiles = async (files) => {
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  let restored = 0;
+  const skipped = [];
+
+  for (const { name, data } of files) {
+    // Names come from the archive, so never let them leave the upload dir
+    if (
+      typeof name !== "string" ||
+      typeof data !== "string" ||
+      path.basename(name) !== name ||
+      !/^[\w.-]+$/.test(name)
+    ) {
+      continue;
+    }
+
+    const content = Buffer.from(data, "base64");
+    const isImage = IMAGE_SIGNATURES[path.extname(name).toLowerCase()];
+    if (!isImage || !isImage(content)) {
+      skipped.push(name);
+      continue;
+    }
+
+    try {
+      await fs.writeFile(path.join(UPLOAD_DIR, name), content, {
+        flag: "wx",
+      });
+      restored += 1;
+    } catch (error) {
+      // A file that is still on disk is kept as it is
+      if (error.code !== "EEXIST") throw error;
+    }
+  }
+
+  return { restored, skipped };
+};
+
+/**
+ * Restore an archive as a new project. Only admins of the archived project
+ * may restore it, and while that project still exists only its current
+ * admins. Users are matched by id, then by email; references to users that
+ * cannot be matched are dropped and the caller becomes an admin of the
+ * restored project.
+ * @param {Buffer} buffer - Gzipped archive
+ * @param {object} actor - User restoring the archive
+ * @returns {Promise<object>} - { project, counts, files, skippedFiles,
+ *   unmatchedUsers }
+ */
+const importProjectArchive = async (buffer, actor) => {
+  const archive = await readArchive(buffer);
+  const collections = archive.collections || {};
+  const actorId = new mongoose.Types.ObjectId(actor._id);
+  const projectId = new mongoose.Types.ObjectId();
+
+  // Fresh ids for every archived document, per collection so a reference can
+  // only resolve to a document of the collection it expects
+  const docIds = {};
+  for (const { name } of PROJECT_GRAPH) {
+    docIds[name] = new Map(
+      (collections[name] || []).map((doc) => [
+        doc._id.toString(),
+        new mongoose.Types.ObjectId(),
+      ]),
+    );
+  }
+
+  // Users keep their own ids; on another instance they are found by email
+  const archivedUsers = archive.users || [];
+  const localUsers = await User.find({
+    $or: [
+      { _id: { $in: archivedUsers.map((user) => user._id) } },
+      { email: { $in: archivedUsers.map((user) => String(user.email)) } },
+    ],
+  })
+    .select("email")
+    .lean();
+  const localById = new Map(localUsers.map((u) => [u._id.toString(), u._id]));
+  const localByEmail = new Map(localUsers.map((u) => [u.email, u._id]));
+
+  const userIds = new Map();
+  const unmatchedUsers = [];
+  for (const user of archivedUsers) {
+    const localId =
+      localById.get(user._id.toString()) || localByEmail.get(user.email);
+    if (localId) {
+      userIds.set(user._id.toString(), localId);
+    } else {
+      unmatchedUsers.push({ username: user.username, email: user.email });
+    }
+  }
+  const localUser = (id) => (id ? userIds.get(id.toString()) : undefined);
+
+  const isArchivedAdmin = (collections.members || []).some(
+    (member) =>
+      member.role === UserRolesEnum.ADMIN &&
+      localUser(member.user)?.equals(actorId),
+  );
+  const isAdmin = (await Project.exists({ _id: archive.project._id }))
+    ? await ProjectMember.exists({
+        project: archive.project._id,
+        user: actorId,
+        role: UserRolesEnum.ADMIN,
+      })
+    : isArchivedAdmin;
+  if (!isAdmin) {
+    throw new ApiError(403, "Only admins of this project can restore it");
+  }
+
+  // Ids outside the typed reference fields (activity values, custom field
+  // values) are rewritten when they are known and cleared when they are
+  // unmatched users
+  const knownIds = new Map([
+    [archive.project._id.toString(), projectId],
+    ...userIds,
+    ...Object.values(docIds).flatMap((ids) => [...ids]),
+  ]);
+  const archivedUserIds = new Set(
+    archivedUsers.map((user) => user._id.toString()),
+  );
+  const oldUploadPrefix = archive.serverUrl && `${archive.serverUrl}/images/`;
+  const newUploadPrefix = `${process.env.SERVER_URL}/images/`;
+  const remap = (doc) =>
+    walk(doc, (value) => {
+      if (isObjectId(value)) {
+        const id = value.toString();
+        if (knownIds.has(id)) return knownIds.get(id);
+        return archivedUserIds.has(id) ? null : value;
+      }
+      if (
+        typeof value === "string" &&
+        oldUploadPrefix &&
+        oldUploadPrefix !== newUploadPrefix
+      ) {
+        return value.split(oldUploadPrefix).join(newUploadPrefix);
+      }
+      return value;
+    });
+
+  // Rebuild a document's references from the archived values; null when the
+  // document has to be dropped
+  const restoreDocument = (node, doc) => {
+    const { refs = {}, users = [], owner } = ARCHIVE_REFERENCES[node.name];
+    const isRequired = (field) => node.model.schema.path(field)?.isRequired;
+    const restored = {
+      ...remap(doc),
+      _id: docIds[node.name].get(doc._id.toString()),
+    };
+    if (node.projectField) restored[node.projectField] = projectId;
+
+    if (owner) {
+      restored[owner] = localUser(doc[owner]);
+      if (!restored[owner]) return null;
+    }
+
+    for (const [field, collection] of Object.entries(refs)) {
+      restored[field] = doc[field]
+        ? docIds[collection].get(doc[field].toString())
+        : undefined;
+      if (!restored[field] && isRequired(field)) return null;
+    }
+
+    for (const field of users) {
+      if (Array.isArray(doc[field])) {
+        restored[field] = doc[field].map(localUser).filter(Boolean);
+      } else {
+        restored[field] =
+          localUser(doc[field]) || (isRequired(field) ? actorId : undefined);
+      }
+    }
+
+    // Links only survive between restored issues
+    if (node.name === "issues") {
+      restored.links = (Array.isArray(doc.links) ? doc.links : [])
+        .filter((link) => docIds.issues.has(String(link?.issue)))
+        .map((link) => ({
+          ...remap(link),
+          issue: docIds.issues.get(link.issue.toString()),
+          createdBy: localUser(link.createdBy),
+        }));
+    }
+
+    return restored;
+  };
+
+  // Parents come first, so children of a dropped document are dropped too
+  const docs = {};
+  for (const node of PROJECT_GRAPH) {
+    docs[node.name] = [];
+    for (const doc of collections[node.name] || []) {
+      const restored = restoreDocument(node, doc);
+      if (restored) {
+        docs[node.name].push(restored);
+      } else {
+        docIds[node.name].delete(doc._id.toString());
+      }
+    }
+  }
+
+  const name = await availableProjectName(String(archive.project.name));
+  const keyTaken =
+    !archive.project.key ||
+    (await Project.exists({ key: String(archive.project.key) }));
+  const key = keyTaken
+    ? await generateUniqueProjectKey(name)
+    : String(archive.project.key);
+
+  const project = {
+    ...remap(archive.project),
+    _id: projectId,
+    name,
+    key,
+    createdBy: localUser(archive.project.createdBy) || actorId,
+    archivedBy: localUser(archive.project.archivedBy),
+  };
+
+  // Issue numbers survive under the new project key; issues without a
+  // number, or with one already taken, are numbered after the highest
+  let lastNumber = 0;
+  const issueNumbers = docs.issues.map((issue) => {
+    const number =
+      typeof issue.key === "string" ? parseIssueNumber(issue.key) : null;
+    lastNumber = Math.max(lastNumber, number || 0);
+    return number;
+  });
+  const usedNumbers = new Set();
+  docs.issues.forEach((issue, index) => {
+    let number = issueNumbers[index];
+    if (!number || usedNumbers.has(number)) number = ++lastNumber;
+    usedNumbers.add(number);
+
+    issue.key = `${key}-${number}`;
+  });
+
+  // One membership per user, and the caller is an admin
+  const memberUsers = new Set();
+  docs.members = docs.members.filter((member) => {
+    const userId = member.user.toString();
+    if (memberUsers.has(userId)) return false;
+    memberUsers.add(userId);
+    return true;
+  });
+  const actorMember = docs.members.find((member) =>
+    member.user.equals(actorId),
+  );
+  if (actorMember) {
+    actorMember.role = UserRolesEnum.ADMIN;
+  } else {
+    const now = new Date();
+    docs.members.push({
+      _id: new mongoose.Types.ObjectId(),
+      user: actorId,
+      project: projectId,
+      role: UserRolesEnum.ADMIN,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  // Everything is validated before the first write; fields the schemas do
+  // not know are left out
+  const projectDoc = new Project(project);
+  const models = { project: projectDoc };
+  for (const { name: collection, model } of PROJECT_GRAPH) {
+    models[collection] = docs[collection].map((doc) => new model(doc));
+  }
+  for (const [collection, list] of Object.entries(models)) {
+    for (const doc of [].concat(list)) {
+      const error = doc.validateSync();
+      if (error) {
+        throw new ApiError(
+          400,
+          `The archive has an invalid document in ${collection}: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  // Documents keep their archived timestamps
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await projectDoc.save({ session, timestamps: false });
+      for (const { name: collection, model } of PROJECT_GRAPH) {
+        if (models[collection].length > 0) {
+          await model.insertMany(models[collection], {
+            session,
+            timestamps: false,
+          });
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const { restored: files, skipped: skippedFiles } = await restoreFiles(
+    archive.files || [],
+  );
+
+  return {
+    project: await Project.findById(projectId),
+    counts: Object.fromEntries(
+      PROJECT_GRAPH.map(({ name: collection }) => [
+        collection,
+        docs[collection].length,
+      ]),
+    ),
+    files,
+    skippedFiles,
+    unmatchedUsers,
+  };
+};
+
+export { resolveProjectGraph, exportProjectArchive, importProjectArchive };
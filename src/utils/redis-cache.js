@@ -5,9 +5,15 @@
  * Install redis package: npm install redis
  * 
  * Usage: Set REDIS_URL environment variable to enable Redis caching
+ *
+ * The redis package is loaded on connect, so without it (or without
+ * REDIS_URL) every instance quietly works from its in-memory fallback.
+ * The fallback is swept for expired entries every five minutes and holds at
+ * most MAX_FALLBACK_ENTRIES, so keys nobody reads again (such as failed login
+ * counters for made-up emails) cannot grow it without bound.
  */
 
-import { createClient } from 'redis';
+const MAX_FALLBACK_ENTRIES = 10000;
 
 class RedisCacheManager {
   constructor() {
@@ -29,6 +35,14 @@ class RedisCacheManager {
       return false;
     }
 
+    let createClient;
+    try {
+      ({ createClient } = await import('redis'));
+    } catch {
+      console.log('[Redis] redis package not installed, using in-memory fallback');
+      return false;
+    }
+
     try {
       this.client = createClient({
         url: process.env.REDIS_URL,
@@ -77,7 +91,7 @@ class RedisCacheManager {
         return true;
       } else {
         // Fallback to in-memory cache
-        this.fallbackCache.set(key, {
+        this.setFallback(key, {
           value,
           timestamp: Date.now(),
           ttl: ttl * 1000
@@ -156,6 +170,75 @@ class RedisCacheManager {
     }
   }
 
+  /**
+   * Atomically add one to a counter, starting it at 1 with the given TTL.
+   * Counters hold plain numbers, so read them through increment only.
+   * @param {string} key - Counter key
+   * @param {number} ttl - Lifetime in seconds, counted from the first increment
+   * @returns {Promise<number|null>} - New value, or null on error
+   */
+  async increment(key, ttl = 300) {
+    try {
+      if (this.connected && this.client) {
+        const count = await this.client.incr(key);
+        if (count === 1) {
+          await this.client.expire(key, ttl);
+        }
+        return count;
+      }
+
+      const item = this.fallbackCache.get(key);
+      const now = Date.now();
+      if (item && now - item.timestamp <= item.ttl) {
+        item.value++;
+        return item.value;
+      }
+
+      this.setFallback(key, { value: 1, timestamp: now, ttl: ttl * 1000 });
+      return 1;
+    } catch (error) {
+      console.error('[Redis] Increment error:', error);
+      this.stats.errors++;
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry in the in-memory fallback. When it is full, expired
+   * entries go first, then the oldest ones.
+   * @param {string} key - Cache key
+   * @param {object} item - { value, timestamp, ttl }
+   */
+  setFallback(key, item) {
+    if (!this.fallbackCache.has(key) && this.fallbackCache.size >= MAX_FALLBACK_ENTRIES) {
+      this.cleanup();
+      // Maps iterate in insertion order, so the first keys are the oldest
+      for (const oldest of this.fallbackCache.keys()) {
+        if (this.fallbackCache.size < MAX_FALLBACK_ENTRIES) break;
+        this.fallbackCache.delete(oldest);
+      }
+    }
+    this.fallbackCache.set(key, item);
+  }
+
+  /**
+   * Remove expired entries from the in-memory fallback
+   * @returns {number} - Number of entries cleaned up
+   */
+  cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const [key, item] of this.fallbackCache.entries()) {
+      if (now - item.timestamp > item.ttl) {
+        this.fallbackCache.delete(key);
+        cleaned++;
+      }
+    }
+
+    return cleaned;
+  }
+
   async has(key) {
     const value = await this.get(key);
     return value !== null;
@@ -198,17 +281,30 @@ class RedisCacheManager {
 export const redisUserCache = new RedisCacheManager();
 export const redisMembershipCache = new RedisCacheManager();
 export const redisProjectCache = new RedisCacheManager();
+// Failed logins and lockouts, shared so every instance sees every attempt
+export const redisLoginAttemptCache = new RedisCacheManager();
 
 // Initialize Redis connections
 Promise.all([
   redisUserCache.connect(),
   redisMembershipCache.connect(),
-  redisProjectCache.connect()
+  redisProjectCache.connect(),
+  redisLoginAttemptCache.connect()
 ]).then((results) => {
   const connectedCount = results.filter(Boolean).length;
-  console.log(`[Redis] ${connectedCount}/3 cache instances connected`);
+  console.log(`[Redis] ${connectedCount}/${results.length} cache instances connected`);
 }).catch(error => {
   console.error('[Redis] Initialization failed:', error);
 });
 
+// Sweep the in-memory fallbacks every 5 minutes, without keeping the process alive
+setInterval(() => {
+  [
+    redisUserCache,
+    redisMembershipCache,
+    redisProjectCache,
+    redisLoginAttemptCache
+  ].forEach((cache) => cache.cleanup());
+}, 5 * 60 * 1000).unref();
+
 export default RedisCacheManager;
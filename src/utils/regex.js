@@ -0,0 +1,4 @@
+// Escape user input so a RegExp built from it matches the text literally
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export { escapeRegex };
@@ -0,0 +1,243 @@
+/**
+ * Login Sessions
+ *
+ * Every login creates a Session: one device, one refresh-token family. Both
+ * tokens carry the session id (sid), so revoking a session also stops its
+ * access tokens and closes the sockets it opened. Refresh tokens are single use: each refresh rotates the
+ * token, and presenting a token that was already rotated means it leaked, so
+ * the whole session is revoked. The only exception is the token replaced a
+ * moment ago, which another tab of the same browser may still be sending.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import { Session } from "../models/session.models.js";
+import { User } from "../models/user.models.js";
+import { ApiError } from "./api-error.js";
+import { SessionRevokeReasonEnum } from "./constants.js";
+import { logger } from "./logger.js";
+import { disconnectSessionSockets } from "../sockets/session-sockets.js";
+
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Firefox", /Firefox\//],
+  ["Chrome", /Chrome\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["iOS", /iPhone|iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const tokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Short label for a user agent, e.g. "Firefox on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string}
+ */
+const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Start a session for a user that just logged in
+ * @param {object} user - User document
+ * @param {object} req - Login request, for the user agent and IP
+ * @returns {Promise<{ session: object, accessToken: string, refreshToken: string }>}
+ */
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = user.generateRefreshToken(sessionId);
+  const userAgent = req.get("user-agent") || "";
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: tokenExpiry(refreshToken),
+  });
+
+  return {
+    session,
+    accessToken: user.generateAccessToken(sessionId),
+    refreshToken,
+  };
+};
+
+// The token is not the session's current one: a refresh that lost a race, or reuse
+const rejectStaleRefreshToken = async (sessionId, tokenHash) => {
+  const session = await Session.findById(sessionId);
+
+  if (!session || session.revokedAt) {
+    throw new ApiError(401, "Session has ended, please log in again");
+  }
+
+  const justRotated =
+    session.previousTokenHash === tokenHash &&
+    Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+  if (justRotated) {
+    throw new ApiError(401, "Refresh token has already been used");
+  }
+
+  session.revokedAt = new Date();
+  session.revokedReason = SessionRevokeReasonEnum.TOKEN_REUSE;
+  await session.save();
+  disconnectSessionSockets([session._id]);
+
+  logger.warn("Refresh token reuse detected, session revoked", {
+    userId: session.user.toString(),
+    sessionId: session._id.toString(),
+  });
+
+  throw new ApiError(401, "Session has ended, please log in again");
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} incomingRefreshToken - Refresh token sent by the client
+ * @param {object} req - Refresh request, for the IP
+ * @returns {Promise<{ user: object, session: object, accessToken: string, refreshToken: string }>}
+ */
+const rotateSession = async (incomingRefreshToken, req) => {
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      incomingRefreshToken,
+      process.env.REFRESH_TOKEN_SECRET,
+    );
+  } catch {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  // Tokens issued before sessions existed carry no sid
+  if (!mongoose.isValidObjectId(decodedToken?.sid)) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  const user = await User.findById(decodedToken._id);
+  if (!user) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  const tokenHash = hashToken(incomingRefreshToken);
+  const refreshToken = user.generateRefreshToken(decodedToken.sid);
+  const now = new Date();
+
+  // Matching on the current hash makes concurrent refreshes rotate only once
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decodedToken.sid,
+      user: user._id,
+      refreshTokenHash: tokenHash,
+      revokedAt: { $exists: false },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: tokenExpiry(refreshToken),
+      },
+    },
+    { new: true },
+  );
+
+  if (!session) {
+    await rejectStaleRefreshToken(decodedToken.sid, tokenHash);
+  }
+
+  return {
+    user,
+    session,
+    accessToken: user.generateAccessToken(session._id),
+    refreshToken,
+  };
+};
+
+/**
+ * Whether a session can still be used
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
+
+/**
+ * A user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const listActiveSessions = (userId) =>
+  Session.find({
+    user: new mongoose.Types.ObjectId(userId),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-refreshTokenHash -previousTokenHash -rotatedAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+/**
+ * End active sessions of a user
+ * @param {string} userId - User ID
+ * @param {object} filter - Which of the user's sessions, e.g. { _id: sessionId }
+ * @param {string} reason - One of SessionRevokeReasonEnum
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeSessions = async (userId, filter, reason) => {
+  const sessions = await Session.find({
+    ...filter,
+    user: new mongoose.Types.ObjectId(userId),
+    revokedAt: { $exists: false },
+  })
+    .select("_id")
+    .lean();
+  const sessionIds = sessions.map((session) => session._id);
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  disconnectSessionSockets(sessionIds);
+  return result.modifiedCount;
+};
+
+export {
+  describeDevice,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listActiveSessions,
+  revokeSessions,
+};
@@ -0,0 +1,135 @@
+/**
+ * Timesheets
+ *
+ * Work logs over a date range with totals per user, issue and day, shared
+ * by the project timesheet report and the personal timesheet. Dates are
+ * whole UTC days, matching how work log dates are stored.
+ */
+
+import { WorkLog } from "../models/worklog.models.js";
+import { ApiError } from "./api-error.js";
+import { toCsv } from "./csv.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+const MAX_ENTRIES = 10000;
+
+const toDateKey = (date) => new Date(date).toISOString().split("T")[0];
+
+/**
+ * Resolve an inclusive range of days, defaulting to the last week
+ * @param {object} query - Query with optional from/to ISO dates
+ * @returns {{ from: string, to: string, start: Date, end: Date }} - Day keys and the [start, end) bounds
+ */
+const resolveTimesheetRange = ({ from, to }) => {
+  const end = new Date(
+    `${toDateKey(to ? new Date(to) : new Date())}T00:00:00Z`,
+  );
+  const start = from
+    ? new Date(`${toDateKey(new Date(from))}T00:00:00Z`)
+    : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (start > end) {
+    throw new ApiError(400, "'from' must be before 'to'");
+  }
+
+  if ((end - start) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw new ApiError(400, `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return {
+    from: toDateKey(start),
+    to: toDateKey(end),
+    start,
+    end: new Date(end.getTime() + DAY_MS),
+  };
+};
+
+// Sum minutes per key, largest first
+const totalBy = (entries, keyOf, describe) => {
+  const totals = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    const total = totals.get(key) || { ...describe(entry), minutes: 0 };
+    total.minutes += entry.duration;
+    totals.set(key, total);
+  }
+  return [...totals.values()].sort((a, b) => b.minutes - a.minutes);
+};
+
+/**
+ * Load the work logs in a range with their totals
+ * @param {object} match - Extra WorkLog filter (project, user)
+ * @param {object} range - Range from resolveTimesheetRange
+ * @returns {Promise<object>} - Entries, totals and whether the list was truncated
+ */
+const buildTimesheet = async (match, range) => {
+  const logs = await WorkLog.find({
+    ...match,
+    date: { $gte: range.start, $lt: range.end },
+  })
+    .populate("user", "username fullName email")
+    .populate("issue", "key title")
+    .populate("project", "name key")
+    .sort({ date: 1, createdAt: 1 })
+    .limit(MAX_ENTRIES + 1)
+    .lean();
+
+  const entries = logs.slice(0, MAX_ENTRIES).map((log) => ({
+    _id: log._id,
+    date: toDateKey(log.date),
+    duration: log.duration,
+    comment: log.comment,
+    user: log.user,
+    issue: log.issue,
+    project: log.project,
+  }));
+
+  return {
+    from: range.from,
+    to: range.to,
+    entries,
+    truncated: logs.length > MAX_ENTRIES,
+    totals: {
+      minutes: entries.reduce((sum, entry) => sum + entry.duration, 0),
+      byUser: totalBy(
+        entries,
+        (entry) => entry.user?._id.toString(),
+        (entry) => ({ user: entry.user }),
+      ),
+      byIssue: totalBy(
+        entries,
+        (entry) => entry.issue?._id.toString(),
+        (entry) => ({ issue: entry.issue, project: entry.project }),
+      ),
+      byDay: totalBy(
+        entries,
+        (entry) => entry.date,
+        (entry) => ({ date: entry.date }),
+      ).sort((a, b) => a.date.localeCompare(b.date)),
+    },
+  };
+};
+
+const TIMESHEET_COLUMNS = [
+  { header: "Date", value: (entry) => entry.date },
+  { header: "User", value: (entry) => entry.user?.username },
+  { header: "Email", value: (entry) => entry.user?.email },
+  { header: "Project", value: (entry) => entry.project?.name },
+  { header: "Issue", value: (entry) => entry.issue?.key },
+  { header: "Title", value: (entry) => entry.issue?.title },
+  { header: "Minutes", value: (entry) => entry.duration },
+  { header: "Hours", value: (entry) => (entry.duration / 60).toFixed(2) },
+  { header: "Comment", value: (entry) => entry.comment },
+];
+
+/**
+ * Render a timesheet as CSV, one row per work log
+ * @param {object} timesheet - Result of buildTimesheet
+ * @returns {string} - CSV text
+ */
+const timesheetToCsv = (timesheet) =>
+  toCsv(TIMESHEET_COLUMNS, timesheet.entries);
+
+export { resolveTimesheetRange, buildTimesheet, timesheetToCsv };
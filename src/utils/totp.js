@@ -0,0 +1,192 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Time-based one-time passwords (RFC 6238) as produced by authenticator
+ * apps: HMAC-SHA1 over 30-second steps, 6 digits, base32 secrets. Recovery
+ * codes are random one-time codes for when the app is not at hand; like other
+ * tokens in this codebase they are stored as SHA-256 hashes only.
+ */
+
+import crypto from "crypto";
+import { User } from "../models/user.models.js";
+
+const ISSUER = "Task Manager";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step before or after are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/[\s=]/g, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * A new random base32 secret
+ * @returns {string}
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * otpauth:// URI that authenticator apps import, usually as a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, e.g. the email
+ * @returns {string}
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = {
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: DIGITS,
+    period: STEP_SECONDS,
+  };
+  // Spaces as %20: some apps show the "+" of form encoding literally
+  const query = Object.entries(params)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `otpauth://totp/${label}?${query}`;
+};
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} lastUsedStep - Step of the last accepted code, which cannot be used again
+ * @returns {number|null} - Step the code belongs to, or null when it is wrong
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep();
+
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (lastUsedStep != null && candidate <= lastUsedStep) continue;
+
+    const expected = hotp(key, candidate);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * SHA-256 hash of a recovery code, ignoring case and dashes
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * A fresh set of recovery codes, e.g. "3f9a2-c41b7"
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Accept a TOTP code or an unused recovery code as the second factor. The
+ * code is checked and marked as used in one conditional update, so two
+ * requests racing with the same code cannot both get through. The user needs
+ * the twoFactorSecret, twoFactorLastUsedStep and twoFactorRecoveryCodes
+ * fields selected.
+ * @param {object} user - User document
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<boolean>}
+ */
+const consumeSecondFactor = async (user, code) => {
+  const step = verifyTotp(
+    user.twoFactorSecret,
+    code,
+    user.twoFactorLastUsedStep,
+  );
+  if (step !== null) {
+    // Only moves forward when no request has used this step or a later one
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        twoFactorEnabled: true,
+        $or: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { $lt: step } },
+        ],
+      },
+      { $set: { twoFactorLastUsedStep: step } },
+    );
+    return Boolean(updated);
+  }
+
+  const hash = hashRecoveryCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorEnabled: true, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } },
+  );
+  return Boolean(updated);
+};
+
+export {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+};
@@ -0,0 +1,232 @@
+/**
+ * Project Trash
+ *
+ * Issues, tasks, notes and chat messages are soft deleted: they get a
+ * deletedAt (and deletedBy) and every read skips them. The trash lists those
+ * items per project so they can be restored, or purged for good together with
+ * everything that hangs off them. Items older than the retention period
+ * (TRASH_RETENTION_DAYS, 30 by default) are purged by a periodic job.
+ */
+
+import mongoose from "mongoose";
+import { Issue } from "../models/issue.models.js";
+import { IssueComment } from "../models/issueComment.models.js";
+import { IssueActivity } from "../models/issueActivity.models.js";
+import { WorkLog } from "../models/worklog.models.js";
+import { Task } from "../models/task.models.js";
+import { Subtask } from "../models/subtask.models.js";
+import { ProjectNote } from "../models/note.models.js";
+import { ChatMessage } from "../models/chatmessage.models.js";
+import { IssueTypeEnum, TrashItemTypeEnum } from "./constants.js";
+import { logger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 500;
+const TITLE_LENGTH = 80;
+
+const shorten = (text = "") => {
+  const line = text.split("\n")[0].trim();
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH)}…` : line;
+};
+
+// How each kind of item is found in a project, described and purged
+const TRASH_SOURCES = {
+  [TrashItemTypeEnum.ISSUE]: {
+    model: Issue,
+    projectField: "projectId",
+    select: "key title type",
+    describe: (doc) => ({ title: `${doc.key} ${doc.title}`, key: doc.key }),
+    purge: async (ids) => {
+      await IssueComment.deleteMany({ issueId: { $in: ids } });
+      await IssueActivity.deleteMany({ issueId: { $in: ids } });
+      await WorkLog.deleteMany({ issue: { $in: ids } });
+      // Links and parent references from surviving issues go with it
+      await Issue.updateMany(
+        { "links.issue": { $in: ids } },
+        { $pull: { links: { issue: { $in: ids } } } },
+      );
+      // A subtask needs a parent story, so orphaned ones become plain tasks
+      await Issue.updateMany(
+        { parent: { $in: ids }, type: IssueTypeEnum.SUBTASK },
+        { $set: { type: IssueTypeEnum.TASK }, $unset: { parent: 1 } },
+      );
+      await Issue.updateMany(
+        { parent: { $in: ids } },
+        { $unset: { parent: 1 } },
+      );
+      await Issue.deleteMany({ _id: { $in: ids } });
+    },
+  },
+  [TrashItemTypeEnum.TASK]: {
+    model: Task,
+    projectField: "project",
+    select: "title",
+    describe: (doc) => ({ title: doc.title }),
+    purge: async (ids) => {
+      await Subtask.deleteMany({ task: { $in: ids } });
+      await Task.deleteMany({ _id: { $in: ids } });
+    },
+  },
+  [TrashItemTypeEnum.NOTE]: {
+    model: ProjectNote,
+    projectField: "project",
+    select: "content",
+    describe: (doc) => ({ title: shorten(doc.content) }),
+    purge: (ids) => ProjectNote.deleteMany({ _id: { $in: ids } }),
+  },
+  [TrashItemTypeEnum.CHAT_MESSAGE]: {
+    model: ChatMessage,
+    projectField: "project",
+    select: "body sender",
+    describe: (doc) => ({ title: shorten(doc.body) || "Attachment" }),
+    purge: (ids) => ChatMessage.deleteMany({ _id: { $in: ids } }),
+  },
+};
+
+/**
+ * Days an item stays in the trash before it is purged automatically
+ * @returns {number}
+ */
+const getTrashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+const trashedInProject = (type, projectId) => ({
+  [TRASH_SOURCES[type].projectField]: new mongoose.Types.ObjectId(projectId),
+  deletedAt: { $exists: true },
+});
+
+/**
+ * A project's trash, newest deletions first
+ * @param {string} projectId - Project ID
+ * @param {object} options - { type, page, limit }; without a type every kind
+ *   of item is listed
+ * @returns {Promise<{ items: Array, total: number }>}
+ */
+const listTrashedItems = async (projectId, { type, page = 1, limit = 50 }) => {
+  const types = type ? [type] : Object.keys(TRASH_SOURCES);
+  const skip = (page - 1) * limit;
+  const retentionMs = getTrashRetentionDays() * DAY_MS;
+
+  // Each kind contributes at most a page's worth past the offset, which is
+  // enough to cut the merged page out of
+  const perType = await Promise.all(
+    types.map(async (itemType) => {
+      const source = TRASH_SOURCES[itemType];
+      const filter = trashedInProject(itemType, projectId);
+      const [docs, count] = await Promise.all([
+        source.model
+          .find(filter)
+          .select(`${source.select} deletedAt deletedBy`)
+          .populate("deletedBy", "username fullName avatar")
+          .sort({ deletedAt: -1 })
+          .limit(skip + limit)
+          .lean(),
+        source.model.countDocuments(filter),
+      ]);
+
+      return {
+        count,
+        items: docs.map((doc) => ({
+          type: itemType,
+          _id: doc._id,
+          ...source.describe(doc),
+          deletedAt: doc.deletedAt,
+          deletedBy: doc.deletedBy || null,
+          purgeAt: new Date(new Date(doc.deletedAt).getTime() + retentionMs),
+        })),
+      };
+    }),
+  );
+
+  const items = perType
+    .flatMap((group) => group.items)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    .slice(skip, skip + limit);
+
+  return {
+    items,
+    total: perType.reduce((sum, group) => sum + group.count, 0),
+  };
+};
+
+/**
+ * A trashed item of a project
+ * @param {string} type - TrashItemTypeEnum value
+ * @param {string} projectId - Project ID
+ * @param {string} itemId - Item ID
+ * @returns {Promise<object|null>} - The item document, or null
+ */
+const findTrashedItem = (type, projectId, itemId) =>
+  TRASH_SOURCES[type].model.findOne({
+    _id: new mongoose.Types.ObjectId(itemId),
+    ...trashedInProject(type, projectId),
+  });
+
+/**
+ * Permanently delete trashed items and their dependent documents
+ * @param {string} type - TrashItemTypeEnum value
+ * @param {Array} ids - Item IDs
+ */
+const purgeTrashedItems = async (type, ids) => {
+  if (ids.length === 0) return;
+  await TRASH_SOURCES[type].purge(
+    ids.map((id) => new mongoose.Types.ObjectId(id)),
+  );
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention
+ * @returns {Promise<number>} - Number of purged items
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * DAY_MS);
+  let purged = 0;
+
+  for (const [type, source] of Object.entries(TRASH_SOURCES)) {
+    let batch;
+    do {
+      batch = await source.model
+        .find({ deletedAt: { $lt: cutoff } })
+        .select("_id")
+        .limit(PURGE_BATCH_SIZE)
+        .lean();
+      await purgeTrashedItems(
+        type,
+        batch.map((doc) => doc._id),
+      );
+      purged += batch.length;
+    } while (batch.length === PURGE_BATCH_SIZE);
+  }
+
+  return purged;
+};
+
+// Purge expired trash periodically (hourly by default)
+const startTrashPurgeScheduler = () => {
+  const interval =
+    parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        logger.info(`Purged ${purged} expired items from the trash`);
+      }
+    } catch (error) {
+      logger.error("Failed to purge expired trash", { error: error.message });
+    }
+  }, interval);
+
+  timer.unref?.();
+  return timer;
+};
+
+export {
+  getTrashRetentionDays,
+  listTrashedItems,
+  findTrashedItem,
+  purgeTrashedItems,
+  purgeExpiredTrash,
+  startTrashPurgeScheduler,
+};
@@ -0,0 +1,217 @@
+/**
+ * Project Workflows
+ *
+ * Each project can define its own issue statuses (grouped into the todo,
+ * in-progress and done categories), the transitions allowed between them and
+ * guards that must hold before a transition. Projects that never customised
+ * their workflow use DEFAULT_WORKFLOW, so no migration is needed.
+ */
+
+import mongoose from "mongoose";
+import { Workflow } from "../models/workflow.models.js";
+import { Issue } from "../models/issue.models.js";
+import { ApiError } from "./api-error.js";
+import {
+  DEFAULT_WORKFLOW,
+  StatusCategoryEnum,
+  TransitionGuardEnum,
+  IssueLinkTypeEnum,
+} from "./constants.js";
+
+const MAX_STATUSES = 20;
+
+const GUARD_MESSAGES = {
+  [TransitionGuardEnum.HAS_ASSIGNEE]: "the issue must have an assignee",
+  [TransitionGuardEnum.HAS_STORY_POINTS]: "the issue must be estimated",
+  [TransitionGuardEnum.NO_OPEN_BLOCKERS]:
+    "all issues blocking it must be done",
+};
+
+/**
+ * Workflow of a project, falling back to the default one
+ * @param {string} projectId - Project ID
+ * @returns {Promise<object>} - { initialStatus, statuses, transitions, isDefault }
+ */
+const getProjectWorkflow = async (projectId) => {
+  const workflow = await Workflow.findOne({
+    project: new mongoose.Types.ObjectId(projectId),
+  }).lean();
+
+  if (workflow) {
+    return { ...workflow, isDefault: false };
+  }
+
+  return {
+    project: projectId,
+    ...structuredClone(DEFAULT_WORKFLOW),
+    isDefault: true,
+  };
+};
+
+/**
+ * Workflows of several projects at once, for cross-project views
+ * @param {Array<string>} projectIds - Project IDs
+ * @returns {Promise<Map<string, object>>} - Workflow by project ID
+ */
+const getProjectWorkflows = async (projectIds) => {
+  const stored = await Workflow.find({
+    project: { $in: projectIds.map((id) => new mongoose.Types.ObjectId(id)) },
+  }).lean();
+
+  const workflows = new Map(
+    stored.map((workflow) => [
+      workflow.project.toString(),
+      { ...workflow, isDefault: false },
+    ]),
+  );
+
+  for (const projectId of projectIds) {
+    const key = projectId.toString();
+    if (!workflows.has(key)) {
+      workflows.set(key, {
+        project: key,
+        ...structuredClone(DEFAULT_WORKFLOW),
+        isDefault: true,
+      });
+    }
+  }
+
+  return workflows;
+};
+
+const findStatus = (workflow, key) =>
+  workflow.statuses.find((status) => status.key === key) || null;
+
+const getStatusKeysByCategory = (workflow, category) =>
+  workflow.statuses
+    .filter((status) => status.category === category)
+    .map((status) => status.key);
+
+// Statuses that count as finished work in reports, rollups and sprints
+const getDoneStatuses = (workflow) =>
+  getStatusKeysByCategory(workflow, StatusCategoryEnum.DONE);
+
+const findTransition = (workflow, from, to) =>
+  workflow.transitions.find(
+    (transition) => transition.from === from && transition.to === to,
+  ) || null;
+
+const getAllowedTargets = (workflow, from) =>
+  workflow.transitions
+    .filter((transition) => transition.from === from)
+    .map((transition) => transition.to);
+
+/**
+ * Issues blocking this one that are not in a done status yet
+ * @param {object} workflow - Project workflow
+ * @param {object} issue - Issue document with its links
+ * @returns {Promise<Array>} - Blocking issues (key, title, status)
+ */
+const getUnresolvedBlockers = async (workflow, issue) => {
+  const blockerIds = (issue.links || [])
+    .filter((link) => link.type === IssueLinkTypeEnum.IS_BLOCKED_BY)
+    .map((link) => link.issue);
+
+  if (blockerIds.length === 0) return [];
+
+  return Issue.find({
+    _id: { $in: blockerIds },
+    status: { $nin: getDoneStatuses(workflow) },
+    deletedAt: { $exists: false },
+  })
+    .select("key title status")
+    .lean();
+};
+
+/**
+ * Check the guards of a transition against an issue
+ * @param {object} workflow - Project workflow
+ * @param {object} transition - Transition being taken
+ * @param {object} issue - Issue document
+ * @returns {Promise<Array<string>>} - Reasons the transition is not allowed
+ */
+const checkTransitionGuards = async (workflow, transition, issue) => {
+  const failures = [];
+
+  for (const guard of transition.guards || []) {
+    let passed = true;
+
+    if (guard === TransitionGuardEnum.HAS_ASSIGNEE) {
+      passed = Boolean(issue.assignee);
+    } else if (guard === TransitionGuardEnum.HAS_STORY_POINTS) {
+      passed = issue.storyPoints !== undefined && issue.storyPoints !== null;
+    } else if (guard === TransitionGuardEnum.NO_OPEN_BLOCKERS) {
+      passed = (await getUnresolvedBlockers(workflow, issue)).length === 0;
+    }
+
+    if (!passed) failures.push(GUARD_MESSAGES[guard]);
+  }
+
+  return failures;
+};
+
+/**
+ * Check that a workflow definition is consistent, throwing a 400 otherwise
+ * @param {object} definition - { initialStatus, statuses, transitions }
+ */
+const assertValidWorkflow = ({ initialStatus, statuses, transitions }) => {
+  if (!statuses.length || statuses.length > MAX_STATUSES) {
+    throw new ApiError(
+      400,
+      `A workflow needs between 1 and ${MAX_STATUSES} statuses`,
+    );
+  }
+
+  const keys = statuses.map((status) => status.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    throw new ApiError(400, `Status '${duplicate}' is defined more than once`);
+  }
+
+  if (!keys.includes(initialStatus)) {
+    throw new ApiError(400, "The initial status must be one of the statuses");
+  }
+
+  if (
+    !statuses.some((status) => status.category === StatusCategoryEnum.DONE)
+  ) {
+    throw new ApiError(400, "At least one status must be in the done category");
+  }
+
+  const seen = new Set();
+  for (const transition of transitions) {
+    if (!keys.includes(transition.from) || !keys.includes(transition.to)) {
+      throw new ApiError(
+        400,
+        `Transition ${transition.from} -> ${transition.to} uses an unknown status`,
+      );
+    }
+    if (transition.from === transition.to) {
+      throw new ApiError(
+        400,
+        `Transition ${transition.from} -> ${transition.to} must change the status`,
+      );
+    }
+    const id = `${transition.from}:${transition.to}`;
+    if (seen.has(id)) {
+      throw new ApiError(
+        400,
+        `Transition ${transition.from} -> ${transition.to} is defined more than once`,
+      );
+    }
+    seen.add(id);
+  }
+};
+
+export {
+  getProjectWorkflow,
+  getProjectWorkflows,
+  findStatus,
+  getStatusKeysByCategory,
+  getDoneStatuses,
+  findTransition,
+  getAllowedTargets,
+  getUnresolvedBlockers,
+  checkTransitionGuards,
+  assertValidWorkflow,
+};
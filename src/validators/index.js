@@ -1,10 +1,24 @@
-import { body, query } from "express-validator";
+import { body, param, query } from "express-validator";
 import {
   AvailableUserRole,
   AvailableIssueTypes,
   AvailableIssuePriorities,
-  AvailableIssueStatuses,
+  AvailableStatusCategories,
+  AvailableTransitionGuards,
+  WORKFLOW_STATUS_KEY_PATTERN,
+  AvailableEmailDigests,
+  PROJECT_KEY_PATTERN,
+  AvailableSprintStates,
+  AvailableIssueLinkTypes,
+  AvailableSearchResultTypes,
+  AvailableCustomFieldTypes,
+  CUSTOM_FIELD_KEY_PATTERN,
+  MAX_BULK_ISSUES,
+  AvailableTrashItemTypes,
+  AvailableApiTokenScopes,
 } from "../utils/constants.js";
+import { validateCustomFieldValues } from "../utils/custom-fields.js";
+import { IMPORT_FIELDS, TASK_IMPORT_FIELDS } from "../utils/issue-transfer.js";
 const userRegisterValidator = () => {
   return [
     body("email")
@@ -54,13 +68,80 @@ const userResetForgotPasswordValidator = () => {
   return [body("newPassword").notEmpty().withMessage("Password is required")];
 };
 
+const twoFactorLoginValidator = () => {
+  return [
+    body("twoFactorToken").notEmpty().withMessage("Login token is required"),
+    body("code").trim().notEmpty().withMessage("Code is required"),
+  ];
+};
+
+const twoFactorCodeValidator = () => {
+  return [body("code").trim().notEmpty().withMessage("Code is required")];
+};
+
+const twoFactorDisableValidator = () => {
+  return [body("password").notEmpty().withMessage("Password is required")];
+};
+
+const createApiTokenValidator = () => {
+  return [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Token name is required")
+      .isLength({ max: 100 })
+      .withMessage("Token name must be at most 100 characters"),
+    body("scopes")
+      .isArray({ min: 1 })
+      .withMessage("Select at least one scope"),
+    body("scopes.*").isIn(AvailableApiTokenScopes).withMessage("Invalid scope"),
+    body("projects")
+      .optional()
+      .isArray()
+      .withMessage("Projects must be an array"),
+    body("projects.*").isMongoId().withMessage("Invalid project ID"),
+    body("expiresAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Invalid expiry date")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("Expiry date must be in the future"),
+  ];
+};
+
+const apiTokenIdValidator = () => {
+  return [param("tokenId").isMongoId().withMessage("Invalid token ID")];
+};
+
+const invitationIdValidator = () => {
+  return [
+    param("invitationId").isMongoId().withMessage("Invalid invitation ID"),
+  ];
+};
+
+const sessionIdValidator = () => {
+  return [param("sessionId").isMongoId().withMessage("Invalid session ID")];
+};
+
 const createProjectValidator = () => {
   return [
     body("name").notEmpty().withMessage("Name is required"),
+    body("key")
+      .optional({ values: "falsy" })
+      .trim()
+      .toUpperCase()
+      .matches(PROJECT_KEY_PATTERN)
+      .withMessage(
+        "Key must be 2-10 letters or digits and start with a letter",
+      ),
     body("description").optional(),
   ];
 };
 
+const listProjectsQueryValidator = () => {
+  return [query("includeArchived").optional().isBoolean()];
+};
+
 const addMembertoProjectValidator = () => {
   return [
     body("email")
@@ -96,7 +177,7 @@ const createIssueValidator = () => {
       .withMessage("Invalid priority"),
     body("status")
       .optional()
-      .isIn(AvailableIssueStatuses)
+      .matches(WORKFLOW_STATUS_KEY_PATTERN)
       .withMessage("Invalid status"),
     body("assignee").optional().isMongoId().withMessage("Invalid assignee ID"),
     body("labels").optional().isArray().withMessage("Labels must be an array"),
@@ -105,6 +186,34 @@ const createIssueValidator = () => {
       .optional()
       .isNumeric()
       .withMessage("Story points must be a number"),
+    body("originalEstimate")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Original estimate must be a whole number of minutes")
+      .toInt(),
+    body("remainingEstimate")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Remaining estimate must be a whole number of minutes")
+      .toInt(),
+    body("parent")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Invalid parent issue ID"),
+    // Checked even when absent so required custom fields are enforced
+    body("customFields")
+      .default({})
+      .isObject()
+      .withMessage("Custom fields must be an object")
+      .bail()
+      .custom(async (values, { req }) => {
+        req.body.customFields = await validateCustomFieldValues(
+          req.params.projectId,
+          values,
+          { issueType: req.body.type }
+        );
+        return true;
+      }),
   ];
 };
 
@@ -131,6 +240,33 @@ const updateIssueValidator = () => {
       .optional()
       .isNumeric()
       .withMessage("Story points must be a number"),
+    body("originalEstimate")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Original estimate must be a whole number of minutes")
+      .toInt(),
+    body("remainingEstimate")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Remaining estimate must be a whole number of minutes")
+      .toInt(),
+    body("parent")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Invalid parent issue ID"),
+    body("customFields")
+      .optional()
+      .isObject()
+      .withMessage("Custom fields must be an object")
+      .bail()
+      .custom(async (values, { req }) => {
+        req.body.customFields = await validateCustomFieldValues(
+          req.params.projectId,
+          values,
+          { issueType: req.body.type, issueId: req.params.issueId }
+        );
+        return true;
+      }),
   ];
 };
 
@@ -139,11 +275,287 @@ const transitionIssueValidator = () => {
     body("to")
       .notEmpty()
       .withMessage("Target status is required")
-      .isIn(AvailableIssueStatuses)
+      .matches(WORKFLOW_STATUS_KEY_PATTERN)
       .withMessage("Invalid status"),
   ];
 };
 
+const BULK_CHANGES = [
+  "assignee",
+  "priority",
+  "addLabels",
+  "removeLabels",
+  "sprint",
+  "status",
+  "delete",
+];
+
+const bulkUpdateIssuesValidator = () => {
+  return [
+    body("issueIds")
+      .optional()
+      .isArray({ min: 1, max: MAX_BULK_ISSUES })
+      .withMessage(`issueIds must list between 1 and ${MAX_BULK_ISSUES} issues`),
+    body("issueIds.*").isMongoId().withMessage("Invalid issue ID"),
+    body("filter")
+      .optional()
+      .isObject()
+      .withMessage("Filter must be an object of issue list params"),
+    body("filter.q")
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage("Query must be at most 1000 characters"),
+    body(["filter.assignee", "filter.parent"])
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid ID in filter"),
+    body("filter.sprint")
+      .optional()
+      .custom((value) => value === "backlog" || /^[a-f\d]{24}$/i.test(value))
+      .withMessage("Sprint must be a sprint ID or 'backlog'"),
+    body().custom((value) => {
+      if (Boolean(value.issueIds) === Boolean(value.filter)) {
+        throw new Error("Provide either issueIds or a filter");
+      }
+      return true;
+    }),
+    body("changes")
+      .isObject()
+      .withMessage("Changes are required")
+      .bail()
+      .custom((changes) => {
+        const given = BULK_CHANGES.filter((name) => changes[name] !== undefined);
+        if (given.length === 0) {
+          throw new Error("No changes given");
+        }
+        if (changes.delete && given.length > 1) {
+          throw new Error("Deleting cannot be combined with other changes");
+        }
+        return true;
+      }),
+    body("changes.assignee")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid assignee ID"),
+    body("changes.priority")
+      .optional()
+      .isIn(AvailableIssuePriorities)
+      .withMessage("Invalid priority"),
+    body("changes.addLabels")
+      .optional()
+      .isArray()
+      .withMessage("Labels must be an array"),
+    body("changes.addLabels.*").isString().trim().notEmpty(),
+    body("changes.removeLabels")
+      .optional()
+      .isArray()
+      .withMessage("Labels must be an array"),
+    body("changes.removeLabels.*").isString().trim().notEmpty(),
+    // null or "backlog" moves issues out of their sprint
+    body("changes.sprint")
+      .optional({ values: "null" })
+      .customSanitizer((value) => (value === "backlog" ? null : value))
+      .custom((value) => value === null || /^[a-f\d]{24}$/i.test(value))
+      .withMessage("Sprint must be a sprint ID or 'backlog'"),
+    body("changes.status")
+      .optional()
+      .matches(WORKFLOW_STATUS_KEY_PATTERN)
+      .withMessage("Invalid status"),
+    body("changes.delete")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Delete must be a boolean"),
+  ];
+};
+
+// Filters are the listIssues ones; pagination is ignored
+const exportIssuesQueryValidator = () => {
+  return [
+    ...listIssuesQueryValidator(),
+    query("format")
+      .optional()
+      .isIn(["json", "csv"])
+      .withMessage("Format must be json or csv"),
+  ];
+};
+
+// Issue and task imports share the body; only issues have custom fields
+const importRowsValidator = (importFields, { customFields = false } = {}) => {
+  return [
+    body("format")
+      .isIn(["json", "csv"])
+      .withMessage("Format must be json or csv"),
+    body("content")
+      .custom(
+        (value, { req }) =>
+          typeof value === "string" ||
+          (req.body.format === "json" && Array.isArray(value))
+      )
+      .withMessage("Content must be the file's text or, for JSON, an array of rows"),
+    body("mapping")
+      .optional()
+      .isObject()
+      .withMessage("Mapping must be an object of field to column")
+      .bail()
+      .custom((mapping) => {
+        for (const [field, column] of Object.entries(mapping)) {
+          const isCustomField =
+            customFields &&
+            field.startsWith("cf.") &&
+            CUSTOM_FIELD_KEY_PATTERN.test(field.slice(3));
+          if (!Object.hasOwn(importFields, field) && !isCustomField) {
+            throw new Error(`Unknown import field "${field}"`);
+          }
+          if (column !== null && typeof column !== "string") {
+            throw new Error(`The column for "${field}" must be a column name`);
+          }
+        }
+        return true;
+      }),
+    body(["statusMap", "labelMap"])
+      .optional()
+      .isObject()
+      .withMessage("Value mappings must be objects")
+      .bail()
+      .custom((map) => Object.values(map).every((value) => typeof value === "string"))
+      .withMessage("Mapped values must be strings"),
+    body("dryRun").optional().isBoolean().withMessage("dryRun must be a boolean").toBoolean(),
+  ];
+};
+
+const importIssuesValidator = () => {
+  return importRowsValidator(IMPORT_FIELDS, { customFields: true });
+};
+
+const exportTasksQueryValidator = () => {
+  return [
+    query("format")
+      .optional()
+      .isIn(["json", "csv"])
+      .withMessage("Format must be json or csv"),
+  ];
+};
+
+const importTasksValidator = () => {
+  return importRowsValidator(TASK_IMPORT_FIELDS);
+};
+
+const createIssueLinkValidator = () => {
+  return [
+    body("type")
+      .notEmpty()
+      .withMessage("Link type is required")
+      .isIn(AvailableIssueLinkTypes)
+      .withMessage("Invalid link type"),
+    body("targetIssueId")
+      .notEmpty()
+      .withMessage("Linked issue is required")
+      .isMongoId()
+      .withMessage("Invalid linked issue ID"),
+  ];
+};
+
+const updateWorkflowValidator = () => {
+  return [
+    body("initialStatus")
+      .notEmpty()
+      .withMessage("Initial status is required"),
+    body("statuses")
+      .isArray({ min: 1 })
+      .withMessage("At least one status is required"),
+    body("statuses.*.key")
+      .trim()
+      .matches(WORKFLOW_STATUS_KEY_PATTERN)
+      .withMessage(
+        "Status keys must start with a letter and use lowercase letters, digits or underscores"
+      ),
+    body("statuses.*.name")
+      .trim()
+      .notEmpty()
+      .withMessage("Status name is required"),
+    body("statuses.*.category")
+      .isIn(AvailableStatusCategories)
+      .withMessage("Invalid status category"),
+    body("statuses.*.color")
+      .optional({ values: "falsy" })
+      .matches(/^#[0-9a-f]{6}$/i)
+      .withMessage("Status color must be a hex color"),
+    body("transitions")
+      .isArray()
+      .withMessage("Transitions must be an array"),
+    body("transitions.*.from").notEmpty().withMessage("Transition source is required"),
+    body("transitions.*.to").notEmpty().withMessage("Transition target is required"),
+    body("transitions.*.guards")
+      .optional()
+      .isArray()
+      .withMessage("Guards must be an array"),
+    body("transitions.*.guards.*")
+      .isIn(AvailableTransitionGuards)
+      .withMessage("Invalid transition guard"),
+    body("statusMapping")
+      .optional()
+      .isObject()
+      .withMessage("Status mapping must be an object"),
+  ];
+};
+
+// Rules shared by creating and updating a custom field
+const customFieldSettingsRules = () => [
+  body("description").optional().trim(),
+  body("options").optional().isArray().withMessage("Options must be an array"),
+  body("options.*")
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Options must be text of at most 100 characters"),
+  body("issueTypes")
+    .optional()
+    .isArray()
+    .withMessage("Issue types must be an array"),
+  body("issueTypes.*").isIn(AvailableIssueTypes).withMessage("Invalid issue type"),
+  body("required").optional().isBoolean().withMessage("Required must be true or false"),
+];
+
+const createCustomFieldValidator = () => {
+  return [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Field name is required")
+      .isLength({ max: 50 })
+      .withMessage("Field name cannot exceed 50 characters"),
+    body("key")
+      .optional({ values: "falsy" })
+      .trim()
+      .matches(CUSTOM_FIELD_KEY_PATTERN)
+      .withMessage(
+        "Field keys must start with a letter and use lowercase letters, digits or underscores"
+      ),
+    body("type")
+      .isIn(AvailableCustomFieldTypes)
+      .withMessage("Invalid custom field type"),
+    ...customFieldSettingsRules(),
+  ];
+};
+
+const updateCustomFieldValidator = () => {
+  return [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Field name cannot be empty")
+      .isLength({ max: 50 })
+      .withMessage("Field name cannot exceed 50 characters"),
+    body("position")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Position must be a non-negative number")
+      .toInt(),
+    ...customFieldSettingsRules(),
+  ];
+};
+
 const createCommentValidator = () => {
   return [body("body").trim().notEmpty().withMessage("Comment body is required")];
 };
@@ -151,26 +563,290 @@ const createCommentValidator = () => {
 const listIssuesQueryValidator = () => {
   return [
     query("type").optional().isIn(AvailableIssueTypes),
-    query("status").optional().isIn(AvailableIssueStatuses),
+    query("status").optional().matches(WORKFLOW_STATUS_KEY_PATTERN),
     query("priority").optional().isIn(AvailableIssuePriorities),
     query("assignee").optional().isMongoId(),
+    query("sprint")
+      .optional()
+      .custom((value) => value === "backlog" || /^[a-f\d]{24}$/i.test(value))
+      .withMessage("Sprint must be a sprint ID or 'backlog'"),
+    query("parent").optional().isMongoId(),
     query("search").optional().trim(),
+    query("q")
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage("Query must be at most 1000 characters"),
     query("page").optional().isInt({ min: 1 }),
     query("limit").optional().isInt({ min: 1, max: 100 }),
   ];
 };
 
+const createSavedFilterValidator = () => {
+  return [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Filter name is required")
+      .isLength({ max: 100 })
+      .withMessage("Filter name must be at most 100 characters"),
+    body("description").optional().trim(),
+    body("query")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Query is required")
+      .isLength({ max: 1000 })
+      .withMessage("Query must be at most 1000 characters"),
+    body("shared").optional().isBoolean().withMessage("Shared must be a boolean"),
+  ];
+};
+
+const updateSavedFilterValidator = () => {
+  return [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Filter name cannot be empty")
+      .isLength({ max: 100 })
+      .withMessage("Filter name must be at most 100 characters"),
+    body("description").optional().trim(),
+    body("query")
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Query cannot be empty")
+      .isLength({ max: 1000 })
+      .withMessage("Query must be at most 1000 characters"),
+    body("shared").optional().isBoolean().withMessage("Shared must be a boolean"),
+  ];
+};
+
+const myWorkQueryValidator = () => {
+  return [
+    query("timezoneOffset")
+      .optional()
+      .isInt({ min: -840, max: 840 })
+      .withMessage("Timezone offset must be in minutes"),
+    query("days").optional().isInt({ min: 1, max: 30 }),
+  ];
+};
+
+const searchQueryValidator = () => {
+  return [
+    query("q")
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage("Search query must be between 2 and 200 characters"),
+    query("type")
+      .optional()
+      .custom((value) =>
+        String(value)
+          .split(",")
+          .every((type) => AvailableSearchResultTypes.includes(type))
+      )
+      .withMessage("Invalid result type"),
+    query("project").optional().isMongoId(),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+  ];
+};
+
+const listTrashQueryValidator = () => {
+  return [
+    query("type")
+      .optional()
+      .isIn(AvailableTrashItemTypes)
+      .withMessage("Invalid item type"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ];
+};
+
+const trashItemValidator = () => {
+  return [
+    param("type").isIn(AvailableTrashItemTypes).withMessage("Invalid item type"),
+    param("itemId").isMongoId().withMessage("Invalid item ID"),
+  ];
+};
+
+const createSprintValidator = () => {
+  return [
+    body("name").trim().notEmpty().withMessage("Sprint name is required"),
+    body("goal").optional().trim(),
+    body("startDate").optional().isISO8601().withMessage("Invalid date format"),
+    body("endDate").optional().isISO8601().withMessage("Invalid date format"),
+  ];
+};
+
+const updateSprintValidator = () => {
+  return [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Sprint name cannot be empty"),
+    body("goal").optional().trim(),
+    body("startDate").optional().isISO8601().withMessage("Invalid date format"),
+    body("endDate").optional().isISO8601().withMessage("Invalid date format"),
+  ];
+};
+
+const listSprintsQueryValidator = () => {
+  return [query("state").optional().isIn(AvailableSprintStates)];
+};
+
+const completeSprintValidator = () => {
+  return [
+    body("moveTo")
+      .optional()
+      .custom((value) => value === "backlog" || /^[a-f\d]{24}$/i.test(value))
+      .withMessage("moveTo must be 'backlog' or a sprint ID"),
+  ];
+};
+
+const sprintIssuesValidator = () => {
+  return [
+    body("issueIds")
+      .isArray({ min: 1 })
+      .withMessage("issueIds must be a non-empty array"),
+    body("issueIds.*").isMongoId().withMessage("Invalid issue ID"),
+  ];
+};
+
+const reportQueryValidator = () => {
+  return [
+    query("sprintId").optional().isMongoId().withMessage("Invalid sprint ID"),
+    query("from").optional().isISO8601().withMessage("Invalid date format"),
+    query("to").optional().isISO8601().withMessage("Invalid date format"),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+  ];
+};
+
+const createWorklogValidator = () => {
+  return [
+    body("duration")
+      .notEmpty()
+      .withMessage("Duration is required")
+      .isInt({ min: 1, max: 1440 })
+      .withMessage("Duration must be between 1 minute and 24 hours")
+      .toInt(),
+    body("date").optional().isISO8601().withMessage("Invalid date format"),
+    body("comment")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Comment cannot exceed 1000 characters"),
+    body("remainingEstimate")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Remaining estimate must be a whole number of minutes")
+      .toInt(),
+  ];
+};
+
+const updateWorklogValidator = () => {
+  return [
+    body("duration")
+      .optional()
+      .isInt({ min: 1, max: 1440 })
+      .withMessage("Duration must be between 1 minute and 24 hours")
+      .toInt(),
+    body("date").optional().isISO8601().withMessage("Invalid date format"),
+    body("comment")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Comment cannot exceed 1000 characters"),
+  ];
+};
+
+const timesheetQueryValidator = () => {
+  return [
+    query("from").optional().isISO8601().withMessage("Invalid date format"),
+    query("to").optional().isISO8601().withMessage("Invalid date format"),
+    query("user").optional().isMongoId().withMessage("Invalid user ID"),
+    query("project").optional().isMongoId().withMessage("Invalid project ID"),
+    query("format")
+      .optional()
+      .isIn(["json", "csv"])
+      .withMessage("Format must be json or csv"),
+  ];
+};
+
+const listNotificationsQueryValidator = () => {
+  return [
+    query("unread").optional().isBoolean(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ];
+};
+
+const updateNotificationPreferencesValidator = () => {
+  return [
+    body("events").optional().isObject().withMessage("Events must be an object"),
+    body("projects")
+      .optional()
+      .isArray()
+      .withMessage("Projects must be an array"),
+    body("projects.*.project").isMongoId().withMessage("Invalid project ID"),
+    body("projects.*.muted")
+      .optional()
+      .isBoolean()
+      .withMessage("Muted must be a boolean"),
+    body("emailDigest")
+      .optional()
+      .isIn(AvailableEmailDigests)
+      .withMessage("Invalid email digest frequency"),
+  ];
+};
+
 export {
   userRegisterValidator,
   userLoginValidator,
   userChangeCurrentPasswordValidator,
   userForgotPasswordValidator,
   userResetForgotPasswordValidator,
+  twoFactorLoginValidator,
+  twoFactorCodeValidator,
+  twoFactorDisableValidator,
+  sessionIdValidator,
+  createApiTokenValidator,
+  apiTokenIdValidator,
   createProjectValidator,
+  listProjectsQueryValidator,
   addMembertoProjectValidator,
+  invitationIdValidator,
   createIssueValidator,
   updateIssueValidator,
   transitionIssueValidator,
+  bulkUpdateIssuesValidator,
+  exportIssuesQueryValidator,
+  importIssuesValidator,
+  exportTasksQueryValidator,
+  importTasksValidator,
+  createIssueLinkValidator,
+  updateWorkflowValidator,
+  createCustomFieldValidator,
+  updateCustomFieldValidator,
   createCommentValidator,
   listIssuesQueryValidator,
+  createSavedFilterValidator,
+  updateSavedFilterValidator,
+  myWorkQueryValidator,
+  searchQueryValidator,
+  listTrashQueryValidator,
+  trashItemValidator,
+  createSprintValidator,
+  updateSprintValidator,
+  listSprintsQueryValidator,
+  completeSprintValidator,
+  sprintIssuesValidator,
+  reportQueryValidator,
+  createWorklogValidator,
+  updateWorklogValidator,
+  timesheetQueryValidator,
+  listNotificationsQueryValidator,
+  updateNotificationPreferencesValidator,
 };